@@ -14,8 +14,101 @@
  * - GET /api/control - Control settings (current_set, charge_pause, phases)
  * - GET /api/values - Real-time measurements (power, energy, temperatures)
  * - GET /api/config - Server configuration (IP, auth status)
+ * - GET /api/events - Server-Sent Events: the server's polls of /control and /values
+ * - GET /api/sessions - Charging session log recorded by the server
+ * - GET /api/history - Telemetry history for the day, week and month charts
+ * - GET/POST/PUT/DELETE /api/schedules - Weekly charging rules enforced by the server
+ * - GET/PUT /api/solar - Solar surplus charging mode
+ * - GET /api/chargers - Overview of all configured chargers
+ * - GET/PUT /api/load - Load management across chargers (site limit, policy)
+ * - GET/PUT/DELETE /api/plan - Departure charging: energy target or cheapest hours by a departure time
+ * - GET/PUT /api/tariff - Dynamic electricity prices (current price, schedule upload)
+ *
+ * With several chargers, the per-charger endpoints are addressed as
+ * /api/chargers/<id>/<endpoint> for the charger selected in the header.
  */
 
+// Interface roles, each including the rights of the ones before it (see lib/auth.js)
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+
+// Activity periods and who can change the control settings (see lib/audit.js)
+const ACTIVITY_RANGES_MS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: null
+};
+const ACTIVITY_SOURCES = {
+    user: 'User',
+    proxy: 'Passthrough',
+    scheduler: 'Schedule',
+    solar: 'Solar surplus',
+    planner: 'Departure charging',
+    'load-balancer': 'Load management',
+    mqtt: 'MQTT'
+};
+
+// Weekday names for schedule rules (0 = Sunday, as in Date.getDay())
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Chart views: series keys are history sample fields (see lib/history.js)
+const CHART_METRICS = {
+    power: {
+        unit: 'kW',
+        series: [
+            { key: 'power', label: 'Total', color: 'total', scale: 0.001 },
+            { key: 'l1_power', label: 'L1', color: 'l1', scale: 0.001 },
+            { key: 'l2_power', label: 'L2', color: 'l2', scale: 0.001 },
+            { key: 'l3_power', label: 'L3', color: 'l3', scale: 0.001 }
+        ]
+    },
+    current: {
+        unit: 'A',
+        series: [
+            { key: 'l1_current', label: 'L1', color: 'l1' },
+            { key: 'l2_current', label: 'L2', color: 'l2' },
+            { key: 'l3_current', label: 'L3', color: 'l3' },
+            { key: 'current_set', label: 'Limit', color: 'limit', dashed: true }
+        ]
+    },
+    voltage: {
+        unit: 'V',
+        includeZero: false,
+        series: [
+            { key: 'l1_voltage', label: 'L1', color: 'l1' },
+            { key: 'l2_voltage', label: 'L2', color: 'l2' },
+            { key: 'l3_voltage', label: 'L3', color: 'l3' }
+        ]
+    },
+    temperature: {
+        unit: '°C',
+        includeZero: false,
+        series: null // One series per temp_* field found in the data
+    }
+};
+
+// Chart windows; 'live' is drawn from the status updates of this tab
+const CHART_RANGES_MS = {
+    live: 10 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Ranges for the electrical details; values outside are highlighted
+// (null switches a check off). Adjustable in the panel, stored per browser.
+const DETAIL_LIMIT_DEFAULTS = {
+    voltageMin: 207, // 230 V - 10 %
+    voltageMax: 253, // 230 V + 10 %
+    imbalanceMax: 6,
+    powerFactorMin: 0.9,
+    frequencyMin: 49.8,
+    frequencyMax: 50.2,
+    connectorTempMax: 60,
+    housingTempMax: 70
+};
+const PHASE_ACTIVE_CURRENT = 1; // A, a phase carrying more than this counts as used
+
 // Status codes from NRGKick API
 const STATUS_MAP = {
     0: 'Unknown',
@@ -36,15 +129,52 @@ class NRGKickController {
         this.showConnectionPanel = false; // Default to hidden when configured
         this.updateInterval = null;
         this.updateIntervalMs = 2000; // Update every 2 seconds
+        this.liveSource = null; // EventSource of /api/events, null when polling ourselves
+        this.liveRetries = 0; // Failed stream connections in a row, for the backoff
+        this.liveReconnectTimer = null;
+        this.maxLiveRetryMs = 30000;
+        this.lastUpdateAt = 0; // When the status was last refreshed
+        this.staleAfterMs = 10000; // Raised from the server's poll interval
+        this.staleTimer = null;
+        this.manualAuth = false; // Credentials typed into this tab, unknown to the server
+        this.chartMetric = 'power';
+        this.chartRange = 'live';
+        this.liveSamples = []; // The last 10 minutes, in history sample format
+        this.chartRows = []; // Rows of the day/week/month view
+        this.chartRequest = 0; // Ignores history responses that arrive out of order
+        this.detailLimits = { ...DETAIL_LIMIT_DEFAULTS };
+        this.lastStatus = null; // Last status update, redrawn when the ranges change
         this.commandDelayMs = 500; // Delay before refreshing status after a command
         this.cachedDeviceInfo = null;
+        this.lastStatusCode = null; // Used to refresh the session log on state changes
+        this.editingSchedule = null; // Rule being edited in the schedule form
+        this.solarEnabled = false;
+        this.chargers = []; // Configured chargers from /api/config
+        this.chargerId = null; // Selected charger, null = the server's default
+        this.loadManagement = false; // Whether the server balances a site limit
+        this.loadEnabled = false;
+        this.loadAllocations = {}; // Charger id -> current allocated by load management
+        this.tariff = null; // Last /api/tariff response
+        this.activeSessionCost = null; // Cost of the active session, from /api/sessions
+        this.tariffRefreshMs = 60000; // Prices change at most every few minutes
+        this.lastTariffFetch = 0;
+        this.deviceCodes = null; // Warning and error descriptions from /api/alerts/codes
+        this.lastDeviceCodes = null; // error_code/warning_code/rcd_trigger of the last update
+        this.authEnabled = false; // Whether the server requires a login
+        this.user = null; // Logged-in user { username, role }, null without logins
+        this.setupMode = false; // The login form creates the admin account
+        this.settings = null; // Server settings from /api/config, admins only
+        this.discoveryTimer = null; // Polls /api/discovery while a scan runs
+        this.pushPublicKey = null; // Server key for PushManager.subscribe()
+        this.cachedAt = null; // Time of the status the service worker answered from its cache, null when live
 
         // Check URL parameter for showing connection panel
         this.parseUrlParameters();
         
         this.initElements();
         this.initEventListeners();
-        this.loadServerConfig();
+        this.checkSession();
+        this.registerServiceWorker();
     }
 
     /**
@@ -58,6 +188,9 @@ class NRGKickController {
         if (showConnectionParam === 'true' || showConnectionParam === '1') {
             this.showConnectionPanel = true;
         }
+
+        // Preselect a charger with ?charger=<id>
+        this.requestedChargerId = urlParams.get('charger');
     }
 
     /**
@@ -67,16 +200,78 @@ class NRGKickController {
         // Connection elements
         this.connectBtn = document.getElementById('connect-btn');
         this.disconnectBtn = document.getElementById('disconnect-btn');
+        this.discoverySection = document.getElementById('discovery-section');
+        this.discoveryStatus = document.getElementById('discovery-status');
+        this.discoveryBody = document.getElementById('discovery-body');
+        this.discoveryScanBtn = document.getElementById('discovery-scan-btn');
         this.connectionStatus = document.getElementById('connection-status');
         this.chargerIPDisplay = document.getElementById('charger-ip-display');
         this.authUsernameInput = document.getElementById('auth-username');
         this.authPasswordInput = document.getElementById('auth-password');
+        this.chargerSelect = document.getElementById('charger-select');
+
+        // Login and account
+        this.loginOverlay = document.getElementById('login-overlay');
+        this.loginForm = document.getElementById('login-form');
+        this.loginTitle = document.getElementById('login-title');
+        this.loginHint = document.getElementById('login-hint');
+        this.loginUsernameInput = document.getElementById('login-username');
+        this.loginPasswordInput = document.getElementById('login-password');
+        this.loginTokenGroup = document.getElementById('login-token-group');
+        this.loginTokenInput = document.getElementById('login-token');
+        this.loginError = document.getElementById('login-error');
+        this.loginSubmitBtn = document.getElementById('login-submit-btn');
+        this.accountMenu = document.getElementById('account-menu');
+        this.accountNameEl = document.getElementById('account-name');
+        this.logoutBtn = document.getElementById('logout-btn');
+        this.accountPanel = document.getElementById('account-panel');
+        this.passwordForm = document.getElementById('password-form');
+        this.passwordCurrentInput = document.getElementById('password-current');
+        this.passwordNewInput = document.getElementById('password-new');
+        this.passwordStatus = document.getElementById('password-status');
+        this.usersBody = document.getElementById('users-body');
+        this.userForm = document.getElementById('user-form');
+        this.userNameInput = document.getElementById('user-name');
+        this.userPasswordInput = document.getElementById('user-password');
+        this.userRoleSelect = document.getElementById('user-role');
+
+        // Settings (admins)
+        this.settingsPanel = document.getElementById('settings-panel');
+        this.settingsForm = document.getElementById('settings-form');
+        this.settingsFileEl = document.getElementById('settings-file');
+        this.settingInputs = document.querySelectorAll('#settings-form [data-setting]');
+        this.settingsChargersBody = document.getElementById('settings-chargers-body');
+        this.settingsAddChargerBtn = document.getElementById('settings-add-charger-btn');
+        this.settingsStatus = document.getElementById('settings-status');
 
         // Panels
         this.connectionPanel = document.getElementById('connection-panel');
         this.statusPanel = document.getElementById('status-panel');
+        this.staleBanner = document.getElementById('stale-banner');
+        this.chartsPanel = document.getElementById('charts-panel');
+        this.chartMetricButtons = document.querySelectorAll('#chart-metrics .chart-tab');
+        this.chartRangeButtons = document.querySelectorAll('#chart-ranges .chart-tab');
+        this.chartResetZoomBtn = document.getElementById('chart-reset-zoom');
+        this.chart = new TimeSeriesChart(document.getElementById('chart-container'), {
+            onZoom: (from, to) => this.onChartZoom(from, to)
+        });
         this.controlsPanel = document.getElementById('controls-panel');
         this.infoPanel = document.getElementById('info-panel');
+        this.sessionsPanel = document.getElementById('sessions-panel');
+        this.alertsPanel = document.getElementById('alerts-panel');
+        this.activityPanel = document.getElementById('activity-panel');
+        this.schedulesPanel = document.getElementById('schedules-panel');
+        this.overviewPanel = document.getElementById('overview-panel');
+        this.overviewGrid = document.getElementById('overview-grid');
+
+        // Load management
+        this.loadManagementEl = document.getElementById('load-management');
+        this.loadPhasesEl = document.getElementById('load-phases');
+        this.loadStatusEl = document.getElementById('load-status');
+        this.loadLimitInput = document.getElementById('load-limit');
+        this.loadPolicySelect = document.getElementById('load-policy');
+        this.loadSaveBtn = document.getElementById('load-save-btn');
+        this.loadToggleBtn = document.getElementById('load-toggle-btn');
 
         // Status values
         this.chargingStateEl = document.getElementById('charging-state');
@@ -93,16 +288,97 @@ class NRGKickController {
         this.stopChargingBtn = document.getElementById('stop-charging-btn');
         this.currentSlider = document.getElementById('current-slider');
         this.currentSliderValue = document.getElementById('current-slider-value');
+        this.currentSliderMin = document.getElementById('current-slider-min');
+        this.currentSliderMax = document.getElementById('current-slider-max');
         this.setCurrentBtn = document.getElementById('set-current-btn');
         this.phase1Btn = document.getElementById('phase-1-btn');
         this.phase3Btn = document.getElementById('phase-3-btn');
 
+        // Solar surplus
+        this.solarControlGroup = document.getElementById('solar-control-group');
+        this.solarGridPowerEl = document.getElementById('solar-grid-power');
+        this.solarAvailableEl = document.getElementById('solar-available');
+        this.solarToggleBtn = document.getElementById('solar-toggle-btn');
+
+        // Departure charging
+        this.planModeSelect = document.getElementById('plan-mode');
+        this.planEnergyLabel = document.getElementById('plan-energy-label');
+        this.planEnergyInput = document.getElementById('plan-energy');
+        this.planDepartureInput = document.getElementById('plan-departure');
+        this.planStartBtn = document.getElementById('plan-start-btn');
+        this.planCancelBtn = document.getElementById('plan-cancel-btn');
+        this.planProgressEl = document.getElementById('plan-progress');
+        this.planProgressText = document.getElementById('plan-progress-text');
+        this.planProgressFill = document.getElementById('plan-progress-fill');
+        this.planProgressDetail = document.getElementById('plan-progress-detail');
+
+        // Electrical details
+        this.electricalDetails = document.getElementById('electrical-details');
+        this.detailsAlertEl = document.getElementById('details-alert');
+        this.phaseBody = document.getElementById('phase-body');
+        this.gridFrequencyEl = document.getElementById('grid-frequency');
+        this.phaseImbalanceEl = document.getElementById('phase-imbalance');
+        this.temperatureListEl = document.getElementById('temperature-list');
+        this.detailLimitsForm = document.getElementById('details-limits-form');
+        this.detailLimitsResetBtn = document.getElementById('details-limits-reset');
+
+        // Dynamic tariff
+        this.tariffCards = document.querySelectorAll('.tariff-card');
+        this.currentPriceEl = document.getElementById('current-price');
+        this.sessionCostEl = document.getElementById('session-cost');
+        this.tariffSourceEl = document.getElementById('tariff-source');
+        this.tariffKnownUntilEl = document.getElementById('tariff-known-until');
+        this.tariffFileInput = document.getElementById('tariff-file');
+        this.tariffUploadBtn = document.getElementById('tariff-upload-btn');
+
         // Info values
         this.serialNumberEl = document.getElementById('serial-number');
         this.firmwareVersionEl = document.getElementById('firmware-version');
         this.modelEl = document.getElementById('model');
         this.totalEnergyEl = document.getElementById('total-energy');
 
+        // Session log
+        this.sessionsBody = document.getElementById('sessions-body');
+
+        // Alerts
+        this.deviceAlertEl = document.getElementById('device-alert');
+        this.deviceAlertTitle = document.getElementById('device-alert-title');
+        this.deviceAlertHint = document.getElementById('device-alert-hint');
+        this.alertsActiveEl = document.getElementById('alerts-active');
+        this.alertsBody = document.getElementById('alerts-body');
+        this.alertsNotifiersEl = document.getElementById('alerts-notifiers');
+        this.alertsTestBtn = document.getElementById('alerts-test-btn');
+        this.pushSection = document.getElementById('push-section');
+        this.pushStatus = document.getElementById('push-status');
+        this.pushTopics = document.getElementById('push-topics');
+        this.pushEnableBtn = document.getElementById('push-enable-btn');
+        this.pushTestBtn = document.getElementById('push-test-btn');
+        this.pushDisableBtn = document.getElementById('push-disable-btn');
+        this.alertsClearBtn = document.getElementById('alerts-clear-btn');
+
+        // Activity
+        this.activitySourceSelect = document.getElementById('activity-source');
+        this.activityResultSelect = document.getElementById('activity-result');
+        this.activityRangeSelect = document.getElementById('activity-range');
+        this.activityBody = document.getElementById('activity-body');
+        this.activityCountEl = document.getElementById('activity-count');
+        this.activityExportLink = document.getElementById('activity-export');
+
+        // Schedules
+        this.scheduleStatusEl = document.getElementById('schedule-status');
+        this.scheduleList = document.getElementById('schedule-list');
+        this.scheduleForm = document.getElementById('schedule-form');
+        this.scheduleFormTitle = document.getElementById('schedule-form-title');
+        this.scheduleNameInput = document.getElementById('schedule-name');
+        this.scheduleActionSelect = document.getElementById('schedule-action');
+        this.scheduleCurrentGroup = document.getElementById('schedule-current-group');
+        this.scheduleCurrentInput = document.getElementById('schedule-current');
+        this.scheduleStartInput = document.getElementById('schedule-start');
+        this.scheduleEndInput = document.getElementById('schedule-end');
+        this.scheduleDaysEl = document.getElementById('schedule-days');
+        this.scheduleSaveBtn = document.getElementById('schedule-save-btn');
+        this.scheduleCancelBtn = document.getElementById('schedule-cancel-btn');
+
         // Error and loading elements
         this.errorContainer = document.getElementById('error-container');
         this.errorText = document.getElementById('error-text');
@@ -116,7 +392,9 @@ class NRGKickController {
     initEventListeners() {
         // Connection buttons
         this.connectBtn.addEventListener('click', () => this.connect());
+        this.discoveryScanBtn.addEventListener('click', () => this.scanForChargers());
         this.disconnectBtn.addEventListener('click', () => this.disconnect());
+        this.chargerSelect.addEventListener('change', () => this.switchCharger(this.chargerSelect.value));
 
         // Control buttons
         this.startChargingBtn.addEventListener('click', () => this.startCharging());
@@ -124,6 +402,45 @@ class NRGKickController {
         this.setCurrentBtn.addEventListener('click', () => this.setCurrentLimit());
         this.phase1Btn.addEventListener('click', () => this.setPhases(1));
         this.phase3Btn.addEventListener('click', () => this.setPhases(3));
+        this.solarToggleBtn.addEventListener('click', () => this.toggleSolarMode());
+        this.planStartBtn.addEventListener('click', () => this.startPlan());
+        this.planCancelBtn.addEventListener('click', () => this.cancelPlan());
+        this.planModeSelect.addEventListener('change', () => this.updatePlanForm());
+        this.tariffUploadBtn.addEventListener('click', () => this.uploadTariff());
+        this.chartMetricButtons.forEach((button) => {
+            button.addEventListener('click', () => this.setChartMetric(button.dataset.metric));
+        });
+        this.chartRangeButtons.forEach((button) => {
+            button.addEventListener('click', () => this.setChartRange(button.dataset.range));
+        });
+        this.chartResetZoomBtn.addEventListener('click', () => this.chart.resetZoom());
+        this.electricalDetails.open = localStorage.getItem('nrgkick.details') === 'open';
+        this.electricalDetails.addEventListener('toggle', () => {
+            localStorage.setItem('nrgkick.details', this.electricalDetails.open ? 'open' : 'closed');
+        });
+        this.loadDetailLimits();
+        this.detailLimitsForm.addEventListener('change', () => this.saveDetailLimits());
+        this.detailLimitsForm.addEventListener('submit', (event) => event.preventDefault());
+        this.detailLimitsResetBtn.addEventListener('click', () => {
+            localStorage.removeItem('nrgkick.detailLimits');
+            this.loadDetailLimits();
+        });
+        this.loadSaveBtn.addEventListener('click', () => this.saveLoadSettings());
+        this.alertsTestBtn.addEventListener('click', () => this.testNotifications());
+        this.alertsClearBtn.addEventListener('click', () => this.clearAlerts());
+        this.pushEnableBtn.addEventListener('click', () => this.enablePush());
+        this.pushTestBtn.addEventListener('click', () => this.testPush());
+        this.pushDisableBtn.addEventListener('click', () => this.disablePush());
+        this.pushTopics.addEventListener('change', () => {
+            // Changed topics of a subscribed device are saved at once
+            if (localStorage.getItem('nrgkick.push')) {
+                this.enablePush();
+            }
+        });
+        [this.activitySourceSelect, this.activityResultSelect, this.activityRangeSelect].forEach((select) => {
+            select.addEventListener('change', () => this.fetchActivity());
+        });
+        this.loadToggleBtn.addEventListener('click', () => this.toggleLoadManagement());
 
         // Current slider
         this.currentSlider.addEventListener('input', () => {
@@ -131,21 +448,542 @@ class NRGKickController {
             this.updateSliderBackground();
         });
 
+        // Schedule editor
+        this.scheduleForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveSchedule();
+        });
+        this.scheduleCancelBtn.addEventListener('click', () => this.resetScheduleForm());
+        this.scheduleActionSelect.addEventListener('change', () => {
+            this.scheduleCurrentGroup.classList.toggle('hidden', this.scheduleActionSelect.value !== 'limit');
+        });
+
+        // Login and account
+        this.loginForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submitLogin();
+        });
+        this.logoutBtn.addEventListener('click', () => this.logout());
+        this.passwordForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.changePassword();
+        });
+        this.userForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.createUser();
+        });
+
+        // Settings
+        this.settingsForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveSettings();
+        });
+        this.settingsAddChargerBtn.addEventListener('click', () => this.addSettingsChargerRow());
+
         // Error close button
         this.closeErrorBtn.addEventListener('click', () => this.hideError());
     }
 
+    /**
+     * Ask the server whether a login is needed before loading its configuration
+     */
+    async checkSession() {
+        try {
+            const session = await this.serverRequest('GET', '/api/auth/session');
+            this.authEnabled = session.enabled;
+            if (session.enabled && !session.user) {
+                this.showLogin(session.setupRequired, session.setupTokenRequired);
+                return;
+            }
+            this.applyUser(session.user);
+        } catch (error) {
+            console.error('Failed to check the login:', error);
+        }
+        this.loadServerConfig();
+    }
+
+    /**
+     * Show the login form; in setup mode it creates the admin account, away
+     * from the server with the setup token of its log
+     */
+    showLogin(setup = false, tokenRequired = false) {
+        this.setupMode = setup;
+        this.loginTitle.textContent = setup ? 'Create Admin Account' : 'Log In';
+        this.loginSubmitBtn.textContent = setup ? 'Create Account' : 'Log In';
+        this.loginHint.textContent = tokenRequired
+            ? 'No account exists yet. Enter the setup token from the server log and choose the name and password of the admin account.'
+            : 'No account exists yet. Choose the name and password of the admin account.';
+        this.loginHint.classList.toggle('hidden', !setup);
+        this.loginTokenGroup.classList.toggle('hidden', !(setup && tokenRequired));
+        this.loginTokenInput.required = setup && tokenRequired;
+        this.loginError.classList.add('hidden');
+        this.loginPasswordInput.autocomplete = setup ? 'new-password' : 'current-password';
+        this.loginOverlay.classList.remove('hidden');
+        this.loginUsernameInput.focus();
+    }
+
+    /**
+     * Log in, or create the admin account, with the login form
+     */
+    async submitLogin() {
+        const path = this.setupMode ? '/api/auth/setup' : '/api/auth/login';
+        this.loginSubmitBtn.disabled = true;
+        try {
+            const credentials = {
+                username: this.loginUsernameInput.value.trim(),
+                password: this.loginPasswordInput.value
+            };
+            if (this.setupMode && this.loginTokenInput.value.trim()) {
+                credentials.token = this.loginTokenInput.value.trim();
+            }
+            const session = await this.serverRequest('POST', path, credentials);
+            this.loginPasswordInput.value = '';
+            this.loginTokenInput.value = '';
+            this.loginOverlay.classList.add('hidden');
+            this.applyUser(session.user);
+            this.loadServerConfig();
+        } catch (error) {
+            this.loginError.textContent = error.message;
+            this.loginError.classList.remove('hidden');
+        } finally {
+            this.loginSubmitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * The session has ended: stop updating and ask for a new login
+     */
+    requireLogin() {
+        if (!this.authEnabled || !this.loginOverlay.classList.contains('hidden')) {
+            return;
+        }
+        this.disconnect();
+        this.applyUser(null);
+        this.showLogin(false);
+    }
+
+    async logout() {
+        // The notifications of this device belong to the user logging out
+        if (localStorage.getItem('nrgkick.push')) {
+            await this.disablePush();
+        }
+        this.clearCachedStatus();
+        try {
+            await this.serverRequest('POST', '/api/auth/logout');
+        } catch (error) {
+            console.warn('Logout failed:', error);
+        }
+        this.disconnect();
+        this.applyUser(null);
+        this.showLogin(false);
+    }
+
+    /**
+     * Show the logged-in user and hide the controls their role may not use
+     */
+    applyUser(user) {
+        this.user = user;
+        if (user) {
+            document.body.dataset.role = user.role;
+        } else {
+            delete document.body.dataset.role;
+        }
+        this.accountMenu.classList.toggle('hidden', !user);
+        this.accountNameEl.textContent = user ? `${user.username} (${user.role})` : '';
+        this.accountPanel.classList.toggle('hidden', !user);
+
+        // With logins on, the server alone holds the charger credentials
+        this.connectionPanel.querySelectorAll('.charger-auth').forEach((group) => {
+            group.classList.toggle('hidden', this.authEnabled);
+        });
+
+        if (user && user.role === 'admin') {
+            this.fetchUsers();
+        }
+    }
+
+    async changePassword() {
+        this.passwordStatus.textContent = '';
+        try {
+            await this.serverRequest('PUT', '/api/auth/password', {
+                currentPassword: this.passwordCurrentInput.value,
+                newPassword: this.passwordNewInput.value
+            });
+            this.passwordForm.reset();
+            this.passwordStatus.textContent = 'Password changed';
+        } catch (error) {
+            this.showError(`Failed to change the password: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the user accounts (admin only)
+     */
+    async fetchUsers() {
+        try {
+            const data = await this.serverRequest('GET', '/api/users');
+            this.renderUsers(data.users);
+        } catch (error) {
+            console.warn('Could not fetch users:', error);
+        }
+    }
+
+    /**
+     * Render the user table; the logged-in admin cannot delete themselves here
+     */
+    renderUsers(users) {
+        this.usersBody.textContent = '';
+        users.forEach((user) => {
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = user.username;
+
+            const roleCell = document.createElement('td');
+            const roleSelect = document.createElement('select');
+            roleSelect.setAttribute('aria-label', `Role of ${user.username}`);
+            USER_ROLES.forEach((role) => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = user.role;
+            roleSelect.addEventListener('change', () => this.updateUser(user, { role: roleSelect.value }));
+            roleCell.appendChild(roleSelect);
+
+            const createdCell = document.createElement('td');
+            createdCell.textContent = new Date(user.createdAt).toLocaleDateString();
+
+            const actionsCell = document.createElement('td');
+            const buttons = document.createElement('div');
+            buttons.className = 'button-group';
+            const passwordBtn = document.createElement('button');
+            passwordBtn.type = 'button';
+            passwordBtn.className = 'btn btn-secondary';
+            passwordBtn.textContent = 'Set Password';
+            passwordBtn.addEventListener('click', () => {
+                const password = window.prompt(`New password for ${user.username} (at least 8 characters)`);
+                if (password) {
+                    this.updateUser(user, { password });
+                }
+            });
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-danger';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.disabled = this.user && user.username === this.user.username;
+            deleteBtn.addEventListener('click', () => this.deleteUser(user));
+            buttons.appendChild(passwordBtn);
+            buttons.appendChild(deleteBtn);
+            actionsCell.appendChild(buttons);
+
+            row.appendChild(nameCell);
+            row.appendChild(roleCell);
+            row.appendChild(createdCell);
+            row.appendChild(actionsCell);
+            this.usersBody.appendChild(row);
+        });
+    }
+
+    async createUser() {
+        try {
+            await this.serverRequest('POST', '/api/users', {
+                username: this.userNameInput.value.trim(),
+                password: this.userPasswordInput.value,
+                role: this.userRoleSelect.value
+            });
+            this.userForm.reset();
+        } catch (error) {
+            this.showError(`Failed to add the user: ${error.message}`);
+        }
+        this.fetchUsers();
+    }
+
+    /**
+     * Change the role or password of a user: { role } or { password }
+     */
+    async updateUser(user, changes) {
+        try {
+            await this.serverRequest('PUT', `/api/users/${encodeURIComponent(user.username)}`, changes);
+        } catch (error) {
+            this.showError(`Failed to update ${user.username}: ${error.message}`);
+        }
+        this.fetchUsers();
+    }
+
+    async deleteUser(user) {
+        if (!window.confirm(`Delete user "${user.username}"?`)) {
+            return;
+        }
+        try {
+            await this.serverRequest('DELETE', `/api/users/${encodeURIComponent(user.username)}`);
+        } catch (error) {
+            this.showError(`Failed to delete ${user.username}: ${error.message}`);
+        }
+        this.fetchUsers();
+    }
+
+    /**
+     * Fill the settings form; settings from the environment are read-only
+     * settings: { file, values, fields: { <key>: { source, env, restart, pendingRestart } } }
+     */
+    renderSettings(settings) {
+        this.settings = settings;
+        this.settingsFileEl.textContent = settings.file;
+        this.settingInputs.forEach((input) => {
+            const key = input.dataset.setting;
+            input.value = settings.values[key];
+            input.disabled = settings.fields[key].source === 'env';
+        });
+        this.settingsForm.querySelectorAll('[data-source-of]').forEach((hint) => {
+            hint.textContent = this.describeSettingSource(settings.fields[hint.dataset.sourceOf]);
+        });
+
+        const locked = settings.fields.chargers.source === 'env';
+        this.settingsChargersBody.textContent = '';
+        settings.values.chargers.forEach((charger) => this.addSettingsChargerRow(charger, locked));
+        this.settingsAddChargerBtn.disabled = locked;
+    }
+
+    describeSettingSource(field) {
+        if (field.source === 'env') {
+            return `Set by ${field.env}`;
+        }
+        if (field.pendingRestart) {
+            return 'Changed, applies after a restart';
+        }
+        return field.restart ? 'Applies after a restart' : '';
+    }
+
+    /**
+     * Add a row to the charger table of the settings, empty for a new charger
+     */
+    addSettingsChargerRow(charger = null, locked = false) {
+        const row = document.createElement('tr');
+        row.dataset.existing = charger ? 'true' : '';
+        const fields = [
+            ['id', 'text', charger ? charger.id : ''],
+            ['name', 'text', charger ? charger.name : ''],
+            ['ip', 'text', charger ? charger.ip : ''],
+            ['username', 'text', charger ? charger.username : ''],
+            ['password', 'password', ''],
+            ['priority', 'number', charger ? charger.priority : 0],
+            ['maxCurrent', 'number', charger && charger.maxCurrent !== null ? charger.maxCurrent : '']
+        ];
+        fields.forEach(([field, type, value]) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = type;
+            input.dataset.field = field;
+            input.value = value;
+            input.setAttribute('aria-label', field);
+            // The id names the charger's data directory, so it stays once saved
+            input.disabled = locked || (field === 'id' && !!charger);
+            if (field === 'id' || field === 'ip') {
+                input.required = true;
+            }
+            if (field === 'password') {
+                input.autocomplete = 'new-password';
+                input.placeholder = charger && charger.hasPassword ? 'unchanged' : '';
+            }
+            if (field === 'maxCurrent') {
+                input.min = 6;
+                input.max = 32;
+                input.placeholder = 'site limit';
+            }
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+
+        const actionsCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.disabled = locked;
+        removeBtn.addEventListener('click', () => row.remove());
+        actionsCell.appendChild(removeBtn);
+        row.appendChild(actionsCell);
+
+        this.settingsChargersBody.appendChild(row);
+    }
+
+    /**
+     * The editable settings of the form, for PUT /api/config; a charger
+     * password left empty keeps the stored one
+     */
+    collectSettings() {
+        const patch = {};
+        this.settingInputs.forEach((input) => {
+            if (!input.disabled) {
+                patch[input.dataset.setting] = parseFloat(input.value);
+            }
+        });
+        if (this.settings.fields.chargers.source !== 'env') {
+            patch.chargers = Array.from(this.settingsChargersBody.rows).map((row) => {
+                const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+                const charger = {
+                    id: value('id'),
+                    name: value('name'),
+                    ip: value('ip'),
+                    username: value('username'),
+                    priority: parseInt(value('priority'), 10) || 0,
+                    maxCurrent: value('maxCurrent') ? parseInt(value('maxCurrent'), 10) : null
+                };
+                const password = row.querySelector('[data-field="password"]').value;
+                if (password || !row.dataset.existing) {
+                    charger.password = password;
+                }
+                return charger;
+            });
+        }
+        return patch;
+    }
+
+    async saveSettings() {
+        this.settingsStatus.textContent = '';
+        const previousChargers = JSON.stringify(this.chargers);
+        try {
+            const config = await this.serverRequest('PUT', '/api/config', this.collectSettings());
+            this.renderSettings(config.settings);
+            this.settingsStatus.textContent = 'Settings saved';
+            if (JSON.stringify(config.chargers) !== previousChargers) {
+                // Start over with the new charger list
+                this.disconnect();
+                this.loadServerConfig();
+            } else if (this.isConnected) {
+                this.fetchControlLimits();
+            }
+        } catch (error) {
+            const details = (error.details || []).map((detail) => `${detail.field} ${detail.message}`);
+            this.showError(`Failed to save the settings: ${[error.message, ...details].join('; ')}`);
+        }
+    }
+
+    /**
+     * Fetch the chargers found on the network; polls while a scan is running
+     */
+    async fetchDiscovery() {
+        clearTimeout(this.discoveryTimer);
+        try {
+            const status = await this.serverRequest('GET', '/api/discovery');
+            this.renderDiscovery(status);
+            if (status.scanning) {
+                this.discoveryTimer = setTimeout(() => this.fetchDiscovery(), 2000);
+            }
+        } catch (error) {
+            this.discoveryStatus.textContent = `Discovery unavailable: ${error.message}`;
+            this.discoveryScanBtn.disabled = true;
+        }
+    }
+
+    async scanForChargers() {
+        try {
+            this.renderDiscovery(await this.serverRequest('POST', '/api/discovery/scan'));
+            this.discoveryTimer = setTimeout(() => this.fetchDiscovery(), 2000);
+        } catch (error) {
+            this.showError(`Failed to scan the network: ${error.message}`);
+        }
+    }
+
+    /**
+     * Status from /api/discovery: { scanning, lastScanAt, subnets, devices }
+     */
+    renderDiscovery(status) {
+        this.discoveryScanBtn.disabled = status.scanning;
+        if (status.scanning) {
+            this.discoveryStatus.textContent = `Scanning ${status.subnets.join(', ')}...`;
+        } else if (status.devices.length === 0) {
+            this.discoveryStatus.textContent = status.lastScanAt
+                ? `No charger found in ${status.subnets.join(', ')}. Check that the local API is enabled in the NRGKick app.`
+                : 'Not scanned yet.';
+        } else {
+            this.discoveryStatus.textContent = `${status.devices.length} charger${status.devices.length === 1 ? '' : 's'} found`;
+        }
+
+        this.discoveryBody.textContent = '';
+        status.devices.forEach((device) => {
+            const row = document.createElement('tr');
+            [
+                device.name || device.model || 'NRGKick',
+                device.serial || '--',
+                device.ip,
+                device.source === 'mdns' ? 'mDNS' : 'Network scan'
+            ].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actionsCell = document.createElement('td');
+            const useBtn = document.createElement('button');
+            useBtn.type = 'button';
+            useBtn.className = 'btn btn-primary';
+            useBtn.textContent = device.configured ? 'Added' : 'Use';
+            useBtn.disabled = device.configured;
+            useBtn.addEventListener('click', () => this.useDiscoveredCharger(device));
+            actionsCell.appendChild(useBtn);
+            row.appendChild(actionsCell);
+
+            this.discoveryBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Add a found charger to the settings and connect to it
+     */
+    async useDiscoveredCharger(device) {
+        const existing = this.settings ? this.settings.values.chargers : [];
+        const ids = existing.map((charger) => charger.id);
+        let id = ids.length === 0 ? 'default' : 'charger';
+        for (let n = 2; ids.includes(id); n++) {
+            id = `charger-${n}`;
+        }
+        const chargers = existing.map(({ hasPassword, ...charger }) => charger);
+        chargers.push({ id, name: device.name || device.model || 'NRGKick', ip: device.ip });
+        try {
+            const config = await this.serverRequest('PUT', '/api/config', { chargers });
+            this.renderSettings(config.settings);
+            clearTimeout(this.discoveryTimer);
+            this.hideError();
+            await this.loadServerConfig();
+        } catch (error) {
+            const details = (error.details || []).map((detail) => `${detail.field} ${detail.message}`);
+            this.showError(`Failed to add the charger: ${[error.message, ...details].join('; ')}`);
+        }
+    }
+
     /**
      * Load configuration from server
      */
     async loadServerConfig() {
         try {
             const response = await fetch('/api/config');
+            if (response.status === 401) {
+                this.requireLogin();
+                return;
+            }
             const config = await response.json();
             
             this.isConfigured = config.configured;
             this.chargerIP = config.ip || '';
             this.hasEnvAuth = config.hasAuth || false;
+            this.chargers = config.chargers || [];
+            this.loadManagement = config.loadManagement || false;
+            this.selectInitialCharger();
+
+            // Only admins get the settings
+            if (config.settings) {
+                this.renderSettings(config.settings);
+            }
+            this.settingsPanel.classList.toggle('hidden', !config.settings);
+
+            // Admins pick an unconfigured charger from the ones found on the network
+            this.discoverySection.classList.toggle('hidden', !config.settings || this.isConfigured);
+            if (config.settings && !this.isConfigured) {
+                this.fetchDiscovery();
+            }
             
             if (this.chargerIPDisplay) {
                 this.chargerIPDisplay.textContent = this.chargerIP || 'Not configured';
@@ -164,7 +1002,9 @@ class NRGKickController {
             } else {
                 // Always show connection panel if not configured (to show error)
                 this.connectionPanel.classList.remove('hidden');
-                this.showError('Server not configured. Set NRGKICK_IP environment variable.');
+                this.showError(config.settings
+                    ? 'No charger configured yet. Pick one found on your network, or add one under Settings.'
+                    : 'No charger configured yet. Ask an admin to add one.');
             }
         } catch (error) {
             console.error('Failed to load server config:', error);
@@ -173,12 +1013,85 @@ class NRGKickController {
         }
     }
 
+    /**
+     * Pick the charger to show: ?charger=, the last one used, or the first
+     */
+    selectInitialCharger() {
+        if (this.chargers.length === 0) {
+            return;
+        }
+
+        const known = (id) => this.chargers.some((charger) => charger.id === id);
+        let id = this.chargers[0].id;
+        if (known(this.requestedChargerId)) {
+            id = this.requestedChargerId;
+        } else if (known(localStorage.getItem('nrgkick.charger'))) {
+            id = localStorage.getItem('nrgkick.charger');
+        }
+
+        this.chargerSelect.textContent = '';
+        this.chargers.forEach((charger) => {
+            const option = document.createElement('option');
+            option.value = charger.id;
+            option.textContent = charger.name;
+            this.chargerSelect.appendChild(option);
+        });
+        this.chargerSelect.classList.toggle('hidden', this.chargers.length < 2);
+        this.overviewPanel.classList.toggle('hidden', !this.hasOverview());
+        this.loadManagementEl.classList.toggle('hidden', !this.loadManagement);
+
+        this.applyCharger(id);
+        this.fetchOverview();
+    }
+
+    /**
+     * Make the given charger the target of all requests
+     */
+    applyCharger(id) {
+        const charger = this.chargers.find((entry) => entry.id === id);
+        this.chargerId = charger.id;
+        this.chargerIP = charger.ip;
+        this.hasEnvAuth = charger.hasAuth;
+        this.chargerSelect.value = charger.id;
+        if (this.chargerIPDisplay) {
+            this.chargerIPDisplay.textContent = charger.ip;
+        }
+    }
+
+    /**
+     * Switch to another charger and reconnect
+     */
+    switchCharger(id) {
+        if (id === this.chargerId) {
+            return;
+        }
+        localStorage.setItem('nrgkick.charger', id);
+        this.disconnect();
+        this.applyCharger(id);
+        this.cachedDeviceInfo = null;
+        this.lastStatusCode = null;
+        this.liveSamples = [];
+        this.resetScheduleForm();
+        this.connect();
+    }
+
+    /**
+     * Path of a per-charger endpoint for the selected charger
+     * e.g. '/values' -> '/api/chargers/garage/values'
+     */
+    chargerPath(endpoint) {
+        if (!this.chargerId) {
+            return `/api${endpoint}`;
+        }
+        return `/api/chargers/${encodeURIComponent(this.chargerId)}${endpoint}`;
+    }
+
     /**
      * Make an API request to the charger (via server proxy)
      * All requests go through the server which handles authentication
      */
     async apiRequest(endpoint, params = null) {
-        let url = `/api${endpoint}`;
+        let url = this.chargerPath(endpoint);
         
         // Add query parameters if provided
         if (params) {
@@ -203,9 +1116,16 @@ class NRGKickController {
         const response = await fetch(url, options);
         
         if (!response.ok) {
+            if (response.status === 401) {
+                this.requireLogin();
+            }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
+        // Answered by the service worker from its cache while the server is unreachable
+        const cachedAt = response.headers.get('X-Cached-At');
+        this.cachedAt = cachedAt ? Number(cachedAt) : null;
+
         const data = await response.json();
         
         // Check for API error response
@@ -222,47 +1142,173 @@ class NRGKickController {
     }
 
     /**
-     * Connect to the charger
+     * Write control settings through the server's validated control API
+     * e.g. { charge_pause: 1 } or { current_set: 10 }
      */
-    async connect() {
-        if (!this.isConfigured) {
-            this.showError('Server not configured. Set NRGKICK_IP environment variable.');
-            return;
+    async controlRequest(changes) {
+        const headers = {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        };
+        if (this.authHeader) {
+            headers['Authorization'] = this.authHeader;
         }
 
-        this.showLoading(true);
-        this.setConnectionStatus('connecting');
-
-        // Build auth header from input fields if provided
-        const username = this.authUsernameInput ? this.authUsernameInput.value.trim() : '';
-        const password = this.authPasswordInput ? this.authPasswordInput.value : '';
-        
-        if (username && password) {
-            // Use credentials from input fields
-            const credentials = btoa(`${username}:${password}`);
-            this.authHeader = `Basic ${credentials}`;
-        } else if (!this.hasEnvAuth) {
-            // No auth configured
-            this.authHeader = null;
+        const response = await fetch(this.chargerPath('/v2/control'), {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            if (response.status === 401) {
+                this.requireLogin();
+            }
+            // Field errors carry the reason, e.g. the charger's current range
+            const details = (data.details || []).map((detail) => `${detail.field}: ${detail.message}`);
+            throw new Error(details.length ? details.join('; ') : data.error || `HTTP ${response.status}: ${response.statusText}`);
         }
-        // If hasEnvAuth is true and no input credentials, server will use env vars
+        if (data.limits) {
+            this.applyControlLimits(data.limits);
+        }
+        if (!this.liveSource) {
+            this.fetchActivity(); // The live stream announces the change itself
+        }
+        return data.control;
+    }
 
+    /**
+     * Fetch the charger's current range and phase switching support
+     */
+    async fetchControlLimits() {
         try {
-            // Try to fetch charger info to verify connection
-            await this.fetchChargerInfo();
-            await this.fetchChargerStatus();
-            
-            this.isConnected = true;
-            this.setConnectionStatus('connected');
-            this.showPanels(true);
-            
-            // Start periodic updates
-            this.startPeriodicUpdates();
-            
-            // Update buttons
-            this.connectBtn.disabled = true;
-            this.disconnectBtn.disabled = false;
-            
+            const headers = { 'Accept': 'application/json' };
+            if (this.authHeader) {
+                headers['Authorization'] = this.authHeader;
+            }
+            const response = await fetch(this.chargerPath('/v2/control'), { headers });
+            const data = await response.json();
+            if (response.ok && data.limits) {
+                this.applyControlLimits(data.limits);
+            }
+        } catch (error) {
+            console.warn('Could not fetch control limits:', error);
+        }
+    }
+
+    /**
+     * Fit the current slider and phase buttons to what the charger accepts
+     * Limits from /api/v2/control: { minCurrent, maxCurrent, maxPhases, phaseSwitching }
+     */
+    applyControlLimits(limits) {
+        this.currentSlider.min = limits.minCurrent;
+        this.currentSlider.max = limits.maxCurrent;
+        this.currentSliderMin.textContent = `${limits.minCurrent}A`;
+        this.currentSliderMax.textContent = `${limits.maxCurrent}A`;
+        this.updateSliderBackground();
+
+        const title = limits.phaseSwitching ? '' : 'This charger has a single-phase connector';
+        this.phase1Btn.disabled = !limits.phaseSwitching;
+        this.phase3Btn.disabled = !limits.phaseSwitching || limits.maxPhases < 3;
+        this.phase1Btn.title = title;
+        this.phase3Btn.title = title;
+    }
+
+    /**
+     * Make a request to a server-side API (history, sessions, schedules)
+     * These are answered by the server itself, not proxied to the charger
+     */
+    async serverRequest(method, path, body = undefined) {
+        const options = {
+            method,
+            headers: {
+                'Accept': 'application/json'
+            }
+        };
+
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(path, options);
+
+        if (response.status === 204) {
+            return null;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            if (response.status === 401) {
+                this.requireLogin();
+            }
+            const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.details = data.details || null; // Per-field errors of a ValidationError
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * Connect to the charger
+     */
+    async connect() {
+        if (!this.isConfigured) {
+            this.showError('No charger configured yet.');
+            return;
+        }
+
+        this.showLoading(true);
+        this.setConnectionStatus('connecting');
+
+        // Build auth header from input fields if provided; with logins on the
+        // server always uses the charger credentials it is configured with
+        const username = this.authUsernameInput && !this.authEnabled ? this.authUsernameInput.value.trim() : '';
+        const password = this.authPasswordInput ? this.authPasswordInput.value : '';
+        
+        this.manualAuth = !!(username && password);
+        if (username && password) {
+            // Use credentials from input fields
+            const credentials = btoa(`${username}:${password}`);
+            this.authHeader = `Basic ${credentials}`;
+        } else if (!this.hasEnvAuth) {
+            // No auth configured
+            this.authHeader = null;
+        }
+        // If hasEnvAuth is true and no input credentials, server will use env vars
+
+        try {
+            // Try to fetch charger info to verify connection
+            await this.fetchChargerInfo();
+            await this.fetchChargerStatus();
+            this.fetchControlLimits();
+            this.fetchSessions();
+            this.fetchAlerts();
+            this.fetchActivity();
+            this.fetchNotifiers();
+            this.fetchPushStatus();
+            this.fetchSchedules();
+            this.fetchSolarStatus();
+            this.fetchPlan();
+            this.fetchOverview();
+            this.fetchTariff();
+            this.loadLiveHistory();
+            
+            this.isConnected = true;
+            this.setConnectionStatus('connected');
+            this.showPanels(true);
+            
+            // Start periodic updates
+            this.startPeriodicUpdates();
+            if (this.cachedAt) {
+                this.lastUpdateAt = this.cachedAt;
+                this.setStale(true, 'offline, showing the last known status');
+            }
+            
+            // Update buttons
+            this.connectBtn.disabled = true;
+            this.disconnectBtn.disabled = false;
+            
         } catch (error) {
             console.error('Connection failed:', error);
             this.showError(`Connection failed: ${error.message}`);
@@ -289,14 +1335,39 @@ class NRGKickController {
 
     /**
      * Start periodic status updates
+     * Status comes from the server's live stream when possible; the other
+     * server-side state (solar, plan, overview) is still fetched periodically
      */
     startPeriodicUpdates() {
         this.stopPeriodicUpdates();
+        const live = this.useLiveUpdates();
+        if (live) {
+            this.openLiveStream();
+        }
+        this.lastUpdateAt = Date.now();
+        this.staleTimer = setInterval(() => this.checkStale(), 1000);
+
         this.updateInterval = setInterval(() => {
             if (this.isConnected) {
-                this.fetchChargerStatus().catch(error => {
-                    console.error('Status update failed:', error);
-                });
+                if (!live) {
+                    this.fetchChargerStatus()
+                        .then(() => (this.cachedAt
+                            ? this.setStale(true, 'offline, showing the last known status')
+                            : this.markUpdated()))
+                        .catch(error => {
+                            console.error('Status update failed:', error);
+                            this.setStale(true, `Charger not responding: ${error.message}`);
+                        });
+                }
+                this.fetchSolarStatus();
+                this.fetchPlan();
+                this.fetchOverview();
+                if (Date.now() - this.lastTariffFetch >= this.tariffRefreshMs) {
+                    this.fetchTariff();
+                    this.fetchSessions();
+                    this.fetchAlerts();
+                    this.fetchActivity();
+                }
             }
         }, this.updateIntervalMs);
     }
@@ -309,6 +1380,112 @@ class NRGKickController {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
+        if (this.staleTimer) {
+            clearInterval(this.staleTimer);
+            this.staleTimer = null;
+        }
+        this.closeLiveStream();
+        this.setStale(false);
+    }
+
+    /**
+     * Whether the status can come from the server's stream: it polls with
+     * the configured credentials, so credentials typed into this tab need
+     * the tab to poll through the proxy itself
+     */
+    useLiveUpdates() {
+        return typeof EventSource !== 'undefined' && !this.manualAuth;
+    }
+
+    /**
+     * Subscribe to the server's snapshots of the selected charger
+     * EventSource reconnects on its own at a fixed rate; we close it on
+     * errors and reconnect with exponential backoff instead
+     */
+    openLiveStream() {
+        this.closeLiveStream();
+        const source = new EventSource(this.chargerPath('/events'));
+        this.liveSource = source;
+
+        source.addEventListener('open', () => {
+            this.liveRetries = 0;
+        });
+        source.addEventListener('hello', (event) => {
+            const hello = JSON.parse(event.data);
+            if (hello.intervalMs) {
+                this.staleAfterMs = Math.max(hello.intervalMs * 3, 10000);
+            }
+        });
+        source.addEventListener('snapshot', (event) => {
+            const snapshot = JSON.parse(event.data);
+            this.updateStatusDisplay(snapshot);
+            this.markUpdated();
+        });
+        source.addEventListener('alert', () => this.fetchAlerts());
+        source.addEventListener('audit', () => this.fetchActivity());
+        source.addEventListener('poll-error', (event) => {
+            const failure = JSON.parse(event.data);
+            this.setStale(true, `Charger not responding: ${failure.error}`);
+        });
+        source.addEventListener('error', () => {
+            this.closeLiveStream();
+            const delay = Math.min(1000 * 2 ** this.liveRetries, this.maxLiveRetryMs);
+            this.liveRetries += 1;
+            this.setStale(true, `Lost the connection to the server, retrying in ${Math.round(delay / 1000)} s`);
+            this.liveReconnectTimer = setTimeout(() => {
+                this.liveReconnectTimer = null;
+                if (this.isConnected) {
+                    this.openLiveStream();
+                }
+            }, delay);
+        });
+    }
+
+    /**
+     * Close the stream and cancel a pending reconnect
+     */
+    closeLiveStream() {
+        if (this.liveReconnectTimer) {
+            clearTimeout(this.liveReconnectTimer);
+            this.liveReconnectTimer = null;
+        }
+        if (this.liveSource) {
+            this.liveSource.close();
+            this.liveSource = null;
+        }
+    }
+
+    /**
+     * Record a fresh status update and clear the stale state
+     */
+    markUpdated() {
+        this.lastUpdateAt = Date.now();
+        this.setStale(false);
+    }
+
+    /**
+     * Flag the status as stale once updates stop arriving
+     */
+    checkStale() {
+        const stale = this.statusPanel.classList.contains('stale');
+        if (this.isConnected && !stale && Date.now() - this.lastUpdateAt > this.staleAfterMs) {
+            this.setStale(true, 'no updates received');
+        }
+    }
+
+    /**
+     * Show or clear the stale data state; the values stay visible but dimmed
+     */
+    setStale(stale, reason = '') {
+        this.statusPanel.classList.toggle('stale', stale);
+        this.staleBanner.classList.toggle('hidden', !stale);
+        if (stale) {
+            const updated = this.lastUpdateAt ? ` · last update ${new Date(this.lastUpdateAt).toLocaleTimeString()}` : '';
+            this.staleBanner.textContent = `Stale data: ${reason}${updated}`;
+        }
+        if (this.isConnected) {
+            this.setConnectionStatus(stale ? 'stale' : 'connected');
+        }
     }
 
     /**
@@ -401,10 +1578,22 @@ class NRGKickController {
         const l2 = powerflow.l2 || {};
         const l3 = powerflow.l3 || {};
 
+        this.recordChartSample(data);
+        this.lastStatus = data;
+        this.updateElectricalDetails(data);
+
         // Get charging state from status code
         const statusCode = general.status;
         this.updateChargingState(statusCode);
 
+        // Plug or charge edges start and end sessions on the server
+        if (this.lastStatusCode !== null && statusCode !== this.lastStatusCode) {
+            this.fetchSessions();
+        }
+        this.lastStatusCode = statusCode;
+
+        this.updateDeviceAlert(general);
+
         // Update power display (value is in Watts, convert to kW)
         const power = powerflow.total_active_power;
         if (typeof power === 'number') {
@@ -475,6 +1664,149 @@ class NRGKickController {
         }
     }
 
+    /**
+     * Fill the electrical details: per-phase table, frequency, imbalance and
+     * every temperature sensor, highlighting values outside the ranges
+     */
+    updateElectricalDetails(data) {
+        const control = data.control || {};
+        const values = data.values || {};
+        const powerflow = values.powerflow || {};
+        const temperatures = values.temperatures || {};
+        const limits = this.detailLimits;
+        let outOfRange = 0;
+
+        // Format a value, or '--'; flags it when outside [min, max]
+        const cell = (value, digits, unit, min = null, max = null, scale = 1) => {
+            const td = document.createElement('td');
+            if (typeof value !== 'number') {
+                td.textContent = '--';
+                return td;
+            }
+            td.textContent = `${(value * scale).toFixed(digits)}${unit ? ` ${unit}` : ''}`;
+            if ((min !== null && value < min) || (max !== null && value > max)) {
+                td.classList.add('out-of-range');
+                outOfRange += 1;
+            }
+            return td;
+        };
+
+        const rows = ['l1', 'l2', 'l3'].map((phase) => {
+            const phaseData = powerflow[phase] || {};
+            const loaded = phaseData.current > PHASE_ACTIVE_CURRENT;
+            // Unused phases read 0 V on single-phase installations, so only measured voltages are checked
+            const measured = phaseData.voltage > 0;
+            return [
+                phase.toUpperCase(),
+                cell(phaseData.voltage, 1, 'V', measured ? limits.voltageMin : null, measured ? limits.voltageMax : null),
+                cell(phaseData.current, 2, 'A'),
+                cell(phaseData.active_power, 2, 'kW', null, null, 0.001),
+                cell(phaseData.reactive_power, 2, 'kvar', null, null, 0.001),
+                cell(phaseData.apparent_power, 2, 'kVA', null, null, 0.001),
+                // The power factor only means something under load
+                cell(phaseData.power_factor, 2, '', loaded ? limits.powerFactorMin : null)
+            ];
+        });
+        rows.push(['N', cell(null), cell((powerflow.n || {}).current, 2, 'A'), cell(null), cell(null), cell(null), cell(null)]);
+        rows.push([
+            'Total',
+            cell(powerflow.charging_voltage, 1, 'V'),
+            cell(powerflow.charging_current, 2, 'A'),
+            cell(powerflow.total_active_power, 2, 'kW', null, null, 0.001),
+            cell(powerflow.total_reactive_power, 2, 'kvar', null, null, 0.001),
+            cell(powerflow.total_apparent_power, 2, 'kVA', null, null, 0.001),
+            cell(powerflow.total_power_factor, 2, '')
+        ]);
+
+        this.phaseBody.textContent = '';
+        rows.forEach(([label, ...cells]) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('td');
+            labelCell.className = 'phase-label';
+            labelCell.textContent = label;
+            row.append(labelCell, ...cells);
+            this.phaseBody.appendChild(row);
+        });
+
+        const setValue = (element, value, digits, unit, min = null, max = null) => {
+            const td = cell(value, digits, unit, min, max);
+            element.textContent = td.textContent;
+            element.classList.toggle('out-of-range', td.classList.contains('out-of-range'));
+        };
+
+        setValue(this.gridFrequencyEl, powerflow.grid_frequency, 2, 'Hz', limits.frequencyMin, limits.frequencyMax);
+
+        // Imbalance between the loaded phases while charging on three phases
+        const currents = ['l1', 'l2', 'l3'].map((phase) => (powerflow[phase] || {}).current);
+        const loadedPhases = currents.filter((current) => current > PHASE_ACTIVE_CURRENT);
+        const imbalance = control.phase_count !== 1 && loadedPhases.length >= 2
+            ? Math.max(...currents.map((current) => current || 0)) - Math.min(...currents.map((current) => current || 0))
+            : null;
+        setValue(this.phaseImbalanceEl, imbalance, 1, 'A', null, limits.imbalanceMax);
+
+        this.temperatureListEl.textContent = '';
+        Object.keys(temperatures).sort().forEach((sensor) => {
+            const max = sensor === 'housing'
+                ? limits.housingTempMax
+                : /^(connector|domestic_plug)/.test(sensor) ? limits.connectorTempMax : null;
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            const label = document.createElement('span');
+            label.className = 'info-label';
+            label.textContent = `${this.sensorLabel(sensor)}:`;
+            const value = document.createElement('span');
+            value.className = 'info-value';
+            setValue(value, temperatures[sensor], 1, '°C', null, max);
+            row.append(label, value);
+            this.temperatureListEl.appendChild(row);
+        });
+
+        this.detailsAlertEl.classList.toggle('hidden', outOfRange === 0);
+        this.detailsAlertEl.textContent = `${outOfRange} out of range`;
+    }
+
+    /**
+     * Readable name of a temperature sensor, e.g. connector_l1 -> Connector L1
+     */
+    sensorLabel(sensor) {
+        const name = sensor.replace(/_/g, ' ').replace(/\bl(\d)\b/, 'L$1');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Fill the range inputs from the stored limits
+     */
+    loadDetailLimits() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem('nrgkick.detailLimits')) || {};
+        } catch (error) {
+            stored = {};
+        }
+        this.detailLimits = { ...DETAIL_LIMIT_DEFAULTS, ...stored };
+        Object.keys(this.detailLimits).forEach((name) => {
+            const value = this.detailLimits[name];
+            this.detailLimitsForm.elements[name].value = value === null ? '' : value;
+        });
+        if (this.lastStatus) {
+            this.updateElectricalDetails(this.lastStatus);
+        }
+    }
+
+    /**
+     * Store the range inputs; an empty field switches its check off
+     */
+    saveDetailLimits() {
+        Object.keys(DETAIL_LIMIT_DEFAULTS).forEach((name) => {
+            const value = parseFloat(this.detailLimitsForm.elements[name].value);
+            this.detailLimits[name] = Number.isFinite(value) ? value : null;
+        });
+        localStorage.setItem('nrgkick.detailLimits', JSON.stringify(this.detailLimits));
+        if (this.lastStatus) {
+            this.updateElectricalDetails(this.lastStatus);
+        }
+    }
+
     /**
      * Update the charging state display based on status code
      * Status codes:
@@ -519,13 +1851,13 @@ class NRGKickController {
 
     /**
      * Start charging (disable charge pause)
-     * Uses GET /control?charge_pause=0
+     * Uses POST /api/v2/control { charge_pause: 0 }
      */
     async startCharging() {
         try {
             this.startChargingBtn.disabled = true;
             
-            await this.apiRequest('/control', { charge_pause: 0 });
+            await this.controlRequest({ charge_pause: 0 });
 
             // Refresh status after command
             setTimeout(() => this.fetchChargerStatus(), this.commandDelayMs);
@@ -538,13 +1870,13 @@ class NRGKickController {
 
     /**
      * Stop charging (enable charge pause)
-     * Uses GET /control?charge_pause=1
+     * Uses POST /api/v2/control { charge_pause: 1 }
      */
     async stopCharging() {
         try {
             this.stopChargingBtn.disabled = true;
             
-            await this.apiRequest('/control', { charge_pause: 1 });
+            await this.controlRequest({ charge_pause: 1 });
 
             // Refresh status after command
             setTimeout(() => this.fetchChargerStatus(), this.commandDelayMs);
@@ -557,7 +1889,7 @@ class NRGKickController {
 
     /**
      * Set current limit
-     * Uses GET /control?current_set=<value>
+     * Uses POST /api/v2/control { current_set: <value> }
      */
     async setCurrentLimit() {
         const newLimit = parseInt(this.currentSlider.value, 10);
@@ -565,7 +1897,7 @@ class NRGKickController {
         try {
             this.setCurrentBtn.disabled = true;
             
-            await this.apiRequest('/control', { current_set: newLimit });
+            await this.controlRequest({ current_set: newLimit });
 
             // Refresh status after command
             setTimeout(() => this.fetchChargerStatus(), this.commandDelayMs);
@@ -578,15 +1910,15 @@ class NRGKickController {
 
     /**
      * Set number of phases
-     * Uses GET /control?phase_count=<value>
+     * Uses POST /api/v2/control { phase_count: <value> }
      * Note: Phase switching must be enabled in the NRGKick app
      */
     async setPhases(phases) {
+        const btn = phases === 1 ? this.phase1Btn : this.phase3Btn;
         try {
-            const btn = phases === 1 ? this.phase1Btn : this.phase3Btn;
             btn.disabled = true;
             
-            await this.apiRequest('/control', { phase_count: phases });
+            await this.controlRequest({ phase_count: phases });
 
             // Update button states
             this.phase1Btn.classList.toggle('active', phases === 1);
@@ -597,65 +1929,1358 @@ class NRGKickController {
         } catch (error) {
             this.showError(`Failed to set phases: ${error.message}`);
         } finally {
-            this.phase1Btn.disabled = false;
-            this.phase3Btn.disabled = false;
+            btn.disabled = false;
         }
     }
 
     /**
-     * Update slider background to show progress
+     * Flatten a status update into a history sample (same fields as
+     * /api/history) and keep the last 10 minutes for the live chart
      */
-    updateSliderBackground() {
-        const min = parseInt(this.currentSlider.min);
-        const max = parseInt(this.currentSlider.max);
-        const value = parseInt(this.currentSlider.value);
-        const percentage = ((value - min) / (max - min)) * 100;
-        
-        this.currentSlider.style.background = `linear-gradient(to right, var(--primary-color) ${percentage}%, var(--border-color) ${percentage}%)`;
+    recordChartSample(data) {
+        const control = data.control || {};
+        const values = data.values || {};
+        const powerflow = values.powerflow || {};
+        const temperatures = values.temperatures || {};
+        const sample = {
+            t: data.timestamp || Date.now(),
+            power: powerflow.total_active_power,
+            current_set: control.current_set
+        };
+        ['l1', 'l2', 'l3'].forEach((phase) => {
+            const phaseData = powerflow[phase] || {};
+            sample[`${phase}_power`] = phaseData.active_power;
+            sample[`${phase}_current`] = phaseData.current;
+            sample[`${phase}_voltage`] = phaseData.voltage;
+        });
+        Object.keys(temperatures).forEach((sensor) => {
+            sample[`temp_${sensor}`] = temperatures[sensor];
+        });
+
+        const last = this.liveSamples[this.liveSamples.length - 1];
+        if (last && sample.t <= last.t) {
+            return; // The same snapshot again
+        }
+        this.liveSamples.push(sample);
+        const cutoff = sample.t - CHART_RANGES_MS.live;
+        while (this.liveSamples.length && this.liveSamples[0].t < cutoff) {
+            this.liveSamples.shift();
+        }
+
+        if (this.chartRange === 'live') {
+            this.renderChart();
+        }
     }
 
     /**
-     * Show/hide panels based on connection state
+     * Fill the live chart with the server's recent samples after connecting
      */
-    showPanels(connected) {
-        this.statusPanel.classList.toggle('hidden', !connected);
-        this.controlsPanel.classList.toggle('hidden', !connected);
-        this.infoPanel.classList.toggle('hidden', !connected);
+    async loadLiveHistory() {
+        const to = Date.now();
+        try {
+            const history = await this.serverRequest('GET', this.chargerPath(`/history?from=${to - CHART_RANGES_MS.live}&to=${to}&resolution=raw`));
+            const first = this.liveSamples.length ? this.liveSamples[0].t : Infinity;
+            this.liveSamples = history.points.filter((point) => point.t < first).concat(this.liveSamples);
+            if (this.chartRange === 'live') {
+                this.renderChart();
+            }
+        } catch (error) {
+            console.warn('Could not fetch recent history:', error);
+        }
+    }
+
+    setChartMetric(metric) {
+        this.chartMetric = metric;
+        this.chartMetricButtons.forEach((button) => button.classList.toggle('active', button.dataset.metric === metric));
+        this.renderChart();
+    }
+
+    setChartRange(range) {
+        this.chartRange = range;
+        this.chartRangeButtons.forEach((button) => button.classList.toggle('active', button.dataset.range === range));
+        this.chart.clearZoom(); // A new window starts zoomed out
+        this.chartResetZoomBtn.classList.add('hidden');
+        if (range === 'live') {
+            this.renderChart();
+        } else {
+            const to = Date.now();
+            this.fetchChartHistory(to - CHART_RANGES_MS[range], to);
+        }
     }
 
     /**
-     * Reset all status values to default
+     * Load the day/week/month view; the server picks a resolution for the span,
+     * so zooming in fetches finer data
      */
-    resetStatusValues() {
-        this.chargingStateEl.textContent = '--';
-        this.chargingStateEl.className = 'status-value';
-        this.powerValueEl.textContent = '-- kW';
-        this.energySessionEl.textContent = '-- kWh';
-        this.currentValueEl.textContent = '-- A';
-        this.voltageValueEl.textContent = '-- V';
-        this.temperatureValueEl.textContent = '-- °C';
-        this.vehicleConnectedEl.textContent = '--';
-        this.vehicleConnectedEl.className = 'status-value';
-        this.currentLimitEl.textContent = '-- A';
-        this.serialNumberEl.textContent = '--';
-        this.firmwareVersionEl.textContent = '--';
-        this.modelEl.textContent = '--';
-        this.totalEnergyEl.textContent = '-- kWh';
+    async fetchChartHistory(from, to) {
+        const request = ++this.chartRequest;
+        try {
+            const history = await this.serverRequest('GET', this.chargerPath(`/history?from=${from}&to=${to}&resolution=auto`));
+            if (request === this.chartRequest) {
+                this.chartRows = history.points;
+                this.renderChart();
+            }
+        } catch (error) {
+            this.showError(`Failed to load history: ${error.message}`);
+        }
     }
 
     /**
-     * Set connection status indicator
+     * Zoom selected in the chart (null, null when reset)
      */
-    setConnectionStatus(status) {
-        this.connectionStatus.className = `status ${status}`;
-        const statusText = this.connectionStatus.querySelector('.status-text');
-        
-        switch (status) {
-            case 'connected':
-                statusText.textContent = 'Connected';
-                break;
-            case 'connecting':
-                statusText.textContent = 'Connecting...';
+    onChartZoom(from, to) {
+        this.chartResetZoomBtn.classList.toggle('hidden', from === null);
+        if (this.chartRange === 'live') {
+            return;
+        }
+        if (from === null) {
+            const now = Date.now();
+            this.fetchChartHistory(now - CHART_RANGES_MS[this.chartRange], now);
+        } else {
+            this.fetchChartHistory(from, to);
+        }
+    }
+
+    /**
+     * Draw the selected metric for the selected window
+     */
+    renderChart() {
+        const live = this.chartRange === 'live';
+        const rows = live ? this.liveSamples : this.chartRows;
+        const metric = CHART_METRICS[this.chartMetric];
+        const now = Date.now();
+        this.chart.setData({
+            rows,
+            series: metric.series || this.temperatureSeries(rows),
+            unit: metric.unit,
+            includeZero: metric.includeZero !== false,
+            domain: [now - CHART_RANGES_MS[this.chartRange], now]
+        });
+    }
+
+    /**
+     * One series per temperature sensor reported in the rows
+     */
+    temperatureSeries(rows) {
+        const keys = new Set();
+        rows.forEach((row) => Object.keys(row).forEach((key) => {
+            if (key.startsWith('temp_')) {
+                keys.add(key);
+            }
+        }));
+        return [...keys].sort().map((key, index) => {
+            return { key, label: this.sensorLabel(key.slice(5)), color: `series-${index % 6}` };
+        });
+    }
+
+    /**
+     * Fetch the charging session log recorded by the server
+     */
+    async fetchSessions() {
+        try {
+            this.renderSessions(await this.serverRequest('GET', this.chargerPath('/sessions?limit=20')));
+        } catch (error) {
+            console.warn('Could not fetch sessions:', error);
+        }
+    }
+
+    /**
+     * Render the session table, active session first
+     * Data structure from /api/sessions:
+     * - active: session or null
+     * - sessions: [{ id, start, end, chargingDurationMs, energyKWh, peakPowerKW, phases, averageCurrent, cost }]
+     */
+    renderSessions(data) {
+        const sessions = data.sessions || [];
+        const rows = data.active ? [data.active, ...sessions] : sessions;
+
+        this.activeSessionCost = data.active ? data.active.cost : null;
+        this.updateCostDisplay();
+
+        this.sessionsBody.textContent = '';
+
+        if (rows.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 8;
+            cell.className = 'empty-row';
+            cell.textContent = 'No sessions recorded yet';
+            row.appendChild(cell);
+            this.sessionsBody.appendChild(row);
+            return;
+        }
+
+        rows.forEach((session) => {
+            const row = document.createElement('tr');
+            if (!session.end) {
+                row.className = 'active-row';
+            }
+
+            const duration = (session.end || Date.now()) - session.start;
+            const cells = [
+                new Date(session.start).toLocaleString(),
+                session.end ? this.formatDuration(duration) : `${this.formatDuration(duration)} (active)`,
+                this.formatDuration(session.chargingDurationMs),
+                `${session.energyKWh.toFixed(2)} kWh`,
+                `${session.peakPowerKW.toFixed(2)} kW`,
+                session.phases || '--',
+                typeof session.averageCurrent === 'number' ? `${session.averageCurrent.toFixed(1)} A` : '--',
+                typeof session.cost === 'number' ? this.formatMoney(session.cost, 2) : '--'
+            ];
+
+            cells.forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.sessionsBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the active error or warning of the charger with a troubleshooting
+     * hint; the alert log is refreshed when the codes change
+     */
+    updateDeviceAlert(general) {
+        const codes = [general.error_code, general.warning_code, general.rcd_trigger].join('/');
+        if (this.lastDeviceCodes !== null && codes !== this.lastDeviceCodes) {
+            this.fetchAlerts();
+        }
+        this.lastDeviceCodes = codes;
+
+        let alert = null;
+        if (general.error_code) {
+            alert = { ...this.describeDeviceCode('errors', general.error_code), severity: 'critical' };
+        } else if (general.rcd_trigger) {
+            alert = {
+                title: 'Residual current device tripped',
+                hint: 'Unplug the vehicle and check the vehicle and cable for damage or moisture before charging again.',
+                severity: 'critical'
+            };
+        } else if (general.warning_code) {
+            alert = { ...this.describeDeviceCode('warnings', general.warning_code), severity: 'warning' };
+        }
+
+        this.deviceAlertEl.classList.toggle('hidden', !alert);
+        if (alert) {
+            this.deviceAlertEl.className = `device-alert ${alert.severity}`;
+            this.deviceAlertTitle.textContent = alert.title;
+            this.deviceAlertHint.textContent = alert.hint;
+        }
+    }
+
+    /**
+     * Description and hint of an error or warning code
+     */
+    describeDeviceCode(table, code) {
+        const kind = table === 'errors' ? 'Error' : 'Warning';
+        const entry = this.deviceCodes && this.deviceCodes[table][code];
+        if (!entry) {
+            return { title: `${kind} ${code}`, hint: 'See the NRGKick app or manual for this code.' };
+        }
+        return { title: `${kind} ${code}: ${entry.description}`, hint: entry.hint };
+    }
+
+    /**
+     * Fetch the active conditions and the alert log of the charger
+     */
+    async fetchAlerts() {
+        try {
+            if (!this.deviceCodes) {
+                this.deviceCodes = await this.serverRequest('GET', '/api/alerts/codes');
+            }
+            this.renderAlerts(await this.serverRequest('GET', this.chargerPath('/alerts?limit=50')));
+        } catch (error) {
+            console.warn('Could not fetch alerts:', error);
+        }
+    }
+
+    /**
+     * Render the active conditions and the alert log
+     * Data structure from /api/alerts:
+     * - active: [{ type, severity, title, hint }]
+     * - events: [{ id, timestamp, type, severity, title, message, hint }]
+     */
+    renderAlerts(data) {
+        const active = data.active || [];
+        const events = data.events || [];
+
+        this.alertsActiveEl.textContent = '';
+        active.forEach((condition) => {
+            const item = document.createElement('li');
+            item.className = `alert-item ${condition.severity}`;
+            item.textContent = condition.title;
+            if (condition.hint) {
+                item.title = condition.hint;
+            }
+            this.alertsActiveEl.appendChild(item);
+        });
+
+        this.alertsBody.textContent = '';
+        if (events.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 3;
+            cell.className = 'empty-row';
+            cell.textContent = 'No alerts recorded yet';
+            row.appendChild(cell);
+            this.alertsBody.appendChild(row);
+            return;
+        }
+
+        events.forEach((event) => {
+            const row = document.createElement('tr');
+            row.className = `alert-row ${event.severity}`;
+            const details = [event.message, event.hint].filter(Boolean).join(' – ');
+            [new Date(event.timestamp).toLocaleString(), event.title, details || '--'].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.alertsBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Fetch the control changes matching the activity filters
+     */
+    async fetchActivity() {
+        const params = new URLSearchParams();
+        const rangeMs = ACTIVITY_RANGES_MS[this.activityRangeSelect.value];
+        if (rangeMs) {
+            params.set('from', Date.now() - rangeMs);
+        }
+        if (this.activitySourceSelect.value) {
+            params.set('sources', this.activitySourceSelect.value);
+        }
+        if (this.activityResultSelect.value) {
+            params.set('result', this.activityResultSelect.value);
+        }
+
+        const csvParams = new URLSearchParams(params);
+        csvParams.set('format', 'csv');
+        this.activityExportLink.href = this.chargerPath(`/audit?${csvParams}`);
+
+        params.set('limit', 100);
+        try {
+            const data = await this.serverRequest('GET', this.chargerPath(`/audit?${params}`));
+            this.renderActivity(data.entries || []);
+        } catch (error) {
+            console.warn('Could not fetch activity:', error);
+        }
+    }
+
+    /**
+     * Render the activity table
+     * Entries from /api/audit: [{ timestamp, source, user, ip, reason, changes: [{ field, from, to }], result, error }]
+     */
+    renderActivity(entries) {
+        this.activityBody.textContent = '';
+        this.activityCountEl.textContent = entries.length === 100 ? 'Latest 100 changes' : `${entries.length} change${entries.length === 1 ? '' : 's'}`;
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            cell.className = 'empty-row';
+            cell.textContent = 'No changes recorded in this period';
+            row.appendChild(cell);
+            this.activityBody.appendChild(row);
+            return;
+        }
+
+        entries.forEach((entry) => {
+            const row = document.createElement('tr');
+            row.className = `activity-row ${entry.result}`;
+
+            const timeCell = document.createElement('td');
+            timeCell.textContent = new Date(entry.timestamp).toLocaleString();
+
+            // Who: the user and address, or the automation and its reason
+            const sourceCell = document.createElement('td');
+            const byUser = entry.source === 'user' || entry.source === 'proxy';
+            sourceCell.textContent = byUser && entry.user ? entry.user : ACTIVITY_SOURCES[entry.source] || entry.source;
+            const detail = byUser ? entry.ip : entry.reason;
+            if (detail) {
+                const detailEl = document.createElement('span');
+                detailEl.className = 'activity-detail';
+                detailEl.textContent = detail;
+                sourceCell.appendChild(detailEl);
+            }
+
+            const changeCell = document.createElement('td');
+            changeCell.textContent = entry.changes.map((change) => this.describeControlChange(change)).join(', ');
+
+            const resultCell = document.createElement('td');
+            resultCell.textContent = entry.result === 'ok' ? 'Applied' : `Failed: ${entry.error}`;
+
+            row.appendChild(timeCell);
+            row.appendChild(sourceCell);
+            row.appendChild(changeCell);
+            row.appendChild(resultCell);
+            this.activityBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Readable control change, e.g. "Current 16 A → 10 A"
+     */
+    describeControlChange(change) {
+        const from = change.from === null ? '?' : change.from;
+        switch (change.field) {
+            case 'charge_pause':
+                return Number(change.to) === 1 ? 'Charging paused' : 'Charging started';
+            case 'current_set':
+                return `Current ${from} A → ${change.to} A`;
+            case 'phase_count':
+                return `Phases ${from} → ${change.to}`;
+            case 'energy_limit': {
+                const limit = (value) => (Number(value) === 0 ? 'none' : `${Number(value) / 1000} kWh`);
+                return `Energy limit ${change.from === null ? '?' : limit(change.from)} → ${limit(change.to)}`;
+            }
+            default:
+                return `${change.field} ${from} → ${change.to}`;
+        }
+    }
+
+    /**
+     * Show which notifiers the server sends alerts through
+     */
+    async fetchNotifiers() {
+        try {
+            const data = await this.serverRequest('GET', '/api/notifiers');
+            const types = data.notifiers.map((notifier) => notifier.type);
+            this.alertsNotifiersEl.textContent = types.length
+                ? `Notifications: ${types.join(', ')}`
+                : 'Notifications: none configured';
+            const failed = data.notifiers.filter((notifier) => notifier.lastError);
+            this.alertsNotifiersEl.title = failed.map((notifier) => `${notifier.type}: ${notifier.lastError}`).join('\n');
+            this.alertsTestBtn.classList.toggle('hidden', types.length === 0);
+        } catch (error) {
+            console.warn('Could not fetch notifiers:', error);
+        }
+    }
+
+    /**
+     * Send a test notification through every notifier
+     */
+    async testNotifications() {
+        try {
+            this.alertsTestBtn.disabled = true;
+            const result = await this.serverRequest('POST', '/api/notifiers/test');
+            const failed = result.notifiers.filter((notifier) => !notifier.delivered);
+            if (failed.length > 0) {
+                this.showError(`Test failed: ${failed.map((notifier) => `${notifier.type} (${notifier.lastError})`).join(', ')}`);
+            }
+            this.fetchNotifiers();
+        } catch (error) {
+            this.showError(`Test notification failed: ${error.message}`);
+        } finally {
+            this.alertsTestBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Register the service worker: offline shell, cached status and push notifications
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+        navigator.serviceWorker.register('sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Ask the service worker to forget the cached status
+     */
+    clearCachedStatus() {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-status' });
+        }
+    }
+
+    pushSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    /**
+     * Show whether this device gets push notifications; the id of its
+     * subscription at the server is kept in localStorage
+     */
+    async fetchPushStatus() {
+        if (!this.pushSupported()) {
+            this.renderPush(null, window.isSecureContext
+                ? 'This browser does not support push notifications.'
+                : 'Push notifications need HTTPS, see HTTPS and Security Headers in the README.');
+            return;
+        }
+        try {
+            const data = await this.serverRequest('GET', '/api/push');
+            this.pushPublicKey = data.publicKey;
+            const registration = await navigator.serviceWorker.ready;
+            const browserSubscription = await registration.pushManager.getSubscription();
+            const id = localStorage.getItem('nrgkick.push');
+            const subscription = browserSubscription && data.subscriptions.find((entry) => entry.id === id);
+            if (!subscription) {
+                localStorage.removeItem('nrgkick.push');
+            }
+            this.renderPush(subscription || null);
+        } catch (error) {
+            // 503 when the server has push notifications turned off
+            this.pushSection.classList.add('hidden');
+            console.warn('Could not fetch push notifications:', error);
+        }
+    }
+
+    /**
+     * subscription: this device's subscription at the server, null when off;
+     * message replaces the status and hides the buttons
+     */
+    renderPush(subscription, message = '') {
+        this.pushSection.classList.remove('hidden');
+        const on = !!subscription;
+        if (message) {
+            this.pushStatus.textContent = message;
+        } else if (on) {
+            this.pushStatus.textContent = `On, delivered through ${subscription.service}`
+                + (subscription.lastError ? ` · last error: ${subscription.lastError}` : '');
+        } else if (Notification.permission === 'denied') {
+            this.pushStatus.textContent = 'Notifications are blocked for this site in the browser settings.';
+        } else {
+            this.pushStatus.textContent = 'Off. Get notified when charging starts, finishes or fails, even with this page closed.';
+        }
+        if (on) {
+            this.pushTopics.querySelectorAll('input').forEach((input) => {
+                input.checked = subscription.topics.includes(input.value);
+            });
+        }
+        this.pushTopics.classList.toggle('hidden', !!message);
+        this.pushEnableBtn.classList.toggle('hidden', on || !!message);
+        this.pushTestBtn.classList.toggle('hidden', !on);
+        this.pushDisableBtn.classList.toggle('hidden', !on);
+    }
+
+    /**
+     * Subscribe this device, or save the changed topics of its subscription
+     */
+    async enablePush() {
+        const topics = Array.from(this.pushTopics.querySelectorAll('input:checked'), (input) => input.value);
+        try {
+            this.pushEnableBtn.disabled = true;
+            if (await Notification.requestPermission() !== 'granted') {
+                throw new Error('notifications are blocked for this site');
+            }
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription()
+                || await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: this.decodePushKey(this.pushPublicKey)
+                });
+            const saved = await this.serverRequest('POST', '/api/push/subscriptions', {
+                subscription: subscription.toJSON(),
+                topics
+            });
+            localStorage.setItem('nrgkick.push', saved.id);
+            this.renderPush(saved);
+        } catch (error) {
+            const details = (error.details || []).map((detail) => detail.message);
+            this.showError(`Failed to turn on push notifications: ${[error.message, ...details].join('; ')}`);
+        } finally {
+            this.pushEnableBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Unsubscribe this device at the server and in the browser
+     */
+    async disablePush() {
+        const id = localStorage.getItem('nrgkick.push');
+        try {
+            if (id) {
+                await this.serverRequest('DELETE', `/api/push/subscriptions/${encodeURIComponent(id)}`)
+                    .catch((error) => console.warn('Could not remove the push subscription:', error));
+            }
+            localStorage.removeItem('nrgkick.push');
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription();
+            if (subscription) {
+                await subscription.unsubscribe();
+            }
+            this.renderPush(null);
+        } catch (error) {
+            this.showError(`Failed to turn off push notifications: ${error.message}`);
+        }
+    }
+
+    async testPush() {
+        const id = localStorage.getItem('nrgkick.push');
+        try {
+            this.pushTestBtn.disabled = true;
+            const result = await this.serverRequest('POST', `/api/push/subscriptions/${encodeURIComponent(id)}/test`);
+            if (!result.delivered) {
+                this.showError(`Test failed: ${(result.subscription && result.subscription.lastError) || 'the subscription has expired, turn notifications on again'}`);
+            }
+            this.renderPush(result.subscription);
+            if (!result.subscription) {
+                localStorage.removeItem('nrgkick.push');
+            }
+        } catch (error) {
+            this.showError(`Test notification failed: ${error.message}`);
+        } finally {
+            this.pushTestBtn.disabled = false;
+        }
+    }
+
+    /**
+     * URL-safe base64 VAPID key to the bytes PushManager.subscribe() expects
+     */
+    decodePushKey(key) {
+        const base64 = (key + '='.repeat((4 - key.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+    }
+
+    /**
+     * Empty the alert log of the charger
+     */
+    async clearAlerts() {
+        if (!window.confirm('Clear the alert log?')) {
+            return;
+        }
+        try {
+            this.renderAlerts(await this.serverRequest('DELETE', this.chargerPath('/alerts')));
+        } catch (error) {
+            this.showError(`Failed to clear alerts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the schedule rules and what they currently enforce
+     */
+    async fetchSchedules() {
+        try {
+            this.renderSchedules(await this.serverRequest('GET', this.chargerPath('/schedules')));
+        } catch (error) {
+            console.warn('Could not fetch schedules:', error);
+        }
+    }
+
+    /**
+     * Render the schedule rule list and the current enforcement summary
+     * Data structure from /api/schedules:
+     * - rules: [{ id, name, enabled, days, start, end, action, current }]
+     * - current: { pause, maxCurrent, activeRules }
+     */
+    renderSchedules(data) {
+        const rules = data.rules || [];
+        const current = data.current || {};
+        const activeRules = current.activeRules || [];
+
+        const summary = [];
+        if (current.pause) {
+            summary.push('Charging paused by schedule');
+        }
+        if (typeof current.maxCurrent === 'number') {
+            summary.push(`Current limited to ${current.maxCurrent} A`);
+        }
+        this.scheduleStatusEl.textContent = summary.length ? summary.join(' · ') : 'No restriction active';
+
+        this.scheduleList.textContent = '';
+        rules.forEach((rule) => {
+            const item = document.createElement('li');
+            item.className = 'schedule-item';
+            item.classList.toggle('disabled', !rule.enabled);
+            item.classList.toggle('active', activeRules.includes(rule.id));
+
+            const summaryEl = document.createElement('div');
+            summaryEl.className = 'schedule-summary';
+            const title = document.createElement('strong');
+            title.textContent = rule.name || this.describeScheduleAction(rule);
+            const detail = document.createElement('span');
+            detail.className = 'schedule-detail';
+            detail.textContent = `${this.describeScheduleAction(rule)} · ${rule.start}–${rule.end} · ${rule.days.map((day) => DAY_NAMES[day]).join(', ')}`;
+            summaryEl.appendChild(title);
+            summaryEl.appendChild(detail);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'button-group requires-admin';
+            const toggleBtn = document.createElement('button');
+            toggleBtn.type = 'button';
+            toggleBtn.className = 'btn btn-secondary';
+            toggleBtn.textContent = rule.enabled ? 'Disable' : 'Enable';
+            toggleBtn.addEventListener('click', () => this.toggleSchedule(rule));
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'btn btn-secondary';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.editSchedule(rule));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-danger';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteSchedule(rule));
+            buttons.appendChild(toggleBtn);
+            buttons.appendChild(editBtn);
+            buttons.appendChild(deleteBtn);
+
+            item.appendChild(summaryEl);
+            item.appendChild(buttons);
+            this.scheduleList.appendChild(item);
+        });
+    }
+
+    /**
+     * Human-readable description of a rule action
+     */
+    describeScheduleAction(rule) {
+        switch (rule.action) {
+            case 'charge':
+                return 'Charge only';
+            case 'pause':
+                return 'Pause';
+            case 'limit':
+                return `Limit to ${rule.current} A`;
+            default:
+                return rule.action;
+        }
+    }
+
+    /**
+     * Read the schedule form into a rule payload
+     */
+    readScheduleForm() {
+        const days = Array.from(this.scheduleDaysEl.querySelectorAll('input[type="checkbox"]'))
+            .filter((checkbox) => checkbox.checked)
+            .map((checkbox) => parseInt(checkbox.value, 10));
+
+        const rule = {
+            name: this.scheduleNameInput.value.trim(),
+            action: this.scheduleActionSelect.value,
+            start: this.scheduleStartInput.value,
+            end: this.scheduleEndInput.value,
+            days,
+            enabled: true
+        };
+
+        if (rule.action === 'limit') {
+            rule.current = parseInt(this.scheduleCurrentInput.value, 10);
+        }
+        return rule;
+    }
+
+    /**
+     * Create a rule, or update the one being edited
+     */
+    async saveSchedule() {
+        const rule = this.readScheduleForm();
+
+        try {
+            this.scheduleSaveBtn.disabled = true;
+            if (this.editingSchedule) {
+                rule.enabled = this.editingSchedule.enabled;
+                await this.serverRequest('PUT', this.chargerPath(`/schedules/${this.editingSchedule.id}`), rule);
+            } else {
+                await this.serverRequest('POST', this.chargerPath('/schedules'), rule);
+            }
+            this.resetScheduleForm();
+            this.fetchSchedules();
+        } catch (error) {
+            this.showError(`Failed to save schedule: ${error.message}`);
+        } finally {
+            this.scheduleSaveBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Load a rule into the form for editing
+     */
+    editSchedule(rule) {
+        this.editingSchedule = rule;
+        this.scheduleFormTitle.textContent = 'Edit Rule';
+        this.scheduleSaveBtn.textContent = 'Save Rule';
+        this.scheduleCancelBtn.classList.remove('hidden');
+
+        this.scheduleNameInput.value = rule.name || '';
+        this.scheduleActionSelect.value = rule.action;
+        this.scheduleCurrentInput.value = rule.current || 10;
+        this.scheduleCurrentGroup.classList.toggle('hidden', rule.action !== 'limit');
+        this.scheduleStartInput.value = rule.start;
+        this.scheduleEndInput.value = rule.end;
+        this.scheduleDaysEl.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+            checkbox.checked = rule.days.includes(parseInt(checkbox.value, 10));
+        });
+    }
+
+    /**
+     * Leave edit mode and clear the form
+     */
+    resetScheduleForm() {
+        this.editingSchedule = null;
+        this.scheduleForm.reset();
+        this.scheduleFormTitle.textContent = 'Add Rule';
+        this.scheduleSaveBtn.textContent = 'Add Rule';
+        this.scheduleCancelBtn.classList.add('hidden');
+        this.scheduleCurrentGroup.classList.toggle('hidden', this.scheduleActionSelect.value !== 'limit');
+    }
+
+    /**
+     * Enable or disable a rule
+     */
+    async toggleSchedule(rule) {
+        try {
+            await this.serverRequest('PUT', this.chargerPath(`/schedules/${rule.id}`), { ...rule, enabled: !rule.enabled });
+            this.fetchSchedules();
+        } catch (error) {
+            this.showError(`Failed to update schedule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a rule
+     */
+    async deleteSchedule(rule) {
+        if (!window.confirm(`Delete schedule rule "${rule.name || this.describeScheduleAction(rule)}"?`)) {
+            return;
+        }
+        try {
+            await this.serverRequest('DELETE', this.chargerPath(`/schedules/${rule.id}`));
+            if (this.editingSchedule && this.editingSchedule.id === rule.id) {
+                this.resetScheduleForm();
+            }
+            this.fetchSchedules();
+        } catch (error) {
+            this.showError(`Failed to delete schedule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Format a duration in ms as "1h 05m" or "12m"
+     */
+    formatDuration(ms) {
+        const totalMinutes = Math.floor(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        if (hours > 0) {
+            return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        }
+        return `${minutes}m`;
+    }
+
+    /**
+     * Fetch the solar surplus charging state
+     * The control group stays hidden when no surplus source is configured
+     */
+    async fetchSolarStatus() {
+        try {
+            this.updateSolarDisplay(await this.serverRequest('GET', this.chargerPath('/solar')));
+        } catch (error) {
+            console.warn('Could not fetch solar status:', error);
+        }
+    }
+
+    /**
+     * Update the solar surplus control group
+     * Data structure from /api/solar:
+     * - configured, enabled, gridPower (W, negative = export), stale
+     * - decision: { action, available, targetCurrent, phases }
+     */
+    updateSolarDisplay(solar) {
+        this.solarControlGroup.classList.toggle('hidden', !solar.configured);
+        if (!solar.configured) {
+            return;
+        }
+
+        this.solarEnabled = solar.enabled;
+        this.solarToggleBtn.textContent = solar.enabled ? 'Disable Solar Mode' : 'Enable Solar Mode';
+        this.solarToggleBtn.classList.toggle('active', solar.enabled);
+
+        this.solarGridPowerEl.textContent = solar.stale || typeof solar.gridPower !== 'number'
+            ? 'No reading'
+            : `${solar.gridPower} W`;
+
+        const decision = solar.decision || {};
+        this.solarAvailableEl.textContent = solar.enabled && typeof decision.available === 'number'
+            ? `${decision.available} W`
+            : '-- W';
+    }
+
+    /**
+     * Fetch the departure charging plan and its progress
+     */
+    async fetchPlan() {
+        try {
+            this.updatePlanDisplay(await this.serverRequest('GET', this.chargerPath('/plan')));
+        } catch (error) {
+            console.warn('Could not fetch charging plan:', error);
+        }
+    }
+
+    /**
+     * Show the plan progress in the status panel
+     * Data structure from /api/plan:
+     * - active, state (waiting, charging, completed, overdue), departure, feasible
+     * - neededWh, deliveredWh, progress (%), nextSlot: { start, end, current }, expectedFinish
+     */
+    updatePlanDisplay(plan) {
+        this.planProgressEl.classList.toggle('hidden', !plan.active);
+        this.planCancelBtn.classList.toggle('hidden', !plan.active);
+        this.planStartBtn.textContent = plan.active ? 'Replan' : 'Plan Charging';
+        if (!plan.active) {
+            return;
+        }
+
+        const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (plan.mode === 'cheapest') {
+            this.updateCheapestPlanDisplay(plan, formatTime);
+            return;
+        }
+        this.planProgressText.textContent = `${(plan.deliveredWh / 1000).toFixed(1)} / ${(plan.neededWh / 1000).toFixed(1)} kWh (${plan.progress}%)`;
+        this.planProgressFill.style.width = `${plan.progress}%`;
+
+        const detail = [`Ready by ${formatTime(plan.departure)}`];
+        switch (plan.state) {
+            case 'completed':
+                detail.push('target reached');
+                break;
+            case 'overdue':
+                detail.push('departure passed, charging at full current');
+                break;
+            case 'charging':
+                detail.push(`charging at ${plan.nextSlot.current} A until ${formatTime(plan.nextSlot.end)}`);
+                break;
+            default:
+                if (plan.nextSlot) {
+                    detail.push(`next charge ${formatTime(plan.nextSlot.start)}–${formatTime(plan.nextSlot.end)} at ${plan.nextSlot.current} A`);
+                }
+        }
+        if (!plan.feasible) {
+            detail.push('not enough time to reach the target');
+        }
+        if (typeof plan.averagePrice === 'number') {
+            detail.push(`avg. ${this.formatMoney(plan.averagePrice, 4)}/kWh`);
+        }
+        this.planProgressDetail.textContent = detail.join(' · ');
+    }
+
+    /**
+     * Show a cheapest hours plan: the hours picked and the next one
+     */
+    updateCheapestPlanDisplay(plan, formatTime) {
+        const now = Date.now();
+        const doneMs = plan.slots.reduce((sum, slot) => sum + Math.max(Math.min(slot.end, now) - slot.start, 0), 0);
+        const plannedMs = plan.plannedHours * 3600000;
+        const progress = plannedMs > 0 ? Math.min(Math.round((doneMs / plannedMs) * 100), 100) : 0;
+        this.planProgressText.textContent = `${(doneMs / 3600000).toFixed(1)} / ${plan.plannedHours.toFixed(1)} cheapest hours`;
+        this.planProgressFill.style.width = `${progress}%`;
+
+        const detail = [`Until ${formatTime(plan.departure)}`];
+        if (plan.state === 'charging' && plan.nextSlot) {
+            detail.push(`charging until ${formatTime(plan.nextSlot.end)}`);
+        } else if (plan.nextSlot) {
+            detail.push(`next charge ${formatTime(plan.nextSlot.start)}–${formatTime(plan.nextSlot.end)}`);
+        }
+        if (!plan.feasible) {
+            detail.push(`only ${plan.plannedHours.toFixed(1)} h left before the deadline`);
+        }
+        if (typeof plan.averagePrice === 'number') {
+            detail.push(`avg. ${this.formatMoney(plan.averagePrice, 4)}/kWh`);
+        }
+        this.planProgressDetail.textContent = detail.join(' · ');
+    }
+
+    /**
+     * Label the amount input for the selected plan mode
+     */
+    updatePlanForm() {
+        const cheapest = this.planModeSelect.value === 'cheapest';
+        this.planEnergyLabel.textContent = cheapest ? 'Hours' : 'Energy (kWh)';
+        this.planEnergyInput.max = cheapest ? '168' : '200';
+        this.planEnergyInput.value = cheapest ? '4' : '20';
+    }
+
+    /**
+     * Create (or replace) the departure charging plan from the form
+     */
+    async startPlan() {
+        const amount = parseFloat(this.planEnergyInput.value);
+        const body = { departure: this.planDepartureInput.value };
+        if (this.planModeSelect.value === 'target') {
+            body.targetKWh = amount;
+        } else if (this.planModeSelect.value === 'cheapest') {
+            body.cheapestHours = amount;
+        } else {
+            body.energyKWh = amount;
+        }
+
+        try {
+            this.showLoading(true);
+            this.updatePlanDisplay(await this.serverRequest('PUT', this.chargerPath('/plan'), body));
+            setTimeout(() => this.fetchChargerStatus(), this.commandDelayMs);
+        } catch (error) {
+            this.showError(`Failed to plan charging: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Cancel the plan; the server lifts the energy limit and its pause
+     */
+    async cancelPlan() {
+        try {
+            this.updatePlanDisplay(await this.serverRequest('DELETE', this.chargerPath('/plan')));
+            setTimeout(() => this.fetchChargerStatus(), this.commandDelayMs);
+        } catch (error) {
+            this.showError(`Failed to cancel the plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the current price and the known price schedule
+     */
+    async fetchTariff() {
+        this.lastTariffFetch = Date.now();
+        try {
+            this.tariff = await this.serverRequest('GET', `/api/tariff?from=${Date.now()}`);
+            this.updateTariffDisplay();
+        } catch (error) {
+            console.warn('Could not fetch tariff:', error);
+        }
+    }
+
+    /**
+     * Show the tariff source and the current price
+     * Data structure from /api/tariff:
+     * - configured, currency, source, knownUntil, lastError
+     * - current: { start, end, price } or null, prices: [{ start, end, price }]
+     */
+    updateTariffDisplay() {
+        const tariff = this.tariff;
+        this.tariffCards.forEach((card) => card.classList.toggle('hidden', !tariff.configured));
+        this.tariffSourceEl.textContent = tariff.lastError
+            ? `Import failed: ${tariff.lastError}`
+            : tariff.source || 'No prices';
+        this.tariffKnownUntilEl.textContent = tariff.knownUntil ? new Date(tariff.knownUntil).toLocaleString() : '--';
+        this.currentPriceEl.textContent = tariff.current ? `${this.formatMoney(tariff.current.price, 4)}/kWh` : '--';
+        this.updateCostDisplay();
+    }
+
+    /**
+     * Show the cost of the active session
+     */
+    updateCostDisplay() {
+        this.sessionCostEl.textContent = typeof this.activeSessionCost === 'number' && this.tariff
+            ? this.formatMoney(this.activeSessionCost, 2)
+            : '--';
+    }
+
+    /**
+     * Format an amount in the tariff currency
+     */
+    formatMoney(amount, digits) {
+        const currency = this.tariff ? this.tariff.currency : 'EUR';
+        try {
+            return amount.toLocaleString([], { style: 'currency', currency, minimumFractionDigits: digits, maximumFractionDigits: digits });
+        } catch (error) {
+            // Not an ISO 4217 code, e.g. 'ct'
+            return `${amount.toFixed(digits)} ${currency}`;
+        }
+    }
+
+    /**
+     * Upload the selected JSON or CSV price schedule
+     */
+    async uploadTariff() {
+        const file = this.tariffFileInput.files[0];
+        if (!file) {
+            this.showError('Choose a JSON or CSV price file first');
+            return;
+        }
+
+        try {
+            this.showLoading(true);
+            const isJson = file.name.toLowerCase().endsWith('.json');
+            const response = await fetch('/api/tariff', {
+                method: 'PUT',
+                headers: { 'Content-Type': isJson ? 'application/json' : 'text/csv' },
+                body: await file.text()
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.tariffFileInput.value = '';
+            this.fetchTariff();
+            this.fetchPlan();
+        } catch (error) {
+            this.showError(`Failed to upload prices: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Turn solar surplus charging on or off
+     */
+    async toggleSolarMode() {
+        try {
+            this.solarToggleBtn.disabled = true;
+            this.updateSolarDisplay(await this.serverRequest('PUT', this.chargerPath('/solar'), { enabled: !this.solarEnabled }));
+        } catch (error) {
+            this.showError(`Failed to switch solar mode: ${error.message}`);
+        } finally {
+            this.solarToggleBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Update slider background to show progress
+     */
+    updateSliderBackground() {
+        const min = parseInt(this.currentSlider.min);
+        const max = parseInt(this.currentSlider.max);
+        const value = parseInt(this.currentSlider.value);
+        const percentage = ((value - min) / (max - min)) * 100;
+        
+        this.currentSlider.style.background = `linear-gradient(to right, var(--primary-color) ${percentage}%, var(--border-color) ${percentage}%)`;
+    }
+
+    /**
+     * Whether the overview panel has something to show
+     */
+    hasOverview() {
+        return this.chargers.length > 1 || this.loadManagement;
+    }
+
+    /**
+     * Fetch the status of all chargers for the overview grid, and the load
+     * management state when it is configured
+     */
+    async fetchOverview() {
+        if (!this.hasOverview()) {
+            return;
+        }
+        try {
+            if (this.loadManagement) {
+                this.updateLoadDisplay(await this.serverRequest('GET', '/api/load'));
+            }
+            this.renderOverview(await this.serverRequest('GET', '/api/chargers'));
+        } catch (error) {
+            console.warn('Could not fetch charger overview:', error);
+        }
+    }
+
+    /**
+     * Update the load management section
+     * Data structure from /api/load:
+     * - enabled, policy, siteLimit
+     * - round: { failsafe, chargers: [{ id, state, measured: { l1, l2, l3 }, allocation }] } or null
+     */
+    updateLoadDisplay(load) {
+        this.loadEnabled = load.enabled;
+        this.loadToggleBtn.textContent = load.enabled ? 'Turn Off' : 'Turn On';
+        this.loadToggleBtn.classList.toggle('active', load.enabled);
+        if (document.activeElement !== this.loadLimitInput) {
+            this.loadLimitInput.value = load.siteLimit;
+        }
+        if (document.activeElement !== this.loadPolicySelect) {
+            this.loadPolicySelect.value = load.policy;
+        }
+
+        const round = load.round;
+        this.loadAllocations = {};
+        this.loadPhasesEl.textContent = '';
+
+        if (!load.enabled || !round) {
+            this.loadStatusEl.textContent = load.enabled ? 'Waiting for the first round' : 'Load management is off';
+            return;
+        }
+
+        ['l1', 'l2', 'l3'].forEach((phase) => {
+            const used = round.chargers.reduce((sum, charger) => sum + (charger.measured[phase] || 0), 0);
+            const percentage = Math.min((used / load.siteLimit) * 100, 100);
+
+            const row = document.createElement('div');
+            row.className = 'load-phase';
+            const label = document.createElement('span');
+            label.className = 'load-phase-label';
+            label.textContent = phase.toUpperCase();
+            const bar = document.createElement('div');
+            bar.className = 'load-bar';
+            const fill = document.createElement('div');
+            fill.className = 'load-bar-fill';
+            fill.classList.toggle('high', percentage >= 90);
+            fill.style.width = `${percentage}%`;
+            bar.appendChild(fill);
+            const value = document.createElement('span');
+            value.className = 'load-phase-value';
+            value.textContent = `${used.toFixed(1)} / ${load.siteLimit} A`;
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            row.appendChild(value);
+            this.loadPhasesEl.appendChild(row);
+        });
+
+        round.chargers.forEach((charger) => {
+            this.loadAllocations[charger.id] = charger;
+        });
+
+        const unresponsive = round.chargers.filter((charger) => charger.state === 'unresponsive').map((charger) => charger.id);
+        if (round.failsafe) {
+            this.loadStatusEl.textContent = `Fail-safe: ${unresponsive.join(', ')} not responding, holding the minimum current`;
+        } else {
+            this.loadStatusEl.textContent = load.policy === 'priority' ? 'Sharing by priority' : 'Sharing evenly';
+        }
+    }
+
+    /**
+     * Save the site limit and policy
+     */
+    async saveLoadSettings() {
+        const siteLimit = parseInt(this.loadLimitInput.value, 10);
+        try {
+            this.updateLoadDisplay(await this.serverRequest('PUT', '/api/load', {
+                siteLimit,
+                policy: this.loadPolicySelect.value
+            }));
+        } catch (error) {
+            this.showError(`Failed to save load management settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turn load management on or off
+     */
+    async toggleLoadManagement() {
+        try {
+            this.updateLoadDisplay(await this.serverRequest('PUT', '/api/load', { enabled: !this.loadEnabled }));
+        } catch (error) {
+            this.showError(`Failed to switch load management: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render one card per charger; clicking a card selects that charger
+     * Data structure from /api/chargers:
+     * - [{ id, name, ip, online, status, power, chargedEnergy, currentSet, chargePause }]
+     */
+    renderOverview(chargers) {
+        this.overviewGrid.textContent = '';
+        chargers.forEach((charger) => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'overview-card';
+            card.classList.toggle('selected', charger.id === this.chargerId);
+            card.classList.toggle('offline', !charger.online);
+            card.addEventListener('click', () => this.switchCharger(charger.id));
+
+            const name = document.createElement('div');
+            name.className = 'overview-name';
+            name.textContent = charger.name;
+
+            const state = document.createElement('div');
+            state.className = 'overview-state';
+            if (!charger.online) {
+                state.textContent = 'Offline';
+            } else {
+                const statusText = STATUS_MAP[charger.status] || 'Unknown';
+                state.textContent = charger.chargePause === 1 && charger.status !== 1 ? `${statusText} (paused)` : statusText;
+            }
+
+            const power = document.createElement('div');
+            power.className = 'overview-power';
+            power.textContent = typeof charger.power === 'number' ? `${(charger.power / 1000).toFixed(2)} kW` : '-- kW';
+
+            const detail = document.createElement('div');
+            detail.className = 'overview-detail';
+            const energy = typeof charger.chargedEnergy === 'number' ? `${(charger.chargedEnergy / 1000).toFixed(2)} kWh` : '-- kWh';
+            const limit = typeof charger.currentSet === 'number' ? `${charger.currentSet} A` : '-- A';
+            detail.textContent = `${energy} · ${limit}`;
+
+            card.appendChild(name);
+            card.appendChild(state);
+            card.appendChild(power);
+            card.appendChild(detail);
+
+            const balanced = this.loadAllocations[charger.id];
+            if (this.loadEnabled && balanced) {
+                const allocation = document.createElement('div');
+                allocation.className = 'overview-detail';
+                if (balanced.state === 'unresponsive') {
+                    allocation.textContent = 'Load: not responding';
+                } else if (balanced.state === 'paused') {
+                    allocation.textContent = 'Load: paused, site limit reached';
+                } else if (typeof balanced.allocation === 'number') {
+                    allocation.textContent = `Load: ${balanced.allocation} A allocated`;
+                } else {
+                    allocation.textContent = 'Load: idle';
+                }
+                card.appendChild(allocation);
+            }
+            this.overviewGrid.appendChild(card);
+        });
+    }
+
+    /**
+     * Show/hide panels based on connection state
+     */
+    showPanels(connected) {
+        this.statusPanel.classList.toggle('hidden', !connected);
+        this.controlsPanel.classList.toggle('hidden', !connected);
+        this.infoPanel.classList.toggle('hidden', !connected);
+        this.sessionsPanel.classList.toggle('hidden', !connected);
+        this.alertsPanel.classList.toggle('hidden', !connected);
+        this.activityPanel.classList.toggle('hidden', !connected);
+        this.schedulesPanel.classList.toggle('hidden', !connected);
+        this.chartsPanel.classList.toggle('hidden', !connected);
+        if (connected) {
+            this.renderChart(); // Drawn only once the panel has a width
+        }
+        // The overview stays visible while switching chargers
+        this.overviewPanel.classList.toggle('hidden', !this.hasOverview());
+    }
+
+    /**
+     * Reset all status values to default
+     */
+    resetStatusValues() {
+        this.chargingStateEl.textContent = '--';
+        this.chargingStateEl.className = 'status-value';
+        this.powerValueEl.textContent = '-- kW';
+        this.energySessionEl.textContent = '-- kWh';
+        this.sessionCostEl.textContent = '--';
+        this.currentValueEl.textContent = '-- A';
+        this.voltageValueEl.textContent = '-- V';
+        this.temperatureValueEl.textContent = '-- °C';
+        this.vehicleConnectedEl.textContent = '--';
+        this.vehicleConnectedEl.className = 'status-value';
+        this.deviceAlertEl.classList.add('hidden');
+        this.lastDeviceCodes = null;
+        this.currentLimitEl.textContent = '-- A';
+        this.serialNumberEl.textContent = '--';
+        this.firmwareVersionEl.textContent = '--';
+        this.modelEl.textContent = '--';
+        this.totalEnergyEl.textContent = '-- kWh';
+    }
+
+    /**
+     * Set connection status indicator
+     */
+    setConnectionStatus(status) {
+        this.connectionStatus.className = `status ${status}`;
+        const statusText = this.connectionStatus.querySelector('.status-text');
+        
+        switch (status) {
+            case 'connected':
+                statusText.textContent = 'Connected';
+                break;
+            case 'connecting':
+                statusText.textContent = 'Connecting...';
+                break;
+            case 'stale':
+                statusText.textContent = 'Stale data';
                 break;
             default:
                 statusText.textContent = 'Disconnected';
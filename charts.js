@@ -0,0 +1,424 @@
+/**
+ * NRGKick Control Panel - Time Series Chart
+ *
+ * A small dependency-free SVG line chart for the telemetry charts:
+ * - Several series sharing one time axis, with a clickable legend
+ * - Hover (or touch) tooltip with the values nearest to the pointer
+ * - Drag across the plot to zoom into a time range, double-click to reset
+ *
+ * Colors and fonts come from styles.css (.chart-*, --chart-* variables),
+ * so the chart follows the light and dark themes.
+ *
+ * Data: rows of { t, <key>: number, ... } sorted by t (ms since epoch), and
+ * series: [{ key, label, color, scale, dashed }] where color names a
+ * --chart-<color> variable and scale converts the stored value into the
+ * displayed unit (e.g. 0.001 for W -> kW).
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_MARGIN = { top: 24, right: 16, bottom: 28, left: 52 };
+const MIN_ZOOM_PX = 8; // Shorter drags are clicks, not zoom selections
+
+// Candidate spacings for time axis ticks
+const TIME_TICK_STEPS = [
+    60 * 1000, 2 * 60 * 1000, 5 * 60 * 1000, 10 * 60 * 1000, 15 * 60 * 1000, 30 * 60 * 1000,
+    60 * 60 * 1000, 3 * 60 * 60 * 1000, 6 * 60 * 60 * 1000, 12 * 60 * 60 * 1000,
+    24 * 60 * 60 * 1000, 2 * 24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000
+];
+
+class TimeSeriesChart {
+    /**
+     * container: element the chart is drawn into
+     * options.height: plot height in px
+     * options.onZoom(from, to): called when a range is selected, or with
+     *   (null, null) when the zoom is reset
+     */
+    constructor(container, { height = 260, onZoom = null } = {}) {
+        this.container = container;
+        this.height = height;
+        this.onZoom = onZoom;
+        this.rows = [];
+        this.series = [];
+        this.unit = '';
+        this.includeZero = true;
+        this.domain = null; // [from, to] of the selected window
+        this.zoom = null; // [from, to] while zoomed in
+        this.hidden = new Set(); // Series keys switched off in the legend
+        this.dragStart = null;
+
+        this.container.classList.add('chart');
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.classList.add('chart-svg');
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip hidden';
+        this.legend = document.createElement('div');
+        this.legend.className = 'chart-legend';
+        this.container.append(this.svg, this.tooltip, this.legend);
+
+        this.svg.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+        this.svg.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        this.svg.addEventListener('pointerup', (event) => this.onPointerUp(event));
+        this.svg.addEventListener('pointerleave', () => this.hideTooltip());
+        this.svg.addEventListener('dblclick', () => this.resetZoom());
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.render()).observe(this.container);
+        } else {
+            window.addEventListener('resize', () => this.render());
+        }
+    }
+
+    /**
+     * Replace the data and redraw
+     * domain: [from, to] shown when not zoomed (default: the data range)
+     */
+    setData({ rows, series, unit = '', domain = null, includeZero = true }) {
+        this.rows = rows;
+        this.series = series;
+        this.unit = unit;
+        this.domain = domain;
+        this.includeZero = includeZero;
+        this.render();
+    }
+
+    /**
+     * Zoom into [from, to]; the zoom is kept across setData calls
+     */
+    setZoom(from, to) {
+        this.zoom = [from, to];
+        this.render();
+        if (this.onZoom) {
+            this.onZoom(from, to);
+        }
+    }
+
+    /**
+     * Drop the zoom without calling onZoom, e.g. when another window is selected
+     */
+    clearZoom() {
+        this.zoom = null;
+    }
+
+    resetZoom() {
+        if (!this.zoom) {
+            return;
+        }
+        this.clearZoom();
+        this.render();
+        if (this.onZoom) {
+            this.onZoom(null, null);
+        }
+    }
+
+    /**
+     * Visible time range
+     */
+    visibleDomain() {
+        if (this.zoom) {
+            return this.zoom;
+        }
+        if (this.domain) {
+            return this.domain;
+        }
+        if (this.rows.length === 0) {
+            const now = Date.now();
+            return [now - 60 * 60 * 1000, now];
+        }
+        return [this.rows[0].t, this.rows[this.rows.length - 1].t];
+    }
+
+    /**
+     * Value of a series in a row, in display units, or null
+     */
+    valueOf(row, series) {
+        const value = row[series.key];
+        return typeof value === 'number' ? value * (series.scale || 1) : null;
+    }
+
+    render() {
+        const width = this.container.clientWidth;
+        if (width === 0) {
+            return; // Hidden; drawn again once visible
+        }
+
+        this.width = width;
+        const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+        const plotHeight = this.height;
+        const [from, to] = this.visibleDomain();
+        const rows = this.rows.filter((row) => row.t >= from && row.t <= to);
+        const visibleSeries = this.series.filter((series) => !this.hidden.has(series.key));
+        const [yMin, yMax, yTicks, yDecimals] = this.yScale(rows, visibleSeries);
+
+        this.scaleX = (t) => CHART_MARGIN.left + ((t - from) / Math.max(to - from, 1)) * plotWidth;
+        this.invertX = (x) => from + ((x - CHART_MARGIN.left) / plotWidth) * (to - from);
+        const scaleY = (value) => CHART_MARGIN.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight;
+        this.visibleRows = rows;
+        this.plot = { left: CHART_MARGIN.left, right: CHART_MARGIN.left + plotWidth, top: CHART_MARGIN.top, bottom: CHART_MARGIN.top + plotHeight };
+
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${plotHeight + CHART_MARGIN.top + CHART_MARGIN.bottom}`);
+        this.svg.setAttribute('height', plotHeight + CHART_MARGIN.top + CHART_MARGIN.bottom);
+        this.svg.textContent = '';
+
+        // Grid and value axis
+        yTicks.forEach((tick) => {
+            const y = scaleY(tick);
+            this.svg.appendChild(this.element('line', { class: 'chart-grid', x1: this.plot.left, x2: this.plot.right, y1: y, y2: y }));
+            const label = this.element('text', { class: 'chart-axis-label', x: this.plot.left - 6, y: y + 4, 'text-anchor': 'end' });
+            label.textContent = tick.toFixed(yDecimals);
+            this.svg.appendChild(label);
+        });
+        const unitLabel = this.element('text', { class: 'chart-axis-label chart-unit', x: 4, y: 12 });
+        unitLabel.textContent = this.unit;
+        this.svg.appendChild(unitLabel);
+
+        // Time axis
+        this.timeTicks(from, to, plotWidth).forEach((tick) => {
+            const x = this.scaleX(tick);
+            this.svg.appendChild(this.element('line', { class: 'chart-grid', x1: x, x2: x, y1: this.plot.top, y2: this.plot.bottom }));
+            const label = this.element('text', { class: 'chart-axis-label', x, y: this.plot.bottom + 18, 'text-anchor': 'middle' });
+            label.textContent = this.formatTick(tick, to - from);
+            this.svg.appendChild(label);
+        });
+
+        // Lines, broken where samples are missing
+        const gap = this.gapThreshold(rows);
+        visibleSeries.forEach((series) => {
+            let d = '';
+            let previous = null;
+            rows.forEach((row) => {
+                const value = this.valueOf(row, series);
+                if (value === null) {
+                    previous = null;
+                    return;
+                }
+                const command = previous === null || row.t - previous > gap ? 'M' : 'L';
+                d += `${command}${this.scaleX(row.t).toFixed(1)},${scaleY(value).toFixed(1)}`;
+                previous = row.t;
+            });
+            const path = this.element('path', { class: `chart-line chart-series-${series.key}${series.dashed ? ' chart-dashed' : ''}`, d });
+            path.style.stroke = `var(--chart-${series.color})`;
+            this.svg.appendChild(path);
+        });
+
+        if (rows.length === 0) {
+            const empty = this.element('text', { class: 'chart-empty', x: (this.plot.left + this.plot.right) / 2, y: this.plot.top + plotHeight / 2, 'text-anchor': 'middle' });
+            empty.textContent = 'No data for this period';
+            this.svg.appendChild(empty);
+        }
+
+        // Hover marker and zoom selection, drawn on top
+        this.cursor = this.element('line', { class: 'chart-cursor hidden', y1: this.plot.top, y2: this.plot.bottom });
+        this.selection = this.element('rect', { class: 'chart-selection hidden', y: this.plot.top, height: plotHeight });
+        this.svg.append(this.cursor, this.selection);
+
+        this.renderLegend();
+    }
+
+    renderLegend() {
+        this.legend.textContent = '';
+        this.series.forEach((series) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `chart-legend-item${this.hidden.has(series.key) ? ' off' : ''}`;
+            const swatch = document.createElement('span');
+            swatch.className = `chart-swatch${series.dashed ? ' chart-dashed' : ''}`;
+            swatch.style.borderColor = `var(--chart-${series.color})`;
+            item.append(swatch, document.createTextNode(series.label));
+            item.addEventListener('click', () => {
+                if (this.hidden.has(series.key)) {
+                    this.hidden.delete(series.key);
+                } else {
+                    this.hidden.add(series.key);
+                }
+                this.render();
+            });
+            this.legend.appendChild(item);
+        });
+    }
+
+    /**
+     * Value range with about five round ticks, and the decimals they need
+     */
+    yScale(rows, seriesList) {
+        let min = Infinity;
+        let max = -Infinity;
+        rows.forEach((row) => {
+            seriesList.forEach((series) => {
+                const value = this.valueOf(row, series);
+                if (value !== null) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            });
+        });
+        if (min === Infinity) {
+            min = 0;
+            max = 1;
+        }
+        if (this.includeZero) {
+            min = Math.min(min, 0);
+        }
+        if (max - min < 1e-9) {
+            max = min + 1;
+        }
+
+        const rough = (max - min) / 5;
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        const step = [1, 2, 2.5, 5, 10]
+            .map((factor) => Number((factor * magnitude).toPrecision(2)))
+            .find((candidate) => candidate >= rough);
+        const low = Math.floor(min / step) * step;
+        const high = Math.ceil(max / step) * step;
+        const ticks = [];
+        for (let tick = low; tick <= high + step / 2; tick += step) {
+            ticks.push(Math.round(tick / step) * step);
+        }
+        const decimals = Math.min((String(step).split('.')[1] || '').length, 3);
+        return [low, high, ticks, decimals];
+    }
+
+    /**
+     * Round time ticks, about one per 100 px
+     */
+    timeTicks(from, to, plotWidth) {
+        const wanted = Math.max(Math.floor(plotWidth / 100), 2);
+        const step = TIME_TICK_STEPS.find((candidate) => (to - from) / candidate <= wanted) || TIME_TICK_STEPS[TIME_TICK_STEPS.length - 1];
+        // Align to local midnight for day steps, to the step otherwise
+        const offset = step >= 24 * 60 * 60 * 1000 ? new Date(from).getTimezoneOffset() * 60 * 1000 : 0;
+        const ticks = [];
+        for (let tick = Math.ceil((from - offset) / step) * step + offset; tick <= to; tick += step) {
+            ticks.push(tick);
+        }
+        return ticks;
+    }
+
+    /**
+     * Samples further apart than this are drawn as a gap
+     */
+    gapThreshold(rows) {
+        if (rows.length < 3) {
+            return Infinity;
+        }
+        const steps = rows.slice(1).map((row, index) => row.t - rows[index].t).sort((a, b) => a - b);
+        return steps[Math.floor(steps.length / 2)] * 5;
+    }
+
+    formatTick(time, span) {
+        const date = new Date(time);
+        if (span > 2 * 24 * 60 * 60 * 1000) {
+            return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        }
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatValue(value) {
+        const digits = Math.abs(value) < 10 && value % 1 !== 0 ? 2 : Math.abs(value) < 100 && value % 1 !== 0 ? 1 : 0;
+        return value.toFixed(digits);
+    }
+
+    element(name, attributes) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.keys(attributes).forEach((key) => element.setAttribute(key, attributes[key]));
+        return element;
+    }
+
+    /**
+     * Pointer position in SVG coordinates
+     */
+    pointerX(event) {
+        const rect = this.svg.getBoundingClientRect();
+        return ((event.clientX - rect.left) / (rect.width || this.width)) * this.width;
+    }
+
+    onPointerDown(event) {
+        const x = this.pointerX(event);
+        if (x < this.plot.left || x > this.plot.right) {
+            return;
+        }
+        this.dragStart = x;
+        this.svg.setPointerCapture(event.pointerId);
+    }
+
+    onPointerMove(event) {
+        const x = Math.min(Math.max(this.pointerX(event), this.plot.left), this.plot.right);
+        if (this.dragStart !== null) {
+            this.selection.classList.remove('hidden');
+            this.selection.setAttribute('x', Math.min(this.dragStart, x));
+            this.selection.setAttribute('width', Math.abs(x - this.dragStart));
+        }
+        this.showTooltip(x);
+    }
+
+    onPointerUp(event) {
+        if (this.dragStart === null) {
+            return;
+        }
+        const x = Math.min(Math.max(this.pointerX(event), this.plot.left), this.plot.right);
+        const start = this.dragStart;
+        this.dragStart = null;
+        this.selection.classList.add('hidden');
+        if (Math.abs(x - start) >= MIN_ZOOM_PX) {
+            this.setZoom(Math.round(this.invertX(Math.min(start, x))), Math.round(this.invertX(Math.max(start, x))));
+        }
+    }
+
+    /**
+     * Show the values of the row nearest to an x position
+     */
+    showTooltip(x) {
+        const rows = this.visibleRows || [];
+        if (rows.length === 0) {
+            this.hideTooltip();
+            return;
+        }
+
+        const time = this.invertX(x);
+        let low = 0;
+        let high = rows.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (rows[middle].t < time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        const row = low > 0 && time - rows[low - 1].t < rows[low].t - time ? rows[low - 1] : rows[low];
+        const rowX = this.scaleX(row.t);
+
+        this.cursor.setAttribute('x1', rowX);
+        this.cursor.setAttribute('x2', rowX);
+        this.cursor.classList.remove('hidden');
+
+        this.tooltip.textContent = '';
+        const title = document.createElement('div');
+        title.className = 'chart-tooltip-time';
+        title.textContent = new Date(row.t).toLocaleString();
+        this.tooltip.appendChild(title);
+        this.series.filter((series) => !this.hidden.has(series.key)).forEach((series) => {
+            const value = this.valueOf(row, series);
+            if (value === null) {
+                return;
+            }
+            const line = document.createElement('div');
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-swatch';
+            swatch.style.borderColor = `var(--chart-${series.color})`;
+            line.append(swatch, document.createTextNode(`${series.label}: ${this.formatValue(value)} ${this.unit}`));
+            this.tooltip.appendChild(line);
+        });
+        this.tooltip.classList.remove('hidden');
+
+        // Keep the tooltip inside the chart, on the side away from the pointer
+        const flip = rowX > this.width / 2;
+        this.tooltip.style.left = flip ? '' : `${rowX + 12}px`;
+        this.tooltip.style.right = flip ? `${this.width - rowX + 12}px` : '';
+    }
+
+    hideTooltip() {
+        this.tooltip.classList.add('hidden');
+        if (this.cursor) {
+            this.cursor.classList.add('hidden');
+        }
+    }
+}
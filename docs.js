@@ -0,0 +1,252 @@
+/**
+ * NRGKick API v1 Documentation
+ *
+ * Renders the OpenAPI document served at /api/v1/openapi.json: every
+ * operation with its parameters, request body and responses, and the
+ * schemas they use. "Try it" sends the request with the browser's login
+ * and shows the answer.
+ */
+
+const METHODS = ['get', 'put', 'post', 'delete'];
+
+/**
+ * Create an element with attributes and children (strings become text)
+ */
+function el(tag, attributes = {}, ...children) {
+    const element = document.createElement(tag);
+    Object.keys(attributes).forEach((name) => {
+        if (name === 'className') {
+            element.className = attributes[name];
+        } else {
+            element.setAttribute(name, attributes[name]);
+        }
+    });
+    children.flat().forEach((child) => {
+        if (child !== null && child !== undefined) {
+            element.append(typeof child === 'string' ? document.createTextNode(child) : child);
+        }
+    });
+    return element;
+}
+
+class ApiDocs {
+    constructor() {
+        this.spec = null;
+        this.titleEl = document.getElementById('docs-title');
+        this.descriptionEl = document.getElementById('docs-description');
+        this.operationsEl = document.getElementById('docs-operations');
+        this.schemasEl = document.getElementById('docs-schemas');
+        this.errorContainer = document.getElementById('error-container');
+        this.errorText = document.getElementById('error-text');
+        document.getElementById('close-error').addEventListener('click', () => this.errorContainer.classList.add('hidden'));
+        this.load();
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/v1/openapi.json', { headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`Loading the API description failed (HTTP ${response.status})`);
+            }
+            this.spec = await response.json();
+            this.render();
+        } catch (error) {
+            this.descriptionEl.textContent = '';
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * The schema a $ref points to, e.g. #/components/schemas/Status
+     */
+    resolve(schema) {
+        if (schema && schema.$ref) {
+            return this.spec.components.schemas[schema.$ref.split('/').pop()];
+        }
+        return schema;
+    }
+
+    /**
+     * Name of the schema a $ref (also inside allOf or array items) points to
+     */
+    refName(schema) {
+        if (!schema) {
+            return null;
+        }
+        if (schema.$ref) {
+            return schema.$ref.split('/').pop();
+        }
+        if (schema.allOf && schema.allOf.length === 1) {
+            return this.refName(schema.allOf[0]);
+        }
+        return null;
+    }
+
+    /**
+     * Short type of a schema: string, integer, Quantity, Phase[], ...
+     */
+    typeOf(schema) {
+        const name = this.refName(schema);
+        let type = name || schema.type || 'object';
+        if (schema.type === 'array' && schema.items) {
+            type = `${this.typeOf(schema.items)}[]`;
+        }
+        if (schema.enum) {
+            type += ` (${schema.enum.join(' | ')})`;
+        }
+        return schema.nullable ? `${type}, nullable` : type;
+    }
+
+    render() {
+        const { info, paths, components } = this.spec;
+        document.title = `${info.title} ${info.version}`;
+        this.titleEl.textContent = `${info.title} ${info.version}`;
+        this.descriptionEl.textContent = info.description || '';
+
+        this.operationsEl.replaceChildren();
+        Object.keys(paths).forEach((path) => {
+            METHODS.filter((method) => paths[path][method]).forEach((method) => {
+                this.operationsEl.append(this.renderOperation(method, path, paths[path][method]));
+            });
+        });
+
+        this.schemasEl.replaceChildren(...Object.keys(components.schemas).map((name) => el('details', { className: 'docs-schema', id: `schema-${name}` },
+            el('summary', {}, el('code', {}, name), components.schemas[name].description ? ` - ${components.schemas[name].description}` : ''),
+            this.renderProperties(components.schemas[name])
+        )));
+    }
+
+    renderOperation(method, path, operation) {
+        const section = el('section', { className: 'panel docs-operation' },
+            el('h2', {},
+                el('span', { className: `docs-method docs-method-${method}` }, method.toUpperCase()),
+                ' ',
+                el('code', {}, path)
+            ),
+            el('p', { className: 'docs-summary' }, operation.summary || ''),
+            operation.description ? el('p', { className: 'docs-description' }, operation.description) : null
+        );
+
+        const parameters = operation.parameters || [];
+        if (parameters.length > 0) {
+            section.append(el('h3', {}, 'Parameters'), el('ul', { className: 'docs-fields' }, parameters.map((parameter) => el('li', {},
+                el('code', {}, parameter.name), ` (${parameter.in}${parameter.required ? ', required' : ''}) `,
+                parameter.description || ''
+            ))));
+        }
+
+        const body = operation.requestBody && operation.requestBody.content['application/json'];
+        if (body) {
+            section.append(el('h3', {}, 'Request body'), this.renderSchemaLink(body.schema), this.renderProperties(body.schema));
+        }
+
+        section.append(el('h3', {}, 'Responses'), el('ul', { className: 'docs-fields' }, Object.keys(operation.responses).map((status) => {
+            const response = operation.responses[status];
+            const content = response.content && response.content['application/json'];
+            return el('li', {},
+                el('code', {}, status), ` ${response.description} `,
+                content ? this.renderSchemaLink(content.schema) : null
+            );
+        })));
+
+        section.append(this.renderTryIt(method, path, parameters, body));
+        return section;
+    }
+
+    /**
+     * Link to the schema section of a $ref, or the inline type
+     */
+    renderSchemaLink(schema) {
+        const name = this.refName(schema) || this.refName(schema.items);
+        if (!name) {
+            return el('span', {}, this.typeOf(schema));
+        }
+        return el('a', { href: `#schema-${name}` }, this.typeOf(schema));
+    }
+
+    /**
+     * Nested list of the properties of an object schema
+     */
+    renderProperties(schema, depth = 0) {
+        const resolved = this.resolve(schema);
+        const properties = (resolved && resolved.properties) || {};
+        const names = Object.keys(properties);
+        if (names.length === 0) {
+            return null;
+        }
+        return el('ul', { className: 'docs-fields' }, names.map((name) => {
+            const property = properties[name];
+            const nested = !this.refName(property) && property.type === 'object' && depth < 3
+                ? this.renderProperties(property, depth + 1)
+                : null;
+            return el('li', {},
+                el('code', {}, name), ' ',
+                el('span', { className: 'docs-type' }, this.refName(property) || this.refName(property.items)
+                    ? this.renderSchemaLink(property)
+                    : this.typeOf(property)),
+                property.description ? ` ${property.description}` : '',
+                nested
+            );
+        }));
+    }
+
+    /**
+     * Inputs for the path parameters and the body, and the answer
+     */
+    renderTryIt(method, path, parameters, body) {
+        const inputs = {};
+        const form = el('form', { className: 'docs-try' });
+        parameters.filter((parameter) => parameter.in === 'path').forEach((parameter) => {
+            inputs[parameter.name] = el('input', { type: 'text', value: parameter.example || '', 'aria-label': parameter.name });
+            form.append(el('label', {}, `${parameter.name} `, inputs[parameter.name]));
+        });
+        let bodyInput = null;
+        if (body) {
+            const example = {};
+            const properties = this.resolve(body.schema).properties || {};
+            Object.keys(properties).filter((name) => properties[name].example !== undefined).slice(0, 1).forEach((name) => {
+                example[name] = properties[name].example;
+            });
+            bodyInput = el('textarea', { rows: '4', 'aria-label': 'Request body' });
+            bodyInput.value = JSON.stringify(example, null, 2);
+            form.append(bodyInput);
+        }
+        const output = el('pre', { className: 'docs-output hidden' });
+        form.append(el('button', { type: 'submit', className: 'btn btn-primary' }, 'Try it'), output);
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const url = path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(inputs[name] ? inputs[name].value : ''));
+            const options = { method: method.toUpperCase(), headers: { Accept: 'application/json' } };
+            if (bodyInput) {
+                options.headers['Content-Type'] = 'application/json';
+                options.body = bodyInput.value;
+            }
+            output.classList.remove('hidden');
+            output.textContent = `${options.method} ${url} ...`;
+            try {
+                const response = await fetch(url, options);
+                const text = await response.text();
+                let formatted = text;
+                try {
+                    formatted = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (err) {
+                    // Not JSON, shown as it is
+                }
+                output.textContent = `${options.method} ${url}\nHTTP ${response.status}\n\n${formatted}`;
+            } catch (error) {
+                output.textContent = `${options.method} ${url}\n${error.message}`;
+            }
+        });
+        return form;
+    }
+
+    showError(message) {
+        this.errorText.textContent = message;
+        this.errorContainer.classList.remove('hidden');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.apiDocs = new ApiDocs();
+});
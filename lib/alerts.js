@@ -0,0 +1,339 @@
+/**
+ * NRGKick Alert Monitor
+ *
+ * Watches the snapshots and errors of a charger's poller and records every
+ * change worth knowing about in a persistent event log:
+ *
+ *   device-error / device-error-cleared      - values.general.error_code
+ *   device-warning / device-warning-cleared  - values.general.warning_code
+ *   rcd-trigger / rcd-trigger-cleared        - values.general.rcd_trigger
+ *   relay-change                             - values.general.relay_state
+ *   connection-lost / connection-restored    - no successful poll for offlineAfterMs
+ *   overtemperature / temperature-normal     - a sensor above its limit, back below
+ *                                              the limit minus the hysteresis
+ *   charge-finished                          - charging ended while not paused
+ *
+ * Emits 'alert' (event) for every recorded event; the server forwards the
+ * events to the configured notifiers.
+ *
+ * Persisted as <file>: { state, events } so a restart neither forgets the
+ * log nor raises the same condition twice.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { describeWarning, describeError } = require('./device-codes');
+
+const STATUS_CONNECTED = 2;
+const STATUS_CHARGING = 3;
+const DEFAULT_MAX_EVENTS = 1000;
+
+const EVENT_TYPES = [
+    'device-error', 'device-error-cleared',
+    'device-warning', 'device-warning-cleared',
+    'rcd-trigger', 'rcd-trigger-cleared',
+    'relay-change',
+    'connection-lost', 'connection-restored',
+    'overtemperature', 'temperature-normal',
+    'charge-finished'
+];
+
+// Temperature sensors and the limit that applies to them
+const SENSOR_LIMITS = [
+    [/^housing$/, 'housingTempMax'],
+    [/^(connector_|domestic_plug_)/, 'connectorTempMax']
+];
+
+/**
+ * Readable sensor name: connector_l1 -> Connector L1
+ */
+function sensorLabel(sensor) {
+    const label = sensor.replace(/_/g, ' ').replace(/\bl(\d)\b/, 'L$1');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+class AlertMonitor extends EventEmitter {
+    constructor({
+        file,
+        chargerId,
+        chargerName = chargerId,
+        offlineAfterMs = 60 * 1000,
+        housingTempMax = 70,
+        connectorTempMax = 60,
+        temperatureHysteresis = 5,
+        maxEvents = DEFAULT_MAX_EVENTS
+    }) {
+        super();
+        this.file = file;
+        this.chargerId = chargerId;
+        this.chargerName = chargerName;
+        this.offlineAfterMs = offlineAfterMs;
+        this.limits = { housingTempMax, connectorTempMax };
+        this.temperatureHysteresis = temperatureHysteresis;
+        this.maxEvents = maxEvents;
+        this.events = []; // Oldest first
+        // Last seen device state; null fields have not been seen yet
+        this.state = {
+            warningCode: null,
+            errorCode: null,
+            rcdTrigger: null,
+            relayState: null,
+            status: null,
+            offline: false,
+            hotSensors: {} // Sensor -> temperature when it went over the limit
+        };
+        this.lastSeenAt = Date.now();
+        this.saveQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the persisted log and device state
+     */
+    async init() {
+        const data = await readJsonFile(this.file, { state: {}, events: [] });
+        this.state = { ...this.state, ...data.state };
+        this.events = Array.isArray(data.events) ? data.events : [];
+    }
+
+    /**
+     * Subscribe to a device poller
+     */
+    attach(poller) {
+        poller.on('data', (snapshot) => this.update(snapshot));
+        poller.on('poll-error', (err) => this.pollFailed(err));
+    }
+
+    /**
+     * Process one poller snapshot
+     */
+    update(snapshot) {
+        const values = snapshot.values || {};
+        const general = values.general || {};
+        const now = snapshot.timestamp;
+        let changed = false;
+
+        if (this.state.offline) {
+            this.state.offline = false;
+            this.record('connection-restored', 'info', 'Charger back online', {
+                message: `Reachable again after ${Math.round((now - this.lastSeenAt) / 1000)} s`
+            });
+            changed = true;
+        }
+        this.lastSeenAt = now;
+
+        if (typeof general.error_code === 'number' && general.error_code !== this.state.errorCode) {
+            this.codeChanged('device-error', 'critical', describeError, this.state.errorCode, general.error_code);
+            this.state.errorCode = general.error_code;
+            changed = true;
+        }
+
+        if (typeof general.warning_code === 'number' && general.warning_code !== this.state.warningCode) {
+            this.codeChanged('device-warning', 'warning', describeWarning, this.state.warningCode, general.warning_code);
+            this.state.warningCode = general.warning_code;
+            changed = true;
+        }
+
+        if (typeof general.rcd_trigger === 'number' && general.rcd_trigger !== this.state.rcdTrigger) {
+            if (general.rcd_trigger !== 0) {
+                this.record('rcd-trigger', 'critical', 'Residual current device tripped', {
+                    code: general.rcd_trigger,
+                    message: `RCD trigger ${general.rcd_trigger}`,
+                    hint: 'Unplug the vehicle and check the vehicle and cable for damage or moisture before charging again.'
+                });
+            } else if (this.state.rcdTrigger) {
+                this.record('rcd-trigger-cleared', 'info', 'Residual current device reset');
+            }
+            this.state.rcdTrigger = general.rcd_trigger;
+            changed = true;
+        }
+
+        if (general.relay_state !== undefined) {
+            const relayState = JSON.stringify(general.relay_state);
+            if (relayState !== this.state.relayState) {
+                if (this.state.relayState !== null) {
+                    this.record('relay-change', 'info', 'Relay state changed', {
+                        message: `Relays: ${this.formatRelayState(general.relay_state)}`
+                    });
+                }
+                this.state.relayState = relayState;
+                changed = true;
+            }
+        }
+
+        changed = this.checkTemperatures(values.temperatures || {}) || changed;
+
+        if (typeof general.status === 'number' && general.status !== this.state.status) {
+            const control = snapshot.control || {};
+            if (this.state.status === STATUS_CHARGING && general.status === STATUS_CONNECTED && control.charge_pause === 0) {
+                const energy = values.energy || {};
+                const kWh = typeof energy.charged_energy === 'number' ? (energy.charged_energy / 1000).toFixed(2) : null;
+                this.record('charge-finished', 'info', 'Charging finished', {
+                    message: kWh !== null ? `${kWh} kWh charged` : ''
+                });
+            }
+            this.state.status = general.status;
+            changed = true;
+        }
+
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * Record a raised or cleared error/warning code
+     * The first code seen after a fresh start is only recorded when it is a fault
+     */
+    codeChanged(type, severity, describeCode, previous, code) {
+        if (code !== 0) {
+            const info = describeCode(code);
+            this.record(type, severity, info.description, { code, hint: info.hint });
+        } else if (previous) {
+            this.record(`${type}-cleared`, 'info', `Cleared: ${describeCode(previous).description}`, { code: previous });
+        }
+    }
+
+    /**
+     * Raise or clear overtemperature per sensor; returns whether anything changed
+     */
+    checkTemperatures(temperatures) {
+        let changed = false;
+        Object.keys(temperatures).forEach((sensor) => {
+            const value = temperatures[sensor];
+            const rule = SENSOR_LIMITS.find(([pattern]) => pattern.test(sensor));
+            const limit = rule ? this.limits[rule[1]] : null;
+            if (typeof value !== 'number' || !limit) {
+                return;
+            }
+
+            const hot = this.state.hotSensors[sensor] !== undefined;
+            if (!hot && value >= limit) {
+                this.state.hotSensors[sensor] = value;
+                this.record('overtemperature', 'warning', `${sensorLabel(sensor)} overtemperature`, {
+                    sensor,
+                    message: `${sensorLabel(sensor)} at ${value.toFixed(1)} °C (limit ${limit} °C)`,
+                    hint: 'Lower the charging current and check the plug and socket for loose contacts.'
+                });
+                changed = true;
+            } else if (hot && value <= limit - this.temperatureHysteresis) {
+                delete this.state.hotSensors[sensor];
+                this.record('temperature-normal', 'info', `${sensorLabel(sensor)} temperature normal`, {
+                    sensor,
+                    message: `${sensorLabel(sensor)} at ${value.toFixed(1)} °C`
+                });
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Raise connection-lost once the charger has been unreachable for offlineAfterMs
+     */
+    pollFailed(err) {
+        if (this.state.offline || Date.now() - this.lastSeenAt < this.offlineAfterMs) {
+            return;
+        }
+        this.state.offline = true;
+        this.record('connection-lost', 'critical', 'Charger unreachable', {
+            message: `No response for ${Math.round((Date.now() - this.lastSeenAt) / 1000)} s: ${err.message}`,
+            hint: 'Check that the charger is powered and on the network, and that its JSON API is enabled.'
+        });
+        this.save();
+    }
+
+    formatRelayState(relayState) {
+        return typeof relayState === 'string' ? relayState || 'open' : JSON.stringify(relayState);
+    }
+
+    /**
+     * Append an event to the log and emit it
+     */
+    record(type, severity, title, details = {}) {
+        const event = {
+            id: crypto.randomUUID(),
+            timestamp: Date.now(),
+            charger: this.chargerId,
+            chargerName: this.chargerName,
+            type,
+            severity,
+            title,
+            message: details.message || '',
+            hint: details.hint || '',
+            code: details.code !== undefined ? details.code : null,
+            sensor: details.sensor || null
+        };
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) {
+            this.events.splice(0, this.events.length - this.maxEvents);
+        }
+        this.emit('alert', event);
+        return event;
+    }
+
+    /**
+     * Conditions that are currently raised
+     */
+    active() {
+        const conditions = [];
+        if (this.state.offline) {
+            conditions.push({ type: 'connection-lost', severity: 'critical', title: 'Charger unreachable', since: this.lastSeenAt });
+        }
+        if (this.state.errorCode) {
+            const info = describeError(this.state.errorCode);
+            conditions.push({ type: 'device-error', severity: 'critical', title: info.description, code: info.code, hint: info.hint });
+        }
+        if (this.state.warningCode) {
+            const info = describeWarning(this.state.warningCode);
+            conditions.push({ type: 'device-warning', severity: 'warning', title: info.description, code: info.code, hint: info.hint });
+        }
+        if (this.state.rcdTrigger) {
+            conditions.push({ type: 'rcd-trigger', severity: 'critical', title: 'Residual current device tripped', code: this.state.rcdTrigger });
+        }
+        Object.keys(this.state.hotSensors).forEach((sensor) => {
+            conditions.push({ type: 'overtemperature', severity: 'warning', title: `${sensorLabel(sensor)} overtemperature`, sensor });
+        });
+        return conditions;
+    }
+
+    /**
+     * Active conditions and the logged events (newest first) within [from, to]
+     */
+    list({ from = 0, to = Infinity, limit = 100, types = null } = {}) {
+        const events = this.events
+            .filter((event) => event.timestamp >= from && event.timestamp <= to)
+            .filter((event) => !types || types.includes(event.type))
+            .slice(-limit)
+            .reverse();
+
+        return {
+            active: this.active(),
+            events
+        };
+    }
+
+    /**
+     * Empty the event log; active conditions stay raised
+     */
+    async clear() {
+        this.events = [];
+        await this.save();
+    }
+
+    /**
+     * Persist the log; saves are serialized so the file is never written twice at once
+     */
+    save() {
+        const data = { state: this.state, events: this.events };
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.file, data))
+            .catch((err) => console.error('Saving alerts failed:', err.message));
+        return this.saveQueue;
+    }
+}
+
+module.exports = {
+    AlertMonitor,
+    EVENT_TYPES
+};
@@ -0,0 +1,262 @@
+/**
+ * NRGKick REST API v1
+ *
+ * Stable, normalized view of a charger for integrations, instead of the raw
+ * JSON of the device (/api/values, /api/info, /api/control):
+ *   - camelCase names that do not follow the device's nesting
+ *   - Measurements as { value, unit } in fixed units: power in kW, energy in
+ *     kWh, current in A, voltage in V, frequency in Hz, temperatures in °C,
+ *     durations in s; null when the device does not report them
+ *   - Status codes as names, warning and error codes with their description
+ *
+ * The shapes are described by the OpenAPI document (lib/openapi.js); fields
+ * are only ever added within v1.
+ */
+
+const { ValidationError } = require('./errors');
+const { describeWarning, describeError } = require('./device-codes');
+
+const STATES = {
+    0: 'unknown',
+    1: 'standby',
+    2: 'connected',
+    3: 'charging',
+    6: 'error',
+    7: 'wakeup'
+};
+const STATUS_CONNECTED = 2;
+
+// v1 control fields and the device fields they write
+const CONTROL_FIELDS = {
+    chargingPaused: 'charge_pause',
+    currentLimit: 'current_set',
+    phases: 'phase_count',
+    energyLimit: 'energy_limit'
+};
+
+/**
+ * A measurement as { value, unit }, or null when it is not a number
+ * scale: factor from the device's unit, e.g. 0.001 for W -> kW
+ */
+function quantity(value, unit, scale = 1, digits = 3) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return null;
+    }
+    return { value: Number((value * scale).toFixed(digits)), unit };
+}
+
+function numberOrNull(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function stringOrNull(value) {
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * Name of a device status code
+ */
+function stateName(code) {
+    return typeof code === 'number' && STATES[code] ? STATES[code] : 'unknown';
+}
+
+/**
+ * Readable sensor name: connector_l1 -> Connector L1
+ */
+function sensorName(sensor) {
+    const name = sensor.replace(/_/g, ' ').replace(/\bl(\d)\b/, 'L$1');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * A warning or error code with its description, null for 0 or when not reported
+ */
+function fault(code, describe) {
+    if (typeof code !== 'number' || code === 0) {
+        return null;
+    }
+    const { name, description, hint } = describe(code);
+    return { code, name, description, hint };
+}
+
+/**
+ * Status from a poll snapshot { timestamp, control, values }
+ */
+function normalizeStatus(charger, snapshot) {
+    const values = snapshot.values || {};
+    const control = snapshot.control || {};
+    const general = values.general || {};
+    const energy = values.energy || {};
+    const powerflow = values.powerflow || {};
+    const temperatures = values.temperatures || {};
+    const code = numberOrNull(general.status);
+
+    return {
+        charger: { id: charger.id, name: charger.name },
+        updatedAt: snapshot.timestamp,
+        state: stateName(code),
+        stateCode: code,
+        vehicleConnected: code === null ? null : code >= STATUS_CONNECTED,
+        charging: code === null ? null : code === 3,
+        chargingPaused: typeof control.charge_pause === 'number' ? control.charge_pause === 1 : null,
+        chargePermitted: typeof general.charge_permitted === 'number' ? general.charge_permitted === 1 : null,
+        power: quantity(powerflow.total_active_power, 'kW', 0.001),
+        peakPower: quantity(powerflow.peak_power, 'kW', 0.001),
+        reactivePower: quantity(powerflow.total_reactive_power, 'kvar', 0.001),
+        apparentPower: quantity(powerflow.total_apparent_power, 'kVA', 0.001),
+        powerFactor: numberOrNull(powerflow.total_power_factor),
+        current: quantity(powerflow.charging_current, 'A', 1, 2),
+        voltage: quantity(powerflow.charging_voltage, 'V', 1, 1),
+        frequency: quantity(powerflow.grid_frequency, 'Hz', 1, 2),
+        energy: {
+            session: quantity(energy.charged_energy, 'kWh', 0.001),
+            total: quantity(energy.total_charged_energy, 'kWh', 0.001)
+        },
+        connectedTime: quantity(general.vehicle_connect_time, 's', 1, 0),
+        chargingTime: quantity(general.vehicle_charging_time, 's', 1, 0),
+        phases: ['l1', 'l2', 'l3'].map((phase) => {
+            const data = powerflow[phase] || {};
+            return {
+                phase: phase.toUpperCase(),
+                voltage: quantity(data.voltage, 'V', 1, 1),
+                current: quantity(data.current, 'A', 1, 2),
+                power: quantity(data.active_power, 'kW', 0.001),
+                reactivePower: quantity(data.reactive_power, 'kvar', 0.001),
+                apparentPower: quantity(data.apparent_power, 'kVA', 0.001),
+                powerFactor: numberOrNull(data.power_factor)
+            };
+        }),
+        neutralCurrent: quantity((powerflow.n || {}).current, 'A', 1, 2),
+        temperatures: Object.keys(temperatures).sort().map((sensor) => ({
+            sensor,
+            name: sensorName(sensor),
+            ...(quantity(temperatures[sensor], '°C', 1, 1) || { value: null, unit: '°C' })
+        })),
+        faults: {
+            error: fault(general.error_code, describeError),
+            warning: fault(general.warning_code, describeWarning),
+            rcdTriggered: typeof general.rcd_trigger === 'number' ? general.rcd_trigger !== 0 : null
+        }
+    };
+}
+
+/**
+ * Device information from /info
+ */
+function normalizeInfo(charger, info) {
+    const general = info.general || {};
+    const connector = info.connector || {};
+    const grid = info.grid || {};
+    const network = info.network || {};
+    const versions = info.versions || {};
+
+    return {
+        charger: { id: charger.id, name: charger.name },
+        serialNumber: stringOrNull(general.serial_number),
+        deviceName: stringOrNull(general.device_name),
+        model: stringOrNull(general.model_type),
+        apiVersion: stringOrNull(general.json_api_version),
+        ratedCurrent: quantity(general.rated_current, 'A', 1, 1),
+        connector: {
+            type: stringOrNull(connector.type),
+            serialNumber: stringOrNull(connector.serial),
+            phases: numberOrNull(connector.phase_count),
+            maxCurrent: quantity(connector.max_current, 'A', 1, 1)
+        },
+        grid: {
+            voltage: quantity(grid.voltage, 'V', 1, 1),
+            frequency: quantity(grid.frequency, 'Hz', 1, 2),
+            phases: stringOrNull(grid.phases)
+        },
+        network: {
+            ipAddress: stringOrNull(network.ip_address),
+            macAddress: stringOrNull(network.mac_address),
+            ssid: stringOrNull(network.ssid),
+            signalStrength: quantity(network.rssi, 'dBm', 1, 0)
+        },
+        versions: {
+            software: stringOrNull(versions.sw_sm || versions.smartmodule),
+            hardware: stringOrNull(versions.hw_sm)
+        }
+    };
+}
+
+/**
+ * Control settings from /control and the limits writes are checked
+ * against (see controlLimits)
+ */
+function normalizeControl(charger, control, limits) {
+    return {
+        charger: { id: charger.id, name: charger.name },
+        chargingPaused: typeof control.charge_pause === 'number' ? control.charge_pause === 1 : null,
+        currentLimit: quantity(control.current_set, 'A', 1, 1),
+        phases: numberOrNull(control.phase_count),
+        // 0 on the device means no limit
+        energyLimit: control.energy_limit ? quantity(control.energy_limit, 'kWh', 0.001) : null,
+        limits: {
+            currentLimit: { min: limits.minCurrent, max: limits.maxCurrent, unit: 'A' },
+            phases: { min: 1, max: limits.maxPhases },
+            phaseSwitching: limits.phaseSwitching
+        }
+    };
+}
+
+/**
+ * Translate a v1 control body to the device fields validateControl()
+ * checks: { chargingPaused, currentLimit (A), phases, energyLimit (kWh, null = none) }
+ */
+function controlFromV1(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+    const errors = [];
+    const changes = {};
+    Object.keys(body).forEach((field) => {
+        if (!CONTROL_FIELDS[field]) {
+            errors.push({ field, message: `Unknown field, use one of: ${Object.keys(CONTROL_FIELDS).join(', ')}` });
+            return;
+        }
+        let value = body[field];
+        if (field === 'energyLimit') {
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                errors.push({ field, message: 'Must be a number of kWh, 0 or null for no limit' });
+                return;
+            }
+            value = value === null ? 0 : Math.round(value * 1000);
+        }
+        changes[CONTROL_FIELDS[field]] = value;
+    });
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid control request', errors);
+    }
+    return changes;
+}
+
+/**
+ * Name the v1 fields in the details of a validateControl() error
+ */
+function controlErrorToV1(err) {
+    if (err instanceof ValidationError) {
+        const names = {};
+        Object.keys(CONTROL_FIELDS).forEach((field) => {
+            names[CONTROL_FIELDS[field]] = field;
+        });
+        if (err.details) {
+            err.details = err.details.map((detail) => ({ ...detail, field: names[detail.field] || detail.field }));
+        }
+        err.message = err.message.replace(/current_set|charge_pause|phase_count|energy_limit/g, (field) => names[field]);
+    }
+    return err;
+}
+
+module.exports = {
+    normalizeStatus,
+    normalizeInfo,
+    normalizeControl,
+    controlFromV1,
+    controlErrorToV1,
+    stateName,
+    quantity,
+    CONTROL_FIELDS,
+    STATES
+};
@@ -0,0 +1,142 @@
+/**
+ * NRGKick Control Audit Log
+ *
+ * Records every write to a charger's /control settings with who or what
+ * asked for it, the values before and after, and whether the device
+ * accepted it. Sources:
+ *   user          - POST /api/v2/control (user, client address)
+ *   proxy         - /api/control?... through the passthrough (PROXY_WRITES)
+ *   scheduler     - Charging schedules
+ *   solar         - Solar surplus charging
+ *   planner       - Departure charging
+ *   load-balancer - Load management
+ *   mqtt          - MQTT command topics
+ *
+ * Entry: { id, timestamp, charger, source, user, ip, reason,
+ *          changes: [{ field, from, to }], result: 'ok' | 'error', error }
+ *
+ * Emits 'entry' (entry) for every recorded write.
+ * Persisted as <file>: { entries }, oldest first.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const SOURCES = ['user', 'proxy', 'scheduler', 'solar', 'planner', 'load-balancer', 'mqtt'];
+const CSV_COLUMNS = ['time', 'charger', 'source', 'user', 'ip', 'reason', 'changes', 'result', 'error'];
+
+/**
+ * Quote a CSV cell; text starting with a formula character is prefixed
+ * with ' so spreadsheets do not evaluate it
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLog extends EventEmitter {
+    constructor({ file, chargerId, maxEntries = DEFAULT_MAX_ENTRIES }) {
+        super();
+        this.file = file;
+        this.chargerId = chargerId;
+        this.maxEntries = maxEntries;
+        this.entries = []; // Oldest first
+        this.saveQueue = Promise.resolve();
+    }
+
+    async init() {
+        const data = await readJsonFile(this.file, { entries: [] });
+        this.entries = Array.isArray(data.entries) ? data.entries : [];
+    }
+
+    /**
+     * Record the control writes of a device (see NRGKickDevice.setControl)
+     */
+    attach(device) {
+        device.on('control-write', (write) => this.record(write));
+    }
+
+    /**
+     * Record one write attempt
+     * write: { params, previous, control, error, source: { type, user, ip, reason } }
+     */
+    record({ params, previous = null, error = null, source = null }) {
+        const origin = source || {};
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: Date.now(),
+            charger: this.chargerId,
+            source: origin.type || 'unknown',
+            user: origin.user || null,
+            ip: origin.ip || null,
+            reason: origin.reason || '',
+            changes: Object.keys(params).map((field) => ({
+                field,
+                from: previous && previous[field] !== undefined ? previous[field] : null,
+                to: params[field]
+            })),
+            result: error ? 'error' : 'ok',
+            error: error ? error.message : ''
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+        this.emit('entry', entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Entries within [from, to], newest first
+     * sources: list of sources to keep; user: username; result: 'ok' or 'error'
+     */
+    list({ from = 0, to = Infinity, limit = 100, sources = null, user = null, result = null } = {}) {
+        return this.entries
+            .filter((entry) => entry.timestamp >= from && entry.timestamp <= to)
+            .filter((entry) => !sources || sources.includes(entry.source))
+            .filter((entry) => !user || entry.user === user)
+            .filter((entry) => !result || entry.result === result)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Entries as CSV, one line per write
+     */
+    static toCsv(entries) {
+        const lines = entries.map((entry) => [
+            new Date(entry.timestamp).toISOString(),
+            entry.charger,
+            entry.source,
+            entry.user,
+            entry.ip,
+            entry.reason,
+            entry.changes.map((change) => `${change.field}: ${change.from === null ? '?' : change.from} -> ${change.to}`).join('; '),
+            entry.result,
+            entry.error
+        ].map(csvCell).join(','));
+        return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Persist the log; saves are serialized so the file is never written twice at once
+     */
+    save() {
+        const data = { entries: this.entries };
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.file, data))
+            .catch((err) => console.error('Saving the audit log failed:', err.message));
+        return this.saveQueue;
+    }
+}
+
+module.exports = {
+    AuditLog,
+    SOURCES
+};
@@ -0,0 +1,433 @@
+/**
+ * NRGKick Interface Authentication
+ *
+ * Local user accounts for the web interface, with scrypt password hashes,
+ * session cookies and roles. Each role includes the rights of the ones
+ * before it:
+ *   viewer   - Read status, history, sessions, schedules and settings
+ *   operator - Start/stop charging, current and energy limits, departure
+ *              plans and solar surplus charging
+ *   admin    - Phases, schedules, tariffs, load management, alerts and users
+ *
+ * Requests authenticate with the session cookie set by login(), or with
+ * HTTP Basic credentials of a user (scripts, Prometheus). The first admin
+ * account is created on the server itself, or elsewhere with the one-time
+ * token of createSetupToken().
+ *
+ * Events: 'login' (user, ip), 'login-failed' (username, ip), 'logout' (user)
+ *
+ * Persisted in <dir>:
+ *   users.json          - { users: [{ username, role, passwordHash, createdAt }] }
+ *   auth-sessions.json  - { sessions: [{ tokenHash, username, expiresAt }] }
+ * Only a SHA-256 hash of each session token is stored.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const { promisify } = require('util');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { ValidationError, NotFoundError, UnauthorizedError, ForbiddenError, TooManyRequestsError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const COOKIE_NAME = 'nrgkick_session';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.@-]{1,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 10; // Per client address within LOGIN_WINDOW_MS
+
+/**
+ * Hash a password: scrypt$<salt>$<key>, both base64
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, key] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !key) {
+        return false;
+    }
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse a Cookie header into { name: value }
+ */
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (err) {
+                // Skip a malformed cookie
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Whether `role` includes the rights of `required`
+ */
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Public view of a user, without the password hash
+ */
+function publicUser(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+class AuthService extends EventEmitter {
+    constructor({ dir, enabled = true, sessionTtlMs = DEFAULT_SESSION_TTL_MS }) {
+        super();
+        this.usersFile = path.join(dir, 'users.json');
+        this.sessionsFile = path.join(dir, 'auth-sessions.json');
+        this.enabled = enabled;
+        this.sessionTtlMs = sessionTtlMs;
+        this.users = [];
+        this.sessions = new Map(); // Token hash -> { username, expiresAt }
+        this.failures = new Map(); // Client address -> { count, since }
+        this.saveQueue = Promise.resolve();
+        this.setupToken = null; // Lets setup() create the admin account from another machine
+    }
+
+    /**
+     * Load users and sessions; dropping the expired sessions
+     */
+    async init() {
+        const users = await readJsonFile(this.usersFile, { users: [] });
+        this.users = Array.isArray(users.users) ? users.users : [];
+
+        const sessions = await readJsonFile(this.sessionsFile, { sessions: [] });
+        const now = Date.now();
+        (sessions.sessions || []).forEach((session) => {
+            if (session.expiresAt > now) {
+                this.sessions.set(session.tokenHash, { username: session.username, expiresAt: session.expiresAt });
+            }
+        });
+    }
+
+    /**
+     * True until the first admin account exists
+     */
+    get setupRequired() {
+        return this.enabled && this.users.length === 0;
+    }
+
+    /**
+     * A new one-time token for setup(), for the server to print to its log
+     */
+    createSetupToken() {
+        this.setupToken = crypto.randomBytes(18).toString('base64url');
+        return this.setupToken;
+    }
+
+    /**
+     * Create the first admin account; refused once any user exists, and
+     * unless it is asked for on the server itself (local) or with the setup token
+     */
+    async setup({ username, password, token = null }, { local = false } = {}) {
+        const user = await this.create({ username, password, role: 'admin' }, () => {
+            if (this.users.length > 0) {
+                throw new ForbiddenError('The admin account already exists');
+            }
+            if (!local && !(this.setupToken && typeof token === 'string' && hashToken(token) === hashToken(this.setupToken))) {
+                throw new ForbiddenError('Create the admin account on the server itself, or enter the setup token from the server log');
+            }
+        });
+        this.setupToken = null;
+        return user;
+    }
+
+    /**
+     * Check credentials and open a session
+     * Resolves with { token, user, expiresAt }
+     */
+    async login(username, password, ip = '') {
+        this.checkThrottle(ip);
+        const user = this.users.find((candidate) => candidate.username === username);
+        const valid = user ? await verifyPassword(String(password || ''), user.passwordHash) : false;
+        if (!valid) {
+            this.recordFailure(ip);
+            this.emit('login-failed', String(username || ''), ip);
+            throw new UnauthorizedError('Wrong username or password');
+        }
+        this.failures.delete(ip);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.sessionTtlMs;
+        this.sessions.set(hashToken(token), { username: user.username, expiresAt });
+        await this.saveSessions();
+        this.emit('login', publicUser(user), ip);
+        return { token, user: publicUser(user), expiresAt };
+    }
+
+    /**
+     * End the session of a request
+     */
+    async logout(req) {
+        const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        const session = token ? this.sessions.get(hashToken(token)) : null;
+        if (session) {
+            this.sessions.delete(hashToken(token));
+            await this.saveSessions();
+            this.emit('logout', { username: session.username });
+        }
+    }
+
+    checkThrottle(ip) {
+        const entry = this.failures.get(ip);
+        if (entry && Date.now() - entry.since < LOGIN_WINDOW_MS && entry.count >= MAX_LOGIN_FAILURES) {
+            throw new TooManyRequestsError('Too many failed logins, try again later');
+        }
+    }
+
+    recordFailure(ip) {
+        const entry = this.failures.get(ip);
+        if (!entry || Date.now() - entry.since >= LOGIN_WINDOW_MS) {
+            this.failures.set(ip, { count: 1, since: Date.now() });
+        } else {
+            entry.count += 1;
+        }
+    }
+
+    /**
+     * The user a request is signed in as, or null
+     * Sessions are extended once less than half of their lifetime is left
+     */
+    async authenticate(req) {
+        const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        if (token) {
+            const tokenHash = hashToken(token);
+            const session = this.sessions.get(tokenHash);
+            const user = session && this.users.find((candidate) => candidate.username === session.username);
+            if (session && user && session.expiresAt > Date.now()) {
+                if (session.expiresAt - Date.now() < this.sessionTtlMs / 2) {
+                    session.expiresAt = Date.now() + this.sessionTtlMs;
+                    this.saveSessions();
+                }
+                return publicUser(user);
+            }
+            if (session) {
+                this.sessions.delete(tokenHash);
+            }
+        }
+
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Basic ')) {
+            const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            const username = decoded.slice(0, separator);
+            const ip = req.socket.remoteAddress || '';
+            this.checkThrottle(ip);
+            const user = this.users.find((candidate) => candidate.username === username);
+            if (separator > 0 && user && await verifyPassword(decoded.slice(separator + 1), user.passwordHash)) {
+                return publicUser(user);
+            }
+            this.recordFailure(ip);
+        }
+        return null;
+    }
+
+    /**
+     * Require a role for a request; sets req.user
+     * Rejects with 401 without a valid login and 403 with a lower role
+     */
+    async authorize(req, role) {
+        if (!this.enabled) {
+            req.user = null;
+            return null;
+        }
+        const user = await this.authenticate(req);
+        if (!user) {
+            throw new UnauthorizedError(this.setupRequired ? 'Create the admin account first' : 'Login required');
+        }
+        req.user = user;
+        if (!hasRole(user.role, role)) {
+            throw new ForbiddenError(`This needs the ${role} role, you are ${user.role}`);
+        }
+        return user;
+    }
+
+    /**
+     * Set-Cookie value for a session token; secure on HTTPS connections
+     */
+    sessionCookie(token, expiresAt, secure) {
+        const maxAge = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+        return `${COOKIE_NAME}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+
+    clearCookie() {
+        return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+
+    list() {
+        return this.users.map(publicUser);
+    }
+
+    /**
+     * Add a user: { username, password, role }
+     * check: optional precondition that throws, run before and after hashing
+     */
+    async create({ username, password, role = 'viewer' }, check = () => {}) {
+        check();
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new ValidationError("username must be 1-40 letters, digits, '.', '_', '-' or '@'");
+        }
+        this.checkUnused(username);
+        AuthService.validatePassword(password);
+        AuthService.validateRole(role);
+
+        const passwordHash = await hashPassword(password);
+        // Checked again: a concurrent request may have added a user while hashing
+        check();
+        this.checkUnused(username);
+        const user = { username, role, passwordHash, createdAt: Date.now() };
+        this.users.push(user);
+        await this.saveUsers();
+        return publicUser(user);
+    }
+
+    /**
+     * Change the role and/or password of a user; a new password signs the
+     * user out everywhere
+     */
+    async update(username, { role, password }) {
+        const user = this.find(username);
+        if (role !== undefined) {
+            AuthService.validateRole(role);
+            if (user.role === 'admin' && role !== 'admin' && this.adminCount() === 1) {
+                throw new ValidationError('The last admin cannot lose the admin role');
+            }
+        }
+        if (password !== undefined) {
+            AuthService.validatePassword(password);
+            user.passwordHash = await hashPassword(password);
+            this.dropSessions(username);
+        }
+        if (role !== undefined) {
+            user.role = role;
+        }
+        await this.saveUsers();
+        return publicUser(user);
+    }
+
+    /**
+     * Change one's own password; other sessions of the user end
+     */
+    async changePassword(req, currentPassword, newPassword) {
+        const user = this.find(req.user.username);
+        if (!await verifyPassword(String(currentPassword || ''), user.passwordHash)) {
+            throw new ValidationError('The current password is wrong');
+        }
+        AuthService.validatePassword(newPassword);
+        user.passwordHash = await hashPassword(newPassword);
+
+        const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        this.dropSessions(user.username, token ? hashToken(token) : null);
+        await this.saveUsers();
+    }
+
+    async remove(username) {
+        const user = this.find(username);
+        if (user.role === 'admin' && this.adminCount() === 1) {
+            throw new ValidationError('The last admin cannot be deleted');
+        }
+        this.users = this.users.filter((candidate) => candidate !== user);
+        this.dropSessions(username);
+        await this.saveUsers();
+    }
+
+    find(username) {
+        const user = this.users.find((candidate) => candidate.username === username);
+        if (!user) {
+            throw new NotFoundError(`User '${username}' not found`);
+        }
+        return user;
+    }
+
+    adminCount() {
+        return this.users.filter((user) => user.role === 'admin').length;
+    }
+
+    /**
+     * End all sessions of a user, except the one with `keepHash`
+     */
+    dropSessions(username, keepHash = null) {
+        this.sessions.forEach((session, tokenHash) => {
+            if (session.username === username && tokenHash !== keepHash) {
+                this.sessions.delete(tokenHash);
+            }
+        });
+        this.saveSessions();
+    }
+
+    checkUnused(username) {
+        if (this.users.some((user) => user.username === username)) {
+            throw new ValidationError(`User '${username}' already exists`);
+        }
+    }
+
+    static validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new ValidationError(`password must have at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    static validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    saveUsers() {
+        const data = { users: this.users };
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.usersFile, data, { mode: 0o600 })) // Password hashes
+            .catch((err) => console.error('Saving users failed:', err.message));
+        return this.saveQueue;
+    }
+
+    saveSessions() {
+        const now = Date.now();
+        const sessions = [];
+        this.sessions.forEach((session, tokenHash) => {
+            if (session.expiresAt > now) {
+                sessions.push({ tokenHash, ...session });
+            }
+        });
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.sessionsFile, { sessions }, { mode: 0o600 }))
+            .catch((err) => console.error('Saving login sessions failed:', err.message));
+        return this.saveQueue;
+    }
+}
+
+module.exports = {
+    AuthService,
+    ROLES,
+    hasRole,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,147 @@
+/**
+ * TLS Certificates
+ *
+ * Loads the certificate and private key of the HTTPS server from PEM files
+ * and reloads them into the running server when either file changes, so a
+ * renewed certificate (e.g. from certbot or acme.sh) is used without a
+ * restart. With selfSigned set, a self-signed certificate is generated into
+ * the files on the first start when they do not exist yet.
+ *
+ * Emits 'reload' (info) after a certificate was loaded into the server and
+ * 'reload-error' (err) when changed files could not be used; the previous
+ * certificate then stays in use.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+const SELF_SIGNED_DAYS = 825; // Longest lifetime browsers accept
+const WATCH_INTERVAL_MS = 5000;
+const RELOAD_DELAY_MS = 1000; // Certificate and key are often written one after the other
+
+class TlsCertificates extends EventEmitter {
+    /**
+     * certFile, keyFile: PEM files
+     * selfSigned: generate the files when they are missing
+     * hostnames: names and addresses in a generated certificate (default: this host and localhost)
+     */
+    constructor({ certFile, keyFile, selfSigned = false, hostnames = [] }) {
+        super();
+        this.certFile = certFile;
+        this.keyFile = keyFile;
+        this.selfSigned = selfSigned;
+        this.hostnames = hostnames.length > 0 ? hostnames : [os.hostname(), 'localhost', '127.0.0.1', '::1'];
+        this.cert = null;
+        this.key = null;
+        this.reloadTimer = null;
+        this.watching = false;
+    }
+
+    /**
+     * Read the certificate and key, generating them first when needed
+     * Returns { cert, key } for https.createServer
+     */
+    async init() {
+        if (this.selfSigned && !fs.existsSync(this.certFile) && !fs.existsSync(this.keyFile)) {
+            await this.generate();
+        }
+        await this.load();
+        return { cert: this.cert, key: this.key };
+    }
+
+    /**
+     * Read both files and check that they belong together
+     */
+    async load() {
+        const [cert, key] = await Promise.all([
+            fs.promises.readFile(this.certFile),
+            fs.promises.readFile(this.keyFile)
+        ]);
+        tls.createSecureContext({ cert, key }); // Throws on a bad file or a key of another certificate
+        this.cert = cert;
+        this.key = key;
+    }
+
+    /**
+     * Generate a self-signed certificate for this.hostnames
+     */
+    async generate() {
+        // Loaded on demand so the server runs without selfsigned when it is not used
+        const selfsigned = require('selfsigned');
+        const altNames = this.hostnames.map((name) => {
+            return /^[\d.]+$|:/.test(name) ? { type: 7, ip: name } : { type: 2, value: name };
+        });
+        const pems = selfsigned.generate([{ name: 'commonName', value: this.hostnames[0] }], {
+            days: SELF_SIGNED_DAYS,
+            keySize: 2048,
+            algorithm: 'sha256',
+            extensions: [
+                { name: 'basicConstraints', cA: false },
+                { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+                { name: 'extKeyUsage', serverAuth: true },
+                { name: 'subjectAltName', altNames }
+            ]
+        });
+        await fs.promises.mkdir(path.dirname(this.certFile), { recursive: true });
+        await fs.promises.mkdir(path.dirname(this.keyFile), { recursive: true });
+        await fs.promises.writeFile(this.keyFile, pems.private, { mode: 0o600 });
+        await fs.promises.writeFile(this.certFile, pems.cert);
+        console.log(`Generated a self-signed certificate for ${this.hostnames.join(', ')} in ${this.certFile}`);
+    }
+
+    /**
+     * Subject, names and validity of the loaded certificate
+     */
+    info() {
+        const certificate = new crypto.X509Certificate(this.cert);
+        return {
+            subject: certificate.subject,
+            names: certificate.subjectAltName || '',
+            validTo: new Date(certificate.validTo).toISOString(),
+            fingerprint: certificate.fingerprint256
+        };
+    }
+
+    /**
+     * Reload the certificate into `server` whenever one of the files changes
+     */
+    watch(server) {
+        const onChange = (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) {
+                return;
+            }
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.reload(server), RELOAD_DELAY_MS);
+        };
+        fs.watchFile(this.certFile, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+        fs.watchFile(this.keyFile, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+        this.watching = true;
+    }
+
+    async reload(server) {
+        try {
+            await this.load();
+            server.setSecureContext({ cert: this.cert, key: this.key });
+            this.emit('reload', this.info());
+        } catch (err) {
+            this.emit('reload-error', err);
+        }
+    }
+
+    stop() {
+        clearTimeout(this.reloadTimer);
+        if (this.watching) {
+            fs.unwatchFile(this.certFile);
+            fs.unwatchFile(this.keyFile);
+            this.watching = false;
+        }
+    }
+}
+
+module.exports = {
+    TlsCertificates
+};
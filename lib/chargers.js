@@ -0,0 +1,290 @@
+/**
+ * NRGKick Charger Registry
+ *
+ * Holds the configured chargers and the server-side services of each one
+ * (device client, poller, history, sessions, scheduler, ...).
+ *
+ * Chargers are configured, in order of precedence, with:
+ *   NRGKICK_CHARGERS       - JSON array of chargers
+ *   NRGKICK_CHARGERS_FILE  - Path to a JSON file holding the same array
+ *   NRGKICK_IP             - A single charger (id 'default')
+ *
+ * Charger entry: { "id": "garage-left", "name": "Garage left",
+ *                  "ip": "192.168.1.101", "user": "admin", "pass": "secret",
+ *                  "priority": 1, "maxCurrent": 16 }
+ * priority and maxCurrent are used by load management (optional).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NRGKickDevice, buildAuthHeader } = require('./device');
+const { NotFoundError } = require('./errors');
+
+const DEFAULT_CHARGER_ID = 'default';
+const ID_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+
+/**
+ * Validate and normalize the charger list
+ * Throws an Error describing the first invalid entry
+ */
+function normalizeChargerConfigs(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('Charger list must be a non-empty JSON array');
+    }
+
+    const ids = new Set();
+    return list.map((entry, index) => {
+        const id = String(entry.id || '');
+        if (!ID_PATTERN.test(id)) {
+            throw new Error(`Charger #${index + 1}: id must be 1-40 letters, digits, '-' or '_'`);
+        }
+        if (ids.has(id)) {
+            throw new Error(`Charger #${index + 1}: duplicate id '${id}'`);
+        }
+        if (!entry.ip || typeof entry.ip !== 'string') {
+            throw new Error(`Charger '${id}': ip is required`);
+        }
+        if (entry.priority !== undefined && entry.priority !== null && !Number.isInteger(entry.priority)) {
+            throw new Error(`Charger '${id}': priority must be an integer`);
+        }
+        if (entry.maxCurrent !== undefined && entry.maxCurrent !== null && (!Number.isInteger(entry.maxCurrent) || entry.maxCurrent < 6 || entry.maxCurrent > 32)) {
+            throw new Error(`Charger '${id}': maxCurrent must be an integer between 6 and 32`);
+        }
+        ids.add(id);
+
+        return {
+            id,
+            name: entry.name ? String(entry.name) : id,
+            ip: entry.ip,
+            username: entry.user || entry.username || '',
+            password: entry.pass || entry.password || '',
+            priority: entry.priority || 0,
+            maxCurrent: entry.maxCurrent || null
+        };
+    });
+}
+
+/**
+ * Read the charger configuration from the environment
+ * Returns an empty list when nothing is configured
+ */
+function loadChargerConfigs(env = process.env) {
+    if (env.NRGKICK_CHARGERS) {
+        return normalizeChargerConfigs(JSON.parse(env.NRGKICK_CHARGERS));
+    }
+    if (env.NRGKICK_CHARGERS_FILE) {
+        const content = JSON.parse(fs.readFileSync(env.NRGKICK_CHARGERS_FILE, 'utf8'));
+        return normalizeChargerConfigs(Array.isArray(content) ? content : content.chargers);
+    }
+    if (env.NRGKICK_IP) {
+        return normalizeChargerConfigs([{
+            id: DEFAULT_CHARGER_ID,
+            name: 'NRGKick',
+            ip: env.NRGKICK_IP,
+            user: env.NRGKICK_USER,
+            pass: env.NRGKICK_PASS
+        }]);
+    }
+    return [];
+}
+
+class Charger {
+    constructor({ id, name, ip, username, password, priority = 0, maxCurrent = null }, { dataDir, timeoutMs }) {
+        this.id = id;
+        this.name = name;
+        this.ip = ip;
+        this.username = username;
+        this.password = password;
+        this.priority = priority;
+        this.maxCurrent = maxCurrent; // Load management ceiling, null = the site default
+        // The single-charger setup keeps its data where it always was
+        this.dataDir = id === DEFAULT_CHARGER_ID ? dataDir : path.join(dataDir, 'chargers', id);
+        this.device = new NRGKickDevice({ ip, username, password, timeoutMs });
+
+        // Services, created by the server at startup
+        this.poller = null;
+        this.historyStore = null;
+        this.sessionTracker = null;
+        this.alertMonitor = null;
+        this.auditLog = null;
+        this.scheduler = null;
+        this.solarController = null;
+        this.planner = null;
+        this.mqttBridge = null;
+    }
+
+    /**
+     * Take over a changed configuration (same id): address, credentials,
+     * name and load management settings apply from the next request
+     */
+    update({ name, ip, username, password, priority = 0, maxCurrent = null }) {
+        this.name = name;
+        this.ip = ip;
+        this.username = username;
+        this.password = password;
+        this.priority = priority;
+        this.maxCurrent = maxCurrent;
+        this.device.configure({ ip, username, password });
+    }
+
+    get hasAuth() {
+        return !!(this.username && this.password);
+    }
+
+    /**
+     * Authorization header from the configured credentials, or null
+     */
+    authHeader() {
+        return buildAuthHeader(this.username, this.password);
+    }
+
+    /**
+     * The device's /info, cached by the device client
+     * options: request options, e.g. { authHeader } of the client
+     */
+    getInfo(options) {
+        return this.device.getInfo(options);
+    }
+
+    /**
+     * Public description, without credentials
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            ip: this.ip,
+            hasAuth: this.hasAuth,
+            priority: this.priority
+        };
+    }
+
+    /**
+     * Description plus the latest polled status, for the overview
+     */
+    overview() {
+        const latest = this.poller ? this.poller.latest : null;
+        const values = latest ? latest.values || {} : {};
+        const control = latest ? latest.control || {} : {};
+        const general = values.general || {};
+        const powerflow = values.powerflow || {};
+        const energy = values.energy || {};
+
+        return {
+            ...this.toJSON(),
+            online: !!(this.poller && latest && !this.poller.lastError),
+            lastUpdate: latest ? latest.timestamp : null,
+            status: typeof general.status === 'number' ? general.status : null,
+            power: typeof powerflow.total_active_power === 'number' ? powerflow.total_active_power : null,
+            chargedEnergy: typeof energy.charged_energy === 'number' ? energy.charged_energy : null,
+            currentSet: typeof control.current_set === 'number' ? control.current_set : null,
+            chargePause: typeof control.charge_pause === 'number' ? control.charge_pause : null,
+            phaseCount: typeof control.phase_count === 'number' ? control.phase_count : null
+        };
+    }
+
+    /**
+     * Stop the services and flush what they keep in memory; the charger is
+     * not started again (a removed charger, or the server shutting down)
+     */
+    async stop() {
+        if (this.scheduler) {
+            this.scheduler.stop();
+        }
+        if (this.planner) {
+            this.planner.stop();
+        }
+        if (this.solarController) {
+            this.solarController.stop();
+        }
+        if (this.mqttBridge) {
+            this.mqttBridge.stop();
+        }
+        if (this.poller) {
+            this.poller.stop();
+            // Metrics, live updates, history, sessions, ... stop with it, also for a poll under way
+            this.poller.removeAllListeners();
+        }
+        this.device.close();
+        if (this.historyStore) {
+            await this.historyStore.flush();
+        }
+        if (this.sessionTracker) {
+            await this.sessionTracker.save();
+        }
+        if (this.alertMonitor) {
+            await this.alertMonitor.save();
+        }
+        if (this.auditLog) {
+            await this.auditLog.save();
+        }
+        if (this.scheduler) {
+            await this.scheduler.save();
+        }
+    }
+}
+
+class ChargerRegistry {
+    constructor(configs, options) {
+        this.options = options;
+        this.chargers = configs.map((config) => new Charger(config, options));
+        this.byId = new Map(this.chargers.map((charger) => [charger.id, charger]));
+    }
+
+    /**
+     * Switch to a new charger list (see normalizeChargerConfigs): chargers
+     * with a known id are updated in place, the list takes the new order
+     * Returns { added, removed } for the caller to start and stop their services
+     */
+    apply(configs) {
+        const ids = new Set(configs.map((config) => config.id));
+        const removed = this.chargers.filter((charger) => !ids.has(charger.id));
+        const added = [];
+        this.chargers = configs.map((config) => {
+            const charger = this.byId.get(config.id);
+            if (charger) {
+                charger.update(config);
+                return charger;
+            }
+            const created = new Charger(config, this.options);
+            added.push(created);
+            return created;
+        });
+        this.byId = new Map(this.chargers.map((charger) => [charger.id, charger]));
+        return { added, removed };
+    }
+
+    get size() {
+        return this.chargers.length;
+    }
+
+    /**
+     * The first configured charger, used by the un-namespaced /api routes
+     */
+    get default() {
+        return this.chargers[0] || null;
+    }
+
+    /**
+     * Look up a charger by id, failing with 404
+     */
+    get(id) {
+        const charger = this.byId.get(id);
+        if (!charger) {
+            throw new NotFoundError(`Unknown charger '${id}'`);
+        }
+        return charger;
+    }
+
+    list() {
+        return this.chargers;
+    }
+}
+
+module.exports = {
+    Charger,
+    ChargerRegistry,
+    loadChargerConfigs,
+    normalizeChargerConfigs,
+    DEFAULT_CHARGER_ID
+};
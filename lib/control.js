@@ -0,0 +1,118 @@
+/**
+ * NRGKick Control Validation
+ *
+ * Checks a control write against what the device can do before it is sent,
+ * for POST /api/v2/control:
+ *   current_set  - Integer A between 6 and the lower of connector.max_current
+ *                  and general.rated_current from /info, within the
+ *                  currentMin/currentMax settings
+ *   charge_pause - 0/1 or false/true
+ *   phase_count  - 1 up to connector.phase_count, only with a multi-phase connector
+ *   energy_limit - Integer Wh, 0 = no limit
+ */
+
+const { ValidationError } = require('./errors');
+
+const MIN_CURRENT = 6;
+const DEFAULT_MAX_CURRENT = 32;
+const CONTROL_FIELDS = ['current_set', 'charge_pause', 'phase_count', 'energy_limit'];
+
+/**
+ * What the device accepts, from its /info response, narrowed to the
+ * current range of the settings ({ min, max } in A) when given
+ */
+function controlLimits(info, range = null) {
+    const general = (info && info.general) || {};
+    const connector = (info && info.connector) || {};
+    const ratings = [connector.max_current, general.rated_current]
+        .filter((value) => typeof value === 'number' && value >= MIN_CURRENT);
+    const maxPhases = typeof connector.phase_count === 'number' ? connector.phase_count : 1;
+    let minCurrent = MIN_CURRENT;
+    let maxCurrent = ratings.length ? Math.floor(Math.min(...ratings)) : DEFAULT_MAX_CURRENT;
+    if (range) {
+        maxCurrent = Math.max(MIN_CURRENT, Math.min(maxCurrent, range.max));
+        minCurrent = Math.min(Math.max(minCurrent, range.min), maxCurrent);
+    }
+
+    return {
+        minCurrent,
+        maxCurrent,
+        maxPhases,
+        phaseSwitching: maxPhases > 1
+    };
+}
+
+/**
+ * Validate a control body against the device limits
+ * Returns the query parameters to send; throws a ValidationError listing
+ * every invalid field in `details`
+ */
+function validateControl(body, limits) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const errors = [];
+    const params = {};
+    const fail = (field, message) => errors.push({ field, message });
+
+    Object.keys(body).forEach((field) => {
+        if (!CONTROL_FIELDS.includes(field)) {
+            fail(field, `Unknown field, use one of: ${CONTROL_FIELDS.join(', ')}`);
+        }
+    });
+
+    if (body.current_set !== undefined) {
+        const current = body.current_set;
+        if (!Number.isInteger(current) || current < limits.minCurrent || current > limits.maxCurrent) {
+            fail('current_set', `Must be an integer between ${limits.minCurrent} and ${limits.maxCurrent} A for this charger`);
+        } else {
+            params.current_set = current;
+        }
+    }
+
+    if (body.charge_pause !== undefined) {
+        const pause = body.charge_pause;
+        if (pause === true || pause === 1) {
+            params.charge_pause = 1;
+        } else if (pause === false || pause === 0) {
+            params.charge_pause = 0;
+        } else {
+            fail('charge_pause', 'Must be 0, 1, true or false');
+        }
+    }
+
+    if (body.phase_count !== undefined) {
+        const phases = body.phase_count;
+        if (!limits.phaseSwitching) {
+            fail('phase_count', 'This charger has a single-phase connector and cannot switch phases');
+        } else if (!Number.isInteger(phases) || phases < 1 || phases > limits.maxPhases) {
+            fail('phase_count', `Must be an integer between 1 and ${limits.maxPhases}`);
+        } else {
+            params.phase_count = phases;
+        }
+    }
+
+    if (body.energy_limit !== undefined) {
+        const limit = body.energy_limit;
+        if (!Number.isInteger(limit) || limit < 0) {
+            fail('energy_limit', 'Must be an integer number of Wh, 0 for no limit');
+        } else {
+            params.energy_limit = limit;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid control request', errors);
+    }
+    if (Object.keys(params).length === 0) {
+        throw new ValidationError(`Nothing to change, set at least one of: ${CONTROL_FIELDS.join(', ')}`);
+    }
+    return params;
+}
+
+module.exports = {
+    controlLimits,
+    validateControl,
+    CONTROL_FIELDS
+};
@@ -0,0 +1,255 @@
+/**
+ * NRGKick Warning and Error Codes
+ *
+ * Descriptions and troubleshooting hints for values.general.warning_code and
+ * values.general.error_code, following the codes of the local JSON API.
+ * Codes missing from the tables are reported as unknown with their number,
+ * so a newer firmware never hides a fault.
+ *
+ * Entry: code -> { name, description, hint }
+ */
+
+const WARNING_CODES = {
+    0: { name: 'no_warning', description: 'No warning', hint: '' },
+    1: {
+        name: 'no_pe',
+        description: 'No protective earth detected',
+        hint: 'Have the earthing of the socket checked by an electrician before charging again.'
+    },
+    2: {
+        name: 'blackout_protection',
+        description: 'Blackout protection active',
+        hint: 'The current was reduced after a supply interruption; it recovers on its own once the grid is stable.'
+    },
+    3: {
+        name: 'energy_limit_reached',
+        description: 'Energy limit reached',
+        hint: 'Charging stopped at the configured energy limit. Raise or clear the limit to continue.'
+    },
+    4: {
+        name: 'ev_not_compliant',
+        description: 'Vehicle does not comply with the charging standard',
+        hint: 'Unplug and replug the vehicle; if it persists, check the vehicle cable and inlet.'
+    },
+    5: {
+        name: 'unsupported_charging_mode',
+        description: 'Unsupported charging mode requested',
+        hint: 'The vehicle asked for ventilation or a mode the charger does not offer. Restart charging from the vehicle.'
+    },
+    6: {
+        name: 'no_attachment_detected',
+        description: 'No plug attachment detected',
+        hint: 'Check that the plug attachment is fully seated on the charger.'
+    },
+    7: {
+        name: 'no_comm_with_type2_attachment',
+        description: 'No communication with the Type 2 attachment',
+        hint: 'Reseat the Type 2 attachment and check its contacts for dirt or damage.'
+    },
+    16: {
+        name: 'increased_temperature',
+        description: 'Increased temperature, current reduced',
+        hint: 'Let the charger cool down and keep it out of direct sun.'
+    },
+    17: {
+        name: 'increased_housing_temperature',
+        description: 'Increased housing temperature, current reduced',
+        hint: 'Keep the charger out of direct sun and away from heat sources; make sure air can reach it.'
+    },
+    18: {
+        name: 'increased_attachment_temperature',
+        description: 'Increased attachment temperature, current reduced',
+        hint: 'Check the plug attachment and the socket for loose or corroded contacts.'
+    },
+    19: {
+        name: 'increased_domestic_plug_temperature',
+        description: 'Increased domestic plug temperature, current reduced',
+        hint: 'Household sockets are not made for long high loads. Lower the current and have the socket checked.'
+    }
+};
+
+const ERROR_CODES = {
+    0: { name: 'no_error', description: 'No error', hint: '' },
+    1: {
+        name: 'general_error',
+        description: 'General error',
+        hint: 'Unplug the charger from the grid for a minute and plug it in again.'
+    },
+    2: {
+        name: 'attachment_32a_on_16a_unit',
+        description: '32 A attachment on a 16 A charger',
+        hint: 'Use an attachment that matches the rating of the charger.'
+    },
+    3: {
+        name: 'voltage_drop_detected',
+        description: 'Voltage drop detected',
+        hint: 'The supply voltage collapses under load. Have the cabling and socket checked, or lower the current.'
+    },
+    4: {
+        name: 'unplug_detection_triggered',
+        description: 'Unplugged during charging',
+        hint: 'The plug was pulled under load. Reconnect the charger and start again.'
+    },
+    5: {
+        name: 'type2_not_authorized',
+        description: 'Type 2 attachment not authorized',
+        hint: 'Use an original attachment for this charger.'
+    },
+    16: {
+        name: 'residual_current_detected',
+        description: 'Residual current detected',
+        hint: 'The built-in RCD tripped. Unplug the vehicle and check the vehicle and cable for damage or moisture.'
+    },
+    32: {
+        name: 'cp_signal_voltage_error',
+        description: 'Control pilot signal voltage error',
+        hint: 'Unplug and replug the vehicle; check the vehicle cable and inlet for damage.'
+    },
+    33: {
+        name: 'cp_signal_impermissible',
+        description: 'Impermissible control pilot signal',
+        hint: 'The vehicle sent an invalid state. Unplug and replug the vehicle.'
+    },
+    34: {
+        name: 'ev_diode_fault',
+        description: 'Vehicle diode fault',
+        hint: 'The vehicle failed the pilot diode check. Try another vehicle to rule out the charger.'
+    },
+    48: {
+        name: 'pe_self_test_failed',
+        description: 'Protective earth self-test failed',
+        hint: 'Have the earthing of the socket checked by an electrician.'
+    },
+    49: {
+        name: 'rcd_self_test_failed',
+        description: 'RCD self-test failed',
+        hint: 'Restart the charger; if the error returns, contact support.'
+    },
+    50: {
+        name: 'relay_self_test_failed',
+        description: 'Relay self-test failed',
+        hint: 'Restart the charger; if the error returns, contact support.'
+    },
+    51: {
+        name: 'pe_and_rcd_self_test_failed',
+        description: 'Protective earth and RCD self-tests failed',
+        hint: 'Have the socket checked, then restart the charger.'
+    },
+    52: {
+        name: 'pe_and_relay_self_test_failed',
+        description: 'Protective earth and relay self-tests failed',
+        hint: 'Have the socket checked, then restart the charger.'
+    },
+    53: {
+        name: 'rcd_and_relay_self_test_failed',
+        description: 'RCD and relay self-tests failed',
+        hint: 'Restart the charger; if the error returns, contact support.'
+    },
+    54: {
+        name: 'pe_rcd_and_relay_self_test_failed',
+        description: 'Protective earth, RCD and relay self-tests failed',
+        hint: 'Have the socket checked, then restart the charger.'
+    },
+    64: {
+        name: 'supply_voltage_error',
+        description: 'Supply voltage error',
+        hint: 'Check the supply: all phases present and the right voltage for the attachment.'
+    },
+    65: {
+        name: 'phase_shift_error',
+        description: 'Phase shift error',
+        hint: 'The phases are in the wrong order or missing. Have the socket wiring checked.'
+    },
+    66: {
+        name: 'overvoltage_detected',
+        description: 'Overvoltage detected',
+        hint: 'The grid voltage is too high. It clears on its own; if it keeps happening, contact your grid operator.'
+    },
+    67: {
+        name: 'undervoltage_detected',
+        description: 'Undervoltage detected',
+        hint: 'The grid voltage is too low. Lower the current or check for long, thin supply cables.'
+    },
+    68: {
+        name: 'overvoltage_without_pe_detected',
+        description: 'Overvoltage without protective earth detected',
+        hint: 'Stop using this socket and have it checked by an electrician.'
+    },
+    69: {
+        name: 'undervoltage_without_pe_detected',
+        description: 'Undervoltage without protective earth detected',
+        hint: 'Stop using this socket and have it checked by an electrician.'
+    },
+    70: {
+        name: 'underfrequency_detected',
+        description: 'Grid underfrequency detected',
+        hint: 'The grid frequency is too low, usually on generator power. It clears once the frequency recovers.'
+    },
+    71: {
+        name: 'overfrequency_detected',
+        description: 'Grid overfrequency detected',
+        hint: 'The grid frequency is too high, usually on generator power. It clears once the frequency recovers.'
+    },
+    72: {
+        name: 'unknown_frequency_type',
+        description: 'Unknown grid frequency',
+        hint: 'The charger supports 50 Hz and 60 Hz grids only.'
+    },
+    73: {
+        name: 'unknown_grid_type',
+        description: 'Unknown grid type',
+        hint: 'The charger could not identify the grid. Check the attachment and the socket wiring.'
+    },
+    80: {
+        name: 'general_overtemperature',
+        description: 'Overtemperature, charging stopped',
+        hint: 'Let the charger cool down; charging resumes on its own.'
+    },
+    81: {
+        name: 'housing_overtemperature',
+        description: 'Housing overtemperature, charging stopped',
+        hint: 'Move the charger out of direct sun and away from heat sources.'
+    },
+    82: {
+        name: 'attachment_overtemperature',
+        description: 'Attachment overtemperature, charging stopped',
+        hint: 'Check the plug attachment and socket for loose or burnt contacts before charging again.'
+    },
+    83: {
+        name: 'domestic_plug_overtemperature',
+        description: 'Domestic plug overtemperature, charging stopped',
+        hint: 'Unplug from the household socket and have it checked; charge at a lower current.'
+    }
+};
+
+/**
+ * Look up a code: { code, name, description, hint, known }
+ */
+function describe(table, kind, code) {
+    const entry = table[code];
+    if (entry) {
+        return { code, ...entry, known: true };
+    }
+    return {
+        code,
+        name: `unknown_${kind}`,
+        description: `Unknown ${kind} (code ${code})`,
+        hint: 'See the NRGKick app or manual for this code.',
+        known: false
+    };
+}
+
+function describeWarning(code) {
+    return describe(WARNING_CODES, 'warning', code);
+}
+
+function describeError(code) {
+    return describe(ERROR_CODES, 'error', code);
+}
+
+module.exports = {
+    WARNING_CODES,
+    ERROR_CODES,
+    describeWarning,
+    describeError
+};
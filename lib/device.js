@@ -0,0 +1,404 @@
+/**
+ * NRGKick Device Client
+ *
+ * Promise-based wrapper around the local JSON API of a single NRGKick
+ * charger. Every request of the server goes through it: the server-side
+ * features that talk to the device on their own and the browser passthrough.
+ *
+ * Endpoints:
+ *   GET /info     - Device information
+ *   GET /control  - Read/write control settings (query parameters write)
+ *   GET /values   - Real-time measurements
+ *
+ * The charger's web server is small, so the client keeps the load low:
+ *   - At most MAX_SOCKETS connections, kept alive between requests
+ *   - /info answers are cached for INFO_MAX_AGE_MS (ratings and versions rarely change)
+ *   - Concurrent identical reads, e.g. /values from the poller and a few
+ *     browsers, share one device request
+ *   - Cached and shared answers only go to requests with the same credentials
+ *   - Control writes are sent one at a time, in order
+ *   - Reads that fail to connect or get a 5xx are retried with exponential
+ *     backoff; writes only when they cannot have reached the device. Timeouts
+ *     are not retried, a charger that does not answer is not asked again at once
+ *   - After CIRCUIT_THRESHOLD failures in a row the circuit opens: requests
+ *     fail at once with a 503 until a single request after the cool-down
+ *     gets an answer
+ *
+ * Events: 'retry' ({ path, attempt, error }), 'shared' ({ path, kind: cache | coalesced }),
+ *         'circuit' ({ open, error }), 'control-write' (see setControl)
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const http = require('http');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 250; // Doubled on every retry
+const MAX_SOCKETS = 2;
+const INFO_MAX_AGE_MS = 60 * 60 * 1000;
+const CIRCUIT_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 15000; // Doubled while the device stays away
+const MAX_CIRCUIT_COOLDOWN_MS = 2 * 60 * 1000;
+
+// Connection errors of a request that cannot have reached the device
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Error raised when the device cannot be reached or answers with an error
+ */
+class DeviceError extends Error {
+    constructor(message, statusCode = 502, code = null) {
+        super(message);
+        this.name = 'DeviceError';
+        this.statusCode = statusCode;
+        this.code = code || (statusCode === 400 ? 'device_rejected' : 'device_error');
+    }
+}
+
+/**
+ * Build a Basic Authorization header value, or null without credentials
+ */
+function buildAuthHeader(username, password) {
+    if (!username || !password) {
+        return null;
+    }
+    const credentials = Buffer.from(`${username}:${password}`).toString('base64');
+    return `Basic ${credentials}`;
+}
+
+/**
+ * Whether a device path writes: /control with query parameters, also when
+ * escaped (/contro%6C); a path that does not decode is taken as a write
+ */
+function isWrite(targetPath) {
+    const [pathname, query] = targetPath.split('?');
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (err) {
+        return !!query;
+    }
+    return /^\/+control\/*$/i.test(decoded) && !!query;
+}
+
+/**
+ * Host and port of a charger address: 192.168.1.100, or with a port as
+ * 127.0.0.1:8080 or [::1]:8080 (e.g. the simulator)
+ */
+function parseAddress(address) {
+    const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(address) || /^([^:]+):(\d+)$/.exec(address);
+    if (!match) {
+        return { hostname: address, port: 80 };
+    }
+    return { hostname: match[1], port: match[2] ? parseInt(match[2], 10) : 80 };
+}
+
+/**
+ * Key of an answer in the cache and of a pending read: the path and a hash
+ * of the credentials it was asked with, so no answer reaches other credentials
+ */
+function requestKey(targetPath, authHeader) {
+    const credentials = authHeader ? crypto.createHash('sha256').update(authHeader).digest('hex') : '';
+    return `${targetPath}\n${credentials}`;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class NRGKickDevice extends EventEmitter {
+    /**
+     * retries: further attempts after a failed request
+     * keepAlive: keep connections open between requests (off for one-off probes)
+     */
+    constructor({ ip, username = '', password = '', timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, keepAlive = true }) {
+        super();
+        this.ip = ip;
+        this.authHeader = buildAuthHeader(username, password);
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.keepAlive = keepAlive;
+        this.agent = new http.Agent({ keepAlive, maxSockets: MAX_SOCKETS });
+        this.control = null; // Last /control settings read or written
+        this.cache = new Map(); // Path and credentials (requestKey) -> { response, fetchedAt }
+        this.inFlight = new Map(); // Path and credentials (requestKey) -> pending read
+        this.writeQueue = Promise.resolve();
+        this.circuit = { failures: 0, openUntil: 0, cooldownMs: CIRCUIT_COOLDOWN_MS, probing: false, lastError: null };
+    }
+
+    /**
+     * Change the address and credentials; requests already sent are not affected
+     */
+    configure({ ip, username = '', password = '' }) {
+        if (ip !== this.ip) {
+            // Maybe another device: forget its answers and its failures
+            this.close();
+            this.agent = new http.Agent({ keepAlive: this.keepAlive, maxSockets: MAX_SOCKETS });
+            this.circuit = { failures: 0, openUntil: 0, cooldownMs: CIRCUIT_COOLDOWN_MS, probing: false, lastError: null };
+        }
+        this.ip = ip;
+        this.authHeader = buildAuthHeader(username, password);
+    }
+
+    /**
+     * Close the idle connections and drop the cache
+     */
+    close() {
+        this.agent.destroy();
+        this.cache.clear();
+    }
+
+    /**
+     * Whether requests currently fail at once because the device kept failing
+     */
+    get circuitOpen() {
+        return this.circuit.openUntil > 0;
+    }
+
+    /**
+     * GET a path on the device and resolve with the raw answer { statusCode, body },
+     * whatever its status; rejects with a DeviceError when there is no answer
+     * authHeader overrides the configured credentials for this request
+     */
+    send(targetPath, { authHeader = this.authHeader } = {}) {
+        if (isWrite(targetPath)) {
+            const result = this.writeQueue.then(() => this.attempt(targetPath, authHeader, true));
+            this.writeQueue = result.catch(() => {});
+            return result;
+        }
+
+        const key = requestKey(targetPath, authHeader);
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt <= INFO_MAX_AGE_MS) {
+            this.emit('shared', { path: targetPath, kind: 'cache' });
+            return Promise.resolve(cached.response);
+        }
+
+        if (this.inFlight.has(key)) {
+            this.emit('shared', { path: targetPath, kind: 'coalesced' });
+            return this.inFlight.get(key);
+        }
+        const pending = this.attempt(targetPath, authHeader, false)
+            .then((response) => {
+                if (targetPath.split('?')[0] === '/info' && this.isSuccess(response)) {
+                    this.cache.set(key, { response, fetchedAt: Date.now() });
+                }
+                return response;
+            })
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * Whether an answer is a successful JSON answer, not an error of the device
+     */
+    isSuccess({ statusCode, body }) {
+        if (statusCode < 200 || statusCode >= 300) {
+            return false;
+        }
+        try {
+            const parsed = JSON.parse(body);
+            return !(parsed && parsed.Response);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * One request with its retries, guarded by the circuit breaker
+     */
+    async attempt(targetPath, authHeader, write) {
+        for (let attempt = 0; ; attempt++) {
+            this.checkCircuit();
+            let error;
+            try {
+                const response = await this.get(targetPath, authHeader);
+                if (response.statusCode < 500) {
+                    this.recordSuccess();
+                    return response;
+                }
+                error = new DeviceError(`NRGKick device returned HTTP ${response.statusCode}`, response.statusCode);
+                this.recordFailure(error);
+                // A 5xx write may have been applied; its answer goes back as it is
+                if (write || attempt >= this.retries || this.circuitOpen) {
+                    return response;
+                }
+            } catch (err) {
+                this.recordFailure(err);
+                if (attempt >= this.retries || this.circuitOpen || !err.retryable || (write && !err.notSent)) {
+                    throw err;
+                }
+                error = err;
+            }
+            this.emit('retry', { path: targetPath, attempt: attempt + 1, error });
+            await sleep(RETRY_DELAY_MS * 2 ** attempt);
+        }
+    }
+
+    /**
+     * Fail at once while the circuit is open; after the cool-down one request
+     * is let through to test the device
+     */
+    checkCircuit() {
+        const circuit = this.circuit;
+        if (!circuit.openUntil) {
+            return;
+        }
+        if (Date.now() < circuit.openUntil || circuit.probing) {
+            const seconds = Math.max(1, Math.ceil((circuit.openUntil - Date.now()) / 1000));
+            const reason = circuit.lastError ? ` (${circuit.lastError.message})` : '';
+            throw new DeviceError(`NRGKick device is not answering${reason}, trying again in ${seconds} s`, 503, 'device_unavailable');
+        }
+        circuit.probing = true;
+    }
+
+    recordSuccess() {
+        const wasOpen = this.circuitOpen;
+        this.circuit = { failures: 0, openUntil: 0, cooldownMs: CIRCUIT_COOLDOWN_MS, probing: false, lastError: null };
+        if (wasOpen) {
+            this.emit('circuit', { open: false, error: null });
+        }
+    }
+
+    recordFailure(error) {
+        const circuit = this.circuit;
+        circuit.failures++;
+        circuit.lastError = error;
+        if (circuit.probing) {
+            // Still away: wait longer before the next test
+            circuit.probing = false;
+            circuit.cooldownMs = Math.min(circuit.cooldownMs * 2, MAX_CIRCUIT_COOLDOWN_MS);
+            circuit.openUntil = Date.now() + circuit.cooldownMs;
+        } else if (!circuit.openUntil && circuit.failures >= CIRCUIT_THRESHOLD) {
+            circuit.openUntil = Date.now() + circuit.cooldownMs;
+            this.emit('circuit', { open: true, error });
+        }
+    }
+
+    /**
+     * A single GET over the shared connections
+     */
+    get(targetPath, authHeader) {
+        return new Promise((resolve, reject) => {
+            const options = {
+                ...parseAddress(this.ip),
+                path: targetPath,
+                method: 'GET',
+                agent: this.agent,
+                headers: {
+                    'Accept': 'application/json'
+                },
+                timeout: this.timeoutMs
+            };
+
+            if (authHeader) {
+                options.headers['Authorization'] = authHeader;
+            }
+
+            let timedOut = false;
+            const req = http.request(options, (res) => {
+                let data = '';
+
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    resolve({ statusCode: res.statusCode, body: data });
+                });
+            });
+
+            req.on('error', (err) => {
+                if (timedOut) {
+                    return;
+                }
+                const error = new DeviceError(`Failed to connect to NRGKick device: ${err.message}`);
+                // A kept-alive connection the device closed in the meantime did not deliver the request either
+                error.notSent = NOT_SENT_ERRORS.includes(err.code) || (req.reusedSocket && err.code === 'ECONNRESET');
+                error.retryable = true;
+                reject(error);
+            });
+
+            req.on('timeout', () => {
+                timedOut = true;
+                req.destroy();
+                reject(new DeviceError('Connection to NRGKick device timed out', 504));
+            });
+
+            req.end();
+        });
+    }
+
+    /**
+     * GET a path on the device and resolve with the parsed JSON body
+     * authHeader overrides the configured credentials for this request
+     */
+    async request(targetPath, options) {
+        const { statusCode, body: data } = await this.send(targetPath, options);
+        if (statusCode < 200 || statusCode >= 300) {
+            throw new DeviceError(`NRGKick device returned HTTP ${statusCode}`, statusCode);
+        }
+
+        let body;
+        try {
+            body = JSON.parse(data);
+        } catch (err) {
+            throw new DeviceError('NRGKick device returned invalid JSON');
+        }
+
+        // NRGKick returns {"Response": "error message"} for errors
+        if (body && body.Response) {
+            throw new DeviceError(body.Response, 400);
+        }
+
+        return body;
+    }
+
+    /**
+     * /info, from the cache while it is younger than INFO_MAX_AGE_MS
+     */
+    getInfo(options) {
+        return this.request('/info', options);
+    }
+
+    async getControl(options) {
+        this.control = await this.request('/control', options);
+        return this.control;
+    }
+
+    getValues() {
+        return this.request('/values');
+    }
+
+    /**
+     * Write control settings, e.g. { charge_pause: 1 } or { current_set: 10 }
+     * options.source tells who asked, e.g. { type: 'scheduler', reason }.
+     * Every attempt is emitted as 'control-write' ({ params, previous, control, error, source }).
+     */
+    async setControl(params, { source = null, ...options } = {}) {
+        const query = new URLSearchParams(params).toString();
+        try {
+            const control = await this.request(`/control?${query}`, options);
+            // Taken once the write is through: writes queued before it have changed it
+            const previous = this.control;
+            // The answer may hold only the written fields
+            this.control = { ...previous, ...control };
+            this.emit('control-write', { params, previous, control: this.control, error: null, source });
+            return control;
+        } catch (err) {
+            this.emit('control-write', { params, previous: this.control, control: null, error: err, source });
+            throw err;
+        }
+    }
+}
+
+module.exports = {
+    NRGKickDevice,
+    DeviceError,
+    buildAuthHeader,
+    isWrite,
+    parseAddress
+};
@@ -0,0 +1,238 @@
+/**
+ * NRGKick Charger Discovery
+ *
+ * Finds NRGKick chargers on the local network, so the server can be set up
+ * without looking up the charger's address first:
+ *   mdns - Browses DNS-SD for _nrgkick._tcp and confirms each service
+ *          through /info
+ *   scan - Probes GET /info?general=1 on every address of the local IPv4
+ *          subnets (or the configured ones); a device counts as an NRGKick
+ *          when it answers with general.serial_number and general.model_type
+ *
+ * Chargers with the local API protected by credentials answer 401 and are
+ * only found through mDNS.
+ *
+ * Device: { ip, name, model, serial, source: 'mdns' | 'scan', foundAt, lastSeen }
+ * Emits 'device' (device) when a charger is found for the first time.
+ */
+
+const EventEmitter = require('events');
+const os = require('os');
+const { NRGKickDevice } = require('./device');
+
+const MDNS_TYPE = 'nrgkick';
+const PROBE_TIMEOUT_MS = 1500;
+const SCAN_CONCURRENCY = 32;
+const MAX_SCAN_HOSTS = 1024;
+const LOCAL_PREFIX = 24; // Larger local networks are scanned around the own address only
+
+function ipToInt(ip) {
+    return ip.split('.').reduce((value, part) => value * 256 + parseInt(part, 10), 0);
+}
+
+function intToIp(value) {
+    return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Parse 'a.b.c.d/prefix' into { network, prefix }; throws on invalid input
+ * or a subnet with more than MAX_SCAN_HOSTS addresses
+ */
+function parseSubnet(cidr) {
+    const match = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(String(cidr).trim());
+    if (!match || match[1].split('.').some((part) => parseInt(part, 10) > 255)) {
+        throw new Error(`Invalid subnet '${cidr}', expected e.g. 192.168.1.0/24`);
+    }
+    const prefix = parseInt(match[2], 10);
+    if (prefix > 32 || 2 ** (32 - prefix) - 2 > MAX_SCAN_HOSTS) {
+        throw new Error(`Subnet '${cidr}' is too large to scan, use /22 or smaller`);
+    }
+    const size = 2 ** (32 - prefix);
+    return { network: Math.floor(ipToInt(match[1]) / size) * size, prefix };
+}
+
+/**
+ * Host addresses of a subnet, without the network and broadcast addresses
+ */
+function subnetHosts({ network, prefix }) {
+    const size = 2 ** (32 - prefix);
+    if (size <= 2) {
+        return [intToIp(network)];
+    }
+    const hosts = [];
+    for (let offset = 1; offset < size - 1; offset++) {
+        hosts.push(intToIp(network + offset));
+    }
+    return hosts;
+}
+
+/**
+ * The IPv4 subnets of the network interfaces, at most /24 around the own address
+ */
+function localSubnets() {
+    const subnets = [];
+    Object.values(os.networkInterfaces()).forEach((addresses) => {
+        (addresses || []).forEach((address) => {
+            if (address.family !== 'IPv4' && address.family !== 4) {
+                return;
+            }
+            if (address.internal) {
+                return;
+            }
+            const prefix = Math.max(parseInt(address.cidr.split('/')[1], 10), LOCAL_PREFIX);
+            const size = 2 ** (32 - prefix);
+            const cidr = `${intToIp(Math.floor(ipToInt(address.address) / size) * size)}/${prefix}`;
+            if (!subnets.includes(cidr)) {
+                subnets.push(cidr);
+            }
+        });
+    });
+    return subnets;
+}
+
+class ChargerDiscovery extends EventEmitter {
+    /**
+     * subnets: CIDR subnets to scan (default: the local ones)
+     * mdns: browse DNS-SD
+     */
+    constructor({ subnets = [], mdns = true, timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+        super();
+        subnets.forEach(parseSubnet); // Fail early on a bad configuration
+        this.subnets = subnets;
+        this.mdns = mdns;
+        this.timeoutMs = timeoutMs;
+        this.devices = new Map(); // IP -> device
+        this.bonjour = null;
+        this.browser = null;
+        this.scanning = null; // Promise of the running scan
+        this.lastScanAt = null;
+        this.lastError = null;
+    }
+
+    get running() {
+        return !!this.browser;
+    }
+
+    /**
+     * Start browsing mDNS; scans are run with scan()
+     */
+    start() {
+        if (!this.mdns || this.browser) {
+            return;
+        }
+        try {
+            // Loaded on demand so the server runs without bonjour-service when discovery is not used
+            const { Bonjour } = require('bonjour-service');
+            this.bonjour = new Bonjour({}, (err) => {
+                this.lastError = err.message;
+            });
+            this.browser = this.bonjour.find({ type: MDNS_TYPE }, (service) => this.onService(service));
+        } catch (err) {
+            this.lastError = `mDNS unavailable: ${err.message}`;
+        }
+    }
+
+    stop() {
+        if (this.browser) {
+            this.browser.stop();
+            this.browser = null;
+        }
+        if (this.bonjour) {
+            this.bonjour.destroy();
+            this.bonjour = null;
+        }
+    }
+
+    onService(service) {
+        const addresses = (service.addresses || []).filter((address) => /^\d+(\.\d+){3}$/.test(address));
+        const ip = addresses[0] || (service.referer && service.referer.address);
+        if (!ip) {
+            return;
+        }
+        // Without an answer from /info (e.g. protected by credentials) keep what mDNS told
+        const announced = () => this.add({ ip, name: service.name || '', model: '', serial: (service.txt && service.txt.serial) || '' }, 'mdns');
+        this.probe(ip, 'mdns', service.name)
+            .then((device) => device || announced())
+            .catch(announced);
+    }
+
+    /**
+     * Ask one address for /info; resolves with the device, or null when it is no NRGKick
+     */
+    async probe(ip, source, name = '') {
+        const device = new NRGKickDevice({ ip, timeoutMs: this.timeoutMs, retries: 0, keepAlive: false });
+        const info = await device.request('/info?general=1');
+        const general = (info && info.general) || {};
+        if (!general.serial_number || !general.model_type) {
+            return null;
+        }
+        return this.add({
+            ip,
+            name: general.device_name || name || '',
+            model: String(general.model_type),
+            serial: String(general.serial_number)
+        }, source);
+    }
+
+    add(found, source) {
+        const now = Date.now();
+        const known = this.devices.get(found.ip);
+        const device = { ...found, source: known ? known.source : source, foundAt: known ? known.foundAt : now, lastSeen: now };
+        this.devices.set(found.ip, device);
+        if (!known) {
+            this.emit('device', device);
+        }
+        return device;
+    }
+
+    /**
+     * Probe every address of the subnets; a scan already running is shared
+     */
+    scan() {
+        if (!this.scanning) {
+            this.scanning = this.runScan().finally(() => {
+                this.scanning = null;
+                this.lastScanAt = Date.now();
+            });
+        }
+        return this.scanning;
+    }
+
+    async runScan() {
+        const subnets = this.subnets.length > 0 ? this.subnets : localSubnets();
+        const hosts = [...new Set([].concat(...subnets.map((cidr) => subnetHosts(parseSubnet(cidr)))))];
+        let next = 0;
+        const worker = async () => {
+            while (next < hosts.length) {
+                const ip = hosts[next++];
+                await this.probe(ip, 'scan').catch(() => null);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(SCAN_CONCURRENCY, hosts.length) }, worker));
+        return this.list();
+    }
+
+    /**
+     * Found chargers, by address
+     */
+    list() {
+        return [...this.devices.values()].sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+    }
+
+    status() {
+        return {
+            mdns: this.running,
+            scanning: !!this.scanning,
+            lastScanAt: this.lastScanAt,
+            subnets: this.subnets.length > 0 ? this.subnets : localSubnets(),
+            error: this.lastError,
+            devices: this.list()
+        };
+    }
+}
+
+module.exports = {
+    ChargerDiscovery,
+    parseSubnet,
+    localSubnets
+};
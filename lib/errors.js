@@ -0,0 +1,71 @@
+/**
+ * Error classes carrying the HTTP status code they should be answered with
+ * and a machine-readable code: { error, code, details? }
+ */
+
+class ValidationError extends Error {
+    /**
+     * details: optional list of { field, message } for per-field errors
+     */
+    constructor(message, details = null) {
+        super(message);
+        this.name = 'ValidationError';
+        this.statusCode = 400;
+        this.code = 'invalid_request';
+        this.details = details;
+    }
+}
+
+class UnauthorizedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnauthorizedError';
+        this.statusCode = 401;
+        this.code = 'unauthorized';
+    }
+}
+
+class ForbiddenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ForbiddenError';
+        this.statusCode = 403;
+        this.code = 'forbidden';
+    }
+}
+
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.statusCode = 404;
+        this.code = 'not_found';
+    }
+}
+
+class ServiceUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ServiceUnavailableError';
+        this.statusCode = 503;
+        this.code = 'service_unavailable';
+    }
+}
+
+class TooManyRequestsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TooManyRequestsError';
+        this.statusCode = 429;
+        this.code = 'too_many_requests';
+    }
+}
+
+module.exports = {
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ServiceUnavailableError,
+    TooManyRequestsError
+};
@@ -0,0 +1,354 @@
+/**
+ * NRGKick Telemetry History Store
+ *
+ * Records the snapshots produced by the device poller into a local,
+ * append-only time-series store and answers range queries for /api/history.
+ *
+ * Every sample is written to the 'raw' tier and folded into coarser tiers
+ * (1 minute, 15 minutes, 1 hour). Each tier keeps its own retention, so old
+ * data survives only in downsampled form.
+ *
+ * Layout on disk (one JSON object per line, UTC days):
+ *   <dir>/<tier>/<YYYY-MM-DD>.ndjson
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIME_MS = Date.UTC(9999, 11, 31, 23, 59, 59, 999); // Day keys keep the YYYY-MM-DD form up to here
+const MAX_AUTO_POINTS = 1500; // Upper bound for resolution=auto
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Tiers from finest to coarsest; bucketMs 0 means "every sample"
+const TIERS = [
+    { name: 'raw', bucketMs: 0, retentionDays: 2 },
+    { name: '1m', bucketMs: 60 * 1000, retentionDays: 14 },
+    { name: '15m', bucketMs: 15 * 60 * 1000, retentionDays: 180 },
+    { name: '1h', bucketMs: 60 * 60 * 1000, retentionDays: 1825 }
+];
+
+// Counters and states keep their last value when downsampled, gauges are averaged
+const LAST_VALUE_FIELDS = ['status', 'charged_energy', 'total_charged_energy', 'current_set', 'phase_count', 'charge_pause'];
+
+/**
+ * Flatten a poller snapshot into a history sample
+ * Power in W, current in A, voltage in V, temperature in °C, energy in Wh
+ */
+function extractSample(snapshot) {
+    const control = snapshot.control || {};
+    const values = snapshot.values || {};
+    const general = values.general || {};
+    const energy = values.energy || {};
+    const powerflow = values.powerflow || {};
+    const temperatures = values.temperatures || {};
+
+    const sample = {
+        t: snapshot.timestamp,
+        status: general.status,
+        power: powerflow.total_active_power,
+        charged_energy: energy.charged_energy,
+        total_charged_energy: energy.total_charged_energy,
+        current_set: control.current_set,
+        phase_count: control.phase_count,
+        charge_pause: control.charge_pause
+    };
+
+    ['l1', 'l2', 'l3'].forEach((phase) => {
+        const data = powerflow[phase] || {};
+        sample[`${phase}_power`] = data.active_power;
+        sample[`${phase}_current`] = data.current;
+        sample[`${phase}_voltage`] = data.voltage;
+    });
+
+    Object.keys(temperatures).forEach((sensor) => {
+        sample[`temp_${sensor}`] = temperatures[sensor];
+    });
+
+    // Drop missing values to keep the files small
+    Object.keys(sample).forEach((key) => {
+        if (typeof sample[key] !== 'number') {
+            delete sample[key];
+        }
+    });
+
+    return sample;
+}
+
+/**
+ * UTC day key (YYYY-MM-DD) of a timestamp
+ */
+function dayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Accumulates samples of one bucket and produces the downsampled point
+ */
+class Bucket {
+    constructor(start) {
+        this.start = start;
+        this.sums = {};
+        this.counts = {};
+        this.last = {};
+        this.powerMax = null;
+    }
+
+    add(sample) {
+        Object.keys(sample).forEach((key) => {
+            if (key === 't') {
+                return;
+            }
+            if (LAST_VALUE_FIELDS.includes(key)) {
+                this.last[key] = sample[key];
+            } else {
+                this.sums[key] = (this.sums[key] || 0) + sample[key];
+                this.counts[key] = (this.counts[key] || 0) + 1;
+            }
+        });
+
+        if (typeof sample.power === 'number') {
+            this.powerMax = this.powerMax === null ? sample.power : Math.max(this.powerMax, sample.power);
+        }
+    }
+
+    toPoint() {
+        const point = { t: this.start };
+        Object.keys(this.sums).forEach((key) => {
+            point[key] = Math.round((this.sums[key] / this.counts[key]) * 100) / 100;
+        });
+        Object.assign(point, this.last);
+        if (this.powerMax !== null) {
+            point.power_max = this.powerMax;
+        }
+        return point;
+    }
+}
+
+class HistoryStore {
+    constructor({ dir, sampleIntervalMs, retentionDays = null }) {
+        this.dir = dir;
+        this.sampleIntervalMs = sampleIntervalMs;
+        this.tiers = TIERS.map((tier) => ({ ...tier }));
+        if (retentionDays) {
+            // Overall retention applies to the coarsest tier and caps the finer ones
+            this.tiers.forEach((tier) => {
+                tier.retentionDays = Math.min(tier.retentionDays, retentionDays);
+            });
+            this.tiers[this.tiers.length - 1].retentionDays = retentionDays;
+        }
+        this.buckets = {}; // Open bucket per downsampled tier
+        this.lastRawAt = 0; // Raw samples are kept at most every sampleIntervalMs
+        this.writeQueue = Promise.resolve();
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Create the tier directories and start periodic retention pruning
+     */
+    async init() {
+        for (const tier of this.tiers) {
+            await fs.promises.mkdir(path.join(this.dir, tier.name), { recursive: true });
+        }
+        await this.prune();
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch((err) => console.error('History prune failed:', err.message));
+        }, PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Subscribe to a device poller
+     */
+    attach(poller) {
+        poller.on('data', (snapshot) => this.record(snapshot));
+    }
+
+    /**
+     * Record one poller snapshot into every tier
+     * The poller runs faster while live clients are connected; the raw tier
+     * still stores one sample per sampleIntervalMs, buckets average them all
+     */
+    record(snapshot) {
+        const sample = extractSample(snapshot);
+
+        this.tiers.forEach((tier) => {
+            if (!tier.bucketMs) {
+                // 10% slack so samples arriving slightly early are not dropped
+                if (sample.t - this.lastRawAt >= this.sampleIntervalMs * 0.9) {
+                    this.lastRawAt = sample.t;
+                    this.append(tier.name, sample);
+                }
+                return;
+            }
+
+            const start = Math.floor(sample.t / tier.bucketMs) * tier.bucketMs;
+            const bucket = this.buckets[tier.name];
+            if (bucket && bucket.start !== start) {
+                this.append(tier.name, bucket.toPoint());
+                this.buckets[tier.name] = null;
+            }
+            if (!this.buckets[tier.name]) {
+                this.buckets[tier.name] = new Bucket(start);
+            }
+            this.buckets[tier.name].add(sample);
+        });
+    }
+
+    /**
+     * Append a point to its day file; writes are serialized to keep order
+     */
+    append(tierName, point) {
+        const file = path.join(this.dir, tierName, `${dayKey(point.t)}.ndjson`);
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(file, `${JSON.stringify(point)}\n`))
+            .catch((err) => console.error('History write failed:', err.message));
+        return this.writeQueue;
+    }
+
+    /**
+     * Write the open buckets and wait for pending writes (used on shutdown)
+     */
+    async flush() {
+        Object.keys(this.buckets).forEach((tierName) => {
+            const bucket = this.buckets[tierName];
+            if (bucket) {
+                this.append(tierName, bucket.toPoint());
+                this.buckets[tierName] = null;
+            }
+        });
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+        await this.writeQueue;
+    }
+
+    /**
+     * Delete day files that are older than the retention of their tier
+     */
+    async prune() {
+        const now = Date.now();
+        for (const tier of this.tiers) {
+            const tierDir = path.join(this.dir, tier.name);
+            const oldestKept = dayKey(now - tier.retentionDays * DAY_MS);
+            let files;
+            try {
+                files = await fs.promises.readdir(tierDir);
+            } catch (err) {
+                continue;
+            }
+            for (const file of files) {
+                if (file.endsWith('.ndjson') && file.slice(0, 10) < oldestKept) {
+                    await fs.promises.unlink(path.join(tierDir, file));
+                }
+            }
+        }
+    }
+
+    /**
+     * Pick the finest tier that still covers `from` and stays below MAX_AUTO_POINTS
+     */
+    chooseTier(from, to) {
+        const oldest = Date.now() - from;
+        const span = to - from;
+        const candidate = this.tiers.find((tier) => {
+            const stepMs = tier.bucketMs || this.sampleIntervalMs;
+            return oldest <= tier.retentionDays * DAY_MS && span / stepMs <= MAX_AUTO_POINTS;
+        });
+        return candidate || this.tiers[this.tiers.length - 1];
+    }
+
+    /**
+     * Names of the available resolutions
+     */
+    resolutions() {
+        return this.tiers.map((tier) => tier.name);
+    }
+
+    /**
+     * Return the points between `from` and `to` (ms timestamps, inclusive)
+     * resolution: tier name or 'auto'; fields: optional list of field names
+     */
+    async query({ from, to, resolution = 'auto', fields = null }) {
+        const tier = resolution === 'auto'
+            ? this.chooseTier(from, to)
+            : this.tiers.find((candidate) => candidate.name === resolution);
+
+        if (!tier) {
+            throw new Error(`Unknown resolution: ${resolution}`);
+        }
+
+        // Only the day files that exist are read, however wide the range
+        const firstDay = dayKey(Math.min(Math.max(from, 0), MAX_TIME_MS));
+        const lastDay = dayKey(Math.min(Math.max(to, 0), MAX_TIME_MS));
+        let files;
+        try {
+            files = await fs.promises.readdir(path.join(this.dir, tier.name));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            files = [];
+        }
+        const days = files
+            .filter((name) => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(name))
+            .map((name) => name.slice(0, 10))
+            .filter((day) => day >= firstDay && day <= lastDay)
+            .sort();
+
+        const points = [];
+        for (const day of days) {
+            const file = path.join(this.dir, tier.name, `${day}.ndjson`);
+            let content;
+            try {
+                content = await fs.promises.readFile(file, 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    continue;
+                }
+                throw err;
+            }
+
+            content.split('\n').forEach((line) => {
+                if (!line) {
+                    return;
+                }
+                let point;
+                try {
+                    point = JSON.parse(line);
+                } catch (err) {
+                    return; // Skip a line truncated by a crash
+                }
+                if (point.t >= from && point.t <= to) {
+                    points.push(fields ? pickFields(point, fields) : point);
+                }
+            });
+        }
+
+        return {
+            resolution: tier.name,
+            from,
+            to,
+            points
+        };
+    }
+}
+
+/**
+ * Keep only the timestamp and the requested fields of a point
+ */
+function pickFields(point, fields) {
+    const picked = { t: point.t };
+    fields.forEach((field) => {
+        if (point[field] !== undefined) {
+            picked[field] = point[field];
+        }
+    });
+    return picked;
+}
+
+module.exports = {
+    HistoryStore,
+    extractSample
+};
@@ -0,0 +1,104 @@
+/**
+ * HTTP helpers shared by the server routes
+ */
+
+const { ValidationError } = require('./errors');
+
+const MAX_BODY_BYTES = 100 * 1024;
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON error response: { error: message, ...extra }
+ */
+function sendError(res, statusCode, message, extra = {}) {
+    sendJson(res, statusCode, { error: message, ...extra });
+}
+
+/**
+ * Parse a time query parameter given as milliseconds since epoch or ISO 8601
+ * Returns `fallback` when the parameter is missing and NaN when invalid
+ */
+function parseTime(value, fallback) {
+    if (value === null || value === undefined || value === '') {
+        return fallback;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    return Date.parse(value);
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * Throws a ValidationError for a malformed escape such as %E0
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        throw new ValidationError(`Malformed path segment '${segment}'`);
+    }
+}
+
+/**
+ * Read a request body as text
+ * Rejects with a ValidationError for bodies larger than maxBytes
+ */
+function readBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        let tooLarge = false;
+
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            if (tooLarge) {
+                return;
+            }
+            data += chunk;
+            if (data.length > maxBytes) {
+                tooLarge = true;
+                reject(new ValidationError('Request body too large'));
+            }
+        });
+
+        req.on('end', () => {
+            if (!tooLarge) {
+                resolve(data);
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ * Rejects with a ValidationError for invalid JSON or oversized bodies
+ */
+async function readJsonBody(req) {
+    const data = await readBody(req);
+    if (!data) {
+        return {};
+    }
+    try {
+        return JSON.parse(data);
+    } catch (err) {
+        throw new ValidationError('Request body is not valid JSON');
+    }
+}
+
+module.exports = {
+    sendJson,
+    sendError,
+    parseTime,
+    decodePathSegment,
+    readBody,
+    readJsonBody
+};
@@ -0,0 +1,38 @@
+/**
+ * JSON file persistence helpers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read and parse a JSON file, returning `fallback` when it does not exist
+ */
+async function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return fallback;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Write a JSON file atomically (temporary file + rename), so a crash
+ * mid-write never leaves a truncated file behind
+ * mode: file permissions, e.g. 0o600 for files holding secrets
+ * serialize: (data) => text, for another format such as YAML
+ */
+async function writeJsonFile(file, data, { mode, serialize = (value) => JSON.stringify(value, null, 2) } = {}) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, serialize(data), mode ? { mode } : undefined);
+    await fs.promises.rename(tmpFile, file);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFile
+};
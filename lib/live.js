@@ -0,0 +1,145 @@
+/**
+ * NRGKick Live Updates (Server-Sent Events)
+ *
+ * Pushes every poller snapshot to the browsers subscribed to a charger, so
+ * the device is polled once by the server no matter how many tabs are open.
+ *
+ * Events sent to a client:
+ *   'hello'      - { charger, intervalMs } right after subscribing
+ *   'snapshot'   - { charger, timestamp, control, values } after every poll
+ *   'poll-error' - { charger, timestamp, error } when the device could not be read
+ *   'alert'      - an alert event of the charger (see alerts.js)
+ *   'audit'      - a control change of the charger (see audit.js)
+ * A comment line is sent every heartbeatMs to keep idle connections open.
+ *
+ * Emits 'subscribers' (chargerId, count) whenever a charger gains its first
+ * or loses its last subscriber, so its poller can speed up or slow down.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_HEARTBEAT_MS = 15000;
+const RETRY_MS = 3000; // Reconnect delay suggested to EventSource clients
+
+class LiveUpdates extends EventEmitter {
+    constructor({ heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+        super();
+        this.heartbeatMs = heartbeatMs;
+        this.pollers = new Map(); // Charger id -> DevicePoller
+        this.clients = new Map(); // Charger id -> Set of responses
+        this.heartbeat = null;
+    }
+
+    /**
+     * Forward the snapshots and errors of a charger's poller
+     */
+    attach(poller, chargerId) {
+        this.pollers.set(chargerId, poller);
+        poller.on('data', (snapshot) => {
+            this.broadcast(chargerId, 'snapshot', { charger: chargerId, ...snapshot });
+        });
+        poller.on('poll-error', (err) => {
+            this.broadcast(chargerId, 'poll-error', { charger: chargerId, timestamp: Date.now(), error: err.message });
+        });
+    }
+
+    /**
+     * Forget a removed charger and end its streams
+     */
+    detach(chargerId) {
+        this.pollers.delete(chargerId);
+        const clients = this.clients.get(chargerId);
+        if (clients) {
+            clients.forEach((res) => res.end());
+            this.clients.delete(chargerId);
+        }
+    }
+
+    /**
+     * Number of open streams of a charger
+     */
+    subscribers(chargerId) {
+        const clients = this.clients.get(chargerId);
+        return clients ? clients.size : 0;
+    }
+
+    start() {
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach((clients) => clients.forEach((res) => res.write(': ping\n\n')));
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * End all streams (used on shutdown)
+     */
+    stop() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        this.clients.forEach((clients) => clients.forEach((res) => res.end()));
+        this.clients.clear();
+    }
+
+    /**
+     * Turn a request into an event stream for one charger
+     */
+    subscribe(req, res, chargerId) {
+        const poller = this.pollers.get(chargerId);
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        // Registered first, so the hello carries the sped-up poll interval
+        if (!this.clients.has(chargerId)) {
+            this.clients.set(chargerId, new Set());
+        }
+        const clients = this.clients.get(chargerId);
+        clients.add(res);
+        if (clients.size === 1) {
+            this.emit('subscribers', chargerId, clients.size);
+        }
+
+        this.send(res, 'hello', { charger: chargerId, intervalMs: poller ? poller.intervalMs : null });
+
+        // The latest state right away, the next poll may be seconds ahead
+        if (poller && poller.latest) {
+            this.send(res, 'snapshot', { charger: chargerId, ...poller.latest });
+        }
+        if (poller && poller.lastError) {
+            this.send(res, 'poll-error', { charger: chargerId, timestamp: Date.now(), error: poller.lastError.message });
+        }
+
+        req.on('close', () => {
+            if (clients.delete(res) && clients.size === 0) {
+                this.emit('subscribers', chargerId, 0);
+            }
+        });
+    }
+
+    broadcast(chargerId, event, data) {
+        const clients = this.clients.get(chargerId);
+        if (!clients || clients.size === 0) {
+            return;
+        }
+        const message = LiveUpdates.format(event, data);
+        clients.forEach((res) => res.write(message));
+    }
+
+    send(res, event, data) {
+        res.write(LiveUpdates.format(event, data));
+    }
+
+    static format(event, data) {
+        return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    }
+}
+
+module.exports = {
+    LiveUpdates
+};
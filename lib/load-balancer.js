@@ -0,0 +1,467 @@
+/**
+ * NRGKick Dynamic Load Management
+ *
+ * Keeps the chargers of a site below a current limit per phase. Every round
+ * it reads the latest poll of each charger (status, control and the per-phase
+ * currents from powerflow.l1/l2/l3) and redistributes current_set across the
+ * chargers that want to charge.
+ *
+ * Policies:
+ *   fair     - The available current is shared evenly, one ampere at a time
+ *   priority - Chargers with a higher priority are served up to their demand
+ *              first; the rest get what is left
+ *
+ * Every active charger gets at least the 6 A minimum. When the limit cannot
+ * cover that, the lowest priority chargers are paused and resumed once there
+ * is room again. A car that is plugged in but not drawing yet, and idle
+ * chargers, are held at the minimum so a starting car cannot overshoot.
+ *
+ * Fail-safe: a charger that stops responding may still draw its last known
+ * current, which is reserved from the budget, and while it is unreachable
+ * all other active chargers are held at the minimum current. It is set to
+ * the minimum itself as soon as it can be reached again.
+ *
+ * Chargers driven by solar surplus charging are not written to: the solar
+ * controller reads its allocation with limitFor() and stays below it.
+ *
+ * Persisted as <file>: { enabled, policy, siteLimit, pausedByBalancer }
+ */
+
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { ValidationError } = require('./errors');
+
+const PHASES = ['l1', 'l2', 'l3'];
+const POLICIES = ['fair', 'priority'];
+const MIN_CURRENT = 6;
+const PHASE_IN_USE_CURRENT = 1; // A, measured current above which a phase counts as loaded
+const RECLAIM_MARGIN = 2; // A above the measured draw kept for a car that takes less than offered
+const STALE_POLL_FACTOR = 3; // A charger is unresponsive after this many missed poll intervals
+
+/**
+ * Share a per-phase budget across participants
+ * participants: [{ id, phases: ['l1', ...], demand, priority }] in configuration order
+ * budget: { l1, l2, l3 } in A
+ * Returns Map id -> current in A, 0 for chargers that cannot get the minimum
+ */
+function allocate(participants, budget, policy = 'fair', minCurrent = MIN_CURRENT) {
+    const remaining = { ...budget };
+    const allocation = new Map();
+    const byPriority = participants
+        .map((participant, index) => ({ ...participant, index }))
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.index - b.index);
+
+    const fits = (phases, amount) => phases.every((phase) => remaining[phase] >= amount);
+    const take = (phases, amount) => phases.forEach((phase) => {
+        remaining[phase] -= amount;
+    });
+
+    // The minimum first, highest priority first
+    const admitted = [];
+    byPriority.forEach((participant) => {
+        if (fits(participant.phases, minCurrent)) {
+            take(participant.phases, minCurrent);
+            allocation.set(participant.id, minCurrent);
+            admitted.push(participant);
+        } else {
+            allocation.set(participant.id, 0);
+        }
+    });
+
+    const canGrow = (participant) => {
+        return allocation.get(participant.id) < Math.max(participant.demand, minCurrent) && fits(participant.phases, 1);
+    };
+    const grow = (participant) => {
+        take(participant.phases, 1);
+        allocation.set(participant.id, allocation.get(participant.id) + 1);
+    };
+
+    if (policy === 'priority') {
+        admitted.forEach((participant) => {
+            while (canGrow(participant)) {
+                grow(participant);
+            }
+        });
+    } else {
+        let growing = admitted.filter(canGrow);
+        while (growing.length > 0) {
+            growing.forEach((participant) => {
+                if (canGrow(participant)) {
+                    grow(participant);
+                }
+            });
+            growing = growing.filter(canGrow);
+        }
+    }
+
+    return allocation;
+}
+
+class LoadBalancer extends EventEmitter {
+    constructor({ file, chargers, siteLimit, policy = 'fair', maxCurrent = 32, intervalMs = 10000, resumeDelayMs = 60 * 1000 }) {
+        super();
+        this.file = file;
+        this.chargers = chargers; // ChargerRegistry
+        this.siteLimit = siteLimit;
+        this.policy = POLICIES.includes(policy) ? policy : 'fair';
+        this.maxCurrent = maxCurrent;
+        this.intervalMs = intervalMs;
+        this.resumeDelayMs = resumeDelayMs;
+
+        this.enabled = true;
+        this.pausedByBalancer = {}; // Charger id -> time it was paused
+        this.allocations = new Map(); // Charger id -> current of the last round
+        this.lastRound = null;
+        this.timer = null;
+        this.busy = false;
+    }
+
+    /**
+     * Load the persisted settings and start balancing
+     */
+    async init() {
+        const data = await readJsonFile(this.file, {});
+        if (typeof data.enabled === 'boolean') {
+            this.enabled = data.enabled;
+        }
+        if (POLICIES.includes(data.policy)) {
+            this.policy = data.policy;
+        }
+        if (typeof data.siteLimit === 'number') {
+            this.siteLimit = data.siteLimit;
+        }
+        this.pausedByBalancer = data.pausedByBalancer || {};
+
+        this.startTimer();
+    }
+
+    startTimer() {
+        this.timer = setInterval(() => {
+            this.balance().catch((err) => console.error('Load balancing failed:', err.message));
+        }, this.intervalMs);
+    }
+
+    /**
+     * Follow a changed poll interval
+     */
+    setIntervalMs(intervalMs) {
+        this.intervalMs = intervalMs;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.startTimer();
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async save() {
+        await writeJsonFile(this.file, {
+            enabled: this.enabled,
+            policy: this.policy,
+            siteLimit: this.siteLimit,
+            pausedByBalancer: this.pausedByBalancer
+        });
+    }
+
+    /**
+     * Change settings: { enabled, policy, siteLimit }
+     */
+    async configure(input) {
+        if (!input || typeof input !== 'object') {
+            throw new ValidationError('Settings must be a JSON object');
+        }
+        if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+            throw new ValidationError('enabled must be true or false');
+        }
+        if (input.policy !== undefined && !POLICIES.includes(input.policy)) {
+            throw new ValidationError(`policy must be one of: ${POLICIES.join(', ')}`);
+        }
+        if (input.siteLimit !== undefined && (!Number.isInteger(input.siteLimit) || input.siteLimit < MIN_CURRENT || input.siteLimit > 1000)) {
+            throw new ValidationError(`siteLimit must be an integer between ${MIN_CURRENT} and 1000 A`);
+        }
+
+        if (input.policy !== undefined) {
+            this.policy = input.policy;
+        }
+        if (input.siteLimit !== undefined) {
+            this.siteLimit = input.siteLimit;
+        }
+        if (input.enabled === false && this.enabled) {
+            await this.release();
+        }
+        if (input.enabled !== undefined) {
+            this.enabled = input.enabled;
+        }
+        await this.save();
+        await this.balance();
+    }
+
+    /**
+     * Current ceiling for a charger: its allocation of the last round, the
+     * minimum when it has none yet (0 = stay paused), or null when off
+     */
+    limitFor(chargerId) {
+        if (!this.enabled) {
+            return null;
+        }
+        return this.allocations.has(chargerId) ? this.allocations.get(chargerId) : MIN_CURRENT;
+    }
+
+    /**
+     * What is known about a charger from its latest poll
+     */
+    inspect(charger, now) {
+        const poller = charger.poller;
+        const latest = poller ? poller.latest : null;
+        const control = latest ? latest.control || {} : {};
+        const values = latest ? latest.values || {} : {};
+        const powerflow = values.powerflow || {};
+        const status = (values.general || {}).status;
+
+        const measured = {};
+        PHASES.forEach((phase) => {
+            measured[phase] = Math.max((powerflow[phase] || {}).current || 0, 0);
+        });
+
+        let phases = PHASES.filter((phase) => measured[phase] > PHASE_IN_USE_CURRENT);
+        if (phases.length === 0) {
+            // Not drawing yet: assume the configured phases, starting at L1
+            phases = PHASES.slice(0, control.phase_count || 3);
+        }
+
+        const responsive = !!(latest && !poller.lastError && now - latest.timestamp <= this.intervalMs * STALE_POLL_FACTOR);
+        const pausedByBalancer = this.pausedByBalancer[charger.id] !== undefined;
+        const wantsToCharge = (status === 2 || status === 3) && (control.charge_pause === 0 || pausedByBalancer);
+
+        return { charger, latest, control, status, measured, phases, responsive, pausedByBalancer, wantsToCharge };
+    }
+
+    /**
+     * Highest current a charger should get: its maximum, a schedule cap, a
+     * departure plan and what the car actually takes
+     */
+    demandOf(state) {
+        if (state.status !== 3) {
+            // Plugged in, not drawing yet
+            return MIN_CURRENT;
+        }
+
+        let demand = state.charger.maxCurrent || this.maxCurrent;
+
+        const scheduler = state.charger.scheduler;
+        const constraints = scheduler ? scheduler.evaluate(new Date()) : {};
+        if (typeof constraints.maxCurrent === 'number') {
+            demand = Math.min(demand, constraints.maxCurrent);
+        }
+
+        // A departure plan spreading its charge over time wants less
+        const planned = state.charger.planner ? state.charger.planner.currentLimit() : null;
+        if (typeof planned === 'number') {
+            demand = Math.min(demand, planned);
+        }
+
+        // A car taking clearly less than offered leaves the rest to the others
+        const draw = Math.max(...state.phases.map((phase) => state.measured[phase]));
+        if (state.control.charge_pause === 0 && draw < state.control.current_set - RECLAIM_MARGIN) {
+            demand = Math.min(demand, Math.ceil(draw) + RECLAIM_MARGIN);
+        }
+
+        return Math.max(demand, MIN_CURRENT);
+    }
+
+    /**
+     * One balancing round over all chargers
+     */
+    async balance(now = Date.now()) {
+        if (!this.enabled || this.busy) {
+            return;
+        }
+
+        this.busy = true;
+        try {
+            const states = this.chargers.list().map((charger) => this.inspect(charger, now));
+            const budget = {};
+            PHASES.forEach((phase) => {
+                budget[phase] = this.siteLimit;
+            });
+
+            const participants = [];
+            let failsafe = false;
+            states.forEach((state) => {
+                if (!state.responsive) {
+                    // It may still draw what it was last set to
+                    const reserve = state.latest ? state.control.current_set || this.maxCurrent : this.maxCurrent;
+                    const phases = state.latest ? state.phases : PHASES;
+                    phases.forEach((phase) => {
+                        budget[phase] -= reserve;
+                    });
+                    if (!state.latest || state.wantsToCharge) {
+                        failsafe = true;
+                    }
+                    return;
+                }
+                if (!state.wantsToCharge) {
+                    // Idle chargers still count with whatever they draw
+                    PHASES.forEach((phase) => {
+                        budget[phase] -= state.measured[phase];
+                    });
+                    return;
+                }
+                participants.push({
+                    id: state.charger.id,
+                    phases: state.phases,
+                    demand: this.demandOf(state),
+                    priority: state.charger.priority || 0
+                });
+            });
+
+            if (failsafe) {
+                participants.forEach((participant) => {
+                    participant.demand = MIN_CURRENT;
+                });
+            }
+
+            const allocation = allocate(participants, budget, this.policy);
+            this.allocations = allocation;
+
+            // Lower currents before raising others, so the site never overshoots in between
+            const change = (state) => {
+                const target = allocation.has(state.charger.id) ? allocation.get(state.charger.id) : MIN_CURRENT;
+                return target - (state.control.current_set || 0);
+            };
+            const ordered = [...states].sort((a, b) => change(a) - change(b));
+
+            for (const state of ordered) {
+                if (await this.apply(state, allocation.get(state.charger.id), now)) {
+                    // Reflect the change before the next round
+                    await state.charger.poller.poll();
+                }
+            }
+
+            this.lastRound = {
+                timestamp: now,
+                failsafe,
+                budget,
+                chargers: states.map((state) => ({
+                    id: state.charger.id,
+                    state: this.describe(state),
+                    phases: state.phases,
+                    measured: state.measured,
+                    demand: (participants.find((participant) => participant.id === state.charger.id) || {}).demand || null,
+                    allocation: allocation.has(state.charger.id) ? allocation.get(state.charger.id) : null
+                }))
+            };
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    describe(state) {
+        if (!state.responsive) {
+            return 'unresponsive';
+        }
+        if (state.pausedByBalancer) {
+            return 'paused';
+        }
+        return state.wantsToCharge ? 'active' : 'idle';
+    }
+
+    /**
+     * Write the allocation of one charger
+     * Returns true when something was written
+     */
+    async apply(state, current, now) {
+        const { charger, control } = state;
+        if (!state.responsive) {
+            return false;
+        }
+
+        const solar = charger.solarController;
+        const solarControlled = solar && solar.enabled;
+
+        let wrote = false;
+        try {
+            // Not charging (also right after an outage): wait at the minimum
+            if (current === undefined) {
+                if (state.pausedByBalancer && state.status === 1) {
+                    // The car left while we held it paused, do not keep the next one waiting
+                    wrote = await this.write(charger, { charge_pause: 0 }, 'vehicle unplugged, lifting the pause');
+                    delete this.pausedByBalancer[charger.id];
+                    await this.save();
+                }
+                if (!solarControlled && control.current_set > MIN_CURRENT) {
+                    wrote = await this.write(charger, { current_set: MIN_CURRENT }, 'not charging, holding the minimum');
+                }
+                return wrote;
+            }
+
+            if (current === 0) {
+                if (!state.pausedByBalancer && control.charge_pause === 0) {
+                    wrote = await this.write(charger, { charge_pause: 1 }, 'site limit leaves less than the minimum current');
+                    this.pausedByBalancer[charger.id] = now;
+                    await this.save();
+                }
+                return wrote;
+            }
+
+            if (!solarControlled && control.current_set !== current) {
+                wrote = await this.write(charger, { current_set: current }, `allocated ${current} A`);
+            }
+
+            if (state.pausedByBalancer && now - this.pausedByBalancer[charger.id] >= this.resumeDelayMs) {
+                wrote = await this.write(charger, { charge_pause: 0 }, 'room for the minimum current again, resuming');
+                delete this.pausedByBalancer[charger.id];
+                await this.save();
+            }
+        } catch (err) {
+            console.error(`Load balancing: writing to charger '${charger.id}' failed:`, err.message);
+        }
+        return wrote;
+    }
+
+    /**
+     * Resume the chargers paused by the balancer, when it is turned off
+     */
+    async release() {
+        for (const id of Object.keys(this.pausedByBalancer)) {
+            const charger = this.chargers.byId.get(id);
+            if (charger) {
+                try {
+                    await this.write(charger, { charge_pause: 0 }, 'load management off, resuming');
+                } catch (err) {
+                    console.error(`Load balancing: resuming charger '${id}' failed:`, err.message);
+                }
+            }
+        }
+        this.pausedByBalancer = {};
+        this.allocations = new Map();
+    }
+
+    async write(charger, params, reason) {
+        console.log(`Load balancing [${charger.id}]: ${reason} (${new URLSearchParams(params).toString()})`);
+        await charger.device.setControl(params, { source: { type: 'load-balancer', reason } });
+        this.emit('control', { charger: charger.id, params, reason });
+        return true;
+    }
+
+    status() {
+        return {
+            configured: true,
+            enabled: this.enabled,
+            policy: this.policy,
+            siteLimit: this.siteLimit,
+            round: this.lastRound
+        };
+    }
+}
+
+module.exports = {
+    LoadBalancer,
+    allocate,
+    POLICIES
+};
@@ -0,0 +1,297 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal metrics registry rendering the Prometheus text exposition format
+ * (version 0.0.4) for the /metrics endpoint: gauges and counters with
+ * labels, and histograms for request latencies.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value as required by the text format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}, or an empty string without labels
+ */
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) {
+        return '';
+    }
+    return `{${keys.map((key) => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Gauge or counter: one value per label set
+ */
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.values = new Map(); // Serialized labels -> { labels, value }
+    }
+
+    set(labels, value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            return;
+        }
+        this.values.set(formatLabels(labels), { labels, value });
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        const entry = this.values.get(key);
+        this.values.set(key, { labels, value: (entry ? entry.value : 0) + amount });
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    /**
+     * Remove the series whose labels include all of `filter`
+     */
+    remove(filter) {
+        this.values.forEach(({ labels }, key) => {
+            if (Object.keys(filter).every((name) => labels[name] === filter[name])) {
+                this.values.delete(key);
+            }
+        });
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.values.forEach(({ value }, labels) => {
+            lines.push(`${this.name}${labels} ${formatValue(value)}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Histogram with cumulative buckets, one series per label set
+ */
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index] += 1;
+            }
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    /**
+     * Remove the series whose labels include all of `filter`
+     */
+    remove(filter) {
+        this.series.forEach(({ labels }, key) => {
+            if (Object.keys(filter).every((name) => labels[name] === filter[name])) {
+                this.series.delete(key);
+            }
+        });
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.series.forEach((series) => {
+            this.buckets.forEach((bound, index) => {
+                const labels = formatLabels({ ...series.labels, le: formatValue(bound) });
+                lines.push(`${this.name}_bucket${labels} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    gauge(name, help) {
+        return this.register(new Metric(name, help, 'gauge'));
+    }
+
+    counter(name, help) {
+        return this.register(new Metric(name, help, 'counter'));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return `${this.metrics.map((metric) => metric.render()).join('\n')}\n`;
+    }
+}
+
+/**
+ * Charger and proxy metrics of the NRGKick server
+ */
+class NRGKickMetrics {
+    constructor() {
+        this.registry = new MetricsRegistry();
+        const r = this.registry;
+
+        this.up = r.gauge('nrgkick_up', 'Whether the last poll of the charger succeeded');
+        this.lastPoll = r.gauge('nrgkick_last_poll_timestamp_seconds', 'Time of the last successful poll');
+        this.polls = r.counter('nrgkick_polls_total', 'Polls of the charger by result');
+        this.status = r.gauge('nrgkick_status', 'Charger status code (1 Standby, 2 Connected, 3 Charging, 6 Error, 7 Wakeup)');
+        this.activePower = r.gauge('nrgkick_active_power_watts', 'Active power, total and per phase');
+        this.voltage = r.gauge('nrgkick_voltage_volts', 'Voltage, charging and per phase');
+        this.current = r.gauge('nrgkick_current_amperes', 'Current, charging, per phase and neutral');
+        this.powerFactor = r.gauge('nrgkick_power_factor', 'Power factor, total and per phase');
+        this.gridFrequency = r.gauge('nrgkick_grid_frequency_hertz', 'Grid frequency');
+        this.temperature = r.gauge('nrgkick_temperature_celsius', 'Temperatures by sensor');
+        this.currentSet = r.gauge('nrgkick_current_set_amperes', 'Configured charging current limit');
+        this.phaseCount = r.gauge('nrgkick_phase_count', 'Configured number of phases');
+        this.chargePause = r.gauge('nrgkick_charge_pause', 'Whether charging is paused (1) or enabled (0)');
+        this.sessionEnergy = r.gauge('nrgkick_session_energy_watt_hours', 'Energy charged in the current session');
+        this.totalEnergy = r.counter('nrgkick_charged_energy_watt_hours_total', 'Total energy charged over the lifetime of the charger');
+
+        this.proxyRequests = r.counter('nrgkick_proxy_requests_total', 'Requests proxied to the charger by endpoint and status code');
+        this.proxyErrors = r.counter('nrgkick_proxy_errors_total', 'Proxied requests that failed by endpoint and reason');
+        this.proxyDuration = r.histogram('nrgkick_proxy_request_duration_seconds', 'Latency of requests proxied to the charger');
+
+        this.deviceRetries = r.counter('nrgkick_device_retries_total', 'Device requests retried after a failure');
+        this.deviceShared = r.counter('nrgkick_device_shared_responses_total', 'Requests answered without a device request, from the cache or a pending identical request');
+        this.circuitOpen = r.gauge('nrgkick_device_circuit_open', 'Whether requests to the charger are paused after repeated failures');
+    }
+
+    /**
+     * Update the gauges of one charger from its device poller
+     */
+    attach(poller, charger) {
+        const labels = { charger };
+        poller.on('data', (snapshot) => {
+            this.up.set(labels, 1);
+            this.polls.inc({ ...labels, result: 'success' });
+            this.lastPoll.set(labels, Math.floor(snapshot.timestamp / 1000));
+            this.updateDevice(snapshot, labels);
+        });
+        poller.on('poll-error', () => {
+            this.up.set(labels, 0);
+            this.polls.inc({ ...labels, result: 'error' });
+        });
+    }
+
+    /**
+     * Count the retries and shared answers of a device client
+     */
+    attachDevice(device, charger) {
+        const labels = { charger };
+        this.circuitOpen.set(labels, 0);
+        device.on('retry', () => this.deviceRetries.inc(labels));
+        device.on('shared', ({ kind }) => this.deviceShared.inc({ ...labels, kind }));
+        device.on('circuit', ({ open }) => this.circuitOpen.set(labels, open ? 1 : 0));
+    }
+
+    /**
+     * Drop the series of a removed charger
+     */
+    detach(charger) {
+        this.registry.metrics.forEach((metric) => metric.remove({ charger }));
+    }
+
+    updateDevice(snapshot, labels) {
+        const control = snapshot.control || {};
+        const values = snapshot.values || {};
+        const general = values.general || {};
+        const energy = values.energy || {};
+        const powerflow = values.powerflow || {};
+        const temperatures = values.temperatures || {};
+
+        // Sensors and phases can disappear between polls, start from a clean set
+        [this.activePower, this.voltage, this.current, this.powerFactor, this.temperature].forEach((metric) => metric.remove(labels));
+
+        this.status.set(labels, general.status);
+        this.activePower.set({ ...labels, phase: 'total' }, powerflow.total_active_power);
+        this.voltage.set({ ...labels, phase: 'charging' }, powerflow.charging_voltage);
+        this.current.set({ ...labels, phase: 'charging' }, powerflow.charging_current);
+        this.powerFactor.set({ ...labels, phase: 'total' }, powerflow.total_power_factor);
+        this.gridFrequency.set(labels, powerflow.grid_frequency);
+
+        ['l1', 'l2', 'l3'].forEach((phase) => {
+            const data = powerflow[phase] || {};
+            this.activePower.set({ ...labels, phase }, data.active_power);
+            this.voltage.set({ ...labels, phase }, data.voltage);
+            this.current.set({ ...labels, phase }, data.current);
+            this.powerFactor.set({ ...labels, phase }, data.power_factor);
+        });
+        this.current.set({ ...labels, phase: 'n' }, (powerflow.n || {}).current);
+
+        Object.keys(temperatures).forEach((sensor) => {
+            this.temperature.set({ ...labels, sensor }, temperatures[sensor]);
+        });
+
+        this.currentSet.set(labels, control.current_set);
+        this.phaseCount.set(labels, control.phase_count);
+        this.chargePause.set(labels, control.charge_pause);
+        this.sessionEnergy.set(labels, energy.charged_energy);
+        this.totalEnergy.set(labels, energy.total_charged_energy);
+    }
+
+    /**
+     * Record a proxied request
+     * outcome: HTTP status code of the device, or 'timeout' / 'connection' on failure
+     */
+    observeProxy(charger, endpoint, outcome, durationMs) {
+        if (typeof outcome === 'number') {
+            this.proxyRequests.inc({ charger, endpoint, code: outcome });
+        } else {
+            this.proxyErrors.inc({ charger, endpoint, reason: outcome });
+        }
+        this.proxyDuration.observe({ charger, endpoint }, durationMs / 1000);
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    NRGKickMetrics,
+    CONTENT_TYPE
+};
@@ -0,0 +1,315 @@
+/**
+ * NRGKick MQTT Bridge with Home Assistant Discovery
+ *
+ * Publishes every field of /values, /control and /info as a retained topic
+ * and forwards commands from MQTT to the device's /control endpoint, checked
+ * against the device's ratings like POST /api/v2/control.
+ *
+ * Topics (base = topic prefix, default 'nrgkick'):
+ *   <base>/status                         - 'online' / 'offline' (last will)
+ *   <base>/values/powerflow/l1/voltage    - One retained topic per field
+ *   <base>/control/current_set
+ *   <base>/info/general/serial_number
+ *   <base>/set/<charge_pause|current_set|phase_count|energy_limit>  - Commands
+ *
+ * Home Assistant discovery configs are published under
+ * <discoveryPrefix>/<component>/nrgkick_<serial>/<object>/config
+ * once the device info (serial number) is known.
+ */
+
+const EventEmitter = require('events');
+const { controlLimits, validateControl, CONTROL_FIELDS } = require('./control');
+const { ValidationError } = require('./errors');
+
+const INFO_REFRESH_MS = 60 * 60 * 1000;
+
+// Sensors announced to Home Assistant: [object id, name, state path, unit, device class, state class]
+const SENSORS = [
+    ['power', 'Charging power', 'values/powerflow/total_active_power', 'W', 'power', 'measurement'],
+    ['charged_energy', 'Session energy', 'values/energy/charged_energy', 'Wh', 'energy', 'total_increasing'],
+    ['total_charged_energy', 'Total energy', 'values/energy/total_charged_energy', 'Wh', 'energy', 'total_increasing'],
+    ['charging_current', 'Charging current', 'values/powerflow/charging_current', 'A', 'current', 'measurement'],
+    ['grid_frequency', 'Grid frequency', 'values/powerflow/grid_frequency', 'Hz', 'frequency', 'measurement'],
+    ['power_factor', 'Power factor', 'values/powerflow/total_power_factor', '%', 'power_factor', 'measurement'],
+    ['l1_voltage', 'L1 voltage', 'values/powerflow/l1/voltage', 'V', 'voltage', 'measurement'],
+    ['l2_voltage', 'L2 voltage', 'values/powerflow/l2/voltage', 'V', 'voltage', 'measurement'],
+    ['l3_voltage', 'L3 voltage', 'values/powerflow/l3/voltage', 'V', 'voltage', 'measurement'],
+    ['l1_current', 'L1 current', 'values/powerflow/l1/current', 'A', 'current', 'measurement'],
+    ['l2_current', 'L2 current', 'values/powerflow/l2/current', 'A', 'current', 'measurement'],
+    ['l3_current', 'L3 current', 'values/powerflow/l3/current', 'A', 'current', 'measurement'],
+    ['l1_power', 'L1 power', 'values/powerflow/l1/active_power', 'W', 'power', 'measurement'],
+    ['l2_power', 'L2 power', 'values/powerflow/l2/active_power', 'W', 'power', 'measurement'],
+    ['l3_power', 'L3 power', 'values/powerflow/l3/active_power', 'W', 'power', 'measurement'],
+    ['housing_temperature', 'Housing temperature', 'values/temperatures/housing', '°C', 'temperature', 'measurement'],
+    ['connector_l1_temperature', 'Connector L1 temperature', 'values/temperatures/connector_l1', '°C', 'temperature', 'measurement'],
+    ['connector_l2_temperature', 'Connector L2 temperature', 'values/temperatures/connector_l2', '°C', 'temperature', 'measurement'],
+    ['connector_l3_temperature', 'Connector L3 temperature', 'values/temperatures/connector_l3', '°C', 'temperature', 'measurement'],
+    ['domestic_plug_1_temperature', 'Domestic plug 1 temperature', 'values/temperatures/domestic_plug_1', '°C', 'temperature', 'measurement'],
+    ['domestic_plug_2_temperature', 'Domestic plug 2 temperature', 'values/temperatures/domestic_plug_2', '°C', 'temperature', 'measurement']
+];
+
+// Status codes from NRGKick API
+const STATUS_NAMES = {
+    0: 'Unknown',
+    1: 'Standby',
+    2: 'Connected',
+    3: 'Charging',
+    6: 'Error',
+    7: 'Wakeup'
+};
+
+/**
+ * Flatten a nested object into [['a/b/c', value], ...]
+ */
+function flatten(obj, prefix) {
+    const entries = [];
+    Object.keys(obj || {}).forEach((key) => {
+        const value = obj[key];
+        const topic = `${prefix}/${key}`;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            entries.push(...flatten(value, topic));
+        } else {
+            entries.push([topic, Array.isArray(value) ? JSON.stringify(value) : String(value)]);
+        }
+    });
+    return entries;
+}
+
+class MqttBridge extends EventEmitter {
+    /**
+     * limits: async () => the limits commands are checked against (see
+     * controlLimits); default: the device's ratings
+     */
+    constructor({ url, username = '', password = '', device, poller, limits = null, topicPrefix = 'nrgkick', discoveryPrefix = 'homeassistant', discovery = true }) {
+        super();
+        this.url = url;
+        this.username = username;
+        this.password = password;
+        this.device = device;
+        this.poller = poller;
+        this.limits = limits || (async () => controlLimits(await device.getInfo()));
+        this.base = topicPrefix;
+        this.discoveryPrefix = discoveryPrefix;
+        this.discovery = discovery;
+        this.client = null;
+        this.info = null;
+        this.published = new Map(); // Last payload per topic, to publish changes only
+        this.infoTimer = null;
+    }
+
+    /**
+     * Connect to the broker and start mirroring the poller
+     */
+    start() {
+        // Loaded on demand so the server runs without MQTT when it is not used
+        const mqtt = require('mqtt');
+
+        this.client = mqtt.connect(this.url, {
+            username: this.username || undefined,
+            password: this.password || undefined,
+            reconnectPeriod: 5000,
+            will: { topic: `${this.base}/status`, payload: 'offline', retain: true, qos: 1 }
+        });
+
+        this.client.on('connect', () => {
+            console.log(`MQTT: connected to ${this.url}`);
+            // Retained state may have been lost with the broker, publish everything again
+            this.published.clear();
+            this.publish(`${this.base}/status`, 'online');
+            this.client.subscribe(`${this.base}/set/+`, { qos: 1 });
+            if (this.info) {
+                this.publishInfo();
+            }
+            if (this.poller.latest) {
+                this.publishSnapshot(this.poller.latest);
+            }
+        });
+        this.client.on('error', (err) => console.error('MQTT error:', err.message));
+        this.client.on('message', (topic, payload) => this.handleCommand(topic, payload.toString()));
+
+        this.poller.on('data', (snapshot) => this.publishSnapshot(snapshot));
+        this.poller.on('poll-error', () => this.publish(`${this.base}/status`, 'offline'));
+
+        this.refreshInfo();
+        this.infoTimer = setInterval(() => this.refreshInfo(), INFO_REFRESH_MS);
+    }
+
+    stop() {
+        if (this.infoTimer) {
+            clearInterval(this.infoTimer);
+            this.infoTimer = null;
+        }
+        if (this.client) {
+            this.client.publish(`${this.base}/status`, 'offline', { retain: true, qos: 1 });
+            this.client.end();
+            this.client = null;
+        }
+    }
+
+    /**
+     * Publish a retained message when its payload changed
+     */
+    publish(topic, payload) {
+        if (!this.client || !this.client.connected || this.published.get(topic) === payload) {
+            return;
+        }
+        this.published.set(topic, payload);
+        this.client.publish(topic, payload, { retain: true });
+    }
+
+    publishSnapshot(snapshot) {
+        this.publish(`${this.base}/status`, 'online');
+        flatten(snapshot.control, `${this.base}/control`).forEach(([topic, payload]) => this.publish(topic, payload));
+        flatten(snapshot.values, `${this.base}/values`).forEach(([topic, payload]) => this.publish(topic, payload));
+
+        const status = ((snapshot.values || {}).general || {}).status;
+        if (status !== undefined) {
+            this.publish(`${this.base}/values/general/status_name`, STATUS_NAMES[status] || 'Unknown');
+        }
+    }
+
+    /**
+     * Read /info, publish it and (re)announce the entities to Home Assistant
+     */
+    async refreshInfo() {
+        try {
+            this.info = await this.device.getInfo();
+            this.publishInfo();
+        } catch (err) {
+            console.error('MQTT: could not read device info:', err.message);
+        }
+    }
+
+    publishInfo() {
+        flatten(this.info, `${this.base}/info`).forEach(([topic, payload]) => this.publish(topic, payload));
+        if (this.discovery) {
+            this.publishDiscovery();
+        }
+    }
+
+    /**
+     * Forward a command message to /control once it passed validateControl()
+     */
+    async handleCommand(topic, payload) {
+        const name = topic.substring(`${this.base}/set/`.length);
+        const text = payload.trim();
+        const value = text === '' ? NaN : Number(text);
+
+        if (!CONTROL_FIELDS.includes(name)) {
+            console.warn(`MQTT: ignoring unknown command topic ${topic}`);
+            return;
+        }
+
+        try {
+            const changes = validateControl({ [name]: value }, await this.limits());
+            console.log(`MQTT: setting ${name}=${changes[name]}`);
+            await this.device.setControl(changes, { source: { type: 'mqtt', reason: topic } });
+            this.emit('control', { params: changes });
+            // Reflect the change without waiting for the next poll
+            await this.poller.poll();
+        } catch (err) {
+            if (err instanceof ValidationError) {
+                console.warn(`MQTT: refusing '${payload}' for ${name}:`, JSON.stringify({ error: err.message, code: err.code, details: err.details }));
+            } else {
+                console.error(`MQTT: setting ${name} failed:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Publish Home Assistant MQTT discovery configs
+     */
+    publishDiscovery() {
+        const general = this.info.general || {};
+        const versions = this.info.versions || {};
+        const connector = this.info.connector || {};
+        const serial = String(general.serial_number || this.base).replace(/[^a-zA-Z0-9_-]/g, '_');
+        const nodeId = `nrgkick_${serial}`;
+        const maxCurrent = connector.max_current || general.rated_current || 32;
+
+        const common = {
+            availability_topic: `${this.base}/status`,
+            device: {
+                identifiers: [nodeId],
+                name: general.device_name || 'NRGKick',
+                manufacturer: 'DiniTech',
+                model: general.model_type || 'NRGKick Gen2',
+                sw_version: versions.sw_sm
+            }
+        };
+
+        const announce = (component, objectId, config) => {
+            const topic = `${this.discoveryPrefix}/${component}/${nodeId}/${objectId}/config`;
+            this.publish(topic, JSON.stringify({
+                ...common,
+                unique_id: `${nodeId}_${objectId}`,
+                object_id: `${nodeId}_${objectId}`,
+                ...config
+            }));
+        };
+
+        SENSORS.forEach(([objectId, name, statePath, unit, deviceClass, stateClass]) => {
+            announce('sensor', objectId, {
+                name,
+                state_topic: `${this.base}/${statePath}`,
+                unit_of_measurement: unit,
+                device_class: deviceClass,
+                state_class: stateClass
+            });
+        });
+
+        announce('sensor', 'status', {
+            name: 'Status',
+            state_topic: `${this.base}/values/general/status_name`,
+            device_class: 'enum',
+            options: Object.values(STATUS_NAMES)
+        });
+
+        announce('switch', 'charging', {
+            name: 'Charging',
+            state_topic: `${this.base}/control/charge_pause`,
+            command_topic: `${this.base}/set/charge_pause`,
+            state_on: '0',
+            state_off: '1',
+            payload_on: '0',
+            payload_off: '1',
+            icon: 'mdi:ev-station'
+        });
+
+        announce('number', 'current_set', {
+            name: 'Current limit',
+            state_topic: `${this.base}/control/current_set`,
+            command_topic: `${this.base}/set/current_set`,
+            min: 6,
+            max: maxCurrent,
+            step: 1,
+            unit_of_measurement: 'A',
+            device_class: 'current',
+            mode: 'slider'
+        });
+
+        announce('select', 'phase_count', {
+            name: 'Phases',
+            state_topic: `${this.base}/control/phase_count`,
+            command_topic: `${this.base}/set/phase_count`,
+            options: ['1', '2', '3']
+        });
+
+        announce('number', 'energy_limit', {
+            name: 'Energy limit',
+            state_topic: `${this.base}/control/energy_limit`,
+            command_topic: `${this.base}/set/energy_limit`,
+            min: 0,
+            max: 100000,
+            step: 100,
+            unit_of_measurement: 'Wh',
+            device_class: 'energy',
+            mode: 'box'
+        });
+    }
+}
+
+module.exports = {
+    MqttBridge,
+    flatten
+};
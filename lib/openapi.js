@@ -0,0 +1,360 @@
+/**
+ * OpenAPI Document of the REST API v1
+ *
+ * Served as /api/v1/openapi.json and rendered by the docs page (docs.html).
+ * Kept next to the normalization in lib/api-v1.js; a field added there
+ * belongs here as well.
+ */
+
+const { STATES, CONTROL_FIELDS } = require('./api-v1');
+
+const quantity = (unit, description) => ({
+    description: `${description} (${unit})`,
+    nullable: true,
+    allOf: [{ $ref: '#/components/schemas/Quantity' }]
+});
+
+const nullable = (type, description, extra = {}) => ({ type, nullable: true, description, ...extra });
+
+const SCHEMAS = {
+    Quantity: {
+        type: 'object',
+        description: 'A measurement with its unit; null when the device does not report it',
+        required: ['value', 'unit'],
+        properties: {
+            value: { type: 'number', example: 7.36 },
+            unit: { type: 'string', example: 'kW' }
+        }
+    },
+    ChargerRef: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', example: 'garage' },
+            name: { type: 'string', example: 'Garage' }
+        }
+    },
+    Charger: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', example: 'garage' },
+            name: { type: 'string', example: 'Garage' },
+            online: { type: 'boolean', description: 'The last poll succeeded' },
+            updatedAt: nullable('integer', 'Time of the last poll, ms since epoch'),
+            state: { type: 'string', enum: [...Object.values(STATES)] },
+            power: quantity('kW', 'Charging power'),
+            links: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', example: '/api/v1/chargers/garage/status' },
+                    info: { type: 'string', example: '/api/v1/chargers/garage/info' },
+                    control: { type: 'string', example: '/api/v1/chargers/garage/control' }
+                }
+            }
+        }
+    },
+    Phase: {
+        type: 'object',
+        properties: {
+            phase: { type: 'string', enum: ['L1', 'L2', 'L3'] },
+            voltage: quantity('V', 'Voltage'),
+            current: quantity('A', 'Current'),
+            power: quantity('kW', 'Active power'),
+            reactivePower: quantity('kvar', 'Reactive power'),
+            apparentPower: quantity('kVA', 'Apparent power'),
+            powerFactor: nullable('number', 'Power factor, 0 to 1')
+        }
+    },
+    Temperature: {
+        type: 'object',
+        properties: {
+            sensor: { type: 'string', example: 'connector_l1' },
+            name: { type: 'string', example: 'Connector L1' },
+            value: nullable('number', 'Temperature', { example: 31.5 }),
+            unit: { type: 'string', enum: ['°C'] }
+        }
+    },
+    Fault: {
+        type: 'object',
+        nullable: true,
+        properties: {
+            code: { type: 'integer', example: 1 },
+            name: { type: 'string', example: 'no_pe' },
+            description: { type: 'string', example: 'No protective earth detected' },
+            hint: { type: 'string' }
+        }
+    },
+    Status: {
+        type: 'object',
+        properties: {
+            charger: { $ref: '#/components/schemas/ChargerRef' },
+            updatedAt: { type: 'integer', description: 'Time of the measurement, ms since epoch' },
+            state: { type: 'string', enum: [...Object.values(STATES)] },
+            stateCode: nullable('integer', 'Raw status code of the device'),
+            vehicleConnected: nullable('boolean', 'A vehicle is plugged in'),
+            charging: nullable('boolean', 'Power is flowing to the vehicle'),
+            chargingPaused: nullable('boolean', 'Charging is paused by control'),
+            chargePermitted: nullable('boolean', 'The device permits charging'),
+            power: quantity('kW', 'Charging power'),
+            peakPower: quantity('kW', 'Peak power'),
+            reactivePower: quantity('kvar', 'Total reactive power'),
+            apparentPower: quantity('kVA', 'Total apparent power'),
+            powerFactor: nullable('number', 'Total power factor, 0 to 1'),
+            current: quantity('A', 'Charging current'),
+            voltage: quantity('V', 'Charging voltage'),
+            frequency: quantity('Hz', 'Grid frequency'),
+            energy: {
+                type: 'object',
+                properties: {
+                    session: quantity('kWh', 'Energy charged in this session'),
+                    total: quantity('kWh', 'Energy charged over the lifetime of the device')
+                }
+            },
+            connectedTime: quantity('s', 'Time since the vehicle was plugged in'),
+            chargingTime: quantity('s', 'Time charged in this session'),
+            phases: { type: 'array', items: { $ref: '#/components/schemas/Phase' } },
+            neutralCurrent: quantity('A', 'Neutral conductor current'),
+            temperatures: { type: 'array', items: { $ref: '#/components/schemas/Temperature' } },
+            faults: {
+                type: 'object',
+                properties: {
+                    error: { $ref: '#/components/schemas/Fault' },
+                    warning: { $ref: '#/components/schemas/Fault' },
+                    rcdTriggered: nullable('boolean', 'The residual current device tripped')
+                }
+            }
+        }
+    },
+    Info: {
+        type: 'object',
+        properties: {
+            charger: { $ref: '#/components/schemas/ChargerRef' },
+            serialNumber: nullable('string', 'Serial number'),
+            deviceName: nullable('string', 'Name set in the NRGKick app'),
+            model: nullable('string', 'Model', { example: 'NRGkick Gen2' }),
+            apiVersion: nullable('string', 'Version of the local JSON API'),
+            ratedCurrent: quantity('A', 'Rated current'),
+            connector: {
+                type: 'object',
+                properties: {
+                    type: nullable('string', 'Connector type'),
+                    serialNumber: nullable('string', 'Connector serial number'),
+                    phases: nullable('integer', 'Phases of the connector'),
+                    maxCurrent: quantity('A', 'Highest current of the connector')
+                }
+            },
+            grid: {
+                type: 'object',
+                properties: {
+                    voltage: quantity('V', 'Grid voltage'),
+                    frequency: quantity('Hz', 'Grid frequency'),
+                    phases: nullable('string', 'Grid phases as reported by the device')
+                }
+            },
+            network: {
+                type: 'object',
+                properties: {
+                    ipAddress: nullable('string', 'IP address'),
+                    macAddress: nullable('string', 'MAC address'),
+                    ssid: nullable('string', 'WiFi network'),
+                    signalStrength: quantity('dBm', 'WiFi signal strength')
+                }
+            },
+            versions: {
+                type: 'object',
+                properties: {
+                    software: nullable('string', 'Firmware version'),
+                    hardware: nullable('string', 'Hardware version')
+                }
+            }
+        }
+    },
+    Control: {
+        type: 'object',
+        properties: {
+            charger: { $ref: '#/components/schemas/ChargerRef' },
+            chargingPaused: nullable('boolean', 'Charging is paused'),
+            currentLimit: quantity('A', 'Charging current limit'),
+            phases: nullable('integer', 'Phases used for charging'),
+            energyLimit: quantity('kWh', 'Energy after which charging stops, null for none'),
+            limits: {
+                type: 'object',
+                description: "What a write is checked against: the charger's ratings within the server's current range",
+                properties: {
+                    currentLimit: {
+                        type: 'object',
+                        properties: {
+                            min: { type: 'integer', example: 6 },
+                            max: { type: 'integer', example: 16 },
+                            unit: { type: 'string', enum: ['A'] }
+                        }
+                    },
+                    phases: {
+                        type: 'object',
+                        properties: {
+                            min: { type: 'integer', example: 1 },
+                            max: { type: 'integer', example: 3 }
+                        }
+                    },
+                    phaseSwitching: { type: 'boolean', description: 'The connector can switch phases' }
+                }
+            }
+        }
+    },
+    ControlUpdate: {
+        type: 'object',
+        description: `Any of ${Object.keys(CONTROL_FIELDS).join(', ')}; fields left out are not changed`,
+        minProperties: 1,
+        additionalProperties: false,
+        properties: {
+            chargingPaused: { type: 'boolean', description: 'Pause or resume charging' },
+            currentLimit: { type: 'integer', description: 'Charging current limit in A, within limits.currentLimit', example: 10 },
+            phases: { type: 'integer', description: 'Phases to charge on, within limits.phases; needs the admin role', example: 1 },
+            energyLimit: { type: 'number', nullable: true, description: 'Stop after this many kWh, 0 or null for no limit', example: 20 }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string', example: 'Invalid control request' },
+            code: { type: 'string', example: 'invalid_request' },
+            details: {
+                type: 'array',
+                description: 'Per-field errors of a 400',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', example: 'currentLimit' },
+                        message: { type: 'string', example: 'Must be an integer between 6 and 16 A for this charger' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } }
+});
+
+const CHARGER_PARAMETER = {
+    name: 'charger',
+    in: 'path',
+    required: true,
+    description: 'Charger id, see GET /api/v1/chargers',
+    schema: { type: 'string' },
+    example: 'default'
+};
+
+const COMMON_ERRORS = {
+    401: errorResponse('Not logged in'),
+    404: errorResponse('No charger with this id'),
+    502: errorResponse('The charger could not be reached or rejected the request')
+};
+
+/**
+ * The OpenAPI 3.0 document
+ */
+function buildOpenApiDocument({ version = '1.0.0', authEnabled = true } = {}) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'NRGKick Web Interface API',
+            version,
+            description: 'Normalized, unit-annotated status, device information and control of NRGKick Gen2 chargers. '
+                + 'Measurements are { value, unit } objects in fixed units (kW, kWh, A, V, Hz, °C, s) and null when the charger does not report them. '
+                + 'Fields are only added within v1, never renamed or removed.'
+        },
+        servers: [{ url: '/' }],
+        security: authEnabled ? [{ sessionCookie: [] }, { basicAuth: [] }] : [],
+        tags: [
+            { name: 'Chargers', description: 'Configured chargers and their state' },
+            { name: 'Control', description: 'Charging current, pause, phases and energy limit' }
+        ],
+        paths: {
+            '/api/v1/chargers': {
+                get: {
+                    tags: ['Chargers'],
+                    summary: 'List the chargers',
+                    operationId: 'listChargers',
+                    responses: {
+                        200: jsonResponse('Configured chargers', { type: 'array', items: { $ref: '#/components/schemas/Charger' } }),
+                        401: COMMON_ERRORS[401]
+                    }
+                }
+            },
+            '/api/v1/chargers/{charger}/status': {
+                get: {
+                    tags: ['Chargers'],
+                    summary: 'Current status',
+                    description: "The server's latest poll of the charger, or a fresh read when it has none",
+                    operationId: 'getStatus',
+                    parameters: [CHARGER_PARAMETER],
+                    responses: {
+                        200: jsonResponse('Status', { $ref: '#/components/schemas/Status' }),
+                        ...COMMON_ERRORS
+                    }
+                }
+            },
+            '/api/v1/chargers/{charger}/info': {
+                get: {
+                    tags: ['Chargers'],
+                    summary: 'Device information',
+                    operationId: 'getInfo',
+                    parameters: [CHARGER_PARAMETER],
+                    responses: {
+                        200: jsonResponse('Device information', { $ref: '#/components/schemas/Info' }),
+                        ...COMMON_ERRORS
+                    }
+                }
+            },
+            '/api/v1/chargers/{charger}/control': {
+                get: {
+                    tags: ['Control'],
+                    summary: 'Control settings and limits',
+                    operationId: 'getControl',
+                    parameters: [CHARGER_PARAMETER],
+                    responses: {
+                        200: jsonResponse('Control settings', { $ref: '#/components/schemas/Control' }),
+                        ...COMMON_ERRORS
+                    }
+                },
+                put: {
+                    tags: ['Control'],
+                    summary: 'Change control settings',
+                    description: 'Checked against the limits before it is written to the charger and recorded in the activity log. Needs the operator role, switching phases the admin role.',
+                    operationId: 'setControl',
+                    parameters: [CHARGER_PARAMETER],
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/ControlUpdate' } } }
+                    },
+                    responses: {
+                        200: jsonResponse('Control settings after the write', { $ref: '#/components/schemas/Control' }),
+                        400: errorResponse('Invalid value; details names each field'),
+                        403: errorResponse('The role of the user does not allow the change'),
+                        ...COMMON_ERRORS
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: {
+                sessionCookie: { type: 'apiKey', in: 'cookie', name: 'nrgkick_session', description: 'Set by POST /api/auth/login' },
+                basicAuth: { type: 'http', scheme: 'basic', description: 'Username and password of a web interface user' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,515 @@
+/**
+ * NRGKick Departure Charging ("ready by 07:00 with 20 kWh")
+ *
+ * The user asks for an amount of energy (or a session total) by a departure
+ * time. The planner splits the time until departure into 15 minute slots,
+ * picks the preferred ones (lowest tariff price, then cheap hours, then the
+ * earliest) until the energy fits, and spreads the charge over them at the
+ * lowest current that still makes it. Slots without a known price rank at
+ * the average of the known ones.
+ *
+ * In cheapest hours mode ("charge in the 4 cheapest hours before 07:00")
+ * the planner picks that many hours of the best slots and only lifts the
+ * pause inside them; the current and the energy limit are left alone and
+ * the plan ends at the deadline.
+ *
+ * It applies the plan on every poller snapshot:
+ *   energy_limit - Set to the target session energy, so the charger stops
+ *                  on its own once the target is reached
+ *   charge_pause - Lifted inside planned slots, set outside of them
+ *   current_set  - The planned current inside a slot
+ *
+ * The plan is recomputed at every slot boundary from the energy still
+ * missing. Slots paused by a schedule are skipped and schedule caps are
+ * respected. Past the departure time the car charges at full current until
+ * the target is reached. Unplugging the car ends the plan and lifts the
+ * energy limit.
+ *
+ * Persisted as <file>: { plan: Plan | null }
+ */
+
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { ValidationError } = require('./errors');
+
+const SLOT_MS = 15 * 60 * 1000;
+const MIN_CURRENT = 6;
+const MAX_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WINDOW_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_VOLTAGE = 230;
+
+/**
+ * Parse 'HH:MM-HH:MM' into { start, end } minutes since midnight, or null
+ */
+function parseWindow(text) {
+    const match = WINDOW_PATTERN.exec(text || '');
+    if (!match) {
+        return null;
+    }
+    return {
+        start: Number(match[1]) * 60 + Number(match[2]),
+        end: Number(match[3]) * 60 + Number(match[4])
+    };
+}
+
+/**
+ * Whether a local time falls into a window (over midnight when end < start)
+ */
+function inWindow(window, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (window.start === window.end) {
+        return true;
+    }
+    if (window.start < window.end) {
+        return minutes >= window.start && minutes < window.end;
+    }
+    return minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Departure as ms since epoch from 'HH:MM' (next occurrence, server local
+ * time), an ISO 8601 string or ms since epoch
+ */
+function parseDeparture(value, now = Date.now()) {
+    if (typeof value === 'string' && TIME_PATTERN.test(value)) {
+        const [hours, minutes] = value.split(':').map(Number);
+        const date = new Date(now);
+        date.setHours(hours, minutes, 0, 0);
+        if (date.getTime() <= now) {
+            date.setDate(date.getDate() + 1);
+        }
+        return date.getTime();
+    }
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Merge consecutive slots with the same current into ranges
+ */
+function mergeSlots(slots) {
+    const ranges = [];
+    slots.forEach((slot) => {
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === slot.start && last.current === slot.current) {
+            last.end = slot.end;
+        } else {
+            ranges.push({ start: slot.start, end: slot.end, current: slot.current });
+        }
+    });
+    return ranges;
+}
+
+class ChargePlanner extends EventEmitter {
+    constructor({ file, device, scheduler = null, loadBalancer = null, tariff = null, chargerId = null, maxCurrent = 16, cheapHours = '22:00-06:00' }) {
+        super();
+        this.file = file;
+        this.device = device;
+        this.scheduler = scheduler;
+        this.tariff = tariff;
+        this.loadBalancer = loadBalancer;
+        this.chargerId = chargerId;
+        this.maxCurrent = maxCurrent;
+        this.cheapWindow = parseWindow(cheapHours);
+        this.plan = null;
+        this.busy = false;
+        this.stopped = false;
+        this.latest = null; // Last snapshot, for planning outside of a poll
+    }
+
+    async init() {
+        const data = await readJsonFile(this.file, {});
+        this.plan = data.plan || null;
+    }
+
+    attach(poller) {
+        poller.on('data', (snapshot) => {
+            this.latest = snapshot;
+            this.enforce(snapshot).catch((err) => {
+                console.error('Departure charging failed:', err.message);
+            });
+        });
+    }
+
+    /**
+     * Stop following the plan, e.g. for a removed charger; a write under way still finishes
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    async save() {
+        await writeJsonFile(this.file, { plan: this.plan });
+    }
+
+    /**
+     * Whether a plan is in effect
+     */
+    get active() {
+        return this.plan !== null;
+    }
+
+    /**
+     * Current the plan wants right now, or null when it does not limit it
+     */
+    currentLimit() {
+        if (!this.plan || this.plan.state === 'completed' || this.plan.state === 'overdue') {
+            return null;
+        }
+        const slot = this.slotAt(Date.now());
+        return slot ? slot.current : null;
+    }
+
+    /**
+     * Start a plan: { energyKWh | targetKWh | cheapestHours, departure }
+     * energyKWh is added to what the session has charged so far; targetKWh
+     * is the session total to reach; cheapestHours charges only in that many
+     * of the cheapest hours before departure
+     */
+    async create(input) {
+        if (!input || typeof input !== 'object') {
+            throw new ValidationError('Plan must be a JSON object');
+        }
+        const snapshot = this.latest;
+        const values = snapshot ? snapshot.values || {} : {};
+        const status = (values.general || {}).status;
+        if (status !== 2 && status !== 3) {
+            throw new ValidationError('Plug in the vehicle before planning a charge');
+        }
+
+        const now = Date.now();
+        const charged = (values.energy || {}).charged_energy || 0;
+        let mode = 'energy';
+        let targetWh = null;
+        let hours = null;
+        if (input.cheapestHours !== undefined) {
+            if (typeof input.cheapestHours !== 'number' || !(input.cheapestHours > 0) || input.cheapestHours > 168) {
+                throw new ValidationError('cheapestHours must be a number between 0 and 168');
+            }
+            mode = 'cheapest';
+            hours = input.cheapestHours;
+        } else if (input.energyKWh !== undefined) {
+            if (typeof input.energyKWh !== 'number' || !(input.energyKWh > 0) || input.energyKWh > 200) {
+                throw new ValidationError('energyKWh must be a number between 0 and 200');
+            }
+            targetWh = Math.round(charged + input.energyKWh * 1000);
+        } else if (input.targetKWh !== undefined) {
+            if (typeof input.targetKWh !== 'number' || !(input.targetKWh > 0) || input.targetKWh > 200) {
+                throw new ValidationError('targetKWh must be a number between 0 and 200');
+            }
+            targetWh = Math.round(input.targetKWh * 1000);
+            if (targetWh <= charged) {
+                throw new ValidationError('The session has already charged more than targetKWh');
+            }
+        } else {
+            throw new ValidationError('One of energyKWh, targetKWh or cheapestHours is required');
+        }
+
+        const departure = parseDeparture(input.departure, now);
+        if (departure === null) {
+            throw new ValidationError('departure must be a time (HH:MM) or an ISO 8601 date');
+        }
+        if (departure <= now || departure - now > MAX_HORIZON_MS) {
+            throw new ValidationError('departure must be in the next 7 days');
+        }
+
+        const previous = this.plan;
+        this.plan = {
+            mode,
+            createdAt: now,
+            departure,
+            hours,
+            startWh: charged,
+            targetWh,
+            state: 'waiting',
+            feasible: true,
+            plannedSlot: null,
+            slots: [],
+            // A plan replacing another one inherits its pause
+            pausedByPlan: previous ? previous.pausedByPlan : false
+        };
+        if (previous && previous.mode !== 'cheapest' && mode === 'cheapest') {
+            await this.write({ energy_limit: 0 }, 'plan replaced, energy limit lifted');
+        }
+        this.replan(snapshot, now);
+        await this.save();
+        await this.enforce(snapshot);
+        return this.status();
+    }
+
+    /**
+     * Cancel the plan and give the charger back
+     */
+    async cancel(reason = 'plan cancelled') {
+        if (!this.plan) {
+            return;
+        }
+        const plan = this.plan;
+        this.plan = null;
+        await this.save();
+        if (plan.mode !== 'cheapest') {
+            await this.write({ energy_limit: 0 }, `${reason}, energy limit lifted`);
+        }
+        if (plan.pausedByPlan) {
+            await this.write({ charge_pause: 0 }, `${reason}, charging resumed`);
+        }
+    }
+
+    /**
+     * Split the time until departure into slots and pick the ones to charge in
+     */
+    replan(snapshot, now) {
+        const plan = this.plan;
+        const control = snapshot.control || {};
+        const values = snapshot.values || {};
+        const powerflow = values.powerflow || {};
+        const charged = (values.energy || {}).charged_energy || 0;
+        const phases = control.phase_count || 3;
+        const voltage = powerflow.charging_voltage || (powerflow.l1 || {}).voltage || DEFAULT_VOLTAGE;
+        const missingWh = Math.max(plan.targetWh - charged, 0);
+
+        const slots = [];
+        for (let start = now - (now % SLOT_MS); start < plan.departure; start += SLOT_MS) {
+            const from = Math.max(start, now);
+            const end = Math.min(start + SLOT_MS, plan.departure);
+            const date = new Date(from);
+            const constraints = this.scheduler ? this.scheduler.evaluate(date) : {};
+            if (constraints.pause) {
+                continue;
+            }
+            const maxCurrent = typeof constraints.maxCurrent === 'number'
+                ? Math.min(this.maxCurrent, constraints.maxCurrent)
+                : this.maxCurrent;
+            slots.push({
+                start,
+                end,
+                hours: (end - from) / 3600000,
+                maxCurrent,
+                cheap: this.cheapWindow ? inWindow(this.cheapWindow, date) : false,
+                price: this.tariff ? this.tariff.priceAt(from) : null
+            });
+        }
+
+        // Lowest price first, then cheap hours, then the earliest
+        const known = slots.filter((slot) => slot.price !== null);
+        const average = known.length ? known.reduce((sum, slot) => sum + slot.price, 0) / known.length : 0;
+        const priceOf = (slot) => (slot.price !== null ? slot.price : average);
+        const ranked = [...slots].sort((a, b) => (priceOf(a) - priceOf(b)) || (b.cheap - a.cheap) || (a.start - b.start));
+
+        const chosen = [];
+        let capacityWh = 0;
+        let hours = 0;
+        for (const slot of ranked) {
+            if (plan.mode === 'cheapest' ? hours >= plan.hours - 1e-9 : capacityWh >= missingWh) {
+                break;
+            }
+            chosen.push(slot);
+            capacityWh += slot.maxCurrent * voltage * phases * slot.hours;
+            hours += slot.hours;
+        }
+
+        // The lowest current that still delivers the energy in the chosen slots;
+        // cheapest hours mode leaves the current alone
+        const current = hours > 0 ? Math.ceil(missingWh / (hours * voltage * phases)) : this.maxCurrent;
+        const priced = chosen.filter((slot) => slot.price !== null);
+
+        plan.feasible = plan.mode === 'cheapest' ? hours >= plan.hours - 1e-9 : capacityWh >= missingWh;
+        plan.averagePrice = priced.length
+            ? Math.round((priced.reduce((sum, slot) => sum + slot.price, 0) / priced.length) * 10000) / 10000
+            : null;
+        plan.plannedSlot = Math.floor(now / SLOT_MS);
+        plan.slots = mergeSlots(chosen
+            .sort((a, b) => a.start - b.start)
+            .map((slot) => ({
+                start: slot.start,
+                end: slot.end,
+                current: plan.mode === 'cheapest' ? null : Math.min(Math.max(current, MIN_CURRENT), slot.maxCurrent)
+            })));
+    }
+
+    slotAt(time) {
+        return this.plan.slots.find((slot) => time >= slot.start && time < slot.end) || null;
+    }
+
+    /**
+     * Apply the plan using the control state of a snapshot
+     */
+    async enforce(snapshot) {
+        const control = snapshot.control || {};
+        const values = snapshot.values || {};
+        if (!this.plan || this.busy || this.stopped || typeof control.charge_pause !== 'number') {
+            return;
+        }
+
+        this.busy = true;
+        try {
+            const plan = this.plan;
+            const now = snapshot.timestamp;
+            const status = (values.general || {}).status;
+            const charged = (values.energy || {}).charged_energy || 0;
+
+            if (status === 1) {
+                await this.cancel('vehicle unplugged');
+                return;
+            }
+
+            if (plan.mode === 'cheapest') {
+                await this.enforceCheapest(snapshot);
+                return;
+            }
+
+            if (control.energy_limit !== plan.targetWh) {
+                await this.write({ energy_limit: plan.targetWh }, `target ${(plan.targetWh / 1000).toFixed(1)} kWh`);
+            }
+
+            if (charged >= plan.targetWh) {
+                if (plan.state !== 'completed') {
+                    plan.state = 'completed';
+                    plan.completedAt = now;
+                    await this.save();
+                    this.emit('completed', this.status());
+                }
+                return;
+            }
+
+            let desired;
+            if (now >= plan.departure) {
+                plan.state = 'overdue';
+                desired = this.maxCurrent;
+            } else {
+                if (plan.plannedSlot !== Math.floor(now / SLOT_MS)) {
+                    this.replan(snapshot, now);
+                    await this.save();
+                }
+                const slot = this.slotAt(now);
+                plan.state = slot ? 'charging' : 'waiting';
+                desired = slot ? slot.current : null;
+            }
+
+            // Load management may leave less
+            const allocation = this.loadBalancer ? this.loadBalancer.limitFor(this.chargerId) : null;
+            if (desired !== null && typeof allocation === 'number') {
+                desired = allocation >= MIN_CURRENT ? Math.min(desired, allocation) : null;
+            }
+
+            if (desired === null) {
+                if (control.charge_pause === 0) {
+                    await this.write({ charge_pause: 1 }, 'outside the planned slots');
+                    plan.pausedByPlan = true;
+                    await this.save();
+                }
+                return;
+            }
+
+            if (control.current_set !== desired) {
+                await this.write({ current_set: desired }, `planned ${desired} A`);
+            }
+            if (control.charge_pause === 1) {
+                await this.write({ charge_pause: 0 }, 'planned slot started');
+                plan.pausedByPlan = false;
+                await this.save();
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Cheapest hours mode: lift the pause inside the chosen slots only
+     */
+    async enforceCheapest(snapshot) {
+        const plan = this.plan;
+        const control = snapshot.control || {};
+        const now = snapshot.timestamp;
+
+        if (now >= plan.departure) {
+            plan.state = 'completed';
+            plan.completedAt = now;
+            this.emit('completed', this.status());
+            await this.cancel('deadline reached');
+            return;
+        }
+
+        if (plan.plannedSlot !== Math.floor(now / SLOT_MS)) {
+            this.replan(snapshot, now);
+            await this.save();
+        }
+        const slot = this.slotAt(now);
+        plan.state = slot ? 'charging' : 'waiting';
+
+        const allocation = this.loadBalancer ? this.loadBalancer.limitFor(this.chargerId) : null;
+        const charge = slot !== null && !(typeof allocation === 'number' && allocation < MIN_CURRENT);
+
+        if (!charge && control.charge_pause === 0) {
+            await this.write({ charge_pause: 1 }, 'outside the cheapest hours');
+            plan.pausedByPlan = true;
+            await this.save();
+        } else if (charge && control.charge_pause === 1) {
+            await this.write({ charge_pause: 0 }, 'cheap hour started');
+            plan.pausedByPlan = false;
+            await this.save();
+        }
+    }
+
+    async write(params, reason) {
+        console.log(`Departure charging: ${reason} (${new URLSearchParams(params).toString()})`);
+        await this.device.setControl(params, { source: { type: 'planner', reason } });
+        this.emit('control', { params, reason });
+    }
+
+    /**
+     * The plan with its progress, or { active: false }
+     */
+    status() {
+        if (!this.plan) {
+            return { active: false, cheapHours: this.cheapWindow !== null };
+        }
+        const plan = this.plan;
+        const nextSlot = plan.slots.find((slot) => slot.end > Date.now()) || null;
+        const last = plan.slots[plan.slots.length - 1];
+        if (plan.mode === 'cheapest') {
+            return {
+                active: true,
+                mode: plan.mode,
+                state: plan.state,
+                departure: plan.departure,
+                hours: plan.hours,
+                plannedHours: plan.slots.reduce((sum, slot) => sum + (slot.end - slot.start), 0) / 3600000,
+                feasible: plan.feasible,
+                averagePrice: plan.averagePrice,
+                expectedFinish: last ? last.end : null,
+                nextSlot,
+                slots: plan.slots
+            };
+        }
+
+        const values = this.latest ? this.latest.values || {} : {};
+        const charged = (values.energy || {}).charged_energy || 0;
+        const neededWh = plan.targetWh - plan.startWh;
+        const deliveredWh = Math.min(Math.max(charged - plan.startWh, 0), neededWh);
+
+        return {
+            active: true,
+            mode: 'energy',
+            state: plan.state,
+            departure: plan.departure,
+            targetWh: plan.targetWh,
+            neededWh,
+            deliveredWh,
+            progress: neededWh > 0 ? Math.round((deliveredWh / neededWh) * 100) : 100,
+            feasible: plan.feasible,
+            averagePrice: plan.averagePrice,
+            expectedFinish: last ? last.end : null,
+            nextSlot,
+            slots: plan.slots
+        };
+    }
+}
+
+module.exports = {
+    ChargePlanner,
+    parseDeparture,
+    parseWindow,
+    inWindow
+};
@@ -0,0 +1,123 @@
+/**
+ * NRGKick Device Poller
+ *
+ * Polls /control and /values on a fixed interval, independently of any
+ * browser tab, and emits the merged snapshot to the server-side consumers
+ * (telemetry recorder, ...).
+ *
+ * Events:
+ *   'data'        - { timestamp, control, values } after every successful poll
+ *   'poll-error'  - Error when the device could not be read
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_INTERVAL_MS = 10000;
+
+class DevicePoller extends EventEmitter {
+    constructor(device, { intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+        super();
+        this.device = device;
+        this.intervalMs = intervalMs;
+        this.timer = null; // Pending next poll, null while a poll runs
+        this.inFlight = false;
+        this.running = false;
+        this.latest = null; // Last successful snapshot
+        this.lastError = null;
+    }
+
+    /**
+     * Start polling; the first poll runs immediately
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        // A poll still running from before stop() schedules the next one itself
+        if (!this.inFlight) {
+            this.tick();
+        }
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Change the polling interval; speeding up polls right away instead of
+     * waiting out the slower interval. A poll under way schedules the next
+     * one with the new interval itself.
+     */
+    setIntervalMs(intervalMs) {
+        if (intervalMs === this.intervalMs) {
+            return;
+        }
+        const faster = intervalMs < this.intervalMs;
+        this.intervalMs = intervalMs;
+        if (faster && this.running && this.timer && !this.inFlight) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.tick();
+        }
+    }
+
+    /**
+     * Run one poll and schedule the next one once it has finished,
+     * so a slow device never gets overlapping requests
+     */
+    async tick() {
+        this.timer = null;
+        this.inFlight = true;
+        try {
+            await this.poll();
+        } catch (err) {
+            // A failing consumer must not stop the polling loop
+            console.error('Poll consumer error:', err);
+        } finally {
+            this.inFlight = false;
+        }
+        if (this.running && !this.timer) {
+            this.timer = setTimeout(() => this.tick(), this.intervalMs);
+        }
+    }
+
+    /**
+     * Read /control and /values once and emit the merged snapshot
+     */
+    async poll() {
+        let snapshot;
+        try {
+            const [control, values] = await Promise.all([
+                this.device.getControl(),
+                this.device.getValues()
+            ]);
+
+            snapshot = {
+                timestamp: Date.now(),
+                control,
+                values
+            };
+        } catch (err) {
+            this.lastError = err;
+            this.emit('poll-error', err);
+            return null;
+        }
+
+        this.latest = snapshot;
+        this.lastError = null;
+        this.emit('data', snapshot);
+        return snapshot;
+    }
+}
+
+module.exports = {
+    DevicePoller
+};
@@ -0,0 +1,265 @@
+/**
+ * NRGKick Web Push Notifications
+ *
+ * Keeps the Web Push subscriptions of the browsers that opted in and sends
+ * them notifications, so phones hear about the charger with the page closed.
+ * Each subscription picks its topics:
+ *   charge-started  - A session started charging
+ *   charge-finished - Charging finished (the car is full)
+ *   errors          - Device errors and warnings, RCD trips, overtemperature
+ *                     and an unreachable charger
+ *
+ * The VAPID key pair identifies this server to the push services; it is
+ * generated on the first start unless given. Subscriptions the push service
+ * reports as gone (404/410) are removed.
+ *
+ * Subscription: { id, endpoint, keys: { p256dh, auth }, topics, user, createdAt,
+ *                 lastSentAt, lastError }
+ * Persisted as <file>: { vapid: { publicKey, privateKey }, subscriptions },
+ * readable by the owner only, it holds the private key.
+ */
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const TOPICS = {
+    'charge-started': ['charge-started'],
+    'charge-finished': ['charge-finished'],
+    errors: ['device-error', 'device-warning', 'rcd-trigger', 'connection-lost', 'overtemperature']
+};
+const TTL_SECONDS = 24 * 60 * 60; // How long a push service keeps a message for an offline phone
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_SUBSCRIPTIONS = 100;
+
+/**
+ * Topic of an alert event type, or null when no topic sends it
+ */
+function topicOf(type) {
+    return Object.keys(TOPICS).find((topic) => TOPICS[topic].includes(type)) || null;
+}
+
+/**
+ * Subscription without its keys, for the API; the endpoint is reduced to
+ * the push service's host
+ */
+function publicSubscription(subscription) {
+    return {
+        id: subscription.id,
+        service: new URL(subscription.endpoint).host,
+        topics: subscription.topics,
+        user: subscription.user,
+        createdAt: subscription.createdAt,
+        lastSentAt: subscription.lastSentAt,
+        lastError: subscription.lastError
+    };
+}
+
+class PushService {
+    /**
+     * subject: contact of the server operator for the push services,
+     *          a mailto: or https: URL
+     * publicKey/privateKey: VAPID keys (default: generated and stored in the file)
+     */
+    constructor({ file, subject, publicKey = '', privateKey = '' }) {
+        this.file = file;
+        this.subject = subject;
+        this.vapid = publicKey && privateKey ? { publicKey, privateKey } : null;
+        this.keysFromOptions = !!this.vapid;
+        this.subscriptions = [];
+        this.webPush = null;
+        this.saveQueue = Promise.resolve();
+    }
+
+    async init() {
+        // Loaded on demand so the server runs without web-push when push notifications are off
+        this.webPush = require('web-push');
+        const data = await readJsonFile(this.file, {});
+        this.subscriptions = Array.isArray(data.subscriptions) ? data.subscriptions : [];
+        if (!this.vapid) {
+            if (data.vapid && data.vapid.publicKey && data.vapid.privateKey) {
+                this.vapid = data.vapid;
+            } else {
+                this.vapid = this.webPush.generateVAPIDKeys();
+                await this.save();
+            }
+        }
+    }
+
+    get publicKey() {
+        return this.vapid.publicKey;
+    }
+
+    /**
+     * Subscriptions of a user, or all with user null
+     */
+    list(user = null) {
+        return this.subscriptions
+            .filter((subscription) => user === null || subscription.user === user)
+            .map(publicSubscription);
+    }
+
+    /**
+     * Add a browser's PushSubscription (as from subscription.toJSON()) or
+     * change the topics of a known one; returns the subscription
+     */
+    async subscribe({ subscription, topics } = {}, user = null) {
+        const errors = [];
+        const endpoint = subscription && subscription.endpoint;
+        const keys = (subscription && subscription.keys) || {};
+        let url = null;
+        try {
+            url = new URL(endpoint);
+        } catch (err) {
+            // Reported below
+        }
+        if (!url || url.protocol !== 'https:') {
+            errors.push({ field: 'subscription.endpoint', message: 'must be an https URL' });
+        }
+        if (typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string' || !keys.p256dh || !keys.auth) {
+            errors.push({ field: 'subscription.keys', message: 'must contain p256dh and auth' });
+        }
+        if (!Array.isArray(topics) || topics.length === 0 || topics.some((topic) => !TOPICS[topic])) {
+            errors.push({ field: 'topics', message: `must list some of: ${Object.keys(TOPICS).join(', ')}` });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid push subscription', errors);
+        }
+
+        let entry = this.subscriptions.find((known) => known.endpoint === endpoint);
+        if (entry) {
+            entry.keys = { p256dh: keys.p256dh, auth: keys.auth };
+            entry.topics = [...new Set(topics)];
+            entry.user = user;
+        } else {
+            if (this.subscriptions.length >= MAX_SUBSCRIPTIONS) {
+                throw new ValidationError(`At most ${MAX_SUBSCRIPTIONS} devices can subscribe`);
+            }
+            entry = {
+                id: crypto.randomUUID(),
+                endpoint,
+                keys: { p256dh: keys.p256dh, auth: keys.auth },
+                topics: [...new Set(topics)],
+                user,
+                createdAt: Date.now(),
+                lastSentAt: null,
+                lastError: null
+            };
+            this.subscriptions.push(entry);
+        }
+        await this.save();
+        return publicSubscription(entry);
+    }
+
+    /**
+     * The subscription with this id; with a user, only one of theirs
+     */
+    get(id, user = null) {
+        const entry = this.subscriptions.find((subscription) => subscription.id === id);
+        if (!entry || (user !== null && entry.user !== user)) {
+            throw new NotFoundError(`Push subscription '${id}' not found`);
+        }
+        return entry;
+    }
+
+    async unsubscribe(id, user = null) {
+        const entry = this.get(id, user);
+        this.subscriptions = this.subscriptions.filter((subscription) => subscription !== entry);
+        await this.save();
+    }
+
+    /**
+     * Forget the subscriptions of a removed user
+     */
+    async removeUser(user) {
+        const count = this.subscriptions.length;
+        this.subscriptions = this.subscriptions.filter((subscription) => subscription.user !== user);
+        if (this.subscriptions.length !== count) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Send an alert event (see AlertMonitor) to the subscriptions of its topic
+     */
+    async notify(event) {
+        const topic = topicOf(event.type);
+        if (!topic) {
+            return;
+        }
+        const targets = this.subscriptions.filter((subscription) => subscription.topics.includes(topic));
+        await Promise.all(targets.map((subscription) => this.send(subscription, event)));
+        if (targets.length > 0) {
+            this.save();
+        }
+    }
+
+    /**
+     * Send a test notification to one subscription; resolves with whether it was delivered
+     */
+    async test(id, user = null) {
+        const entry = this.get(id, user);
+        const delivered = await this.send(entry, {
+            type: 'test',
+            severity: 'info',
+            title: 'Test notification',
+            message: 'Push notifications are working.',
+            timestamp: Date.now()
+        });
+        await this.save();
+        return delivered;
+    }
+
+    /**
+     * Push one event; failures are recorded on the subscription, never thrown
+     */
+    async send(subscription, event) {
+        const payload = JSON.stringify({
+            title: event.chargerName ? `${event.chargerName}: ${event.title}` : event.title,
+            body: [event.message, event.hint].filter(Boolean).join('\n'),
+            type: event.type,
+            severity: event.severity,
+            charger: event.charger || null,
+            timestamp: event.timestamp
+        });
+        try {
+            await this.webPush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, {
+                vapidDetails: { subject: this.subject, ...this.vapid },
+                TTL: TTL_SECONDS,
+                urgency: event.severity === 'critical' ? 'high' : 'normal',
+                timeout: REQUEST_TIMEOUT_MS
+            });
+            subscription.lastSentAt = Date.now();
+            subscription.lastError = null;
+            return true;
+        } catch (err) {
+            if (err.statusCode === 404 || err.statusCode === 410) {
+                // Unsubscribed in the browser or expired
+                this.subscriptions = this.subscriptions.filter((known) => known !== subscription);
+                return false;
+            }
+            subscription.lastError = err.statusCode ? `HTTP ${err.statusCode} from ${new URL(subscription.endpoint).host}` : err.message;
+            console.error(`Push notification to ${new URL(subscription.endpoint).host} failed:`, subscription.lastError);
+            return false;
+        }
+    }
+
+    /**
+     * Persist keys and subscriptions; saves are serialized so the file is never written twice at once
+     */
+    save() {
+        const data = {
+            vapid: this.keysFromOptions ? null : this.vapid,
+            subscriptions: this.subscriptions
+        };
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.file, data, { mode: 0o600 }))
+            .catch((err) => console.error('Saving the push subscriptions failed:', err.message));
+        return this.saveQueue;
+    }
+}
+
+module.exports = {
+    PushService,
+    TOPICS
+};
@@ -0,0 +1,106 @@
+/**
+ * Minimal request router for the server API routes
+ *
+ * Patterns are literal paths with `:name` segments, e.g. '/api/schedules/:id'.
+ * Handlers receive (req, res, { url, params }) and may be async; errors with
+ * a `statusCode` property (ValidationError, NotFoundError, DeviceError) are
+ * answered with that status, anything else with 500.
+ *
+ * Every route names the role it needs (default: viewer, null: public); the
+ * `authorize(req, role)` option checks it before the handler runs.
+ */
+
+const { sendError, decodePathSegment } = require('./http-utils');
+
+class Router {
+    constructor({ authorize = null } = {}) {
+        this.routes = [];
+        this.authorize = authorize;
+    }
+
+    add(method, pattern, handler, role = 'viewer') {
+        const keys = [];
+        const source = pattern
+            .split('/')
+            .map((segment) => {
+                if (segment.startsWith(':')) {
+                    keys.push(segment.substring(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        this.routes.push({ method, regex: new RegExp(`^${source}$`), keys, handler, role });
+        return this;
+    }
+
+    get(pattern, handler, role) {
+        return this.add('GET', pattern, handler, role);
+    }
+
+    post(pattern, handler, role) {
+        return this.add('POST', pattern, handler, role);
+    }
+
+    put(pattern, handler, role) {
+        return this.add('PUT', pattern, handler, role);
+    }
+
+    delete(pattern, handler, role) {
+        return this.add('DELETE', pattern, handler, role);
+    }
+
+    /**
+     * Dispatch a request; returns false when no route matches the path
+     */
+    handle(req, res, url) {
+        let pathMatched = false;
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(url.pathname);
+            if (!match) {
+                continue;
+            }
+            pathMatched = true;
+            if (route.method !== req.method) {
+                continue;
+            }
+
+            Promise.resolve()
+                .then(() => (route.role && this.authorize ? this.authorize(req, route.role) : null))
+                .then(() => {
+                    // A malformed escape becomes a 400 here instead of an uncaught URIError
+                    const params = {};
+                    route.keys.forEach((key, index) => {
+                        params[key] = decodePathSegment(match[index + 1]);
+                    });
+                    return route.handler(req, res, { url, params });
+                })
+                .catch((err) => {
+                    if (err.statusCode) {
+                        const extra = err.code ? { code: err.code } : {};
+                        if (err.details) {
+                            extra.details = err.details;
+                        }
+                        sendError(res, err.statusCode, err.message, extra);
+                    } else {
+                        console.error(`${req.method} ${url.pathname} failed:`, err);
+                        sendError(res, 500, 'Internal server error');
+                    }
+                });
+            return true;
+        }
+
+        if (pathMatched) {
+            sendError(res, 405, `Method ${req.method} not allowed`, { code: 'method_not_allowed' });
+            return true;
+        }
+
+        return false;
+    }
+}
+
+module.exports = {
+    Router
+};
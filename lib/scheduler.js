@@ -0,0 +1,294 @@
+/**
+ * NRGKick Charging Scheduler
+ *
+ * Stores weekly rules and enforces them by writing /control on its own,
+ * every time the device poller delivers a fresh snapshot.
+ *
+ * Rule actions:
+ *   charge - Charging is only allowed inside the windows of 'charge' rules
+ *            (e.g. "charge only 22:00-06:00 on weekdays")
+ *   pause  - Charging is paused inside the window
+ *   limit  - current_set is capped at `current` A inside the window
+ *            (e.g. "cap at 10 A between 17:00 and 20:00")
+ *
+ * Windows use server local time (set TZ in Docker). A window whose end is
+ * before its start runs over midnight and belongs to its start day; equal
+ * start and end cover the whole day. Days: 0 = Sunday ... 6 = Saturday.
+ *
+ * The scheduler only undoes what it did itself: it resumes charging it
+ * paused and restores the current limit it capped, unless someone changed
+ * the setting in the meantime.
+ *
+ * Persisted as <file>: { rules: Rule[], state: { pausedBySchedule, restoreCurrent, appliedCurrent } }
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const ACTIONS = ['charge', 'pause', 'limit'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MIN_CURRENT = 6;
+const MAX_CURRENT = 32;
+
+/**
+ * Minutes since midnight of an 'HH:MM' string
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Validate a rule payload and return the normalized rule (without id)
+ */
+function validateRule(input) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('Rule must be a JSON object');
+    }
+
+    const rule = {
+        name: typeof input.name === 'string' ? input.name.trim().slice(0, 100) : '',
+        enabled: input.enabled !== false,
+        days: input.days,
+        start: input.start,
+        end: input.end,
+        action: input.action
+    };
+
+    if (!ACTIONS.includes(rule.action)) {
+        throw new ValidationError(`action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(rule.days) || rule.days.length === 0 ||
+        !rule.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        throw new ValidationError('days must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)');
+    }
+    rule.days = [...new Set(rule.days)].sort();
+    if (!TIME_PATTERN.test(rule.start) || !TIME_PATTERN.test(rule.end)) {
+        throw new ValidationError('start and end must be times in HH:MM format');
+    }
+    if (rule.action === 'limit') {
+        if (!Number.isInteger(input.current) || input.current < MIN_CURRENT || input.current > MAX_CURRENT) {
+            throw new ValidationError(`current must be an integer between ${MIN_CURRENT} and ${MAX_CURRENT} A`);
+        }
+        rule.current = input.current;
+    }
+
+    return rule;
+}
+
+/**
+ * Whether the window of a rule contains the given date
+ */
+function isRuleActive(rule, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const start = toMinutes(rule.start);
+    const end = toMinutes(rule.end);
+
+    if (start === end) {
+        return rule.days.includes(day);
+    }
+    if (start < end) {
+        return rule.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Over midnight: evening part on the start day, morning part on the next day
+    return (rule.days.includes(day) && minutes >= start) ||
+        (rule.days.includes(previousDay) && minutes < end);
+}
+
+class Scheduler extends EventEmitter {
+    constructor({ file, device }) {
+        super();
+        this.file = file;
+        this.device = device;
+        this.rules = [];
+        this.state = {
+            pausedBySchedule: false,
+            restoreCurrent: null, // current_set to restore when a limit ends
+            appliedCurrent: null // current_set written by the scheduler
+        };
+        this.busy = false;
+        this.stopped = false;
+        this.saveQueue = Promise.resolve();
+    }
+
+    /**
+     * Load persisted rules and enforcement state
+     */
+    async init() {
+        const data = await readJsonFile(this.file, {});
+        this.rules = Array.isArray(data.rules) ? data.rules : [];
+        Object.assign(this.state, data.state || {});
+    }
+
+    /**
+     * Enforce the rules on every poller snapshot
+     */
+    attach(poller) {
+        poller.on('data', (snapshot) => {
+            this.enforce(snapshot).catch((err) => {
+                console.error('Schedule enforcement failed:', err.message);
+            });
+        });
+    }
+
+    /**
+     * Stop enforcing the rules, e.g. for a removed charger; a write under way still finishes
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    save() {
+        const data = { rules: this.rules, state: this.state };
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.file, data))
+            .catch((err) => console.error('Saving schedules failed:', err.message));
+        return this.saveQueue;
+    }
+
+    list() {
+        return this.rules;
+    }
+
+    get(id) {
+        const rule = this.rules.find((candidate) => candidate.id === id);
+        if (!rule) {
+            throw new NotFoundError('Schedule rule not found');
+        }
+        return rule;
+    }
+
+    async create(input) {
+        const rule = { id: crypto.randomUUID(), ...validateRule(input) };
+        this.rules.push(rule);
+        await this.save();
+        return rule;
+    }
+
+    async update(id, input) {
+        const index = this.rules.findIndex((candidate) => candidate.id === id);
+        if (index === -1) {
+            throw new NotFoundError('Schedule rule not found');
+        }
+        const rule = { id, ...validateRule(input) };
+        this.rules[index] = rule;
+        await this.save();
+        return rule;
+    }
+
+    async remove(id) {
+        const index = this.rules.findIndex((candidate) => candidate.id === id);
+        if (index === -1) {
+            throw new NotFoundError('Schedule rule not found');
+        }
+        this.rules.splice(index, 1);
+        await this.save();
+    }
+
+    /**
+     * What the rules want at a given date
+     * Returns { pause, maxCurrent, activeRules }
+     */
+    evaluate(date = new Date()) {
+        const enabled = this.rules.filter((rule) => rule.enabled);
+        const active = enabled.filter((rule) => isRuleActive(rule, date));
+
+        const chargeRules = enabled.filter((rule) => rule.action === 'charge');
+        const outsideChargeWindows = chargeRules.length > 0 &&
+            !active.some((rule) => rule.action === 'charge');
+        const pause = outsideChargeWindows || active.some((rule) => rule.action === 'pause');
+
+        const limits = active.filter((rule) => rule.action === 'limit').map((rule) => rule.current);
+        const maxCurrent = limits.length > 0 ? Math.min(...limits) : null;
+
+        return {
+            pause,
+            maxCurrent,
+            activeRules: active.map((rule) => rule.id)
+        };
+    }
+
+    /**
+     * Bring the device in line with the rules, using the control state of a snapshot
+     */
+    async enforce(snapshot) {
+        const control = snapshot.control || {};
+        if (this.busy || this.stopped || typeof control.charge_pause !== 'number') {
+            return;
+        }
+
+        this.busy = true;
+        try {
+            const desired = this.evaluate(new Date(snapshot.timestamp));
+            let changed = false;
+
+            // Pause
+            if (desired.pause && control.charge_pause !== 1) {
+                await this.write({ charge_pause: 1 }, 'paused by schedule');
+                this.state.pausedBySchedule = true;
+                changed = true;
+            } else if (!desired.pause && this.state.pausedBySchedule) {
+                if (control.charge_pause === 1) {
+                    await this.write({ charge_pause: 0 }, 'resumed by schedule');
+                }
+                this.state.pausedBySchedule = false;
+                changed = true;
+            }
+
+            // Current limit
+            const currentSet = control.current_set;
+            if (desired.maxCurrent !== null && typeof currentSet === 'number' && currentSet > desired.maxCurrent) {
+                if (this.state.restoreCurrent === null) {
+                    this.state.restoreCurrent = currentSet;
+                }
+                await this.write({ current_set: desired.maxCurrent }, 'limited by schedule');
+                this.state.appliedCurrent = desired.maxCurrent;
+                changed = true;
+            } else if (desired.maxCurrent === null && this.state.restoreCurrent !== null) {
+                // Only restore when nobody changed the limit while it was capped
+                if (currentSet === this.state.appliedCurrent) {
+                    await this.write({ current_set: this.state.restoreCurrent }, 'limit restored by schedule');
+                }
+                this.state.restoreCurrent = null;
+                this.state.appliedCurrent = null;
+                changed = true;
+            }
+
+            if (changed) {
+                await this.save();
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Write control settings to the device and report the change
+     */
+    async write(params, reason) {
+        console.log(`Scheduler: ${reason} (${new URLSearchParams(params).toString()})`);
+        await this.device.setControl(params, { source: { type: 'scheduler', reason } });
+        this.emit('control', { params, reason });
+    }
+
+    /**
+     * Rules, what they currently want and the enforcement state
+     */
+    status() {
+        return {
+            rules: this.rules,
+            current: this.evaluate(),
+            state: this.state
+        };
+    }
+}
+
+module.exports = {
+    Scheduler,
+    validateRule,
+    isRuleActive
+};
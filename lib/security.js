@@ -0,0 +1,136 @@
+/**
+ * HTTP Security Headers and CORS
+ *
+ * Sets the security headers on every response, static files and API alike:
+ *   Content-Security-Policy - Scripts, styles and connections from the server only;
+ *                             frame-ancestors decides who may embed the interface
+ *   X-Frame-Options         - The same for browsers without frame-ancestors
+ *   Referrer-Policy, X-Content-Type-Options, Cross-Origin-Opener-Policy, Permissions-Policy
+ *   Strict-Transport-Security - On TLS connections when hstsMaxAge > 0
+ *
+ * CORS: cross-origin browsers are only answered for the origins in the
+ * allowlist ('*' allows any origin, without credentials). With an empty
+ * list the interface and API are same-origin only.
+ */
+
+const DEFAULT_HSTS_MAX_AGE = 180 * 24 * 60 * 60; // Seconds
+const CORS_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const CORS_HEADERS = 'Content-Type, Authorization';
+const CORS_MAX_AGE = 86400; // Seconds a browser may cache a preflight
+
+/**
+ * Split a comma or space separated list, dropping empty items
+ */
+function parseList(value) {
+    return String(value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Lower-cased origin without a trailing slash, or null when malformed
+ */
+function normalizeOrigin(value) {
+    if (value === '*') {
+        return value;
+    }
+    try {
+        const url = new URL(value);
+        return url.origin === 'null' ? null : url.origin.toLowerCase();
+    } catch (err) {
+        return null;
+    }
+}
+
+class SecurityPolicy {
+    /**
+     * corsOrigins: allowed origins, e.g. ['https://ha.example.com'] or ['*']
+     * frameAncestors: sources allowed to embed the interface (default: none)
+     * hstsMaxAge: Strict-Transport-Security max-age in seconds, 0 to leave it out
+     */
+    constructor({ corsOrigins = [], frameAncestors = [], hstsMaxAge = DEFAULT_HSTS_MAX_AGE } = {}) {
+        const origins = corsOrigins.map((origin) => {
+            const normalized = normalizeOrigin(origin);
+            if (!normalized) {
+                throw new Error(`Invalid CORS origin '${origin}'`);
+            }
+            return normalized;
+        });
+        this.anyOrigin = origins.includes('*');
+        this.corsOrigins = new Set(origins.filter((origin) => origin !== '*'));
+        const ancestors = frameAncestors.map((source) => (/^(self|none)$/i.test(source) ? `'${source.toLowerCase()}'` : source));
+        this.frameAncestors = ancestors.length > 0 ? ancestors.join(' ') : "'none'";
+        this.hstsMaxAge = hstsMaxAge;
+        this.contentSecurityPolicy = [
+            "default-src 'self'",
+            "script-src 'self'",
+            "style-src 'self'",
+            "img-src 'self' data:",
+            "connect-src 'self'",
+            "object-src 'none'",
+            "base-uri 'self'",
+            "form-action 'self'",
+            `frame-ancestors ${this.frameAncestors}`
+        ].join('; ');
+    }
+
+    /**
+     * Whether a browser on `origin` may read the responses
+     */
+    allowsOrigin(origin) {
+        const normalized = normalizeOrigin(origin);
+        return !!normalized && (this.anyOrigin || this.corsOrigins.has(normalized));
+    }
+
+    /**
+     * Set the security and CORS headers of a response; handlers that call
+     * res.writeHead afterwards only add their own headers
+     */
+    apply(req, res) {
+        res.setHeader('Content-Security-Policy', this.contentSecurityPolicy);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Referrer-Policy', 'no-referrer');
+        res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+        res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+        if (this.frameAncestors === "'none'") {
+            res.setHeader('X-Frame-Options', 'DENY');
+        } else if (this.frameAncestors === "'self'") {
+            res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+        }
+        if (req.socket.encrypted && this.hstsMaxAge > 0) {
+            res.setHeader('Strict-Transport-Security', `max-age=${this.hstsMaxAge}`);
+        }
+
+        // The answer depends on the Origin unless every origin gets the same one
+        if (!this.anyOrigin) {
+            res.setHeader('Vary', 'Origin');
+        }
+        const origin = req.headers.origin;
+        if (origin && this.allowsOrigin(origin)) {
+            if (this.anyOrigin) {
+                res.setHeader('Access-Control-Allow-Origin', '*');
+            } else {
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Access-Control-Allow-Credentials', 'true');
+            }
+        }
+    }
+
+    /**
+     * Answer a CORS preflight (OPTIONS); origins outside the allowlist get
+     * no Access-Control-Allow-* headers, so the browser blocks the request
+     */
+    preflight(req, res) {
+        if (req.headers.origin && this.allowsOrigin(req.headers.origin)) {
+            res.setHeader('Access-Control-Allow-Methods', CORS_METHODS);
+            res.setHeader('Access-Control-Allow-Headers', CORS_HEADERS);
+            res.setHeader('Access-Control-Max-Age', String(CORS_MAX_AGE));
+        }
+        res.writeHead(204);
+        res.end();
+    }
+}
+
+module.exports = {
+    SecurityPolicy,
+    parseList,
+    DEFAULT_HSTS_MAX_AGE
+};
@@ -0,0 +1,264 @@
+/**
+ * NRGKick Charging Session Tracker
+ *
+ * Follows the status reported by the device poller and turns it into a
+ * session log. A session lasts from plug-in to plug-out and records every
+ * charging interval in between, the energy delivered, the peak power,
+ * the number of phases used and the average current per phase. With a
+ * tariff it also adds up the cost: every energy increment is priced at the
+ * price of the moment it was measured. Energy charged while no price was
+ * known is counted separately as uncosted.
+ *
+ * Status codes: 1 Standby, 2 Connected, 3 Charging, 6 Error, 7 Wakeup
+ *
+ * Persisted as <file>: { active: Session|null, sessions: Session[] }
+ */
+
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const STATUS_STANDBY = 1;
+const STATUS_CHARGING = 3;
+const PLUGGED_STATUSES = [2, 3, 7];
+const PHASE_ACTIVE_CURRENT = 1; // A, a phase carrying more than this counts as used
+const ACTIVE_SAVE_INTERVAL_MS = 60 * 1000;
+
+class SessionTracker extends EventEmitter {
+    constructor({ file, tariff = null }) {
+        super();
+        this.file = file;
+        this.tariff = tariff;
+        this.active = null;
+        this.sessions = []; // Completed sessions, oldest first
+        this.lastSavedAt = 0;
+        this.saveQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the persisted session log
+     */
+    async init() {
+        const data = await readJsonFile(this.file, { active: null, sessions: [] });
+        this.active = data.active || null;
+        this.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+    }
+
+    /**
+     * Subscribe to a device poller
+     */
+    attach(poller) {
+        poller.on('data', (snapshot) => this.update(snapshot));
+    }
+
+    /**
+     * Process one poller snapshot and detect plug and charge edges
+     */
+    update(snapshot) {
+        const values = snapshot.values || {};
+        const general = values.general || {};
+        const status = general.status;
+        const now = snapshot.timestamp;
+
+        if (typeof status !== 'number') {
+            return;
+        }
+
+        if (PLUGGED_STATUSES.includes(status) && !this.active) {
+            this.startSession(snapshot);
+        }
+
+        // Errors and unknown states keep the previous plugged state
+        if (status === STATUS_STANDBY && this.active) {
+            this.endSession(now);
+            return;
+        }
+
+        if (!this.active) {
+            return;
+        }
+
+        const session = this.active;
+        const charging = status === STATUS_CHARGING;
+        const openInterval = session.intervals[session.intervals.length - 1];
+        const isCharging = openInterval && openInterval.end === null;
+
+        if (charging && !isCharging) {
+            session.intervals.push({ start: now, end: null });
+            this.emit('charge-start', session);
+            this.save();
+        } else if (!charging && isCharging) {
+            openInterval.end = now;
+            this.emit('charge-stop', session);
+            this.save();
+        }
+
+        this.updateMeasurements(session, snapshot, charging);
+
+        if (now - this.lastSavedAt >= ACTIVE_SAVE_INTERVAL_MS) {
+            this.save();
+        }
+    }
+
+    /**
+     * Open a new session on plug-in
+     */
+    startSession(snapshot) {
+        const energy = (snapshot.values || {}).energy || {};
+        this.active = {
+            id: String(snapshot.timestamp),
+            start: snapshot.timestamp,
+            end: null,
+            intervals: [],
+            startTotalEnergy: typeof energy.total_charged_energy === 'number' ? energy.total_charged_energy : null,
+            energy: 0,
+            peakPower: 0,
+            phases: 0,
+            averageCurrent: null,
+            currentSum: 0,
+            currentSamples: 0,
+            cost: this.tariff ? 0 : null,
+            uncostedEnergy: 0
+        };
+        this.emit('plug-in', this.active);
+        this.save();
+    }
+
+    /**
+     * Close the active session on plug-out and move it to the log
+     */
+    endSession(timestamp) {
+        const session = this.active;
+        const openInterval = session.intervals[session.intervals.length - 1];
+        if (openInterval && openInterval.end === null) {
+            openInterval.end = timestamp;
+            this.emit('charge-stop', session);
+        }
+        session.end = timestamp;
+
+        this.sessions.push(session);
+        this.active = null;
+        this.emit('plug-out', session);
+        this.save();
+    }
+
+    /**
+     * Update energy, cost, peak power, phases and average current of a session
+     */
+    updateMeasurements(session, snapshot, charging) {
+        const values = snapshot.values || {};
+        const energy = values.energy || {};
+        const powerflow = values.powerflow || {};
+        const previousEnergy = session.energy;
+
+        // Prefer the lifetime counter delta, it survives a reset of charged_energy
+        if (typeof energy.total_charged_energy === 'number' && session.startTotalEnergy !== null) {
+            session.energy = Math.max(session.energy, energy.total_charged_energy - session.startTotalEnergy);
+        } else if (typeof energy.charged_energy === 'number') {
+            session.energy = Math.max(session.energy, energy.charged_energy);
+        }
+
+        if (this.tariff && session.energy > previousEnergy) {
+            this.addCost(session, session.energy - previousEnergy, snapshot.timestamp);
+        }
+
+        if (typeof powerflow.total_active_power === 'number') {
+            session.peakPower = Math.max(session.peakPower, powerflow.total_active_power);
+        }
+
+        if (!charging) {
+            return;
+        }
+
+        const phaseCurrents = ['l1', 'l2', 'l3']
+            .map((phase) => (powerflow[phase] || {}).current)
+            .filter((current) => typeof current === 'number' && current > PHASE_ACTIVE_CURRENT);
+
+        if (phaseCurrents.length > 0) {
+            session.phases = Math.max(session.phases, phaseCurrents.length);
+            const perPhase = phaseCurrents.reduce((sum, current) => sum + current, 0) / phaseCurrents.length;
+            session.currentSum += perPhase;
+            session.currentSamples += 1;
+            session.averageCurrent = Math.round((session.currentSum / session.currentSamples) * 10) / 10;
+        }
+    }
+
+    /**
+     * Price an energy increment (Wh) at the tariff of its time
+     */
+    addCost(session, energyWh, timestamp) {
+        const price = this.tariff.priceAt(timestamp);
+        if (price === null) {
+            session.uncostedEnergy = (session.uncostedEnergy || 0) + energyWh;
+            return;
+        }
+        session.cost = (session.cost || 0) + (energyWh / 1000) * price;
+    }
+
+    /**
+     * Persist the log; saves are serialized so the file is never written twice at once
+     */
+    save() {
+        this.lastSavedAt = Date.now();
+        const data = { active: this.active, sessions: this.sessions };
+        this.saveQueue = this.saveQueue
+            .then(() => writeJsonFile(this.file, data))
+            .catch((err) => console.error('Saving sessions failed:', err.message));
+        return this.saveQueue;
+    }
+
+    /**
+     * Public view of a session: totals only, no internal accumulators
+     */
+    static summarize(session) {
+        const chargingMs = session.intervals.reduce((total, interval) => {
+            return total + ((interval.end || Date.now()) - interval.start);
+        }, 0);
+
+        return {
+            id: session.id,
+            start: session.start,
+            end: session.end,
+            chargingStart: session.intervals.length ? session.intervals[0].start : null,
+            chargingEnd: session.intervals.length ? session.intervals[session.intervals.length - 1].end : null,
+            chargingDurationMs: chargingMs,
+            intervals: session.intervals,
+            energyKWh: Math.round(session.energy) / 1000,
+            peakPowerKW: Math.round(session.peakPower) / 1000,
+            phases: session.phases,
+            averageCurrent: session.averageCurrent,
+            cost: typeof session.cost === 'number' ? Math.round(session.cost * 10000) / 10000 : null,
+            uncostedEnergyKWh: Math.round(session.uncostedEnergy || 0) / 1000
+        };
+    }
+
+    /**
+     * Active session and completed sessions (newest first) within [from, to]
+     */
+    list({ from = 0, to = Infinity, limit = 50 } = {}) {
+        const sessions = this.sessions
+            .filter((session) => session.start >= from && session.start <= to)
+            .slice(-limit)
+            .reverse()
+            .map(SessionTracker.summarize);
+
+        return {
+            active: this.active ? SessionTracker.summarize(this.active) : null,
+            sessions
+        };
+    }
+
+    /**
+     * Look up a session by id, active or completed
+     */
+    get(id) {
+        if (this.active && this.active.id === id) {
+            return SessionTracker.summarize(this.active);
+        }
+        const session = this.sessions.find((candidate) => candidate.id === id);
+        return session ? SessionTracker.summarize(session) : null;
+    }
+}
+
+module.exports = {
+    SessionTracker
+};
@@ -0,0 +1,280 @@
+/**
+ * NRGKick Server Settings
+ *
+ * Settings that can be changed at runtime from the settings page, persisted
+ * in a JSON or YAML config file (by its extension). An environment variable
+ * overrides the file; settings taken from the environment are read-only.
+ *
+ * Setting          Environment                              Applies
+ *   port           PORT                                     after a restart
+ *   pollInterval   POLL_INTERVAL (s)                        at once
+ *   livePollInterval LIVE_POLL_INTERVAL (s)                 at once
+ *   currentMin     CURRENT_MIN (A)                          at once
+ *   currentMax     CURRENT_MAX (A)                          at once
+ *   chargers       NRGKICK_CHARGERS, NRGKICK_CHARGERS_FILE  at once
+ *                  or NRGKICK_IP/NRGKICK_USER/NRGKICK_PASS
+ *
+ * File: { "port": 3000, "pollInterval": 10, "livePollInterval": 2,
+ *         "currentMin": 6, "currentMax": 32,
+ *         "chargers": [{ "id", "name", "ip", "username", "password", "priority", "maxCurrent" }] }
+ *
+ * Emits 'change' (keys) after an update was saved, with the changed settings.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { loadChargerConfigs, normalizeChargerConfigs } = require('./chargers');
+const { ValidationError } = require('./errors');
+const { writeJsonFile } = require('./json-store');
+
+const CHARGER_ENV = ['NRGKICK_CHARGERS', 'NRGKICK_CHARGERS_FILE', 'NRGKICK_IP'];
+
+const SCHEMA = {
+    port: { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT', restart: true },
+    pollInterval: { type: 'number', min: 1, max: 3600, default: 10, env: 'POLL_INTERVAL' },
+    livePollInterval: { type: 'number', min: 0.5, max: 60, default: 2, env: 'LIVE_POLL_INTERVAL' },
+    currentMin: { type: 'integer', min: 6, max: 32, default: 6, env: 'CURRENT_MIN' },
+    currentMax: { type: 'integer', min: 6, max: 32, default: 32, env: 'CURRENT_MAX' },
+    chargers: { type: 'chargers', default: [], env: CHARGER_ENV }
+};
+
+/**
+ * Check one setting against the schema; returns the normalized value
+ * or throws an Error with the reason
+ */
+function validateSetting(key, value) {
+    const spec = SCHEMA[key];
+    if (spec.type === 'chargers') {
+        if (!Array.isArray(value)) {
+            throw new Error('must be a list of chargers');
+        }
+        return value.length === 0 ? [] : normalizeChargerConfigs(value);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    if (value < spec.min || value > spec.max) {
+        throw new Error(`must be between ${spec.min} and ${spec.max}`);
+    }
+    return value;
+}
+
+/**
+ * Validate a set of settings; throws a ValidationError listing every
+ * invalid setting in `details`
+ */
+function validateSettings(values) {
+    const errors = [];
+    const normalized = {};
+    Object.keys(values).forEach((key) => {
+        if (!SCHEMA[key]) {
+            errors.push({ field: key, message: 'Unknown setting' });
+            return;
+        }
+        try {
+            normalized[key] = validateSetting(key, values[key]);
+        } catch (err) {
+            errors.push({ field: key, message: err.message });
+        }
+    });
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid settings', errors);
+    }
+    return normalized;
+}
+
+/**
+ * Settings given by the environment, parsed like the file
+ */
+function readEnvironment(env) {
+    const values = {};
+    Object.keys(SCHEMA).forEach((key) => {
+        const spec = SCHEMA[key];
+        if (spec.type === 'chargers') {
+            if (CHARGER_ENV.some((name) => env[name])) {
+                values[key] = loadChargerConfigs(env);
+            }
+        } else if (env[spec.env] !== undefined && env[spec.env] !== '') {
+            values[key] = Number(env[spec.env]);
+        }
+    });
+    return values;
+}
+
+function isYaml(file) {
+    return /\.ya?ml$/i.test(file);
+}
+
+class Settings extends EventEmitter {
+    /**
+     * file: config file, .json or .yaml/.yml
+     */
+    constructor({ file, env = process.env }) {
+        super();
+        this.file = file;
+        this.env = env;
+        this.fileValues = {}; // As stored in the file
+        this.envValues = {}; // Overrides from the environment
+        this.values = {}; // In effect
+        this.started = {}; // In effect when the server started, for settings that need a restart
+        this.saveQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the file and the environment; synchronous so the server can
+     * build its services from the result. Throws on invalid settings.
+     */
+    load() {
+        let data = {};
+        if (fs.existsSync(this.file)) {
+            const text = fs.readFileSync(this.file, 'utf8');
+            try {
+                data = isYaml(this.file) ? this.parseYaml(text) : JSON.parse(text);
+            } catch (err) {
+                throw new Error(`${this.file}: ${err.message}`);
+            }
+            data = data || {};
+        }
+        this.fileValues = this.check(data, this.file);
+        try {
+            this.envValues = readEnvironment(this.env);
+        } catch (err) {
+            throw new Error(`Environment: ${err.message}`);
+        }
+        this.envValues = this.check(this.envValues, 'Environment', true);
+        this.values = this.resolve(this.fileValues);
+        this.started = { ...this.values };
+    }
+
+    /**
+     * Validate loaded settings; errors name the environment variables when `fromEnv`
+     */
+    check(values, label, fromEnv = false) {
+        try {
+            return validateSettings(values);
+        } catch (err) {
+            const nameOf = (field) => (fromEnv && SCHEMA[field] ? [].concat(SCHEMA[field].env).join('/') : field);
+            const reasons = (err.details || []).map((detail) => `${nameOf(detail.field)} ${detail.message}`);
+            throw new Error(`${label}: ${reasons.join(', ') || err.message}`);
+        }
+    }
+
+    parseYaml(text) {
+        // Loaded on demand so the server runs without yaml when the config file is JSON
+        return require('yaml').parse(text);
+    }
+
+    /**
+     * Settings in effect for the given file settings: environment, file, default
+     */
+    resolve(fileValues) {
+        const values = {};
+        Object.keys(SCHEMA).forEach((key) => {
+            if (this.envValues[key] !== undefined) {
+                values[key] = this.envValues[key];
+            } else {
+                values[key] = fileValues[key] !== undefined ? fileValues[key] : SCHEMA[key].default;
+            }
+        });
+        if (values.currentMin > values.currentMax) {
+            throw new ValidationError('currentMin must not be above currentMax', [
+                { field: 'currentMin', message: `must not be above currentMax (${values.currentMax})` }
+            ]);
+        }
+        return values;
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Where a setting comes from: 'env', 'file' or 'default'
+     */
+    sourceOf(key) {
+        if (this.envValues[key] !== undefined) {
+            return 'env';
+        }
+        return this.fileValues[key] !== undefined ? 'file' : 'default';
+    }
+
+    /**
+     * Settings for the settings page; charger passwords are left out
+     */
+    describe() {
+        const values = { ...this.values };
+        values.chargers = values.chargers.map(({ password, ...charger }) => ({ ...charger, hasPassword: !!password }));
+        const fields = {};
+        Object.keys(SCHEMA).forEach((key) => {
+            const spec = SCHEMA[key];
+            fields[key] = {
+                source: this.sourceOf(key),
+                env: Array.isArray(spec.env) ? spec.env.join(', ') : spec.env,
+                restart: !!spec.restart,
+                pendingRestart: !!spec.restart && this.values[key] !== this.started[key],
+                ...(spec.min !== undefined ? { min: spec.min, max: spec.max } : {})
+            };
+        });
+        return { file: this.file, values, fields };
+    }
+
+    /**
+     * Change settings; a charger sent without password keeps its stored one.
+     * Settings from the environment cannot be changed.
+     * Returns the changed keys
+     */
+    async update(patch) {
+        if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+            throw new ValidationError('Settings must be a JSON object');
+        }
+        const locked = Object.keys(patch).filter((key) => SCHEMA[key] && this.sourceOf(key) === 'env');
+        if (locked.length > 0) {
+            throw new ValidationError('Settings from the environment cannot be changed here', locked.map((key) => ({
+                field: key,
+                message: `Set by ${[].concat(SCHEMA[key].env).join(', ')}`
+            })));
+        }
+
+        const input = { ...patch };
+        if (Array.isArray(input.chargers)) {
+            const current = new Map(this.values.chargers.map((charger) => [charger.id, charger]));
+            input.chargers = input.chargers.map((entry) => {
+                const stored = entry && current.get(entry.id);
+                const given = entry && (entry.password !== undefined || entry.pass !== undefined);
+                return stored && !given ? { ...entry, password: stored.password } : entry;
+            });
+        }
+        const normalized = validateSettings(input);
+
+        const fileValues = { ...this.fileValues, ...normalized };
+        const values = this.resolve(fileValues);
+        await this.save(fileValues);
+        const previous = this.values;
+        this.fileValues = fileValues;
+        this.values = values;
+
+        const changed = Object.keys(normalized)
+            .filter((key) => JSON.stringify(previous[key]) !== JSON.stringify(this.values[key]));
+        if (changed.length > 0) {
+            this.emit('change', changed);
+        }
+        return changed;
+    }
+
+    /**
+     * Write the file settings; only the owner may read it, it holds the
+     * charger passwords
+     */
+    save(data) {
+        const serialize = isYaml(this.file) ? (value) => require('yaml').stringify(value) : (value) => `${JSON.stringify(value, null, 2)}\n`;
+        const write = this.saveQueue.then(() => writeJsonFile(this.file, data, { mode: 0o600, serialize }));
+        this.saveQueue = write.catch(() => {}); // A failed save must not block the next one
+        return write;
+    }
+}
+
+module.exports = {
+    Settings,
+    SCHEMA,
+    validateSettings
+};
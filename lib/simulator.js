@@ -0,0 +1,601 @@
+/**
+ * NRGKick Simulator
+ *
+ * A pretend NRGKick Gen2 charger serving the local JSON API (/info,
+ * /control, /values) with data that evolves over time, for development,
+ * demos and automated tests without a charger on the network. Point the
+ * server at it with NRGKICK_IP=127.0.0.1:<port>.
+ *
+ * Model:
+ *   - Status: standby (1) without a vehicle, connected (2) once plugged in,
+ *     charging (3) a few seconds later unless paused, error (6) on a fault
+ *   - Charging current ramps up to current_set (tapering once the battery is
+ *     above 80 %); power is voltage x current on each active phase
+ *   - charged_energy and total_charged_energy accumulate, the battery fills
+ *     and charging stops when it is full or energy_limit is reached
+ *   - Temperatures follow the current; phase_count switches the active phases
+ *   - Optional Basic auth, like the charger with authentication enabled
+ *
+ * The simulation is driven over HTTP on /simulator (no auth needed):
+ *   GET  /simulator                  - Full state
+ *   POST /simulator/plug?soc=&capacity=&maxCurrent=&phases= - Plug in a vehicle
+ *   POST /simulator/unplug           - Unplug the vehicle
+ *   POST /simulator/fault?type=...   - Inject a fault (see injectFault)
+ *   POST /simulator/clear            - Remove all faults
+ * Query parameters and GET work as well, for curl and the browser.
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+
+const STATUS_STANDBY = 1;
+const STATUS_CONNECTED = 2;
+const STATUS_CHARGING = 3;
+const STATUS_ERROR = 6;
+
+const WARNING_ENERGY_LIMIT_REACHED = 3;
+const CONNECT_DELAY_MS = 3000; // Vehicle handshake before charging starts
+const RAMP_AMPS_PER_SECOND = 2;
+const NOMINAL_VOLTAGE = 230;
+const NOMINAL_FREQUENCY = 50;
+const POWER_FACTOR = 0.99;
+const AMBIENT_TEMPERATURE = 22;
+const TEMPERATURE_TIME_CONSTANT_S = 120; // How fast temperatures follow the current
+const MAX_HOLD_MS = 60000; // A timeout fault holds requests at most this long
+const FAULT_TYPES = ['timeout', 'latency', 'http-error', 'error', 'warning', 'overtemperature', 'rcd'];
+
+/**
+ * Parse a query parameter as a number, or return the fallback
+ */
+function numberParam(params, name, fallback) {
+    const value = params.get(name);
+    return value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+class NRGKickSimulator extends EventEmitter {
+    /**
+     * port/host: where to listen (port 0 picks a free one)
+     * username/password: require Basic auth on the device API (optional)
+     * phases: phases of the connector, maxCurrent/ratedCurrent: ratings in A
+     * tickMs: simulation step (0 = none, call step() yourself)
+     * speed: simulated time per real time, e.g. 60 to charge a car in minutes
+     * noise: small random variations of voltage, frequency and current
+     * plugged: start with a vehicle plugged in
+     */
+    constructor({
+        port = 8080,
+        host = '127.0.0.1',
+        username = '',
+        password = '',
+        serialNumber = '10000001',
+        deviceName = 'NRGkick Simulator',
+        phases = 3,
+        maxCurrent = 32,
+        ratedCurrent = 32,
+        phaseSwitching = true,
+        tickMs = 1000,
+        speed = 1,
+        noise = true,
+        plugged = true
+    } = {}) {
+        super();
+        this.port = port;
+        this.host = host;
+        this.authHeader = username && password ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` : null;
+        this.device = { serialNumber, deviceName, phases, maxCurrent, ratedCurrent, phaseSwitching };
+        this.tickMs = tickMs;
+        this.speed = speed;
+        this.noise = noise;
+        this.server = null;
+        this.timer = null;
+        this.held = new Set(); // Responses held by a timeout fault
+
+        this.control = { current_set: Math.min(16, maxCurrent), charge_pause: 0, energy_limit: 0, phase_count: phases };
+        this.vehicle = null;
+        this.status = STATUS_STANDBY;
+        this.current = 0; // Per active phase, ramps towards the target
+        this.sessionEnergy = 0; // Wh
+        this.totalEnergy = 1234567; // Wh over the life of the charger
+        this.peakPower = 0;
+        this.connectTime = 0; // s
+        this.chargingTime = 0; // s
+        this.chargeCount = 0;
+        this.temperatures = { housing: AMBIENT_TEMPERATURE + 5 };
+        for (let phase = 1; phase <= phases; phase++) {
+            this.temperatures[`connector_l${phase}`] = AMBIENT_TEMPERATURE;
+        }
+        this.faults = {};
+        this.faultTimers = {};
+        if (plugged) {
+            this.plug();
+        }
+    }
+
+    /**
+     * Listen for requests and start the clock; resolves with the address
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.on('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                if (this.tickMs > 0) {
+                    this.timer = setInterval(() => this.step(this.tickMs * this.speed), this.tickMs);
+                }
+                resolve(`${this.host}:${this.port}`);
+            });
+        });
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        Object.values(this.faultTimers).forEach(clearTimeout);
+        this.held.forEach((res) => res.destroy());
+        this.held.clear();
+        if (this.server) {
+            const closed = new Promise((resolve) => this.server.close(resolve));
+            if (this.server.closeAllConnections) {
+                this.server.closeAllConnections(); // Kept-alive clients would hold the server open (Node 18.2+)
+            }
+            await closed;
+            this.server = null;
+        }
+    }
+
+    /**
+     * Plug in a vehicle
+     * soc: state of charge in %, capacity: battery in kWh,
+     * maxCurrent/phases: what the vehicle's on-board charger takes
+     */
+    plug({ soc = 30, capacity = 60, maxCurrent = 32, phases = 3 } = {}) {
+        this.vehicle = { soc, capacity, maxCurrent, phases, connectedMs: 0 };
+        this.sessionEnergy = 0;
+        this.peakPower = 0;
+        this.connectTime = 0;
+        this.chargingTime = 0;
+        this.chargeCount++;
+        this.update();
+        this.emit('change', 'plug');
+    }
+
+    unplug() {
+        this.vehicle = null;
+        this.current = 0;
+        this.update();
+        this.emit('change', 'unplug');
+    }
+
+    /**
+     * Inject a fault until it is cleared, or for duration seconds
+     *   timeout          - The device API does not answer
+     *   latency          - Answers take ms milliseconds
+     *   http-error       - Answers with HTTP status (default 500)
+     *   error            - general.error_code = code (default 1), charging stops
+     *   warning          - general.warning_code = code (default 1)
+     *   overtemperature  - sensor (default housing) at value °C (default 80)
+     *   rcd              - general.rcd_trigger = code (default 1), charging stops
+     */
+    injectFault(type, { code, value, sensor = 'housing', ms = 5000, status = 500, duration = 0 } = {}) {
+        if (!FAULT_TYPES.includes(type)) {
+            throw new Error(`Unknown fault '${type}', use one of: ${FAULT_TYPES.join(', ')}`);
+        }
+        const fault = {
+            timeout: true,
+            latency: { ms },
+            'http-error': { status },
+            error: { code: code || 1 },
+            warning: { code: code || 1 },
+            overtemperature: { sensor, value: value === undefined ? 80 : value },
+            rcd: { code: code || 1 }
+        }[type];
+        this.faults[type] = fault;
+        clearTimeout(this.faultTimers[type]);
+        if (duration > 0) {
+            this.faultTimers[type] = setTimeout(() => this.clearFault(type), duration * 1000);
+        }
+        this.update();
+        this.emit('change', `fault:${type}`);
+        return fault;
+    }
+
+    clearFault(type) {
+        delete this.faults[type];
+        clearTimeout(this.faultTimers[type]);
+        delete this.faultTimers[type];
+        if (type === 'timeout') {
+            this.held.forEach((res) => res.destroy());
+            this.held.clear();
+        }
+        this.update();
+        this.emit('change', `clear:${type}`);
+    }
+
+    clearFaults() {
+        Object.keys(this.faults).forEach((type) => this.clearFault(type));
+    }
+
+    /**
+     * Whether the vehicle would draw current now, and why not
+     */
+    get stopReason() {
+        if (!this.vehicle) {
+            return 'no vehicle';
+        }
+        if (this.faults.error || this.faults.rcd) {
+            return 'fault';
+        }
+        if (this.vehicle.connectedMs < CONNECT_DELAY_MS) {
+            return 'connecting';
+        }
+        if (this.control.charge_pause) {
+            return 'paused';
+        }
+        if (this.energyLimitReached) {
+            return 'energy limit';
+        }
+        if (this.vehicle.soc >= 100) {
+            return 'full';
+        }
+        return null;
+    }
+
+    get energyLimitReached() {
+        return this.control.energy_limit > 0 && this.sessionEnergy >= this.control.energy_limit;
+    }
+
+    get activePhases() {
+        if (!this.vehicle) {
+            return 0;
+        }
+        return Math.min(this.control.phase_count, this.device.phases, this.vehicle.phases);
+    }
+
+    /**
+     * Current the vehicle asks for per phase: the limit, less once the battery is nearly full
+     */
+    get targetCurrent() {
+        if (this.stopReason) {
+            return 0;
+        }
+        const limit = Math.min(this.control.current_set, this.vehicle.maxCurrent);
+        if (this.vehicle.soc <= 80) {
+            return limit;
+        }
+        return Math.max(6, limit * (100 - this.vehicle.soc) / 20);
+    }
+
+    /**
+     * Advance the simulation by dtMs of simulated time
+     */
+    step(dtMs) {
+        const seconds = dtMs / 1000;
+        if (this.vehicle) {
+            this.vehicle.connectedMs += dtMs;
+            this.connectTime += seconds;
+        }
+        const target = this.targetCurrent;
+        // The vehicle ramps up; it stops drawing at once
+        this.current = target < this.current ? target : Math.min(target, this.current + RAMP_AMPS_PER_SECOND * seconds);
+
+        const power = this.activePower();
+        if (power > 0) {
+            const energy = power * seconds / 3600;
+            this.sessionEnergy += energy;
+            this.totalEnergy += energy;
+            this.chargingTime += seconds;
+            this.peakPower = Math.max(this.peakPower, power);
+            this.vehicle.soc = Math.min(100, this.vehicle.soc + energy / (this.vehicle.capacity * 10));
+        }
+
+        // Temperatures approach ambient plus the heating of the current
+        const approach = 1 - Math.exp(-seconds / TEMPERATURE_TIME_CONSTANT_S);
+        Object.keys(this.temperatures).forEach((sensor) => {
+            const phase = /^connector_l(\d)$/.exec(sensor);
+            const amps = phase && Number(phase[1]) > this.activePhases ? 0 : this.current;
+            const heating = sensor === 'housing' ? 5 + 0.015 * amps * amps * this.activePhases : 0.012 * amps * amps;
+            this.temperatures[sensor] += (AMBIENT_TEMPERATURE + heating - this.temperatures[sensor]) * approach;
+        });
+        this.update();
+    }
+
+    /**
+     * Derive the status from the model
+     */
+    update() {
+        const previous = this.status;
+        if (!this.vehicle) {
+            this.status = STATUS_STANDBY;
+        } else if (this.faults.error || this.faults.rcd) {
+            this.status = STATUS_ERROR;
+            this.current = 0;
+        } else {
+            this.status = this.stopReason ? STATUS_CONNECTED : STATUS_CHARGING;
+        }
+        if (this.status !== previous) {
+            this.emit('status', this.status, previous);
+        }
+    }
+
+    /**
+     * Voltage of a phase, a little lower under load
+     */
+    voltage(phase) {
+        const offset = [0, 1.2, -0.8][phase - 1];
+        const jitter = this.noise ? (Math.random() - 0.5) * 1.5 : 0;
+        return Number((NOMINAL_VOLTAGE + offset - 0.05 * this.phaseCurrent(phase) + jitter).toFixed(1));
+    }
+
+    phaseCurrent(phase) {
+        if (phase > this.activePhases || this.current === 0) {
+            return 0;
+        }
+        const jitter = this.noise ? (Math.random() - 0.5) * 0.1 : 0;
+        return Number(Math.max(0, this.current + jitter).toFixed(2));
+    }
+
+    activePower() {
+        let power = 0;
+        for (let phase = 1; phase <= 3; phase++) {
+            power += NOMINAL_VOLTAGE * this.phaseCurrent(phase) * POWER_FACTOR;
+        }
+        return power;
+    }
+
+    info() {
+        const { serialNumber, deviceName, phases, maxCurrent, ratedCurrent } = this.device;
+        return {
+            general: {
+                serial_number: serialNumber,
+                device_name: deviceName,
+                model_type: `NRGkick Gen2 SC${ratedCurrent}`,
+                rated_current: ratedCurrent,
+                json_api_version: 'v1'
+            },
+            connector: {
+                phase_count: phases,
+                max_current: maxCurrent,
+                type: phases === 1 ? 'Schuko' : 'CEE',
+                serial: `C${serialNumber}`
+            },
+            grid: {
+                voltage: NOMINAL_VOLTAGE,
+                frequency: NOMINAL_FREQUENCY,
+                phases: ['L1', 'L2', 'L3'].slice(0, phases).join(', ')
+            },
+            network: {
+                ip_address: this.host,
+                mac_address: '02:00:00:00:00:01',
+                ssid: 'Simulator',
+                rssi: -58
+            },
+            versions: {
+                sw_sm: '4.1.0-sim',
+                hw_sm: '2.0'
+            }
+        };
+    }
+
+    values() {
+        const phases = [1, 2, 3].map((phase) => {
+            const voltage = this.voltage(phase);
+            const current = this.phaseCurrent(phase);
+            const apparent = voltage * current;
+            const active = apparent * POWER_FACTOR;
+            return {
+                voltage,
+                current,
+                active_power: Math.round(active),
+                reactive_power: Math.round(Math.sqrt(Math.max(0, apparent * apparent - active * active))),
+                apparent_power: Math.round(apparent),
+                power_factor: current > 0 ? POWER_FACTOR : 0
+            };
+        });
+        const [l1, l2, l3] = phases;
+        const sum = (field) => phases.reduce((total, phase) => total + phase[field], 0);
+        const temperatures = {};
+        Object.keys(this.temperatures).forEach((sensor) => {
+            temperatures[sensor] = Number(this.temperatures[sensor].toFixed(1));
+        });
+        if (this.faults.overtemperature) {
+            temperatures[this.faults.overtemperature.sensor] = this.faults.overtemperature.value;
+        }
+        const fault = this.faults.error || this.faults.rcd;
+
+        return {
+            general: {
+                status: this.status,
+                charge_permitted: fault ? 0 : 1,
+                relay_state: this.current > 0 ? ['N', 'L1', 'L2', 'L3'].slice(0, this.activePhases + 1).join(', ') : '',
+                charge_count: this.chargeCount,
+                vehicle_connect_time: Math.round(this.connectTime),
+                vehicle_charging_time: Math.round(this.chargingTime),
+                rcd_trigger: this.faults.rcd ? this.faults.rcd.code : 0,
+                warning_code: this.faults.warning ? this.faults.warning.code
+                    : this.vehicle && this.energyLimitReached ? WARNING_ENERGY_LIMIT_REACHED : 0,
+                error_code: this.faults.error ? this.faults.error.code : 0
+            },
+            energy: {
+                charged_energy: Math.round(this.sessionEnergy),
+                total_charged_energy: Math.round(this.totalEnergy)
+            },
+            powerflow: {
+                charging_voltage: l1.voltage,
+                charging_current: l1.current,
+                grid_frequency: Number((NOMINAL_FREQUENCY + (this.noise ? (Math.random() - 0.5) * 0.06 : 0)).toFixed(2)),
+                peak_power: Math.round(this.peakPower),
+                total_active_power: sum('active_power'),
+                total_reactive_power: sum('reactive_power'),
+                total_apparent_power: sum('apparent_power'),
+                total_power_factor: sum('active_power') > 0 ? POWER_FACTOR : 0,
+                l1,
+                l2,
+                l3,
+                // Unbalanced phases return over the neutral
+                n: { current: Number(Math.abs(l1.current - (l2.current + l3.current) / 2).toFixed(2)) }
+            },
+            temperatures
+        };
+    }
+
+    /**
+     * Apply a /control write; returns an error message for the device's
+     * { "Response": ... } answer, or null
+     */
+    writeControl(params) {
+        const changes = {};
+        for (const [field, raw] of params) {
+            const value = Number(raw);
+            if (!['current_set', 'charge_pause', 'phase_count', 'energy_limit'].includes(field)) {
+                return `Unknown parameter ${field}`;
+            }
+            if (raw === '' || !Number.isFinite(value)) {
+                return `Invalid value for ${field}`;
+            }
+            const maxCurrent = Math.min(this.device.maxCurrent, this.device.ratedCurrent);
+            if (field === 'current_set' && (value < 6 || value > maxCurrent)) {
+                return `current_set out of range (6-${maxCurrent})`;
+            }
+            if (field === 'charge_pause' && value !== 0 && value !== 1) {
+                return 'charge_pause must be 0 or 1';
+            }
+            if (field === 'phase_count') {
+                if (!this.device.phaseSwitching || this.device.phases === 1) {
+                    return 'Phase switching is not enabled';
+                }
+                if (!Number.isInteger(value) || value < 1 || value > this.device.phases) {
+                    return `phase_count out of range (1-${this.device.phases})`;
+                }
+            }
+            if (field === 'energy_limit' && (!Number.isInteger(value) || value < 0)) {
+                return 'energy_limit must be a positive number of Wh';
+            }
+            changes[field] = value;
+        }
+        Object.assign(this.control, changes);
+        this.update();
+        this.emit('change', 'control');
+        return null;
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, 'http://simulator');
+        if (url.pathname === '/simulator' || url.pathname.startsWith('/simulator/')) {
+            this.handleSimulator(url, res);
+            return;
+        }
+        if (!['/info', '/control', '/values'].includes(url.pathname)) {
+            this.send(res, 404, { Response: 'Not found' });
+            return;
+        }
+        if (this.authHeader && req.headers.authorization !== this.authHeader) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="NRGkick"' });
+            res.end();
+            return;
+        }
+        if (this.faults.timeout) {
+            // Never answered; dropped when the fault is cleared
+            this.held.add(res);
+            const timer = setTimeout(() => res.destroy(), MAX_HOLD_MS);
+            res.on('close', () => {
+                clearTimeout(timer);
+                this.held.delete(res);
+            });
+            return;
+        }
+        const answer = () => {
+            if (this.faults['http-error']) {
+                this.send(res, this.faults['http-error'].status, { Response: 'Simulated error' });
+                return;
+            }
+            this.send(res, 200, this.respond(url));
+        };
+        if (this.faults.latency) {
+            setTimeout(answer, this.faults.latency.ms);
+        } else {
+            answer();
+        }
+    }
+
+    /**
+     * Body of a device API request; ?general=1&powerflow=1 selects sections
+     */
+    respond(url) {
+        if (url.pathname === '/control') {
+            const error = url.search ? this.writeControl(url.searchParams) : null;
+            return error ? { Response: error } : { ...this.control };
+        }
+        let body = url.pathname === '/info' ? this.info() : this.values();
+        const sections = [...url.searchParams.keys()].filter((section) => body[section] !== undefined);
+        if (sections.length > 0) {
+            body = Object.fromEntries(sections.map((section) => [section, body[section]]));
+        }
+        return body;
+    }
+
+    handleSimulator(url, res) {
+        const params = url.searchParams;
+        const action = url.pathname.replace(/^\/simulator\/?/, '');
+        try {
+            if (action === 'plug') {
+                this.plug({
+                    soc: numberParam(params, 'soc', 30),
+                    capacity: numberParam(params, 'capacity', 60),
+                    maxCurrent: numberParam(params, 'maxCurrent', 32),
+                    phases: numberParam(params, 'phases', 3)
+                });
+            } else if (action === 'unplug') {
+                this.unplug();
+            } else if (action === 'fault') {
+                this.injectFault(params.get('type'), {
+                    code: numberParam(params, 'code', undefined),
+                    value: numberParam(params, 'value', undefined),
+                    sensor: params.get('sensor') || undefined,
+                    ms: numberParam(params, 'ms', undefined),
+                    status: numberParam(params, 'status', undefined),
+                    duration: numberParam(params, 'duration', 0)
+                });
+            } else if (action === 'clear') {
+                if (params.get('type')) {
+                    this.clearFault(params.get('type'));
+                } else {
+                    this.clearFaults();
+                }
+            } else if (action !== '') {
+                this.send(res, 404, { error: `Unknown simulator action '${action}'` });
+                return;
+            }
+        } catch (err) {
+            this.send(res, 400, { error: err.message });
+            return;
+        }
+        this.send(res, 200, this.state());
+    }
+
+    /**
+     * Everything the simulator knows, for /simulator
+     */
+    state() {
+        return {
+            status: this.status,
+            stopReason: this.stopReason,
+            vehicle: this.vehicle ? { ...this.vehicle, soc: Number(this.vehicle.soc.toFixed(1)) } : null,
+            current: Number(this.current.toFixed(2)),
+            activePhases: this.activePhases,
+            control: { ...this.control },
+            faults: { ...this.faults },
+            speed: this.speed
+        };
+    }
+
+    send(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = {
+    NRGKickSimulator,
+    FAULT_TYPES
+};
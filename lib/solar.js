@@ -0,0 +1,419 @@
+/**
+ * NRGKick Solar Surplus (PV-Excess) Charging
+ *
+ * Reads the grid power from a configurable source and continuously adjusts
+ * current_set, charge_pause and (optionally) phase_count so the car charges
+ * from the PV surplus only. Runs on every device poller snapshot, with or
+ * without a browser open.
+ *
+ * Sources:
+ *   HttpSurplusSource - Polls a JSON URL and reads a value by dotted path
+ *                       (e.g. 'Body.Data.Site.P_Grid')
+ *   MqttSurplusSource - Subscribes to a topic with a numeric or JSON payload
+ *
+ * The grid reading is negative while exporting, unless exportPositive is set.
+ * The charger's own consumption is part of the grid reading, so the power
+ * available for charging is the export plus what the charger draws now.
+ *
+ * Safeguards:
+ *   - Never below the 6 A minimum: below it charging is paused instead
+ *   - Hysteresis (W) around the start/stop and phase switching thresholds
+ *   - Minimum on time before pausing and minimum off time before resuming
+ *   - Minimum delay between phase switches
+ *   - Schedule rules win: a schedule pause is left alone, a schedule cap
+ *     limits the current
+ *   - With load management, the charger's allocation caps the current and
+ *     an allocation of 0 keeps it paused
+ */
+
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const MIN_CURRENT = 6;
+const STALE_READING_FACTOR = 3; // Reading is stale after this many source intervals
+const SMOOTHING_SAMPLES = 3; // Readings averaged to ignore short spikes
+
+/**
+ * Read a value from an object by dotted path, e.g. 'a.b.0.c'
+ */
+function getPath(obj, dottedPath) {
+    if (!dottedPath) {
+        return obj;
+    }
+    return dottedPath.split('.').reduce((value, key) => {
+        return value === null || value === undefined ? undefined : value[key];
+    }, obj);
+}
+
+/**
+ * Turn a raw payload (number, numeric string or JSON) into watts
+ */
+function parseReading(payload, jsonPath) {
+    let value = payload;
+    if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
+        const text = payload.toString().trim();
+        try {
+            value = JSON.parse(text);
+        } catch (err) {
+            value = text;
+        }
+    }
+    const watts = Number(getPath(value, jsonPath));
+    return Number.isFinite(watts) ? watts : null;
+}
+
+const SOURCE_PROTOCOLS = {
+    http: ['http:', 'https:'],
+    mqtt: ['mqtt:', 'mqtts:', 'tcp:', 'ssl:', 'ws:', 'wss:']
+};
+
+/**
+ * Check a surplus source and its URL, e.g. 'http' with http://inverter/api
+ * Throws an Error saying what is wrong
+ */
+function checkSource(source, url) {
+    const protocols = SOURCE_PROTOCOLS[source];
+    if (!protocols) {
+        throw new Error(`Unknown SOLAR_SOURCE '${source}', use http or mqtt`);
+    }
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw new Error(`SOLAR_URL '${url}' is not a valid URL`);
+    }
+    if (!protocols.includes(parsed.protocol)) {
+        throw new Error(`SOLAR_URL must start with ${protocols.map((protocol) => `${protocol}//`).join(', ')} for SOLAR_SOURCE=${source}`);
+    }
+}
+
+/**
+ * Polls a JSON URL for the grid power
+ * Events: 'reading' (watts), 'source-error' (Error)
+ */
+class HttpSurplusSource extends EventEmitter {
+    constructor({ url, jsonPath = '', intervalMs = 10000 }) {
+        super();
+        this.url = url;
+        this.jsonPath = jsonPath;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.fetch(), this.intervalMs);
+        this.fetch();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    fetch() {
+        const client = this.url.startsWith('https:') ? https : http;
+        let req;
+        try {
+            req = client.get(this.url, { timeout: this.intervalMs }, (res) => this.read(res));
+        } catch (err) {
+            // An invalid URL throws here, outside of the request's error event
+            this.emit('source-error', err);
+            return;
+        }
+        req.on('timeout', () => req.destroy(new Error('Surplus source timed out')));
+        req.on('error', (err) => this.emit('source-error', err));
+    }
+
+    /**
+     * Read the grid power from a response
+     */
+    read(res) {
+        let data = '';
+        res.on('data', (chunk) => {
+            data += chunk;
+        });
+        res.on('end', () => {
+            const watts = res.statusCode === 200 ? parseReading(data, this.jsonPath) : null;
+            if (watts === null) {
+                this.emit('source-error', new Error(`No grid power at '${this.jsonPath}' (HTTP ${res.statusCode})`));
+            } else {
+                this.emit('reading', watts);
+            }
+        });
+    }
+}
+
+/**
+ * Subscribes to an MQTT topic carrying the grid power
+ * Events: 'reading' (watts), 'source-error' (Error)
+ */
+class MqttSurplusSource extends EventEmitter {
+    constructor({ url, topic, jsonPath = '', intervalMs = 10000 }) {
+        super();
+        this.url = url;
+        this.topic = topic;
+        this.jsonPath = jsonPath;
+        this.intervalMs = intervalMs; // Expected publish interval, used for staleness
+        this.client = null;
+    }
+
+    start() {
+        // Loaded on demand so the server runs without MQTT when it is not used
+        const mqtt = require('mqtt');
+        this.client = mqtt.connect(this.url, { reconnectPeriod: 5000 });
+        this.client.on('connect', () => this.client.subscribe(this.topic));
+        this.client.on('error', (err) => this.emit('source-error', err));
+        this.client.on('message', (topic, payload) => {
+            const watts = parseReading(payload, this.jsonPath);
+            if (watts === null) {
+                this.emit('source-error', new Error(`No grid power in message on ${topic}`));
+            } else {
+                this.emit('reading', watts);
+            }
+        });
+    }
+
+    stop() {
+        if (this.client) {
+            this.client.end();
+            this.client = null;
+        }
+    }
+}
+
+class SolarController extends EventEmitter {
+    constructor({
+        file,
+        device,
+        source,
+        scheduler = null,
+        loadBalancer = null,
+        chargerId = null,
+        exportPositive = false,
+        voltage = 230,
+        maxCurrent = 16,
+        hysteresisW = 300,
+        minOnTimeMs = 5 * 60 * 1000,
+        minOffTimeMs = 5 * 60 * 1000,
+        phaseSwitching = false,
+        phaseSwitchDelayMs = 5 * 60 * 1000
+    }) {
+        super();
+        this.file = file;
+        this.device = device;
+        this.source = source;
+        this.scheduler = scheduler;
+        this.loadBalancer = loadBalancer;
+        this.chargerId = chargerId;
+        this.exportPositive = exportPositive;
+        this.voltage = voltage;
+        this.maxCurrent = maxCurrent;
+        this.hysteresisW = hysteresisW;
+        this.minOnTimeMs = minOnTimeMs;
+        this.minOffTimeMs = minOffTimeMs;
+        this.phaseSwitching = phaseSwitching;
+        this.phaseSwitchDelayMs = phaseSwitchDelayMs;
+
+        this.enabled = false;
+        this.readings = []; // Recent grid readings: { watts, timestamp }
+        this.lastResumeAt = 0;
+        this.lastPauseAt = 0;
+        this.lastPhaseSwitchAt = 0;
+        this.phaseCandidate = null; // { phases, since } while a switch is pending
+        this.lastDecision = null;
+        this.busy = false;
+
+        this.source.on('reading', (watts) => {
+            this.readings.push({ watts, timestamp: Date.now() });
+            this.readings = this.readings.slice(-SMOOTHING_SAMPLES);
+        });
+        this.source.on('source-error', (err) => console.error('Solar surplus source error:', err.message));
+    }
+
+    /**
+     * Load the persisted on/off state and start reading the source
+     */
+    async init() {
+        const data = await readJsonFile(this.file, {});
+        this.enabled = data.enabled === true;
+        this.source.start();
+    }
+
+    stop() {
+        this.source.stop();
+    }
+
+    attach(poller) {
+        poller.on('data', (snapshot) => {
+            this.regulate(snapshot).catch((err) => {
+                console.error('Solar surplus regulation failed:', err.message);
+            });
+        });
+    }
+
+    /**
+     * Turn surplus charging on or off
+     */
+    async setEnabled(enabled) {
+        this.enabled = enabled;
+        this.phaseCandidate = null;
+        await writeJsonFile(this.file, { enabled });
+    }
+
+    /**
+     * Smoothed grid power in W (negative = export), or null when stale
+     */
+    gridPower(now = Date.now()) {
+        const maxAge = this.source.intervalMs * STALE_READING_FACTOR;
+        const fresh = this.readings.filter((reading) => now - reading.timestamp <= maxAge);
+        if (fresh.length === 0) {
+            return null;
+        }
+        const average = fresh.reduce((sum, reading) => sum + reading.watts, 0) / fresh.length;
+        return this.exportPositive ? -average : average;
+    }
+
+    /**
+     * Adjust the charger to the current surplus
+     */
+    async regulate(snapshot) {
+        const control = snapshot.control || {};
+        if (!this.enabled || this.busy || typeof control.charge_pause !== 'number') {
+            return;
+        }
+
+        // A schedule pause wins; a schedule cap limits the current
+        const constraints = this.scheduler ? this.scheduler.evaluate(new Date(snapshot.timestamp)) : {};
+        if (constraints.pause) {
+            this.lastDecision = { action: 'hold', reason: 'paused by schedule' };
+            return;
+        }
+        let maxCurrent = typeof constraints.maxCurrent === 'number'
+            ? Math.min(this.maxCurrent, constraints.maxCurrent)
+            : this.maxCurrent;
+
+        // Load management: the site leaves this much, 0 = no room to charge
+        const allocation = this.loadBalancer ? this.loadBalancer.limitFor(this.chargerId) : null;
+        if (allocation === 0) {
+            this.lastDecision = { action: 'hold', reason: 'paused by load management' };
+            return;
+        }
+        if (typeof allocation === 'number') {
+            maxCurrent = Math.min(maxCurrent, allocation);
+        }
+
+        const now = snapshot.timestamp;
+        const powerflow = (snapshot.values || {}).powerflow || {};
+        const chargerPower = Math.max(powerflow.total_active_power || 0, 0);
+        const grid = this.gridPower(now);
+        // Without a fresh reading there is no known surplus: wind down safely
+        const available = grid === null ? 0 : chargerPower - grid;
+        const phases = control.phase_count || 3;
+        const charging = control.charge_pause === 0;
+
+        this.busy = true;
+        try {
+            if (this.phaseSwitching && await this.switchPhasesIfNeeded(available, phases, now)) {
+                return;
+            }
+
+            const minPower = MIN_CURRENT * this.voltage * phases;
+            const target = Math.min(Math.floor(available / (this.voltage * phases)), maxCurrent);
+
+            if (charging) {
+                if (available < minPower - this.hysteresisW) {
+                    if (now - this.lastResumeAt >= this.minOnTimeMs) {
+                        await this.write({ charge_pause: 1 }, `surplus ${Math.round(available)} W below minimum`);
+                        this.lastPauseAt = now;
+                    } else if (control.current_set !== MIN_CURRENT) {
+                        await this.write({ current_set: MIN_CURRENT }, 'holding minimum until minimum on time has passed');
+                    }
+                } else {
+                    const current = Math.max(target, MIN_CURRENT);
+                    if (current !== control.current_set) {
+                        await this.write({ current_set: current }, `surplus ${Math.round(available)} W`);
+                    }
+                }
+            } else if (available >= minPower + this.hysteresisW && now - this.lastPauseAt >= this.minOffTimeMs) {
+                await this.write({ current_set: Math.max(target, MIN_CURRENT) }, `surplus ${Math.round(available)} W`);
+                await this.write({ charge_pause: 0 }, 'surplus above minimum, resuming');
+                this.lastResumeAt = now;
+            }
+
+            this.lastDecision = {
+                action: charging ? 'charging' : 'paused',
+                available: Math.round(available),
+                targetCurrent: target,
+                phases
+            };
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Switch between 1 and 3 phases once the surplus stayed across the
+     * threshold for the switch delay. Returns true when a switch was written.
+     */
+    async switchPhasesIfNeeded(available, phases, now) {
+        const threePhaseMin = MIN_CURRENT * this.voltage * 3;
+        let wanted = phases;
+        if (phases !== 3 && available >= threePhaseMin + this.hysteresisW) {
+            wanted = 3;
+        } else if (phases === 3 && available < threePhaseMin - this.hysteresisW) {
+            wanted = 1;
+        }
+
+        if (wanted === phases) {
+            this.phaseCandidate = null;
+            return false;
+        }
+        if (!this.phaseCandidate || this.phaseCandidate.phases !== wanted) {
+            this.phaseCandidate = { phases: wanted, since: now };
+            return false;
+        }
+        if (now - this.phaseCandidate.since < this.phaseSwitchDelayMs ||
+            now - this.lastPhaseSwitchAt < this.phaseSwitchDelayMs) {
+            return false;
+        }
+
+        await this.write({ phase_count: wanted }, `surplus ${Math.round(available)} W, switching to ${wanted} phase(s)`);
+        this.lastPhaseSwitchAt = now;
+        this.phaseCandidate = null;
+        return true;
+    }
+
+    async write(params, reason) {
+        console.log(`Solar: ${reason} (${new URLSearchParams(params).toString()})`);
+        await this.device.setControl(params, { source: { type: 'solar', reason } });
+        this.emit('control', { params, reason });
+    }
+
+    status() {
+        const grid = this.gridPower();
+        const lastReading = this.readings[this.readings.length - 1] || null;
+        return {
+            configured: true,
+            enabled: this.enabled,
+            gridPower: grid === null ? null : Math.round(grid),
+            lastReadingAt: lastReading ? lastReading.timestamp : null,
+            stale: grid === null,
+            phaseSwitching: this.phaseSwitching,
+            maxCurrent: this.maxCurrent,
+            decision: this.lastDecision
+        };
+    }
+}
+
+module.exports = {
+    SolarController,
+    HttpSurplusSource,
+    MqttSurplusSource,
+    checkSource,
+    getPath,
+    parseReading
+};
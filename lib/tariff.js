@@ -0,0 +1,316 @@
+/**
+ * NRGKick Dynamic Tariff
+ *
+ * Keeps a price schedule (price per kWh for time intervals, e.g. hourly spot
+ * prices) imported from a URL, refreshed periodically, or uploaded through
+ * the API. Sessions use it to add up their cost, and departure charging uses
+ * it to prefer the cheapest hours.
+ *
+ * Accepted formats:
+ *   JSON - An array of entries, or an object with the array in `prices`,
+ *          `data` or `records`. Entry fields (first match wins):
+ *            start: start, start_timestamp, startsAt, from, time, timestamp
+ *            end:   end, end_timestamp, endsAt, to (default: next start, or +1 h)
+ *            price: price, marketprice, total, value
+ *          Times are ISO 8601 strings or epoch seconds/milliseconds.
+ *   CSV  - One interval per line: start,price or start,end,price, with an
+ *          optional header naming the columns; ';' separated files may use
+ *          a decimal comma.
+ *
+ * Prices are multiplied by priceFactor and then priceOffset is added, e.g.
+ * factor 0.001 turns EUR/MWh into EUR/kWh and the offset adds grid fees.
+ *
+ * Persisted as <file>: { prices: [{ start, end, price }], source, updatedAt }
+ */
+
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { ValidationError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const START_FIELDS = ['start', 'start_timestamp', 'startsAt', 'from', 'time', 'timestamp'];
+const END_FIELDS = ['end', 'end_timestamp', 'endsAt', 'to'];
+const PRICE_FIELDS = ['price', 'marketprice', 'total', 'value'];
+const FETCH_TIMEOUT_MS = 15000;
+
+function pick(entry, fields) {
+    const field = fields.find((name) => entry[name] !== undefined && entry[name] !== null && entry[name] !== '');
+    return field === undefined ? undefined : entry[field];
+}
+
+/**
+ * Time as ms since epoch from ISO 8601, epoch seconds or epoch milliseconds
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+        const number = Number(value);
+        return number < 1e12 ? Math.round(number * 1000) : Math.round(number);
+    }
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Turn raw { start, end, price } entries into sorted, validated intervals
+ */
+function normalizeEntries(entries, { priceFactor = 1, priceOffset = 0 } = {}) {
+    const intervals = entries.map((entry, index) => {
+        const start = parseTimestamp(entry.start);
+        const end = entry.end === undefined ? null : parseTimestamp(entry.end);
+        const price = Number(entry.price);
+        if (start === null || !Number.isFinite(price) || (entry.end !== undefined && end === null)) {
+            throw new ValidationError(`Price entry ${index + 1} needs a valid start time and price`);
+        }
+        return { start, end, price: Math.round((price * priceFactor + priceOffset) * 1e6) / 1e6 };
+    }).sort((a, b) => a.start - b.start);
+
+    intervals.forEach((interval, index) => {
+        if (interval.end === null) {
+            const next = intervals[index + 1];
+            interval.end = next ? next.start : interval.start + HOUR_MS;
+        }
+        if (interval.end <= interval.start) {
+            throw new ValidationError(`Price entry starting ${new Date(interval.start).toISOString()} ends before it starts`);
+        }
+    });
+
+    return intervals;
+}
+
+function parseJsonPrices(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ValidationError('Price schedule is not valid JSON');
+    }
+    const list = Array.isArray(data) ? data : data && (data.prices || data.data || data.records);
+    if (!Array.isArray(list)) {
+        throw new ValidationError('JSON price schedule must be an array or have a prices, data or records array');
+    }
+    return list.map((entry) => ({
+        start: pick(entry, START_FIELDS),
+        end: pick(entry, END_FIELDS),
+        price: pick(entry, PRICE_FIELDS)
+    }));
+}
+
+function parseCsvPrices(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        return [];
+    }
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const split = (line) => line.split(separator).map((cell) => cell.trim().replace(/^"|"$/g, ''));
+
+    let columns = null;
+    const header = split(lines[0]).map((cell) => cell.toLowerCase());
+    if (header.some((cell) => /[a-z]/.test(cell) && Number.isNaN(Date.parse(cell)))) {
+        const find = (fields) => header.findIndex((cell) => fields.map((name) => name.toLowerCase()).includes(cell));
+        columns = { start: find(START_FIELDS), end: find(END_FIELDS), price: find(PRICE_FIELDS) };
+        if (columns.start < 0 || columns.price < 0) {
+            throw new ValidationError('CSV header must name a start and a price column');
+        }
+        lines.shift();
+    }
+
+    return lines.map((line) => {
+        const cells = split(line);
+        const cols = columns || (cells.length >= 3 ? { start: 0, end: 1, price: 2 } : { start: 0, end: -1, price: 1 });
+        let price = cells[cols.price];
+        if (separator === ';' && typeof price === 'string') {
+            price = price.replace(',', '.');
+        }
+        return {
+            start: cells[cols.start],
+            end: cols.end >= 0 && cells[cols.end] ? cells[cols.end] : undefined,
+            price
+        };
+    });
+}
+
+/**
+ * Parse a JSON or CSV price schedule
+ * format: 'json', 'csv' or 'auto' (JSON when the text starts with { or [)
+ */
+function parsePrices(text, { format = 'auto', priceFactor = 1, priceOffset = 0 } = {}) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+        throw new ValidationError('Price schedule is empty');
+    }
+    const isJson = format === 'json' || (format === 'auto' && /^[[{]/.test(trimmed));
+    const entries = isJson ? parseJsonPrices(trimmed) : parseCsvPrices(trimmed);
+    if (entries.length === 0) {
+        throw new ValidationError('Price schedule has no entries');
+    }
+    return normalizeEntries(entries, { priceFactor, priceOffset });
+}
+
+class TariffStore extends EventEmitter {
+    constructor({ file, url = '', format = 'auto', intervalMs = HOUR_MS, currency = 'EUR', priceFactor = 1, priceOffset = 0, retentionDays = 31 }) {
+        super();
+        this.file = file;
+        this.url = url;
+        this.format = format;
+        this.intervalMs = intervalMs;
+        this.currency = currency;
+        this.priceFactor = priceFactor;
+        this.priceOffset = priceOffset;
+        this.retentionMs = retentionDays * DAY_MS;
+        this.prices = [];
+        this.source = null;
+        this.updatedAt = null;
+        this.lastError = null;
+        this.timer = null;
+        this.updateQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the persisted schedule and start fetching the URL, if any
+     */
+    async init() {
+        const data = await readJsonFile(this.file, {});
+        this.prices = Array.isArray(data.prices) ? data.prices : [];
+        this.source = data.source || null;
+        this.updatedAt = data.updatedAt || null;
+
+        if (this.url) {
+            this.refresh();
+            this.timer = setInterval(() => this.refresh(), this.intervalMs);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Fetch the URL and import it; errors are logged and kept for status()
+     */
+    async refresh() {
+        try {
+            const text = await this.fetch(this.url);
+            await this.import(text, { source: this.url, format: this.format });
+            this.lastError = null;
+        } catch (err) {
+            this.lastError = err.message;
+            console.error('Tariff: importing prices failed:', err.message);
+        }
+    }
+
+    fetch(url) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+            const req = client.get(url, { timeout: FETCH_TIMEOUT_MS }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+                    } else {
+                        resolve(data);
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error('Price source timed out')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Run changes of the schedule one at a time, in order: a refresh and an
+     * upload at the same time would write the same temporary file
+     */
+    enqueue(task) {
+        const result = this.updateQueue.then(task);
+        this.updateQueue = result.catch(() => {}); // A failed change must not block the next one
+        return result;
+    }
+
+    /**
+     * Import a schedule; it replaces the known prices in the time range it covers
+     */
+    import(text, options) {
+        return this.enqueue(() => this.merge(text, options));
+    }
+
+    async merge(text, { source = 'upload', format = 'auto' } = {}) {
+        const imported = parsePrices(text, { format, priceFactor: this.priceFactor, priceOffset: this.priceOffset });
+        const from = imported[0].start;
+        const to = imported[imported.length - 1].end;
+        const cutoff = Date.now() - this.retentionMs;
+
+        this.prices = this.prices
+            .filter((interval) => interval.end <= from || interval.start >= to)
+            .concat(imported)
+            .filter((interval) => interval.end > cutoff)
+            .sort((a, b) => a.start - b.start);
+        this.source = source;
+        this.updatedAt = Date.now();
+        await writeJsonFile(this.file, { prices: this.prices, source: this.source, updatedAt: this.updatedAt });
+
+        console.log(`Tariff: imported ${imported.length} prices from ${source}`);
+        this.emit('updated', imported);
+        return imported.length;
+    }
+
+    clear() {
+        return this.enqueue(async () => {
+            this.prices = [];
+            this.source = null;
+            this.updatedAt = Date.now();
+            await writeJsonFile(this.file, { prices: this.prices, source: this.source, updatedAt: this.updatedAt });
+        });
+    }
+
+    /**
+     * The interval containing a time, or null
+     */
+    intervalAt(time = Date.now()) {
+        return this.prices.find((interval) => time >= interval.start && time < interval.end) || null;
+    }
+
+    /**
+     * Price per kWh at a time, or null when unknown
+     */
+    priceAt(time = Date.now()) {
+        const interval = this.intervalAt(time);
+        return interval ? interval.price : null;
+    }
+
+    /**
+     * Intervals overlapping [from, to]
+     */
+    list({ from = 0, to = Infinity } = {}) {
+        return this.prices.filter((interval) => interval.end > from && interval.start < to);
+    }
+
+    status() {
+        const current = this.intervalAt();
+        return {
+            configured: this.prices.length > 0,
+            currency: this.currency,
+            url: this.url || null,
+            source: this.source,
+            updatedAt: this.updatedAt,
+            lastError: this.lastError,
+            current,
+            knownUntil: this.prices.length ? this.prices[this.prices.length - 1].end : null
+        };
+    }
+}
+
+module.exports = {
+    TariffStore,
+    parsePrices,
+    parseTimestamp
+};
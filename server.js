@@ -3,14 +3,74 @@
  * 
  * This server provides a complete web interface for NRGKick EV chargers:
  * 1. Serves the static web files (UI)
- * 2. Proxies API requests to the configured NRGKick device
- * 3. Provides configuration via /api/config endpoint
+ * 2. Proxies API requests to the configured NRGKick device(s)
+ * 3. Provides configuration and the admin settings via /api/config (config file or environment)
+ * 4. Polls the charger(s) on its own and records telemetry history (/api/history)
+ * 5. Detects charging sessions and keeps a session log (/api/sessions)
+ * 6. Enforces weekly charging schedules by writing /control (/api/schedules)
+ * 7. Optionally charges from PV surplus read from HTTP or MQTT (/api/solar)
+ * 8. Optionally bridges the charger to MQTT with Home Assistant discovery
+ * 9. Exposes charger and proxy metrics for Prometheus (/metrics)
+ * 10. Balances current_set across chargers below a site limit (/api/load)
+ * 11. Plans charging to reach an energy target by a departure time (/api/plan)
+ * 12. Imports a dynamic electricity tariff and prices every session (/api/tariff)
+ * 13. Pushes every poll to the browsers over Server-Sent Events (/api/events)
+ * 14. Logs device warnings, errors and outages and sends notifications (/api/alerts)
+ * 15. Validates control writes against the device's ratings (/api/v2/control)
+ * 16. Requires a login with a viewer, operator or admin role (/api/auth, /api/users)
+ * 17. Keeps an audit log of every control change and who made it (/api/audit)
+ * 18. Serves HTTPS with reloadable or self-signed certificates and sends security headers
+ * 19. Finds NRGKick chargers on the local network through mDNS and a subnet scan (/api/discovery)
+ * 20. Sends Web Push notifications to the browsers that subscribed (/api/push)
+ * 21. Serves a stable, normalized REST API described by an OpenAPI document (/api/v1, /docs.html)
+ *
+ * With several chargers, every per-charger route is also available as
+ * /api/chargers/<id>/<route> (e.g. /api/chargers/garage/values); the plain
+ * /api/<route> form addresses the first configured charger.
  * 
- * Environment variables:
- *   PORT          - Server port (default: 3000)
- *   NRGKICK_IP    - IP address of the NRGKick charger (required)
- *   NRGKICK_USER  - Username for authentication (optional)
- *   NRGKICK_PASS  - Password for authentication (optional)
+ * Environment variables (those marked * can also be set in the config file and on
+ * the settings page; the environment takes precedence):
+ *   CONFIG_FILE   - Settings file, .json or .yaml (default: DATA_DIR/config.json)
+ *   PORT*         - Server port (default: 3000)
+ *   TLS_CERT, TLS_KEY - PEM certificate and key files; enables HTTPS, reloaded on change (optional)
+ *   TLS_SELF_SIGNED - Set to true to serve HTTPS with a self-signed certificate generated on first start
+ *   TLS_HOSTNAMES - Names and addresses in the self-signed certificate (default: host name, localhost)
+ *   HSTS_MAX_AGE  - Strict-Transport-Security max-age in seconds over HTTPS, 0 to disable (default: 15552000)
+ *   CORS_ORIGINS  - Origins allowed to call the API from other sites, comma separated or * (default: none)
+ *   FRAME_ANCESTORS - Sites allowed to embed the interface in a frame, e.g. 'self' (default: none)
+ *   AUTH_ENABLED  - Set to false to turn off the interface logins (default: true)
+ *   ADMIN_USER, ADMIN_PASSWORD - Admin account created when no user exists yet (optional)
+ *   AUTH_SESSION_DAYS - Days a login stays valid without use (default: 30)
+ *   PROXY_WRITES  - Set to true to let the raw /api/control passthrough write (default: read-only)
+ *   PROXY_TIMEOUT - Seconds to wait for an answer of the charger (default: 10)
+ *   NRGKICK_IP*   - IP address of the NRGKick charger, host:port for the simulator (or set it on the settings page)
+ *   NRGKICK_USER* - Username for authentication (optional)
+ *   NRGKICK_PASS* - Password for authentication (optional)
+ *   NRGKICK_CHARGERS*     - JSON array of chargers: [{ id, name, ip, user, pass, priority, maxCurrent }] (optional)
+ *   NRGKICK_CHARGERS_FILE - Path to a JSON file with the same array (optional)
+ *   POLL_INTERVAL* - Seconds between server-side polls of the charger (default: 10)
+ *   LIVE_POLL_INTERVAL* - Seconds between polls while a browser is subscribed (default: 2)
+ *   CURRENT_MIN*, CURRENT_MAX* - Range of the current slider and of control writes in A (default: 6-32)
+ *   DISCOVERY     - Look for chargers on the network: auto (while none is configured), true or false (default: auto)
+ *   DISCOVERY_SUBNETS - Subnets to scan, e.g. 192.168.1.0/24 (default: those of the network interfaces)
+ *   DATA_DIR      - Directory for persisted data: history, sessions, schedules (default: ./data)
+ *   HISTORY_RETENTION_DAYS - Days of downsampled history to keep (default: 1825)
+ *   SOLAR_SOURCE  - Grid power source for surplus charging: http or mqtt (optional)
+ *   SOLAR_CHARGER - Id of the charger driven by surplus charging (default: the first)
+ *   SOLAR_*       - Surplus charging settings, see README
+ *   MQTT_URL      - Broker for the MQTT bridge, e.g. mqtt://192.168.1.10:1883 (optional)
+ *   MQTT_*        - MQTT bridge settings, see README
+ *   LOAD_LIMIT    - Site current limit per phase in A, enables load management (optional)
+ *   LOAD_POLICY   - How the limit is shared: fair (default) or priority
+ *   PLAN_CHEAP_HOURS - Hours preferred by departure charging (default: 22:00-06:00)
+ *   PLAN_MAX_CURRENT - Highest current used by departure charging (default: 16)
+ *   TARIFF_URL    - URL of a JSON or CSV price schedule, refreshed periodically (optional)
+ *   TARIFF_*      - Tariff settings, see README
+ *   ALERT_WEBHOOK_URL, ALERT_SMTP_URL, ALERT_NTFY_URL, ALERT_GOTIFY_URL - Alert notifiers (optional)
+ *   ALERT_*       - Alert settings, see README
+ *   PUSH_ENABLED  - Set to false to turn off Web Push notifications (default: true)
+ *   PUSH_SUBJECT  - Contact for the push services, a mailto: or https: URL
+ *   VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY - Push key pair (default: generated and kept in DATA_DIR)
  * 
  * Example:
  *   NRGKICK_IP=192.168.1.100 node server.js
@@ -22,14 +82,252 @@
  */
 
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { ChargerRegistry } = require('./lib/chargers');
+const { DevicePoller } = require('./lib/poller');
+const { HistoryStore } = require('./lib/history');
+const { SessionTracker } = require('./lib/sessions');
+const { Scheduler } = require('./lib/scheduler');
+const { SolarController, HttpSurplusSource, MqttSurplusSource, checkSource: checkSolarSource } = require('./lib/solar');
+const { MqttBridge } = require('./lib/mqtt-bridge');
+const { LoadBalancer } = require('./lib/load-balancer');
+const { ChargePlanner } = require('./lib/planner');
+const { TariffStore } = require('./lib/tariff');
+const { LiveUpdates } = require('./lib/live');
+const { AlertMonitor, EVENT_TYPES } = require('./lib/alerts');
+const { WebhookNotifier, EmailNotifier, NtfyNotifier, GotifyNotifier } = require('./lib/notifiers');
+const { PushService, TOPICS: PUSH_TOPICS } = require('./lib/push');
+const { WARNING_CODES, ERROR_CODES } = require('./lib/device-codes');
+const { controlLimits, validateControl } = require('./lib/control');
+const { normalizeStatus, normalizeInfo, normalizeControl, controlFromV1, controlErrorToV1, stateName, quantity } = require('./lib/api-v1');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { AuthService, hasRole } = require('./lib/auth');
+const { AuditLog } = require('./lib/audit');
+const { Settings } = require('./lib/settings');
+const { ChargerDiscovery } = require('./lib/discovery');
+const { SecurityPolicy, parseList, DEFAULT_HSTS_MAX_AGE } = require('./lib/security');
+const { TlsCertificates } = require('./lib/certificates');
+const { NRGKickMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { Router } = require('./lib/router');
+const { ValidationError, NotFoundError, ServiceUnavailableError, ForbiddenError } = require('./lib/errors');
+const { sendJson, sendError, parseTime, decodePathSegment, readBody, readJsonBody } = require('./lib/http-utils');
 
-const PORT = process.env.PORT || 3000;
-const NRGKICK_IP = process.env.NRGKICK_IP || '';
-const NRGKICK_USER = process.env.NRGKICK_USER || '';
-const NRGKICK_PASS = process.env.NRGKICK_PASS || '';
-const PROXY_TIMEOUT_MS = 10000; // Timeout for proxy requests to NRGKick device
+const PROXY_TIMEOUT_MS = (parseFloat(process.env.PROXY_TIMEOUT) || 10) * 1000; // Timeout for requests to NRGKick devices
+const PROXY_WRITES = process.env.PROXY_WRITES === 'true';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const CONFIG_FILE = path.resolve(process.env.CONFIG_FILE || path.join(DATA_DIR, 'config.json'));
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || null;
+const DEFAULT_HISTORY_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SESSION_LIMIT = 50;
+const DEVICE_ENDPOINTS = ['info', 'control', 'values']; // Passed on by /api/<endpoint>
+
+// HTTPS (on when TLS_CERT/TLS_KEY or TLS_SELF_SIGNED is set)
+const TLS_SELF_SIGNED = process.env.TLS_SELF_SIGNED === 'true';
+const TLS_CERT = process.env.TLS_CERT || (TLS_SELF_SIGNED ? path.join(DATA_DIR, 'tls', 'cert.pem') : '');
+const TLS_KEY = process.env.TLS_KEY || (TLS_SELF_SIGNED ? path.join(DATA_DIR, 'tls', 'key.pem') : '');
+const TLS_HOSTNAMES = parseList(process.env.TLS_HOSTNAMES);
+
+// Never served as static files, wherever they are
+const PRIVATE_FILES = [CONFIG_FILE, TLS_CERT, TLS_KEY].filter(Boolean).map((file) => path.resolve(file));
+
+// Security headers and cross-origin access
+const HSTS_MAX_AGE = process.env.HSTS_MAX_AGE !== undefined ? parseInt(process.env.HSTS_MAX_AGE, 10) || 0 : DEFAULT_HSTS_MAX_AGE;
+const CORS_ORIGINS = parseList(process.env.CORS_ORIGINS);
+const FRAME_ANCESTORS = parseList(process.env.FRAME_ANCESTORS);
+
+// Interface logins (on unless AUTH_ENABLED=false)
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const ADMIN_USER = process.env.ADMIN_USER || '';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const AUTH_SESSION_TTL_MS = (parseFloat(process.env.AUTH_SESSION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Solar surplus charging (disabled unless SOLAR_SOURCE is set, or with an invalid SOLAR_URL)
+const SOLAR_URL = process.env.SOLAR_URL || '';
+const SOLAR_SOURCE = solarSource(process.env.SOLAR_SOURCE || '', SOLAR_URL);
+const SOLAR_CHARGER = process.env.SOLAR_CHARGER || '';
+const SOLAR_MQTT_TOPIC = process.env.SOLAR_MQTT_TOPIC || '';
+const SOLAR_JSON_PATH = process.env.SOLAR_JSON_PATH || '';
+const SOLAR_INTERVAL_MS = (parseFloat(process.env.SOLAR_INTERVAL) || 10) * 1000;
+const SOLAR_EXPORT_POSITIVE = process.env.SOLAR_EXPORT_POSITIVE === 'true';
+const SOLAR_VOLTAGE = parseFloat(process.env.SOLAR_VOLTAGE) || 230;
+const SOLAR_MAX_CURRENT = parseInt(process.env.SOLAR_MAX_CURRENT, 10) || 16;
+const SOLAR_HYSTERESIS_W = parseInt(process.env.SOLAR_HYSTERESIS, 10) || 300;
+const SOLAR_MIN_ON_TIME_MS = (parseFloat(process.env.SOLAR_MIN_ON_TIME) || 300) * 1000;
+const SOLAR_MIN_OFF_TIME_MS = (parseFloat(process.env.SOLAR_MIN_OFF_TIME) || 300) * 1000;
+const SOLAR_PHASE_SWITCHING = process.env.SOLAR_PHASE_SWITCHING === 'true';
+const SOLAR_PHASE_SWITCH_DELAY_MS = (parseFloat(process.env.SOLAR_PHASE_SWITCH_DELAY) || 300) * 1000;
+
+// MQTT bridge (disabled unless MQTT_URL is set)
+const MQTT_URL = process.env.MQTT_URL || '';
+const MQTT_USER = process.env.MQTT_USER || '';
+const MQTT_PASS = process.env.MQTT_PASS || '';
+const MQTT_TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'nrgkick';
+const MQTT_DISCOVERY_PREFIX = process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant';
+const MQTT_DISCOVERY = process.env.MQTT_DISCOVERY !== 'false';
+
+// Dynamic load management (disabled unless LOAD_LIMIT is set)
+const LOAD_LIMIT = parseInt(process.env.LOAD_LIMIT, 10) || 0;
+const LOAD_POLICY = process.env.LOAD_POLICY || 'fair';
+const LOAD_MAX_CURRENT = parseInt(process.env.LOAD_MAX_CURRENT, 10) || 32;
+
+// Departure (energy target) charging
+const PLAN_CHEAP_HOURS = process.env.PLAN_CHEAP_HOURS || '22:00-06:00';
+const PLAN_MAX_CURRENT = parseInt(process.env.PLAN_MAX_CURRENT, 10) || 16;
+
+// Dynamic tariff (prices can also be uploaded through /api/tariff)
+const TARIFF_URL = process.env.TARIFF_URL || '';
+const TARIFF_FORMAT = process.env.TARIFF_FORMAT || 'auto';
+const TARIFF_REFRESH_MS = (parseFloat(process.env.TARIFF_REFRESH) || 3600) * 1000;
+const TARIFF_CURRENCY = process.env.TARIFF_CURRENCY || 'EUR';
+const TARIFF_PRICE_FACTOR = parseFloat(process.env.TARIFF_PRICE_FACTOR) || 1;
+const TARIFF_PRICE_OFFSET = parseFloat(process.env.TARIFF_PRICE_OFFSET) || 0;
+const MAX_TARIFF_UPLOAD_BYTES = 2 * 1024 * 1024;
+const DEFAULT_TARIFF_RANGE_MS = 24 * 60 * 60 * 1000;
+
+// Alerts and notifications
+const ALERT_EVENTS = process.env.ALERT_EVENTS
+    ? process.env.ALERT_EVENTS.split(',').map((type) => type.trim()).filter(Boolean)
+    : EVENT_TYPES.filter((type) => type !== 'relay-change');
+const ALERT_OFFLINE_AFTER_MS = (parseFloat(process.env.ALERT_OFFLINE_AFTER) || 60) * 1000;
+const ALERT_HOUSING_TEMP = parseFloat(process.env.ALERT_HOUSING_TEMP) || 70;
+const ALERT_CONNECTOR_TEMP = parseFloat(process.env.ALERT_CONNECTOR_TEMP) || 60;
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || '';
+const ALERT_SMTP_URL = process.env.ALERT_SMTP_URL || '';
+const ALERT_EMAIL_FROM = process.env.ALERT_EMAIL_FROM || '';
+const ALERT_EMAIL_TO = process.env.ALERT_EMAIL_TO || '';
+const ALERT_NTFY_URL = process.env.ALERT_NTFY_URL || '';
+const ALERT_NTFY_TOKEN = process.env.ALERT_NTFY_TOKEN || '';
+const ALERT_GOTIFY_URL = process.env.ALERT_GOTIFY_URL || '';
+const ALERT_GOTIFY_TOKEN = process.env.ALERT_GOTIFY_TOKEN || '';
+const DEFAULT_ALERT_LIMIT = 100;
+const DEFAULT_AUDIT_LIMIT = 100;
+
+// Web Push notifications (on unless PUSH_ENABLED=false)
+const PUSH_ENABLED = process.env.PUSH_ENABLED !== 'false';
+const PUSH_SUBJECT = process.env.PUSH_SUBJECT || 'https://github.com/remiserriere/nrgkick-web-interface';
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || '';
+
+// Charger discovery on the local network
+const DISCOVERY = ['true', 'false'].includes(process.env.DISCOVERY) ? process.env.DISCOVERY : 'auto';
+const DISCOVERY_SUBNETS = parseList(process.env.DISCOVERY_SUBNETS);
+
+// Settings from the config file and the environment, changed at runtime on the settings page
+const settings = new Settings({ file: CONFIG_FILE });
+try {
+    settings.load();
+} catch (err) {
+    console.error(`Invalid configuration: ${err.message}`);
+    process.exit(1);
+}
+settings.on('change', (keys) => {
+    applySettings(keys).catch((err) => console.error('Applying the settings failed:', err.message));
+});
+
+function pollIntervalMs() {
+    return settings.get('pollInterval') * 1000;
+}
+
+function livePollIntervalMs() {
+    return Math.min(settings.get('livePollInterval') * 1000, pollIntervalMs());
+}
+
+/**
+ * Current range of the settings, narrowing what the chargers accept
+ */
+function currentRange() {
+    return { min: settings.get('currentMin'), max: settings.get('currentMax') };
+}
+
+// Configured chargers; their services are created at startup
+const chargers = new ChargerRegistry(settings.get('chargers'), { dataDir: DATA_DIR, timeoutMs: PROXY_TIMEOUT_MS });
+
+// Site-wide load management, started once the chargers are polled
+const loadBalancer = LOAD_LIMIT ? new LoadBalancer({
+    file: path.join(DATA_DIR, 'load-balancer.json'),
+    chargers,
+    siteLimit: LOAD_LIMIT,
+    policy: LOAD_POLICY,
+    maxCurrent: LOAD_MAX_CURRENT,
+    intervalMs: pollIntervalMs()
+}) : null;
+
+// Price schedule shared by all chargers
+const tariff = new TariffStore({
+    file: path.join(DATA_DIR, 'tariff.json'),
+    url: TARIFF_URL,
+    format: TARIFF_FORMAT,
+    intervalMs: TARIFF_REFRESH_MS,
+    currency: TARIFF_CURRENCY,
+    priceFactor: TARIFF_PRICE_FACTOR,
+    priceOffset: TARIFF_PRICE_OFFSET
+});
+
+// Live snapshots for the browsers; a charger is polled faster while it has subscribers
+const live = new LiveUpdates();
+live.on('subscribers', (chargerId, count) => {
+    const charger = chargers.byId.get(chargerId);
+    if (charger && charger.poller) {
+        charger.poller.setIntervalMs(count > 0 ? livePollIntervalMs() : pollIntervalMs());
+    }
+});
+
+// Notifiers for the alerts of all chargers
+const notifiers = createNotifiers();
+
+// Push notifications to phones and browsers, loaded before the server listens
+let push = PUSH_ENABLED ? new PushService({
+    file: path.join(DATA_DIR, 'push.json'),
+    subject: PUSH_SUBJECT,
+    publicKey: VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY
+}) : null;
+
+// User accounts of the web interface, loaded before the server listens
+const auth = new AuthService({ dir: DATA_DIR, enabled: AUTH_ENABLED, sessionTtlMs: AUTH_SESSION_TTL_MS });
+auth.on('login', (user, ip) => console.log(`User '${user.username}' logged in from ${ip}`));
+auth.on('login-failed', (username, ip) => console.warn(`Failed login for '${username}' from ${ip}`));
+
+// Prometheus metrics, fed by the proxy and the poller
+const metrics = new NRGKickMetrics();
+
+// Security headers and the CORS allowlist of every response
+let security;
+try {
+    security = new SecurityPolicy({ corsOrigins: CORS_ORIGINS, frameAncestors: FRAME_ANCESTORS, hstsMaxAge: HSTS_MAX_AGE });
+} catch (err) {
+    console.error(`Invalid security configuration: ${err.message}`);
+    process.exit(1);
+}
+
+// Chargers found on the network, offered on the connection panel while none is configured
+let discovery = null;
+if (DISCOVERY !== 'false') {
+    try {
+        discovery = new ChargerDiscovery({ subnets: DISCOVERY_SUBNETS });
+    } catch (err) {
+        console.error(`Invalid discovery configuration: ${err.message}`);
+        process.exit(1);
+    }
+    discovery.on('device', (device) => {
+        console.log(`Found ${device.model || 'an NRGKick'}${device.serial ? ` (${device.serial})` : ''} at ${device.ip} via ${device.source}`);
+    });
+}
+
+// Certificate of the HTTPS server, reloaded when the files change
+if (!TLS_CERT !== !TLS_KEY) {
+    console.error('Invalid TLS configuration: set both TLS_CERT and TLS_KEY');
+    process.exit(1);
+}
+const certificates = TLS_CERT || TLS_KEY
+    ? new TlsCertificates({ certFile: TLS_CERT, keyFile: TLS_KEY, selfSigned: TLS_SELF_SIGNED, hostnames: TLS_HOSTNAMES })
+    : null;
+if (certificates) {
+    certificates.on('reload', (info) => console.log(`Reloaded the TLS certificate for ${info.subject} (valid until ${info.validTo})`));
+    certificates.on('reload-error', (err) => console.error('Reloading the TLS certificate failed, keeping the previous one:', err.message));
+}
 
 // MIME types for static files
 const MIME_TYPES = {
@@ -41,9 +339,25 @@ const MIME_TYPES = {
     '.jpg': 'image/jpeg',
     '.gif': 'image/gif',
     '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon'
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
 };
 
+// Files of the web interface; nothing else of the app directory is served (lib/, test/, package.json, ...)
+const STATIC_FILES = ['index.html', 'app.js', 'charts.js', 'styles.css', 'docs.html', 'docs.js', 'sw.js', 'manifest.webmanifest'];
+const STATIC_DIRS = ['icons'];
+
+/**
+ * Whether a path relative to the app directory is a file of the interface
+ */
+function isStaticFile(relativePath) {
+    const parts = relativePath.split(path.sep);
+    if (parts.length === 1) {
+        return STATIC_FILES.includes(parts[0]);
+    }
+    return parts.length === 2 && STATIC_DIRS.includes(parts[0]) && !parts[1].startsWith('.');
+}
+
 /**
  * Serve a static file
  */
@@ -72,65 +386,782 @@ function serveStaticFile(filePath, res) {
 }
 
 /**
- * Proxy a request to the NRGKick device
+ * Proxy a request to an NRGKick device through its client, which caches
+ * /info, shares identical reads, retries and queues writes
+ * onResponse (statusCode, body) is called once the device has answered
+ */
+function proxyRequest(charger, targetPath, authHeader, res, onResponse = null) {
+    const endpoint = metricsEndpoint(targetPath);
+    const startedAt = Date.now();
+
+    charger.device.send(targetPath, { authHeader })
+        .then(({ statusCode, body }) => {
+            metrics.observeProxy(charger.id, endpoint, statusCode, Date.now() - startedAt);
+            if (onResponse) {
+                onResponse(statusCode, body);
+            }
+
+            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            res.end(body);
+        })
+        .catch((err) => {
+            const reason = err.statusCode === 504 ? 'timeout' : err.code === 'device_unavailable' ? 'circuit_open' : 'connection';
+            metrics.observeProxy(charger.id, endpoint, reason, Date.now() - startedAt);
+
+            console.error('Proxy request error:', err.message);
+            if (reason === 'connection') {
+                sendError(res, 502, 'Failed to connect to NRGKick device', { code: err.code, details: err.message });
+            } else {
+                sendError(res, err.statusCode, err.message, { code: err.code });
+            }
+        });
+}
+
+/**
+ * Record a control write made through the passthrough in the audit log
+ */
+function auditProxyWrite(charger, req, searchParams, statusCode, body) {
+    const params = {};
+    searchParams.forEach((value, field) => {
+        params[field] = value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    });
+    let error = statusCode >= 200 && statusCode < 300 ? null : new Error(`NRGKick device returned HTTP ${statusCode}`);
+    try {
+        const answer = JSON.parse(body);
+        if (answer && answer.Response) {
+            error = new Error(answer.Response);
+        }
+    } catch (err) {
+        // Not JSON; the status code decides
+    }
+    charger.auditLog.record({ params, previous: charger.device.control, error, source: requestSource(req, 'proxy') });
+}
+
+/**
+ * Metrics label for a proxied path: the device endpoint without query,
+ * limited to the known endpoints to keep the label set small
+ */
+function metricsEndpoint(targetPath) {
+    const endpoint = targetPath.split('?')[0];
+    return ['/info', '/control', '/values'].includes(endpoint) ? endpoint : 'other';
+}
+
+/**
+ * Return a server-side service, or fail with 503 while it is not running
+ */
+function requireService(service, name) {
+    if (!service) {
+        throw new ServiceUnavailableError(`${name} is not running`);
+    }
+    return service;
+}
+
+/**
+ * Device request options for a client request
+ * With logins on, the client's Authorization header holds interface
+ * credentials and is not passed on; the charger's own credentials are used
+ */
+function deviceOptions(req) {
+    return auth.enabled ? {} : { authHeader: req.headers.authorization };
+}
+
+/**
+ * Audit log source of a client request: { type, user, ip }
+ */
+function requestSource(req, type) {
+    const ip = (req.socket.remoteAddress || '').replace(/^::ffff:/, ''); // IPv4 clients of a dual-stack socket
+    return { type, user: req.user ? req.user.username : null, ip };
+}
+
+/**
+ * The charger a request addresses: /api/chargers/<charger>/... or the first one
+ */
+function chargerOf(params) {
+    if (params.charger) {
+        return chargers.get(params.charger);
+    }
+    if (!chargers.default) {
+        throw new ServiceUnavailableError('No charger configured yet. Add one on the settings page or set NRGKICK_IP.');
+    }
+    return chargers.default;
+}
+
+/**
+ * GET /api/history?from=&to=&resolution=&fields=
+ * from/to: ms since epoch or ISO 8601 (default: the last 24 hours)
+ * resolution: raw, 1m, 15m, 1h or auto (default)
+ * fields: comma-separated list of sample fields (default: all)
+ */
+async function getHistory(req, res, { url, params }) {
+    const store = requireService(chargerOf(params).historyStore, 'History recording');
+    const to = parseTime(url.searchParams.get('to'), Date.now());
+    const from = parseTime(url.searchParams.get('from'), to - DEFAULT_HISTORY_RANGE_MS);
+    const resolution = url.searchParams.get('resolution') || 'auto';
+    const fieldsParam = url.searchParams.get('fields');
+    const fields = fieldsParam ? fieldsParam.split(',').map((field) => field.trim()).filter(Boolean) : null;
+
+    // new Date() also refuses timestamps beyond the range of dates
+    if ([from, to].some((time) => Number.isNaN(new Date(time).getTime())) || from > to) {
+        throw new ValidationError('Invalid time range. Use ms timestamps or ISO 8601 dates with from <= to.');
+    }
+    if (resolution !== 'auto' && !store.resolutions().includes(resolution)) {
+        throw new ValidationError(`Invalid resolution. Use one of: auto, ${store.resolutions().join(', ')}`);
+    }
+
+    sendJson(res, 200, await store.query({ from, to, resolution, fields }));
+}
+
+/**
+ * GET /api/sessions?from=&to=&limit=
+ * Lists the active session and the completed sessions, newest first
+ */
+function listSessions(req, res, { url, params }) {
+    const tracker = requireService(chargerOf(params).sessionTracker, 'Session tracking');
+    const from = parseTime(url.searchParams.get('from'), 0);
+    const to = parseTime(url.searchParams.get('to'), Infinity);
+    const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_SESSION_LIMIT;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw new ValidationError('Invalid time range. Use ms timestamps or ISO 8601 dates.');
+    }
+
+    sendJson(res, 200, tracker.list({ from, to, limit }));
+}
+
+/**
+ * GET /api/sessions/<id>
+ */
+function getSession(req, res, { params }) {
+    const session = requireService(chargerOf(params).sessionTracker, 'Session tracking').get(params.id);
+    if (!session) {
+        throw new NotFoundError('Session not found');
+    }
+    sendJson(res, 200, session);
+}
+
+/**
+ * GET /api/tariff?from=&to=
+ * Tariff status with the prices overlapping [from, to] (default: the last
+ * 24 hours and everything known ahead)
+ */
+function getTariff(req, res, { url }) {
+    const from = parseTime(url.searchParams.get('from'), Date.now() - DEFAULT_TARIFF_RANGE_MS);
+    const to = parseTime(url.searchParams.get('to'), Infinity);
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+        throw new ValidationError('Invalid time range. Use ms timestamps or ISO 8601 dates with from <= to.');
+    }
+    sendJson(res, 200, { ...tariff.status(), prices: tariff.list({ from, to }) });
+}
+
+/**
+ * PUT /api/tariff
+ * Upload a JSON (application/json) or CSV (text/csv) price schedule
+ */
+async function uploadTariff(req, res) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+    const format = contentType === 'application/json' ? 'json' : contentType === 'text/csv' ? 'csv' : 'auto';
+    const imported = await tariff.import(await readBody(req, MAX_TARIFF_UPLOAD_BYTES), { source: 'upload', format });
+    sendJson(res, 200, { imported, ...tariff.status() });
+}
+
+/**
+ * GET /api/v2/control
+ * Current control settings and the limits writes are checked against
+ */
+async function getControl(req, res, { params }) {
+    const charger = chargerOf(params);
+    const options = deviceOptions(req);
+    const [info, control] = await Promise.all([
+        charger.getInfo(options),
+        charger.device.getControl(options)
+    ]);
+    sendJson(res, 200, { control, limits: controlLimits(info, currentRange()) });
+}
+
+/**
+ * Write control changes of a request to a charger, checked against its
+ * ratings and the current range; switching phases needs the admin role
+ * changes: { current_set?, charge_pause?, phase_count?, energy_limit? }
+ * Resolves with { control, limits }
+ */
+async function writeControl(req, charger, changes) {
+    const options = deviceOptions(req);
+    const limits = controlLimits(await charger.getInfo(options), currentRange());
+    const params = validateControl(changes, limits);
+    if (params.phase_count !== undefined && req.user && !hasRole(req.user.role, 'admin')) {
+        throw new ForbiddenError('Switching phases needs the admin role');
+    }
+    console.log(`Writing control to http://${charger.ip}: ${new URLSearchParams(params)}`);
+    const control = await charger.device.setControl(params, { ...options, source: requestSource(req, 'user') });
+    return { control, limits };
+}
+
+/**
+ * POST /api/v2/control
+ * Body: { current_set?, charge_pause?, phase_count?, energy_limit? }
+ * Validated against the device's ratings, then written to /control.
+ * Needs the operator role, switching phases the admin role.
  */
-function proxyRequest(targetIP, targetPath, authHeader, res) {
-    const options = {
-        hostname: targetIP,
-        port: 80,
-        path: targetPath,
-        method: 'GET',
-        headers: {
-            'Accept': 'application/json'
-        },
-        timeout: PROXY_TIMEOUT_MS
+async function setControl(req, res, { params }) {
+    const charger = chargerOf(params);
+    sendJson(res, 200, await writeControl(req, charger, await readJsonBody(req)));
+}
+
+/**
+ * Latest poll snapshot { timestamp, control, values } of a charger; read
+ * from the device when the poller has none or its last poll failed
+ */
+async function snapshotOf(charger, options) {
+    const poller = charger.poller;
+    if (poller && poller.latest && !poller.lastError) {
+        return poller.latest;
+    }
+    const [control, values] = await Promise.all([
+        charger.device.getControl(options),
+        charger.device.getValues()
+    ]);
+    return { timestamp: Date.now(), control, values };
+}
+
+/**
+ * A charger in the /api/v1/chargers list
+ */
+function chargerSummaryV1(charger) {
+    const overview = charger.overview();
+    const base = `/api/v1/chargers/${encodeURIComponent(charger.id)}`;
+    return {
+        id: charger.id,
+        name: charger.name,
+        online: overview.online,
+        updatedAt: overview.lastUpdate,
+        state: stateName(overview.status),
+        power: quantity(overview.power, 'kW', 0.001),
+        links: { status: `${base}/status`, info: `${base}/info`, control: `${base}/control` }
     };
+}
+
+/**
+ * GET /api/v1/chargers/<charger>/status
+ */
+async function getStatusV1(req, res, { params }) {
+    const charger = chargers.get(params.charger);
+    sendJson(res, 200, normalizeStatus(charger, await snapshotOf(charger, deviceOptions(req))));
+}
 
-    // Add authorization header if provided
-    if (authHeader) {
-        options.headers['Authorization'] = authHeader;
+/**
+ * GET /api/v1/chargers/<charger>/control
+ */
+async function getControlV1(req, res, { params }) {
+    const charger = chargers.get(params.charger);
+    const options = deviceOptions(req);
+    const [info, control] = await Promise.all([
+        charger.getInfo(options),
+        charger.device.getControl(options)
+    ]);
+    sendJson(res, 200, normalizeControl(charger, control, controlLimits(info, currentRange())));
+}
+
+/**
+ * PUT /api/v1/chargers/<charger>/control
+ * Body: { chargingPaused?, currentLimit?, phases?, energyLimit? }
+ * The v1 form of POST /api/v2/control, with the same checks and roles
+ */
+async function setControlV1(req, res, { params }) {
+    const charger = chargers.get(params.charger);
+    const changes = controlFromV1(await readJsonBody(req));
+    let limits;
+    try {
+        ({ limits } = await writeControl(req, charger, changes));
+    } catch (err) {
+        throw controlErrorToV1(err);
     }
+    sendJson(res, 200, normalizeControl(charger, charger.device.control, limits));
+}
 
-    const proxyReq = http.request(options, (proxyRes) => {
-        let data = '';
+/**
+ * GET /api/alerts?from=&to=&limit=&types=
+ * Active conditions and the event log of a charger, newest first
+ */
+function listAlerts(req, res, { url, params }) {
+    const monitor = requireService(chargerOf(params).alertMonitor, 'Alert monitoring');
+    const from = parseTime(url.searchParams.get('from'), 0);
+    const to = parseTime(url.searchParams.get('to'), Infinity);
+    const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_ALERT_LIMIT;
+    const typesParam = url.searchParams.get('types');
+    const types = typesParam ? typesParam.split(',').map((type) => type.trim()).filter(Boolean) : null;
 
-        proxyRes.on('data', (chunk) => {
-            data += chunk;
-        });
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw new ValidationError('Invalid time range. Use ms timestamps or ISO 8601 dates.');
+    }
 
-        proxyRes.on('end', () => {
-            // Add CORS headers
-            res.writeHead(proxyRes.statusCode, {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'GET, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-            });
-            res.end(data);
+    sendJson(res, 200, monitor.list({ from, to, limit, types }));
+}
+
+/**
+ * GET /api/audit?from=&to=&limit=&sources=&user=&result=&format=
+ * Control changes of a charger, newest first; format=csv downloads them
+ */
+function listAudit(req, res, { url, params }) {
+    const charger = chargerOf(params);
+    const auditLog = requireService(charger.auditLog, 'Audit log');
+    const csv = url.searchParams.get('format') === 'csv';
+    const from = parseTime(url.searchParams.get('from'), 0);
+    const to = parseTime(url.searchParams.get('to'), Infinity);
+    const limit = parseInt(url.searchParams.get('limit'), 10) || (csv ? Infinity : DEFAULT_AUDIT_LIMIT);
+    const sourcesParam = url.searchParams.get('sources');
+    const sources = sourcesParam ? sourcesParam.split(',').map((source) => source.trim()).filter(Boolean) : null;
+    const result = url.searchParams.get('result') || null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw new ValidationError('Invalid time range. Use ms timestamps or ISO 8601 dates.');
+    }
+    if (result && result !== 'ok' && result !== 'error') {
+        throw new ValidationError('result must be ok or error');
+    }
+
+    const entries = auditLog.list({ from, to, limit, sources, user: url.searchParams.get('user'), result });
+    if (csv) {
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="nrgkick-activity-${charger.id}.csv"`
         });
+        res.end(AuditLog.toCsv(entries));
+        return;
+    }
+    sendJson(res, 200, { entries });
+}
+
+/**
+ * GET /api/config
+ * The first charger's IP and whether auth is configured, all chargers and the
+ * current range; admins also get the settings with where each one comes from
+ */
+function getConfig(req, res) {
+    const first = chargers.default;
+    const config = {
+        configured: !!first,
+        ip: first ? first.ip : '',
+        hasAuth: first ? first.hasAuth : false,
+        chargers: chargers.list(),
+        loadManagement: !!loadBalancer,
+        currentRange: currentRange()
+    };
+    if (!req.user || hasRole(req.user.role, 'admin')) {
+        config.settings = settings.describe();
+    }
+    sendJson(res, 200, config);
+}
+
+/**
+ * PUT /api/config
+ * Body: the settings to change, e.g. { pollInterval: 5 } or { chargers: [...] }.
+ * A charger sent without password keeps its stored one. Applied at once,
+ * except the port, which needs a restart.
+ */
+async function updateConfig(req, res) {
+    const changed = await settings.update(await readJsonBody(req));
+    if (changed.length > 0) {
+        console.log(`Settings changed${req.user ? ` by '${req.user.username}'` : ''}: ${changed.join(', ')}`);
+    }
+    getConfig(req, res);
+}
+
+/**
+ * GET /api/discovery
+ * Chargers found on the network, each marked whether it is configured already
+ */
+function getDiscovery(req, res) {
+    const status = requireService(discovery, 'Charger discovery').status();
+    const configured = new Set(chargers.list().map((charger) => charger.ip));
+    status.devices = status.devices.map((device) => ({ ...device, configured: configured.has(device.ip) }));
+    sendJson(res, 200, status);
+}
+
+/**
+ * POST /api/discovery/scan
+ * Start browsing mDNS and scanning the subnets; answers at once, poll
+ * GET /api/discovery until `scanning` is false
+ */
+function startDiscoveryScan(req, res) {
+    startDiscovery(requireService(discovery, 'Charger discovery'));
+    getDiscovery(req, res);
+}
+
+function startDiscovery(service) {
+    service.start();
+    service.scan().catch((err) => console.error('Scanning for chargers failed:', err.message));
+}
+
+/**
+ * POST /api/notifiers/test
+ * Send a test event through every notifier, whatever event types it sends
+ */
+async function testNotifiers(req, res) {
+    if (notifiers.length === 0) {
+        throw new ValidationError('No notifier configured');
+    }
+    const first = chargerOf({});
+    const event = {
+        id: 'test',
+        timestamp: Date.now(),
+        charger: first.id,
+        chargerName: first.name,
+        type: 'test',
+        severity: 'info',
+        title: 'Test notification',
+        message: 'Alert notifications are working.',
+        hint: '',
+        code: null,
+        sensor: null
+    };
+    const results = await Promise.all(notifiers.map((notifier) => notifier.notify(event, { force: true })));
+    sendJson(res, 200, {
+        notifiers: notifiers.map((notifier, index) => ({ ...notifier.status(), delivered: results[index] }))
     });
+}
 
-    proxyReq.on('error', (err) => {
-        console.error('Proxy request error:', err.message);
-        res.writeHead(502, {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ error: 'Failed to connect to NRGKick device', details: err.message }));
+/**
+ * Owner of the push subscriptions of a request: the signed-in user, or
+ * null (everyone's) with logins turned off
+ */
+function pushOwner(req) {
+    return req.user ? req.user.username : null;
+}
+
+/**
+ * GET /api/push
+ * Key for PushManager.subscribe() and the caller's subscriptions
+ */
+function getPush(req, res) {
+    const service = requireService(push, 'Push notifications');
+    sendJson(res, 200, {
+        publicKey: service.publicKey,
+        topics: Object.keys(PUSH_TOPICS),
+        subscriptions: service.list(pushOwner(req))
     });
+}
 
-    proxyReq.on('timeout', () => {
-        proxyReq.destroy();
-        res.writeHead(504, {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({ error: 'Connection to NRGKick device timed out' }));
+/**
+ * POST /api/push/subscriptions
+ * Body: { subscription: PushSubscription.toJSON(), topics: ['charge-started', ...] };
+ * a known subscription gets the new topics
+ */
+async function subscribePush(req, res) {
+    const service = requireService(push, 'Push notifications');
+    sendJson(res, 201, await service.subscribe(await readJsonBody(req), pushOwner(req)));
+}
+
+/**
+ * POST /api/push/subscriptions/:id/test
+ */
+async function testPush(req, res, { params }) {
+    const service = requireService(push, 'Push notifications');
+    const delivered = await service.test(params.id, pushOwner(req));
+    const subscription = service.list(pushOwner(req)).find((entry) => entry.id === params.id) || null;
+    sendJson(res, 200, { delivered, subscription });
+}
+
+/**
+ * Load the push subscriptions and keys; push notifications are off when
+ * that fails, e.g. without the web-push package
+ */
+async function initPush() {
+    if (!push) {
+        return;
+    }
+    try {
+        await push.init();
+    } catch (err) {
+        console.error('Push notifications are off:', err.message);
+        push = null;
+    }
+}
+
+/**
+ * The authentication service, or 503 while logins are turned off
+ */
+function requireAuth() {
+    if (!auth.enabled) {
+        throw new ServiceUnavailableError('Logins are turned off (AUTH_ENABLED=false)');
+    }
+    return auth;
+}
+
+/**
+ * Answer a login with the session cookie; Secure on HTTPS connections
+ */
+function sendSession(req, res, { token, user, expiresAt }, statusCode = 200) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Set-Cookie': auth.sessionCookie(token, expiresAt, !!req.socket.encrypted)
+    });
+    res.end(JSON.stringify({ user, expiresAt }));
+}
+
+/**
+ * Whether a request comes from the server itself, not through a proxy
+ */
+function isLocalRequest(req) {
+    const ip = req.socket.remoteAddress || '';
+    const proxied = req.headers['x-forwarded-for'] || req.headers.forwarded;
+    return !proxied && (/^(::ffff:)?127\./.test(ip) || ip === '::1');
+}
+
+/**
+ * GET /api/auth/session
+ * Whether logins are on, whether the admin account still has to be created
+ * (and needs the setup token from this client) and the user the request is
+ * logged in as (null when not)
+ */
+async function getAuthSession(req, res) {
+    const user = auth.enabled ? await auth.authenticate(req).catch(() => null) : null;
+    sendJson(res, 200, {
+        enabled: auth.enabled,
+        setupRequired: auth.setupRequired,
+        setupTokenRequired: auth.setupRequired && !isLocalRequest(req),
+        user
     });
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { username, password }
+ */
+async function login(req, res) {
+    const body = await readJsonBody(req);
+    const session = await requireAuth().login(body.username, body.password, req.socket.remoteAddress);
+    sendSession(req, res, session);
+}
+
+/**
+ * POST /api/auth/setup
+ * Body: { username, password, token? }; creates the first admin account and
+ * logs it in. Needs the setup token of the log unless sent from the server itself.
+ */
+async function setupAdmin(req, res) {
+    const body = await readJsonBody(req);
+    const user = await requireAuth().setup(body, { local: isLocalRequest(req) });
+    console.log(`Admin account '${user.username}' created`);
+    sendSession(req, res, await auth.login(body.username, body.password, req.socket.remoteAddress), 201);
+}
+
+/**
+ * Create the ADMIN_USER account on the first start, so the interface
+ * is never open for the setup form
+ */
+async function initAuth() {
+    await auth.init();
+    if (!auth.setupRequired) {
+        return;
+    }
+    if (ADMIN_USER && ADMIN_PASSWORD) {
+        await auth.setup({ username: ADMIN_USER, password: ADMIN_PASSWORD }, { local: true });
+        console.log(`Admin account '${ADMIN_USER}' created from ADMIN_USER`);
+    } else {
+        console.warn('No user accounts yet: create the admin account in the web interface on this machine, '
+            + `or from another one with the setup token ${auth.createSetupToken()}`);
+    }
+}
 
-    proxyReq.end();
+/**
+ * The scheduler of the addressed charger
+ */
+function schedulerOf(params) {
+    return requireService(chargerOf(params).scheduler, 'Scheduler');
 }
 
+// Per-charger routes, served as /api<route> and /api/chargers/:charger<route>
+const CHARGER_ROUTES = [
+    ['GET', '/events', (req, res, { params }) => {
+        const charger = chargerOf(params);
+        requireService(charger.poller, 'Polling');
+        live.subscribe(req, res, charger.id);
+    }],
+    ['GET', '/v2/control', getControl],
+    ['POST', '/v2/control', setControl, 'operator'],
+    ['GET', '/history', getHistory],
+    ['GET', '/alerts', listAlerts],
+    ['GET', '/audit', listAudit],
+    ['DELETE', '/alerts', async (req, res, { params }) => {
+        const monitor = requireService(chargerOf(params).alertMonitor, 'Alert monitoring');
+        await monitor.clear();
+        sendJson(res, 200, monitor.list());
+    }, 'admin'],
+    ['GET', '/sessions', listSessions],
+    ['GET', '/sessions/:id', getSession],
+    ['GET', '/schedules', (req, res, { params }) => {
+        sendJson(res, 200, schedulerOf(params).status());
+    }],
+    ['POST', '/schedules', async (req, res, { params }) => {
+        const rule = await schedulerOf(params).create(await readJsonBody(req));
+        sendJson(res, 201, rule);
+    }, 'admin'],
+    ['GET', '/schedules/:id', (req, res, { params }) => {
+        sendJson(res, 200, schedulerOf(params).get(params.id));
+    }],
+    ['PUT', '/schedules/:id', async (req, res, { params }) => {
+        const rule = await schedulerOf(params).update(params.id, await readJsonBody(req));
+        sendJson(res, 200, rule);
+    }, 'admin'],
+    ['DELETE', '/schedules/:id', async (req, res, { params }) => {
+        await schedulerOf(params).remove(params.id);
+        res.writeHead(204);
+        res.end();
+    }, 'admin'],
+    ['GET', '/solar', (req, res, { params }) => {
+        const controller = chargerOf(params).solarController;
+        sendJson(res, 200, controller ? controller.status() : { configured: false });
+    }],
+    ['PUT', '/solar', async (req, res, { params }) => {
+        const charger = chargerOf(params);
+        const controller = requireService(charger.solarController, 'Solar surplus charging');
+        const body = await readJsonBody(req);
+        if (typeof body.enabled !== 'boolean') {
+            throw new ValidationError('enabled must be true or false');
+        }
+        if (body.enabled && charger.planner && charger.planner.active) {
+            throw new ValidationError('Cancel the departure plan before turning on solar surplus charging');
+        }
+        await controller.setEnabled(body.enabled);
+        sendJson(res, 200, controller.status());
+    }, 'operator'],
+    ['GET', '/plan', (req, res, { params }) => {
+        sendJson(res, 200, requireService(chargerOf(params).planner, 'Departure charging').status());
+    }],
+    ['PUT', '/plan', async (req, res, { params }) => {
+        const charger = chargerOf(params);
+        const planner = requireService(charger.planner, 'Departure charging');
+        if (charger.solarController && charger.solarController.enabled) {
+            throw new ValidationError('Turn off solar surplus charging before planning a charge');
+        }
+        sendJson(res, 200, await planner.create(await readJsonBody(req)));
+    }, 'operator'],
+    ['DELETE', '/plan', async (req, res, { params }) => {
+        const planner = requireService(chargerOf(params).planner, 'Departure charging');
+        await planner.cancel();
+        sendJson(res, 200, planner.status());
+    }, 'operator']
+];
+
+// Server-side API routes, matched before the proxy passthrough
+// Routes need the viewer role unless they name another one; null is public
+const router = new Router({ authorize: (req, role) => auth.authorize(req, role) })
+    .get('/api/auth/session', getAuthSession, null)
+    .post('/api/auth/login', login, null)
+    .post('/api/auth/setup', setupAdmin, null)
+    .post('/api/auth/logout', async (req, res) => {
+        await auth.logout(req);
+        res.writeHead(204, { 'Set-Cookie': auth.clearCookie() });
+        res.end();
+    }, null)
+    .put('/api/auth/password', async (req, res) => {
+        const body = await readJsonBody(req);
+        await requireAuth().changePassword(req, body.currentPassword, body.newPassword);
+        res.writeHead(204);
+        res.end();
+    })
+    .get('/api/users', (req, res) => {
+        sendJson(res, 200, { users: requireAuth().list() });
+    }, 'admin')
+    .post('/api/users', async (req, res) => {
+        sendJson(res, 201, await requireAuth().create(await readJsonBody(req)));
+    }, 'admin')
+    .put('/api/users/:username', async (req, res, { params }) => {
+        const body = await readJsonBody(req);
+        sendJson(res, 200, await requireAuth().update(params.username, { role: body.role, password: body.password }));
+    }, 'admin')
+    .delete('/api/users/:username', async (req, res, { params }) => {
+        await requireAuth().remove(params.username);
+        if (push) {
+            await push.removeUser(params.username);
+        }
+        res.writeHead(204);
+        res.end();
+    }, 'admin')
+    .get('/api/config', getConfig)
+    .put('/api/config', updateConfig, 'admin')
+    .get('/api/discovery', getDiscovery, 'admin')
+    .post('/api/discovery/scan', startDiscoveryScan, 'admin')
+    .get('/api/chargers', (req, res) => {
+        sendJson(res, 200, chargers.list().map((charger) => charger.overview()));
+    })
+    .get('/api/chargers/:charger', (req, res, { params }) => {
+        sendJson(res, 200, chargers.get(params.charger).overview());
+    })
+    .get('/api/load', (req, res) => {
+        sendJson(res, 200, loadBalancer ? loadBalancer.status() : { configured: false });
+    })
+    .put('/api/load', async (req, res) => {
+        const balancer = requireService(loadBalancer, 'Load management');
+        await balancer.configure(await readJsonBody(req));
+        sendJson(res, 200, balancer.status());
+    }, 'admin')
+    .get('/api/tariff', getTariff)
+    .put('/api/tariff', uploadTariff, 'admin')
+    .post('/api/tariff/refresh', async (req, res) => {
+        if (!tariff.url) {
+            throw new ValidationError('No TARIFF_URL configured');
+        }
+        await tariff.refresh();
+        if (tariff.lastError) {
+            throw new ServiceUnavailableError(`Importing prices failed: ${tariff.lastError}`);
+        }
+        sendJson(res, 200, tariff.status());
+    }, 'admin')
+    .delete('/api/tariff', async (req, res) => {
+        await tariff.clear();
+        sendJson(res, 200, tariff.status());
+    }, 'admin')
+    .get('/api/alerts/codes', (req, res) => {
+        sendJson(res, 200, { warnings: WARNING_CODES, errors: ERROR_CODES });
+    })
+    .get('/api/notifiers', (req, res) => {
+        sendJson(res, 200, {
+            events: ALERT_EVENTS,
+            notifiers: notifiers.map((notifier) => notifier.status())
+        });
+    })
+    .post('/api/notifiers/test', testNotifiers, 'admin')
+    .get('/api/push', getPush)
+    .post('/api/push/subscriptions', subscribePush)
+    .delete('/api/push/subscriptions/:id', async (req, res, { params }) => {
+        await requireService(push, 'Push notifications').unsubscribe(params.id, pushOwner(req));
+        res.writeHead(204);
+        res.end();
+    })
+    .post('/api/push/subscriptions/:id/test', testPush)
+    .get('/api/v1', (req, res) => {
+        sendJson(res, 200, {
+            version: 'v1',
+            links: { chargers: '/api/v1/chargers', openapi: '/api/v1/openapi.json', docs: '/docs.html' }
+        });
+    }, null)
+    .get('/api/v1/openapi.json', (req, res) => {
+        sendJson(res, 200, buildOpenApiDocument({ authEnabled: auth.enabled }));
+    }, null)
+    .get('/api/v1/chargers', (req, res) => {
+        sendJson(res, 200, chargers.list().map(chargerSummaryV1));
+    })
+    .get('/api/v1/chargers/:charger', (req, res, { params }) => {
+        sendJson(res, 200, chargerSummaryV1(chargers.get(params.charger)));
+    })
+    .get('/api/v1/chargers/:charger/status', getStatusV1)
+    .get('/api/v1/chargers/:charger/info', async (req, res, { params }) => {
+        const charger = chargers.get(params.charger);
+        sendJson(res, 200, normalizeInfo(charger, await charger.getInfo(deviceOptions(req))));
+    })
+    .get('/api/v1/chargers/:charger/control', getControlV1)
+    .put('/api/v1/chargers/:charger/control', setControlV1, 'operator')
+    .get('/metrics', (req, res) => {
+        res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+        res.end(metrics.render());
+    });
+
+CHARGER_ROUTES.forEach(([method, route, handler, role]) => {
+    router.add(method, `/api${route}`, handler, role);
+    router.add(method, `/api/chargers/:charger${route}`, handler, role);
+});
+
 /**
  * Handle incoming requests
  */
@@ -138,62 +1169,107 @@ function handleRequest(req, res) {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const pathname = url.pathname;
 
+    security.apply(req, res);
+
     // Handle CORS preflight requests
     if (req.method === 'OPTIONS') {
-        res.writeHead(204, {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Access-Control-Max-Age': '86400'
-        });
-        res.end();
+        security.preflight(req, res);
         return;
     }
 
-    // Serve configuration endpoint
-    // Returns the configured NRGKick IP and whether auth is configured
-    if (pathname === '/api/config') {
-        res.writeHead(200, {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        });
-        res.end(JSON.stringify({
-            configured: !!NRGKICK_IP,
-            ip: NRGKICK_IP,
-            hasAuth: !!(NRGKICK_USER && NRGKICK_PASS)
-        }));
+    // Server-side features: config, logins, chargers, history, sessions, schedules, solar, metrics
+    if (router.handle(req, res, url)) {
+        return;
+    }
+
+    // Nothing under /api/v1 is passed on to the device
+    if (pathname === '/api/v1' || pathname.startsWith('/api/v1/')) {
+        sendError(res, 404, `Unknown API v1 route ${req.method} ${pathname}, see /api/v1/openapi.json`, { code: 'not_found' });
         return;
     }
 
-    // Proxy API requests to the configured NRGKick device
-    // Format: /api/<endpoint>
-    // Example: /api/info?general=1
+    // Proxy API requests to a configured NRGKick device
+    // Format: /api/<endpoint> (first charger) or /api/chargers/<id>/<endpoint>
+    // Example: /api/info?general=1, /api/chargers/garage/values
     if (pathname.startsWith('/api/')) {
-        if (!NRGKICK_IP) {
-            res.writeHead(503, {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
+        let charger = chargers.default;
+        let endpoint = pathname.substring(4); // Remove '/api' prefix, keep the rest
+
+        const namespaced = /^\/api\/chargers\/([^/]+)(\/.*)$/.exec(pathname);
+        if (namespaced) {
+            let id;
+            try {
+                id = decodePathSegment(namespaced[1]);
+            } catch (err) {
+                sendError(res, err.statusCode, err.message, { code: err.code });
+                return;
+            }
+            charger = chargers.byId.get(id);
+            endpoint = namespaced[2];
+            if (!charger) {
+                sendError(res, 404, `Unknown charger '${id}'`);
+                return;
+            }
+        }
+
+        if (!charger) {
+            sendError(res, 503, 'No charger configured yet. Add one on the settings page or set NRGKICK_IP.', { code: 'service_unavailable' });
+            return;
+        }
+
+        // Only the device endpoints pass, decoded, so /api/contro%6C is /control for the checks below
+        let name;
+        try {
+            name = decodePathSegment(endpoint).replace(/^\/+|\/+$/g, '').toLowerCase();
+        } catch (err) {
+            sendError(res, err.statusCode, err.message, { code: err.code });
+            return;
+        }
+        if (!DEVICE_ENDPOINTS.includes(name)) {
+            sendError(res, 404, `Unknown device endpoint ${endpoint}, use one of: ${DEVICE_ENDPOINTS.map((known) => `/${known}`).join(', ')}`, {
+                code: 'not_found'
             });
-            res.end(JSON.stringify({ error: 'NRGKick IP not configured. Set NRGKICK_IP environment variable.' }));
             return;
         }
+        endpoint = `/${name}`;
 
-        const targetPath = pathname.substring(4) + url.search; // Remove '/api' prefix, keep the rest
+        // The passthrough is read-only: writes go through POST /api/v2/control
+        if (req.method !== 'GET') {
+            sendError(res, 405, `Method ${req.method} not allowed on the device passthrough`, { code: 'method_not_allowed' });
+            return;
+        }
+        const controlWrite = endpoint === '/control' && !!url.search;
+        if (!PROXY_WRITES && controlWrite) {
+            sendError(res, 403, 'Writing through /api/control is disabled. Use POST /api/v2/control, or set PROXY_WRITES=true.', {
+                code: 'proxy_read_only'
+            });
+            return;
+        }
+
+        const targetPath = endpoint + url.search;
         
-        // Build auth header - priority: client Authorization header > environment variables
+        // Build auth header - priority: client Authorization header > configured credentials
         let authHeader = null;
         
-        // Check if client sent an Authorization header
-        if (req.headers.authorization) {
+        // Check if client sent an Authorization header; with logins on it holds
+        // interface credentials and is not passed on
+        if (req.headers.authorization && !auth.enabled) {
             authHeader = req.headers.authorization;
-        } else if (NRGKICK_USER && NRGKICK_PASS) {
-            // Fallback to environment variables
-            const credentials = Buffer.from(`${NRGKICK_USER}:${NRGKICK_PASS}`).toString('base64');
-            authHeader = `Basic ${credentials}`;
+        } else {
+            // Fallback to the charger's configured credentials
+            authHeader = charger.authHeader();
         }
 
-        console.log(`Proxying request to http://${NRGKICK_IP}${targetPath}`);
-        proxyRequest(NRGKICK_IP, targetPath, authHeader, res);
+        // Reading needs the viewer role; a write through PROXY_WRITES can switch phases
+        auth.authorize(req, controlWrite ? 'admin' : 'viewer')
+            .then(() => {
+                console.log(`Proxying request to http://${charger.ip}${targetPath}`);
+                const onResponse = controlWrite && charger.auditLog
+                    ? (statusCode, body) => auditProxyWrite(charger, req, url.searchParams, statusCode, body)
+                    : null;
+                proxyRequest(charger, targetPath, authHeader, res, onResponse);
+            })
+            .catch((err) => sendError(res, err.statusCode || 500, err.message, { code: err.code }));
         return;
     }
 
@@ -201,60 +1277,407 @@ function handleRequest(req, res) {
     let filePath = pathname === '/' ? '/index.html' : pathname;
     filePath = path.join(__dirname, filePath);
 
-    // Security: prevent directory traversal
+    // Security: prevent directory traversal, keep the data, settings and keys private
     const baseDir = path.resolve(__dirname);
     const resolvedPath = path.resolve(filePath);
-    if (!resolvedPath.startsWith(baseDir)) {
+    if (!resolvedPath.startsWith(baseDir) || resolvedPath.startsWith(DATA_DIR) || PRIVATE_FILES.includes(resolvedPath)) {
         res.writeHead(403, { 'Content-Type': 'text/plain' });
         res.end('Forbidden');
         return;
     }
+    if (!isStaticFile(path.relative(baseDir, resolvedPath))) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('File not found');
+        return;
+    }
 
     serveStaticFile(resolvedPath, res);
 }
 
-// Validate configuration
-if (!NRGKICK_IP) {
-    console.error(`
-╔════════════════════════════════════════════════════════════╗
-║                    CONFIGURATION ERROR                     ║
-╠════════════════════════════════════════════════════════════╣
-║                                                            ║
-║  NRGKICK_IP environment variable is not set!               ║
-║                                                            ║
-║  Please provide the IP address of your NRGKick charger:    ║
-║                                                            ║
-║  Example:                                                  ║
-║    NRGKICK_IP=192.168.1.100 node server.js                 ║
-║                                                            ║
-║  With authentication:                                      ║
-║    NRGKICK_IP=192.168.1.100 \\                              ║
-║    NRGKICK_USER=admin \\                                    ║
-║    NRGKICK_PASS=secret node server.js                      ║
-║                                                            ║
-║  Docker:                                                   ║
-║    docker run -p 3000:3000 \\                               ║
-║      -e NRGKICK_IP=192.168.1.100 nrgkick-web               ║
-║                                                            ║
-╚════════════════════════════════════════════════════════════╝
-`);
-    process.exit(1);
+// Without a charger the server starts anyway, so an admin can add one on the settings page
+if (chargers.size === 0) {
+    console.warn('No charger configured: add one on the settings page, or set NRGKICK_IP (e.g. NRGKICK_IP=192.168.1.100 node server.js)');
+}
+
+/**
+ * Start the server-side services of one charger: polling, telemetry history,
+ * session tracking, alerts, the audit log, schedules, solar surplus charging
+ * and the MQTT bridge
+ */
+async function startCharger(charger) {
+    const { device, dataDir } = charger;
+    const label = chargers.size > 1 ? `[${charger.id}] ` : '';
+
+    const poller = new DevicePoller(device, { intervalMs: live.subscribers(charger.id) > 0 ? livePollIntervalMs() : pollIntervalMs() });
+    poller.on('poll-error', (err) => console.error(`${label}Polling NRGKick failed:`, err.message));
+    metrics.attach(poller, charger.id);
+    metrics.attachDevice(device, charger.id);
+    device.on('circuit', ({ open, error }) => {
+        if (open) {
+            console.warn(`${label}NRGKick keeps failing (${error.message}), pausing requests to it`);
+        } else {
+            console.log(`${label}NRGKick answers again, resuming requests`);
+        }
+    });
+    live.attach(poller, charger.id);
+    charger.poller = poller;
+
+    // A service that fails to start is left out; the others and the polling still run
+    const startService = async (name, start) => {
+        try {
+            await start();
+        } catch (err) {
+            console.error(`${label}Failed to start ${name}:`, err.message);
+        }
+    };
+
+    await startService('history recording', async () => {
+        const historyStore = new HistoryStore({
+            dir: path.join(dataDir, 'history'),
+            sampleIntervalMs: pollIntervalMs(),
+            retentionDays: HISTORY_RETENTION_DAYS
+        });
+        await historyStore.init();
+        historyStore.attach(poller);
+        charger.historyStore = historyStore;
+    });
+
+    await startService('session tracking', async () => {
+        const sessionTracker = new SessionTracker({ file: path.join(dataDir, 'sessions.json'), tariff });
+        await sessionTracker.init();
+        sessionTracker.attach(poller);
+        sessionTracker.on('plug-in', () => console.log(`${label}Vehicle plugged in, session started`));
+        sessionTracker.on('charge-start', (session) => {
+            // Only the first start of a session; resuming after a pause is no news
+            if (push && session.intervals.length === 1) {
+                push.notify({
+                    type: 'charge-started',
+                    severity: 'info',
+                    charger: charger.id,
+                    chargerName: charger.name,
+                    title: 'Charging started',
+                    message: '',
+                    timestamp: Date.now()
+                });
+            }
+        });
+        sessionTracker.on('plug-out', (session) => {
+            console.log(`${label}Vehicle unplugged, session ended (${(session.energy / 1000).toFixed(2)} kWh)`);
+        });
+        charger.sessionTracker = sessionTracker;
+    });
+
+    await startService('alerts', async () => {
+        const alertMonitor = new AlertMonitor({
+            file: path.join(dataDir, 'alerts.json'),
+            chargerId: charger.id,
+            chargerName: charger.name,
+            offlineAfterMs: ALERT_OFFLINE_AFTER_MS,
+            housingTempMax: ALERT_HOUSING_TEMP,
+            connectorTempMax: ALERT_CONNECTOR_TEMP
+        });
+        await alertMonitor.init();
+        alertMonitor.attach(poller);
+        alertMonitor.on('alert', (event) => {
+            console.log(`${label}Alert: ${event.title}${event.message ? ` (${event.message})` : ''}`);
+            notifiers.forEach((notifier) => notifier.notify(event));
+            if (push) {
+                push.notify(event);
+            }
+            live.broadcast(charger.id, 'alert', event);
+        });
+        charger.alertMonitor = alertMonitor;
+    });
+
+    await startService('the activity log', async () => {
+        const auditLog = new AuditLog({ file: path.join(dataDir, 'audit.json'), chargerId: charger.id });
+        await auditLog.init();
+        auditLog.attach(device);
+        auditLog.on('entry', (entry) => live.broadcast(charger.id, 'audit', entry));
+        charger.auditLog = auditLog;
+    });
+
+    await startService('schedules', async () => {
+        const scheduler = new Scheduler({ file: path.join(dataDir, 'schedules.json'), device });
+        await scheduler.init();
+        scheduler.attach(poller);
+        charger.scheduler = scheduler;
+    });
+
+    await startService('departure charging', async () => {
+        const planner = new ChargePlanner({
+            file: path.join(dataDir, 'plan.json'),
+            device,
+            scheduler: charger.scheduler,
+            loadBalancer,
+            tariff,
+            chargerId: charger.id,
+            maxCurrent: PLAN_MAX_CURRENT,
+            cheapHours: PLAN_CHEAP_HOURS
+        });
+        await planner.init();
+        planner.attach(poller);
+        charger.planner = planner;
+    });
+
+    if (SOLAR_SOURCE && charger.id === (SOLAR_CHARGER || chargers.default.id)) {
+        await startService('solar surplus charging', async () => {
+            const solarController = createSolarController(charger);
+            await solarController.init();
+            solarController.attach(poller);
+            charger.solarController = solarController;
+        });
+    }
+
+    if (MQTT_URL) {
+        await startService('the MQTT bridge', () => {
+            charger.mqttBridge = new MqttBridge({
+                url: MQTT_URL,
+                username: MQTT_USER,
+                password: MQTT_PASS,
+                device,
+                poller,
+                limits: async () => controlLimits(await charger.getInfo(), currentRange()),
+                // One base topic per charger as soon as there are several
+                topicPrefix: chargers.size > 1 ? `${MQTT_TOPIC_PREFIX}/${charger.id}` : MQTT_TOPIC_PREFIX,
+                discoveryPrefix: MQTT_DISCOVERY_PREFIX,
+                discovery: MQTT_DISCOVERY
+            });
+            charger.mqttBridge.start();
+        });
+    }
+
+    poller.start();
+}
+
+/**
+ * Build the alert notifiers from the ALERT_* environment variables
+ */
+function createNotifiers() {
+    const list = [];
+    const options = { types: ALERT_EVENTS };
+    if (ALERT_WEBHOOK_URL) {
+        list.push(new WebhookNotifier({ url: ALERT_WEBHOOK_URL, ...options }));
+    }
+    if (ALERT_SMTP_URL) {
+        if (!ALERT_EMAIL_TO) {
+            console.error('ALERT_SMTP_URL is set without ALERT_EMAIL_TO, email alerts are off');
+        } else {
+            list.push(new EmailNotifier({
+                smtpUrl: ALERT_SMTP_URL,
+                from: ALERT_EMAIL_FROM || ALERT_EMAIL_TO,
+                to: ALERT_EMAIL_TO,
+                ...options
+            }));
+        }
+    }
+    if (ALERT_NTFY_URL) {
+        list.push(new NtfyNotifier({ url: ALERT_NTFY_URL, token: ALERT_NTFY_TOKEN, ...options }));
+    }
+    if (ALERT_GOTIFY_URL) {
+        list.push(new GotifyNotifier({ url: ALERT_GOTIFY_URL, token: ALERT_GOTIFY_TOKEN, ...options }));
+    }
+    return list;
+}
+
+/**
+ * The configured surplus source, or '' (off) when it or SOLAR_URL is invalid
+ */
+function solarSource(source, url) {
+    if (!source) {
+        return '';
+    }
+    try {
+        checkSolarSource(source, url);
+        return source;
+    } catch (err) {
+        console.error(`${err.message}, solar surplus charging is off`);
+        return '';
+    }
+}
+
+/**
+ * Build the solar surplus controller of a charger from the SOLAR_* environment variables
+ */
+function createSolarController(charger) {
+    let source;
+    if (SOLAR_SOURCE === 'http') {
+        source = new HttpSurplusSource({ url: SOLAR_URL, jsonPath: SOLAR_JSON_PATH, intervalMs: SOLAR_INTERVAL_MS });
+    } else if (SOLAR_SOURCE === 'mqtt') {
+        source = new MqttSurplusSource({
+            url: SOLAR_URL,
+            topic: SOLAR_MQTT_TOPIC,
+            jsonPath: SOLAR_JSON_PATH,
+            intervalMs: SOLAR_INTERVAL_MS
+        });
+    } else {
+        throw new Error(`Unknown SOLAR_SOURCE '${SOLAR_SOURCE}', use http or mqtt`);
+    }
+
+    return new SolarController({
+        file: path.join(charger.dataDir, 'solar.json'),
+        device: charger.device,
+        source,
+        scheduler: charger.scheduler,
+        loadBalancer,
+        chargerId: charger.id,
+        exportPositive: SOLAR_EXPORT_POSITIVE,
+        voltage: SOLAR_VOLTAGE,
+        maxCurrent: SOLAR_MAX_CURRENT,
+        hysteresisW: SOLAR_HYSTERESIS_W,
+        minOnTimeMs: SOLAR_MIN_ON_TIME_MS,
+        minOffTimeMs: SOLAR_MIN_OFF_TIME_MS,
+        phaseSwitching: SOLAR_PHASE_SWITCHING,
+        phaseSwitchDelayMs: SOLAR_PHASE_SWITCH_DELAY_MS
+    });
+}
+
+/**
+ * Start the services of every configured charger
+ */
+async function startChargers() {
+    // Prices and the live stream are optional; without them the chargers still start
+    try {
+        await tariff.init();
+    } catch (err) {
+        console.error('Failed to load the tariff:', err.message);
+    }
+    try {
+        live.start();
+    } catch (err) {
+        console.error('Failed to start live updates:', err.message);
+    }
+
+    if (discovery && (DISCOVERY === 'true' || chargers.size === 0)) {
+        console.log('Looking for chargers on the network...');
+        startDiscovery(discovery);
+    }
+
+    for (const charger of chargers.list()) {
+        try {
+            await startCharger(charger);
+        } catch (err) {
+            console.error(`Failed to start services for charger '${charger.id}':`, err.message);
+        }
+    }
+
+    if (loadBalancer) {
+        try {
+            await loadBalancer.init();
+            console.log(`Load management: ${loadBalancer.siteLimit} A per phase, ${loadBalancer.policy} policy`);
+        } catch (err) {
+            console.error('Failed to start load management:', err.message);
+        }
+    }
+}
+
+/**
+ * Apply changed settings to the running server; the port needs a restart.
+ * The charger list is switched before the first await, so the answer to
+ * the change already lists the new chargers.
+ */
+async function applySettings(keys) {
+    const { added, removed } = keys.includes('chargers')
+        ? chargers.apply(settings.get('chargers'))
+        : { added: [], removed: [] };
+
+    if (keys.includes('pollInterval') || keys.includes('livePollInterval')) {
+        chargers.list().forEach((charger) => {
+            if (charger.poller) {
+                charger.poller.setIntervalMs(live.subscribers(charger.id) > 0 ? livePollIntervalMs() : pollIntervalMs());
+            }
+            if (charger.historyStore) {
+                charger.historyStore.sampleIntervalMs = pollIntervalMs();
+            }
+        });
+        if (loadBalancer) {
+            loadBalancer.setIntervalMs(pollIntervalMs());
+        }
+    }
+    if (keys.includes('port')) {
+        console.log(`The server moves to port ${settings.get('port')} after a restart`);
+    }
+    if (discovery && DISCOVERY === 'auto' && chargers.size > 0) {
+        discovery.stop(); // Found what it was looking for; a scan can still be started by hand
+    }
+
+    for (const charger of removed) {
+        await charger.stop();
+        live.detach(charger.id);
+        metrics.detach(charger.id);
+        console.log(`Removed charger '${charger.id}'`);
+    }
+    for (const charger of added) {
+        try {
+            await startCharger(charger);
+            console.log(`Added charger '${charger.id}' at ${charger.ip}`);
+        } catch (err) {
+            console.error(`Failed to start services for charger '${charger.id}':`, err.message);
+        }
+    }
+}
+
+/**
+ * Stop polling, flush pending history and session writes and exit
+ */
+async function shutdown(signal) {
+    console.log(`Received ${signal}, shutting down...`);
+    if (loadBalancer) {
+        loadBalancer.stop();
+    }
+    tariff.stop();
+    live.stop();
+    if (discovery) {
+        discovery.stop();
+    }
+    if (certificates) {
+        certificates.stop();
+    }
+    for (const charger of chargers.list()) {
+        await charger.stop();
+    }
+    process.exit(0);
 }
 
-// Create and start the server
-const server = http.createServer(handleRequest);
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-server.listen(PORT, () => {
-    const authStatus = (NRGKICK_USER && NRGKICK_PASS) ? 'Yes' : 'No';
+/**
+ * Create the HTTP server, or the HTTPS server when a certificate is configured
+ */
+async function createServer() {
+    if (!certificates) {
+        return http.createServer(handleRequest);
+    }
+    const server = https.createServer(await certificates.init(), handleRequest);
+    const info = certificates.info();
+    console.log(`TLS certificate: ${info.subject.replace(/\n/g, ', ')} (${info.names}), valid until ${info.validTo}`);
+    certificates.watch(server);
+    return server;
+}
+
+// Create and start the server once the user accounts, the push keys and the certificate are loaded
+initAuth().then(initPush).then(createServer).then((server) => server.listen(settings.get('port'), () => {
+    const scheme = certificates ? 'https' : 'http';
+    const port = settings.get('port');
+    const first = chargers.default;
+    const authStatus = first && first.hasAuth ? 'Yes' : 'No';
+    const chargerLines = chargers.size === 0
+        ? `║  ${'No charger configured yet, see the settings page.'.padEnd(58)}║`
+        : chargers.size === 1
+        ? `║  NRGKick IP: ${first.ip.padEnd(44)}║
+║  Authentication: ${authStatus.padEnd(40)}║`
+        : chargers.list().map((charger) => {
+            return `║  ${`${charger.id}: ${charger.ip}${charger.hasAuth ? ' (auth)' : ''}`.padEnd(58)}║`;
+        }).join('\n');
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║              NRGKick Web Interface Server                  ║
 ╠════════════════════════════════════════════════════════════╣
 ║                                                            ║
-║  Server running at: http://localhost:${String(PORT).padEnd(5)}                ║
+║  Server running at: ${`${scheme}://localhost:${port}`.padEnd(39)}║
 ║                                                            ║
-║  NRGKick IP: ${NRGKICK_IP.padEnd(44)}║
-║  Authentication: ${authStatus.padEnd(40)}║
+${chargerLines}
 ║                                                            ║
 ║  Open in your browser to access the NRGKick interface.     ║
 ║                                                            ║
@@ -262,4 +1685,11 @@ server.listen(PORT, () => {
 ║                                                            ║
 ╚════════════════════════════════════════════════════════════╝
 `);
+})).catch((err) => {
+    console.error('Failed to start the server:', err.message);
+    process.exit(1);
+});
+
+startChargers().catch((err) => {
+    console.error('Failed to start the charger services:', err.message);
 });
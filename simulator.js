@@ -0,0 +1,81 @@
+/**
+ * NRGKick Simulator
+ *
+ * Runs one or more simulated NRGKick chargers (see lib/simulator.js) to
+ * develop, demo or test the web interface without a real charger.
+ *
+ * Environment variables:
+ *   SIM_PORT        - Port of the first charger; more chargers use the next ports (default: 8080)
+ *   SIM_HOST        - Address to listen on (default: 127.0.0.1)
+ *   SIM_COUNT       - Number of chargers (default: 1)
+ *   SIM_USER, SIM_PASS - Require Basic auth, like a charger with authentication enabled (optional)
+ *   SIM_PHASES      - Phases of the connector, 1 or 3 (default: 3)
+ *   SIM_MAX_CURRENT - Highest current of the connector in A (default: 32)
+ *   SIM_SPEED       - Simulated seconds per real second, e.g. 60 for a quick demo (default: 1)
+ *   SIM_PLUGGED     - Set to false to start without a vehicle (default: true)
+ *
+ * Example:
+ *   node simulator.js
+ *   NRGKICK_IP=127.0.0.1:8080 node server.js
+ */
+
+const { NRGKickSimulator } = require('./lib/simulator');
+
+const SIM_PORT = parseInt(process.env.SIM_PORT, 10) || 8080;
+const SIM_HOST = process.env.SIM_HOST || '127.0.0.1';
+const SIM_COUNT = Math.max(1, parseInt(process.env.SIM_COUNT, 10) || 1);
+const SIM_USER = process.env.SIM_USER || '';
+const SIM_PASS = process.env.SIM_PASS || '';
+const SIM_PHASES = process.env.SIM_PHASES === '1' ? 1 : 3;
+const SIM_MAX_CURRENT = parseInt(process.env.SIM_MAX_CURRENT, 10) || 32;
+const SIM_SPEED = parseFloat(process.env.SIM_SPEED) || 1;
+const SIM_PLUGGED = process.env.SIM_PLUGGED !== 'false';
+
+const STATUS_NAMES = { 1: 'standby', 2: 'connected', 3: 'charging', 6: 'error' };
+
+const simulators = Array.from({ length: SIM_COUNT }, (unused, index) => new NRGKickSimulator({
+    port: SIM_PORT + index,
+    host: SIM_HOST,
+    username: SIM_USER,
+    password: SIM_PASS,
+    serialNumber: String(10000001 + index),
+    deviceName: SIM_COUNT > 1 ? `Simulator ${index + 1}` : 'NRGkick Simulator',
+    phases: SIM_PHASES,
+    maxCurrent: SIM_MAX_CURRENT,
+    ratedCurrent: SIM_MAX_CURRENT,
+    speed: SIM_SPEED,
+    plugged: SIM_PLUGGED
+}));
+
+Promise.all(simulators.map((simulator, index) => simulator.start().then((address) => {
+    simulator.on('status', (status, previous) => {
+        console.log(`[${address}] ${STATUS_NAMES[previous] || previous} -> ${STATUS_NAMES[status] || status}`);
+    });
+    console.log(`Simulated NRGKick ${index + 1} listening on http://${address}`);
+    return address;
+}))).then((addresses) => {
+    const auth = SIM_USER && SIM_PASS ? { user: SIM_USER, pass: '<SIM_PASS>' } : {};
+    const chargers = addresses.map((ip, index) => ({ id: `sim${index + 1}`, name: `Simulator ${index + 1}`, ip, ...auth }));
+    const credentials = SIM_USER && SIM_PASS ? ` NRGKICK_USER=${SIM_USER} NRGKICK_PASS=<SIM_PASS>` : '';
+    console.log(`
+Start the web interface against it with:
+  ${addresses.length === 1 ? `NRGKICK_IP=${addresses[0]}${credentials}` : `NRGKICK_CHARGERS='${JSON.stringify(chargers)}'`} node server.js
+
+Drive the simulation, e.g.:
+  curl -X POST 'http://${addresses[0]}/simulator/unplug'
+  curl -X POST 'http://${addresses[0]}/simulator/plug?soc=20'
+  curl -X POST 'http://${addresses[0]}/simulator/fault?type=overtemperature&value=85'
+  curl -X POST 'http://${addresses[0]}/simulator/clear'
+`);
+}).catch((err) => {
+    console.error('Failed to start the simulator:', err.message);
+    process.exit(1);
+});
+
+function shutdown(signal) {
+    console.log(`Received ${signal}, stopping the simulator...`);
+    Promise.all(simulators.map((simulator) => simulator.stop())).then(() => process.exit(0));
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,161 @@
+/**
+ * NRGKick Service Worker
+ *
+ * Makes the interface installable and usable offline:
+ * - The static shell (HTML, scripts, styles, icons) is cached on install
+ *   and served from the cache when the server cannot be reached
+ * - The last answers of the status routes (config, info, control, values,
+ *   chargers) are kept, so the last known status can be viewed offline;
+ *   those answers carry an X-Cached-At header with the time they were fetched
+ * - Shows the Web Push notifications sent by the server and opens the
+ *   interface when one is clicked
+ *
+ * Everything is fetched from the network first; the cache is the fallback.
+ */
+
+const SHELL_CACHE = 'nrgkick-shell-v2';
+const STATUS_CACHE = 'nrgkick-status-v1';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/charts.js',
+    '/app.js',
+    '/docs.html',
+    '/docs.js',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+// GET routes whose last answer is kept for offline viewing
+const STATUS_ROUTES = [
+    /^\/api\/auth\/session$/,
+    /^\/api\/config$/,
+    /^\/api\/chargers$/,
+    /^\/api(\/chargers\/[^/]+)?\/(info|control|values|v2\/control)$/,
+    /^\/api\/v1\/openapi\.json$/ // Rendered by the docs page
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key !== SHELL_CACHE && key !== STATUS_CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+    if (url.pathname.startsWith('/api/') || url.pathname === '/metrics') {
+        // Status routes without a query only; streams and everything else go straight to the server
+        if (!url.search && STATUS_ROUTES.some((route) => route.test(url.pathname))) {
+            event.respondWith(fetchStatus(request));
+        }
+        return;
+    }
+    event.respondWith(fetchShell(request));
+});
+
+/**
+ * Static files: network first, the cached copy when offline
+ */
+async function fetchShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const pathname = new URL(request.url).pathname;
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_FILES.includes(pathname)) {
+            cache.put(pathname, response.clone()); // Without the query, e.g. /?charger=garage
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(pathname)
+            || (request.mode === 'navigate' ? await cache.match('/index.html') : null);
+        if (cached) {
+            return cached;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Status routes: network first; the last successful answer, marked with
+ * X-Cached-At, when the server cannot be reached
+ */
+async function fetchStatus(request) {
+    const cache = await caches.open(STATUS_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const body = await response.clone().arrayBuffer();
+            const headers = new Headers(response.headers);
+            headers.set('X-Cached-At', String(Date.now()));
+            cache.put(request, new Response(body, { status: response.status, headers }));
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw err;
+    }
+}
+
+// The page asks to forget the cached status, e.g. on logout
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'clear-status') {
+        event.waitUntil(caches.delete(STATUS_CACHE));
+    }
+});
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (err) {
+        data = { title: event.data.text() };
+    }
+    const url = data.charger ? `/?charger=${encodeURIComponent(data.charger)}` : '/';
+    event.waitUntil(self.registration.showNotification(data.title || 'NRGKick', {
+        body: data.body || '',
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-192.png',
+        // A newer notification of the same kind replaces the older one
+        tag: `${data.charger || 'nrgkick'}-${data.type || 'message'}`,
+        renotify: true,
+        requireInteraction: data.severity === 'critical',
+        timestamp: data.timestamp || Date.now(),
+        data: { url }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const open = windows.find((client) => new URL(client.url).origin === self.location.origin);
+            if (open) {
+                return open.navigate(url).then((client) => (client || open).focus());
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
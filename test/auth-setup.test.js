@@ -0,0 +1,70 @@
+/**
+ * Creating the first admin account: on the server itself, or from elsewhere
+ * with the setup token of the log
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, requestJson, waitFor } = require('./helpers');
+
+const setup = (server, body, headers = {}) => requestJson(server.url, '/api/auth/setup', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+// Requests of the tests come from 127.0.0.1; through a proxy they count as remote
+const REMOTE = { 'X-Forwarded-For': '192.168.1.23' };
+
+describe('admin setup from another machine', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer({ AUTH_ENABLED: 'true' });
+        token = (await waitFor(() => /setup token (\S+)/.exec(server.output()), { message: 'the setup token' }))[1];
+    });
+
+    after(() => server.stop());
+
+    it('tells the interface that the token is needed', async () => {
+        const response = await requestJson(server.url, '/api/auth/session', { headers: REMOTE });
+        assert.equal(response.json.setupRequired, true);
+        assert.equal(response.json.setupTokenRequired, true);
+    });
+
+    it('is refused without the token or with a wrong one', async () => {
+        for (const body of [{}, { token: 'wrong' }]) {
+            const response = await setup(server, { username: 'admin', password: 'a-long-secret', ...body }, REMOTE);
+            assert.equal(response.status, 403);
+            assert.equal(response.json.code, 'forbidden');
+        }
+    });
+
+    it('creates the admin account with the token, once', async () => {
+        const response = await setup(server, { username: 'admin', password: 'a-long-secret', token }, REMOTE);
+        assert.equal(response.status, 201);
+        assert.equal(response.json.user.role, 'admin');
+
+        const again = await setup(server, { username: 'other', password: 'a-long-secret', token }, REMOTE);
+        assert.equal(again.status, 403);
+    });
+});
+
+describe('admin setup on the server itself', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ AUTH_ENABLED: 'true' });
+    });
+
+    after(() => server.stop());
+
+    it('needs no token', async () => {
+        const session = await requestJson(server.url, '/api/auth/session');
+        assert.equal(session.json.setupTokenRequired, false);
+
+        const response = await setup(server, { username: 'admin', password: 'a-long-secret' });
+        assert.equal(response.status, 201);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Charger.stop(): a removed charger stops polling, enforcing its schedules
+ * and feeding the services attached to its poller
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Charger } = require('../lib/chargers');
+const { DevicePoller } = require('../lib/poller');
+const { Scheduler } = require('../lib/scheduler');
+
+const ALL_DAY = { days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '23:59', action: 'pause' };
+
+describe('Charger.stop()', () => {
+    let dataDir;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nrgkick-charger-'));
+    });
+
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    it('stops the scheduler and the listeners of the poller', async () => {
+        const charger = new Charger({ id: 'garage', name: 'Garage', ip: '192.0.2.1' }, { dataDir, timeoutMs: 1000 });
+        const writes = [];
+        charger.device.setControl = (params) => {
+            writes.push(params);
+            return Promise.resolve(params);
+        };
+        charger.poller = new DevicePoller(charger.device, { intervalMs: 60000 });
+        charger.scheduler = new Scheduler({ file: path.join(dataDir, 'schedules.json'), device: charger.device });
+        await charger.scheduler.create(ALL_DAY);
+        charger.scheduler.attach(charger.poller);
+        let received = 0;
+        charger.poller.on('data', () => received++);
+
+        const snapshot = { timestamp: Date.now(), control: { charge_pause: 0, current_set: 16 }, values: {} };
+        await charger.scheduler.enforce(snapshot);
+        assert.deepEqual(writes, [{ charge_pause: 1 }]);
+
+        await charger.stop();
+        // A poll that was under way when the charger was removed
+        charger.poller.emit('data', snapshot);
+        await charger.scheduler.enforce({ ...snapshot, timestamp: Date.now() });
+        assert.equal(received, 0);
+        assert.equal(writes.length, 1);
+        assert.equal(charger.poller.listenerCount('data'), 0);
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Test helpers: the server in a child process, raw HTTP requests and the
+ * web interface in a headless DOM
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const START_TIMEOUT_MS = 15000;
+
+/**
+ * A port nobody listens on right now
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Resolve once condition() is truthy, checking every 20 ms
+ */
+async function waitFor(condition, { timeoutMs = 5000, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await condition();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Send a request with the path as it is, without the normalization of URL
+ * Resolves with { status, headers, body }
+ */
+function request(baseUrl, rawPath, { method = 'GET', headers = {}, body = null } = {}) {
+    const { hostname, port } = new URL(baseUrl);
+    return new Promise((resolve, reject) => {
+        const req = http.request({ hostname, port, path: rawPath, method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Like request(), with the body parsed as JSON
+ */
+async function requestJson(baseUrl, rawPath, options = {}) {
+    const response = await request(baseUrl, rawPath, options);
+    return { ...response, json: JSON.parse(response.body) };
+}
+
+/**
+ * Basic Authorization header
+ */
+function basicAuth(username, password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+/**
+ * Start server.js with the given environment on a free port and its own
+ * data directory; resolves once it answers
+ * Returns { url, dataDir, output(), stop() }
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const dataDir = env.DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'nrgkick-test-'));
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+        cwd: ROOT,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            DISCOVERY: 'false',
+            PUSH_ENABLED: 'false',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    const exited = new Promise((resolve) => child.on('exit', resolve));
+
+    const url = `http://127.0.0.1:${port}`;
+    const server = {
+        url,
+        dataDir,
+        output: () => output,
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill('SIGTERM');
+            }
+            await exited;
+            if (!env.DATA_DIR) {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+            }
+        }
+    };
+
+    try {
+        await waitFor(async () => {
+            if (child.exitCode !== null) {
+                throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+            }
+            return request(url, '/api/v1').then(() => true, () => false);
+        }, { timeoutMs: START_TIMEOUT_MS, message: `the server on port ${port}` });
+    } catch (err) {
+        await server.stop();
+        throw err;
+    }
+    return server;
+}
+
+/**
+ * A fetch() answer with a JSON body, for stubbed requests
+ */
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: http.STATUS_CODES[status] || '',
+        headers: { get: () => null },
+        json: () => Promise.resolve(body)
+    };
+}
+
+/**
+ * Load index.html, charts.js and app.js into a headless DOM
+ * fetchImpl (url, options) answers the requests of the interface
+ * Resolves with { window, document, controller, close() }
+ */
+async function loadInterface(fetchImpl, { url = 'http://localhost/' } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script src="[^"]+"><\/script>/g, '');
+    // The console of the page is dropped; canvas and navigation are not implemented by jsdom
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => {
+        if (!/Not implemented/.test(error.message)) {
+            console.error(error);
+        }
+    });
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    // Answers arriving after close() are dropped rather than rendered into a closed window
+    let closed = false;
+    const never = () => new Promise(() => {});
+    window.fetch = (...args) => (closed ? never() : fetchImpl(...args).then(
+        (response) => (closed ? never() : response),
+        (error) => (closed ? never() : Promise.reject(error))
+    ));
+
+    const ready = new Promise((resolve) => window.document.addEventListener('DOMContentLoaded', resolve));
+    window.eval(['charts.js', 'app.js'].map((file) => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n'));
+    await ready;
+
+    return {
+        window,
+        document: window.document,
+        controller: window.nrgkickController,
+        close() {
+            closed = true;
+            window.close();
+        }
+    };
+}
+
+module.exports = {
+    ROOT,
+    freePort,
+    waitFor,
+    request,
+    requestJson,
+    basicAuth,
+    startServer,
+    jsonResponse,
+    loadInterface
+};
@@ -0,0 +1,60 @@
+/**
+ * MqttBridge: commands are checked against the charger's limits before
+ * they are written
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MqttBridge } = require('../lib/mqtt-bridge');
+
+// A single-phase charger rated 16 A
+const INFO = { general: { rated_current: 16 }, connector: { phase_count: 1, max_current: 16 } };
+
+describe('MqttBridge commands', () => {
+    let writes;
+    let bridge;
+
+    beforeEach(() => {
+        writes = [];
+        const device = {
+            getInfo: () => Promise.resolve(INFO),
+            setControl: (changes) => {
+                writes.push(changes);
+                return Promise.resolve(changes);
+            }
+        };
+        bridge = new MqttBridge({ url: 'mqtt://localhost', device, poller: { poll: () => Promise.resolve() } });
+    });
+
+    const send = (name, payload) => bridge.handleCommand(`nrgkick/set/${name}`, payload);
+
+    it('writes a valid command', async () => {
+        await send('current_set', '10');
+        await send('charge_pause', '1');
+        assert.deepEqual(writes, [{ current_set: 10 }, { charge_pause: 1 }]);
+    });
+
+    it('refuses a current above the rating of the charger', async () => {
+        await send('current_set', '32');
+        assert.deepEqual(writes, []);
+    });
+
+    it('refuses switching phases on a single-phase connector', async () => {
+        await send('phase_count', '3');
+        assert.deepEqual(writes, []);
+    });
+
+    it('checks against the limits it is given', async () => {
+        bridge.limits = () => Promise.resolve({ minCurrent: 8, maxCurrent: 12, maxPhases: 3, phaseSwitching: true });
+        await send('current_set', '6');
+        await send('current_set', '13');
+        await send('phase_count', '3');
+        assert.deepEqual(writes, [{ phase_count: 3 }]);
+    });
+
+    it('ignores empty payloads and unknown topics', async () => {
+        await send('charge_pause', '');
+        await send('nothing', '1');
+        assert.deepEqual(writes, []);
+    });
+});
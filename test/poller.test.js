@@ -0,0 +1,65 @@
+/**
+ * DevicePoller: one polling loop, whatever the interval changes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DevicePoller } = require('../lib/poller');
+
+/**
+ * A device whose reads take ms milliseconds, counting concurrent polls
+ */
+function slowDevice(ms) {
+    const device = { calls: 0, active: 0, maxActive: 0 };
+    device.getControl = () => new Promise((resolve) => {
+        device.calls += 1;
+        device.active += 1;
+        device.maxActive = Math.max(device.maxActive, device.active);
+        setTimeout(() => {
+            device.active -= 1;
+            resolve({});
+        }, ms);
+    });
+    device.getValues = () => Promise.resolve({});
+    return device;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('DevicePoller', () => {
+    it('does not start a second loop when the interval gets faster during a poll', async () => {
+        const device = slowDevice(100);
+        const poller = new DevicePoller(device, { intervalMs: 1000 });
+        poller.start();
+        await sleep(20);
+        poller.setIntervalMs(50); // While the first poll is under way
+        await sleep(600);
+        poller.stop();
+        assert.equal(device.maxActive, 1);
+        // 150 ms per round: about 4 polls, twice as many with two loops
+        assert.ok(device.calls >= 3 && device.calls <= 5, `${device.calls} polls`);
+    });
+
+    it('does not start a second loop when restarted during a poll', async () => {
+        const device = slowDevice(100);
+        const poller = new DevicePoller(device, { intervalMs: 50 });
+        poller.start();
+        await sleep(20);
+        poller.stop();
+        poller.start();
+        await sleep(400);
+        poller.stop();
+        assert.equal(device.maxActive, 1);
+    });
+
+    it('polls right away when the interval gets faster between polls', async () => {
+        const device = slowDevice(10);
+        const poller = new DevicePoller(device, { intervalMs: 10000 });
+        poller.start();
+        await sleep(50);
+        poller.setIntervalMs(1000);
+        await sleep(50);
+        poller.stop();
+        assert.equal(device.calls, 2);
+    });
+});
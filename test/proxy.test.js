@@ -0,0 +1,178 @@
+/**
+ * proxyRequest(): credentials sent to the charger, timeouts and
+ * unreachable chargers, against a simulated charger
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { NRGKickSimulator } = require('../lib/simulator');
+const { startServer, request, requestJson, basicAuth } = require('./helpers');
+
+const DEVICE_USER = 'device';
+const DEVICE_PASS = 'device-secret';
+
+describe('charger credentials', () => {
+    let simulator;
+    let address;
+
+    before(async () => {
+        simulator = new NRGKickSimulator({ port: 0, tickMs: 0, noise: false, username: DEVICE_USER, password: DEVICE_PASS });
+        address = await simulator.start();
+    });
+
+    after(() => simulator.stop());
+
+    describe('with logins off and credentials in the environment', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ AUTH_ENABLED: 'false', NRGKICK_IP: address, NRGKICK_USER: DEVICE_USER, NRGKICK_PASS: DEVICE_PASS });
+        });
+
+        after(() => server.stop());
+
+        it('sends the configured credentials when the client sends none', async () => {
+            const response = await requestJson(server.url, '/api/values?general=1');
+            assert.equal(response.status, 200);
+            assert.ok(response.json.general);
+        });
+
+        it('sends the client Authorization header instead of the configured credentials', async () => {
+            const response = await request(server.url, '/api/values?general=1', {
+                headers: { Authorization: basicAuth(DEVICE_USER, 'wrong') }
+            });
+            assert.equal(response.status, 401);
+        });
+    });
+
+    describe('with logins off and no credentials in the environment', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({ AUTH_ENABLED: 'false', NRGKICK_IP: address });
+        });
+
+        after(() => server.stop());
+
+        it('sends the client Authorization header', async () => {
+            const response = await requestJson(server.url, '/api/values?general=1', {
+                headers: { Authorization: basicAuth(DEVICE_USER, DEVICE_PASS) }
+            });
+            assert.equal(response.status, 200);
+        });
+
+        it('sends no credentials when the client sends none', async () => {
+            const response = await request(server.url, '/api/values?general=1');
+            assert.equal(response.status, 401);
+        });
+
+        it('does not answer from the /info cache of other credentials', async () => {
+            const authorized = await requestJson(server.url, '/api/info?general=1', {
+                headers: { Authorization: basicAuth(DEVICE_USER, DEVICE_PASS) }
+            });
+            assert.equal(authorized.status, 200);
+
+            const anonymous = await request(server.url, '/api/info?general=1');
+            assert.equal(anonymous.status, 401);
+            const wrong = await request(server.url, '/api/info?general=1', {
+                headers: { Authorization: basicAuth(DEVICE_USER, 'wrong') }
+            });
+            assert.equal(wrong.status, 401);
+        });
+
+        it('does not share a pending read with other credentials', async () => {
+            const [authorized, anonymous] = await Promise.all([
+                request(server.url, '/api/values?general=1', { headers: { Authorization: basicAuth(DEVICE_USER, DEVICE_PASS) } }),
+                request(server.url, '/api/values?general=1')
+            ]);
+            assert.equal(authorized.status, 200);
+            assert.equal(anonymous.status, 401);
+        });
+    });
+
+    describe('with logins on', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer({
+                AUTH_ENABLED: 'true',
+                ADMIN_USER: 'admin',
+                ADMIN_PASSWORD: 'interface-secret',
+                NRGKICK_IP: address,
+                NRGKICK_USER: DEVICE_USER,
+                NRGKICK_PASS: DEVICE_PASS
+            });
+        });
+
+        after(() => server.stop());
+
+        it('needs a login', async () => {
+            const response = await requestJson(server.url, '/api/values?general=1');
+            assert.equal(response.status, 401);
+        });
+
+        it('does not pass the login on to the charger', async () => {
+            const response = await requestJson(server.url, '/api/values?general=1', {
+                headers: { Authorization: basicAuth('admin', 'interface-secret') }
+            });
+            assert.equal(response.status, 200);
+            assert.ok(response.json.general);
+        });
+    });
+});
+
+describe('proxyRequest() errors', () => {
+    let simulator;
+    let server;
+
+    before(async () => {
+        simulator = new NRGKickSimulator({ port: 0, tickMs: 0, noise: false });
+        const address = await simulator.start();
+        server = await startServer({ AUTH_ENABLED: 'false', NRGKICK_IP: address, PROXY_TIMEOUT: '0.5' });
+    });
+
+    afterEach(() => simulator.clearFaults());
+
+    after(async () => {
+        await server.stop();
+        await simulator.stop();
+    });
+
+    it('passes HTTP errors of the charger on', async () => {
+        // A path of its own, not shared with a poll of /values that may be under way
+        simulator.injectFault('http-error', { status: 404 });
+        const response = await requestJson(server.url, '/api/values?general=1');
+        assert.equal(response.status, 404);
+        assert.equal(response.json.Response, 'Simulated error');
+    });
+
+    it('answers 504 when the charger does not answer in time', async () => {
+        simulator.injectFault('timeout');
+        const startedAt = Date.now();
+        const response = await requestJson(server.url, '/api/values');
+        assert.equal(response.status, 504);
+        assert.equal(response.json.error, 'Connection to NRGKick device timed out');
+        assert.ok(Date.now() - startedAt < 5000, 'answered after PROXY_TIMEOUT');
+    });
+
+    it('answers 502 when the charger cannot be reached', async () => {
+        await simulator.stop();
+        const response = await requestJson(server.url, '/api/values');
+        assert.equal(response.status, 502);
+        assert.equal(response.json.error, 'Failed to connect to NRGKick device');
+        assert.equal(response.json.code, 'device_error');
+        assert.match(response.json.details, /ECONNREFUSED/);
+    });
+
+    it('answers 503 at once while the charger stays unreachable', async () => {
+        let response;
+        for (let attempt = 0; attempt < 5; attempt++) {
+            response = await requestJson(server.url, '/api/values');
+            if (response.status !== 502) {
+                break;
+            }
+        }
+        assert.equal(response.status, 503);
+        assert.equal(response.json.code, 'device_unavailable');
+    });
+});
@@ -0,0 +1,261 @@
+/**
+ * Routing of server.js: server-side routes, the device passthrough and
+ * static files, against a simulated charger
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { NRGKickSimulator } = require('../lib/simulator');
+const { ROOT, startServer, request, requestJson } = require('./helpers');
+
+describe('handleRequest() routing', () => {
+    let simulator;
+    let server;
+
+    before(async () => {
+        simulator = new NRGKickSimulator({ port: 0, tickMs: 0, noise: false, serialNumber: '12345678' });
+        const address = await simulator.start();
+        server = await startServer({ AUTH_ENABLED: 'false', NRGKICK_IP: address });
+    });
+
+    after(async () => {
+        await server.stop();
+        await simulator.stop();
+    });
+
+    it('serves index.html for /', async () => {
+        const response = await request(server.url, '/');
+        assert.equal(response.status, 200);
+        assert.match(response.headers['content-type'], /^text\/html/);
+        assert.equal(response.headers['x-content-type-options'], 'nosniff');
+        assert.match(response.body, /<title>/);
+    });
+
+    it('serves static files with their content type', async () => {
+        const response = await request(server.url, '/app.js');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['content-type'], 'application/javascript');
+        assert.match(response.body, /class NRGKickController/);
+    });
+
+    it('answers 404 for missing files', async () => {
+        const response = await request(server.url, '/missing.html');
+        assert.equal(response.status, 404);
+        assert.equal(response.body, 'File not found');
+    });
+
+    it('answers server-side routes itself', async () => {
+        const response = await requestJson(server.url, '/api/v1');
+        assert.equal(response.status, 200);
+        assert.equal(response.json.links.openapi, '/api/v1/openapi.json');
+    });
+
+    it('does not pass unknown /api/v1 routes on to the charger', async () => {
+        const response = await requestJson(server.url, '/api/v1/nothing');
+        assert.equal(response.status, 404);
+        assert.equal(response.json.code, 'not_found');
+    });
+
+    it('passes /api/<endpoint> on to the first charger, with the query', async () => {
+        const response = await requestJson(server.url, '/api/info?general=1');
+        assert.equal(response.status, 200);
+        assert.deepEqual(Object.keys(response.json), ['general']);
+        assert.equal(response.json.general.serial_number, '12345678');
+    });
+
+    it('passes /api/chargers/<id>/<endpoint> on to that charger', async () => {
+        const { json: config } = await requestJson(server.url, '/api/config');
+        const id = config.chargers[0].id;
+        const response = await requestJson(server.url, `/api/chargers/${encodeURIComponent(id)}/values?general=1`);
+        assert.equal(response.status, 200);
+        assert.equal(response.json.general.status, simulator.values().general.status);
+    });
+
+    it('answers 404 for an unknown charger', async () => {
+        const response = await requestJson(server.url, '/api/chargers/nope/values');
+        assert.equal(response.status, 404);
+        assert.match(response.json.error, /Unknown charger 'nope'/);
+    });
+
+    it('answers 400 for a malformed escape in a route parameter', async () => {
+        const response = await requestJson(server.url, '/api/sessions/%E0');
+        assert.equal(response.status, 400);
+        assert.equal(response.json.code, 'invalid_request');
+        // The server is still up
+        assert.equal((await request(server.url, '/api/v1')).status, 200);
+    });
+
+    it('answers 400 for a malformed escape in the charger of the passthrough', async () => {
+        const response = await requestJson(server.url, '/api/chargers/%E0/nothing');
+        assert.equal(response.status, 400);
+        assert.equal(response.json.code, 'invalid_request');
+        assert.equal((await request(server.url, '/api/v1')).status, 200);
+    });
+
+    it('refuses history ranges outside the range of dates', async () => {
+        for (const query of ['from=99999999999999999', 'to=1e400', 'from=2000&to=1000']) {
+            const response = await requestJson(server.url, `/api/history?${query}`);
+            assert.equal(response.status, 400, query);
+            assert.equal(response.json.code, 'invalid_request');
+        }
+    });
+
+    it('answers wide history ranges from the day files that exist', async () => {
+        const startedAt = Date.now();
+        const response = await requestJson(server.url, `/api/history?from=0&to=${Date.UTC(9000, 0, 1)}&resolution=raw`);
+        assert.equal(response.status, 200);
+        assert.ok(Array.isArray(response.json.points));
+        assert.ok(Date.now() - startedAt < 1000, 'answered without walking every calendar day');
+    });
+
+    it('only passes GET requests on', async () => {
+        const response = await requestJson(server.url, '/api/values', { method: 'POST' });
+        assert.equal(response.status, 405);
+        assert.equal(response.json.code, 'method_not_allowed');
+    });
+
+    it('refuses control writes through the passthrough', async () => {
+        const before = simulator.control.current_set;
+        const response = await requestJson(server.url, '/api/control?current_set=7');
+        assert.equal(response.status, 403);
+        assert.equal(response.json.code, 'proxy_read_only');
+        assert.equal(simulator.control.current_set, before);
+    });
+
+    it('refuses control writes with an escaped endpoint', async () => {
+        const before = simulator.control.current_set;
+        for (const rawPath of ['/api/contro%6C?current_set=7', '/api/%63ontrol/?current_set=7', '/api/CONTROL?current_set=7']) {
+            const response = await requestJson(server.url, rawPath);
+            assert.equal(response.status, 403, rawPath);
+            assert.equal(response.json.code, 'proxy_read_only');
+        }
+        assert.equal(simulator.control.current_set, before);
+    });
+
+    it('does not pass unknown endpoints on to the charger', async () => {
+        const response = await requestJson(server.url, '/api/nothing');
+        assert.equal(response.status, 404);
+        assert.equal(response.json.code, 'not_found');
+    });
+
+    it('writes through POST /api/v2/control', async () => {
+        const response = await requestJson(server.url, '/api/v2/control', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ current_set: 12 })
+        });
+        assert.equal(response.status, 200);
+        assert.equal(simulator.control.current_set, 12);
+    });
+
+    it('answers CORS preflight requests without passing them on', async () => {
+        const response = await request(server.url, '/api/values', { method: 'OPTIONS' });
+        assert.ok(response.status < 300, `status ${response.status}`);
+    });
+});
+
+describe('handleRequest() without a charger', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ AUTH_ENABLED: 'false' });
+    });
+
+    after(() => server.stop());
+
+    it('answers 503 on the passthrough', async () => {
+        const response = await requestJson(server.url, '/api/values');
+        assert.equal(response.status, 503);
+        assert.equal(response.json.code, 'service_unavailable');
+    });
+
+    it('still serves the interface', async () => {
+        const response = await request(server.url, '/');
+        assert.equal(response.status, 200);
+    });
+});
+
+describe('directory traversal guard', () => {
+    const defaultDataDir = path.join(ROOT, 'data');
+    let createdDefault;
+    let server;
+    let dataDir;
+
+    before(async () => {
+        // A data directory inside the served directory, as with the default ./data
+        createdDefault = !fs.existsSync(defaultDataDir);
+        fs.mkdirSync(defaultDataDir, { recursive: true });
+        dataDir = fs.mkdtempSync(path.join(defaultDataDir, 'test-'));
+        fs.writeFileSync(path.join(dataDir, 'secret.json'), '{"secret":true}');
+        server = await startServer({ AUTH_ENABLED: 'false', DATA_DIR: dataDir });
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        if (createdDefault) {
+            fs.rmdirSync(defaultDataDir);
+        }
+    });
+
+    it('does not serve files of the data directory', async () => {
+        const response = await request(server.url, `/data/${path.basename(dataDir)}/secret.json`);
+        assert.equal(response.status, 403);
+        assert.equal(response.body, 'Forbidden');
+    });
+
+    for (const rawPath of [
+        '/../../../../etc/passwd',
+        '/..%2f..%2f..%2f..%2fetc%2fpasswd',
+        '/%2e%2e/%2e%2e/%2e%2e/%2e%2e/etc/passwd',
+        '/....//....//etc/passwd',
+        '/static/..\\..\\..\\etc\\passwd'
+    ]) {
+        it(`does not leave the served directory for ${rawPath}`, async () => {
+            const response = await request(server.url, rawPath);
+            assert.notEqual(response.status, 200);
+            assert.doesNotMatch(response.body, /root:/);
+        });
+    }
+
+    it('does not leave the served directory into the data directory with ..', async () => {
+        const response = await request(server.url, `/icons/../data/${path.basename(dataDir)}/secret.json`);
+        assert.equal(response.status, 403);
+    });
+
+    for (const rawPath of ['/package.json', '/server.js', '/lib/auth.js', '/test/helpers.js', '/requests.jsonl']) {
+        it(`serves only the files of the interface, not ${rawPath}`, async () => {
+            const response = await request(server.url, rawPath);
+            assert.equal(response.status, 404);
+        });
+    }
+
+    it('serves the icons', async () => {
+        const response = await request(server.url, '/icons/icon-192.png');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['content-type'], 'image/png');
+    });
+});
+
+describe('a config file in the served directory', () => {
+    const configFile = path.join(ROOT, `config-test-${process.pid}.json`);
+    let server;
+
+    before(async () => {
+        fs.writeFileSync(configFile, JSON.stringify({ chargers: [{ id: 'garage', ip: '192.0.2.1', username: 'admin', password: 'secret' }] }));
+        server = await startServer({ AUTH_ENABLED: 'false', CONFIG_FILE: configFile });
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(configFile, { force: true });
+    });
+
+    it('is not served', async () => {
+        const response = await request(server.url, `/${path.basename(configFile)}`);
+        assert.equal(response.status, 403);
+        assert.doesNotMatch(response.body, /secret/);
+    });
+});
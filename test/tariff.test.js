@@ -0,0 +1,60 @@
+/**
+ * TariffStore: imports and clears of the schedule one at a time
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TariffStore } = require('../lib/tariff');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A JSON schedule of hourly prices, starting offset hours from the current hour
+ */
+function schedule(offset, hours, price) {
+    const start = Math.floor(Date.now() / HOUR_MS) * HOUR_MS + offset * HOUR_MS;
+    return JSON.stringify(Array.from({ length: hours }, (_, i) => ({ start: start + i * HOUR_MS, price })));
+}
+
+describe('TariffStore', () => {
+    let dir;
+    let tariff;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nrgkick-tariff-'));
+        tariff = new TariffStore({ file: path.join(dir, 'tariff.json') });
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('runs imports started at the same time one after the other', async () => {
+        await Promise.all([
+            tariff.import(schedule(0, 24, 0.1)),
+            tariff.import(schedule(12, 24, 0.2), { source: 'https://example.com/prices' })
+        ]);
+        assert.equal(tariff.prices.length, 36);
+        const saved = JSON.parse(fs.readFileSync(tariff.file, 'utf8'));
+        assert.equal(saved.prices.length, 36);
+        assert.equal(saved.source, 'https://example.com/prices');
+        assert.deepEqual(fs.readdirSync(dir), ['tariff.json']);
+    });
+
+    it('goes on with the next import after a failed one', async () => {
+        const results = await Promise.allSettled([
+            tariff.import('not a schedule'),
+            tariff.import(schedule(0, 24, 0.1))
+        ]);
+        assert.equal(results[0].status, 'rejected');
+        assert.equal(results[1].status, 'fulfilled');
+        assert.equal(tariff.prices.length, 24);
+    });
+
+    it('clears after the imports started before', async () => {
+        await Promise.all([tariff.import(schedule(0, 24, 0.1)), tariff.clear()]);
+        assert.deepEqual(tariff.prices, []);
+        assert.deepEqual(JSON.parse(fs.readFileSync(tariff.file, 'utf8')).prices, []);
+    });
+});
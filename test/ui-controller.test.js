@@ -0,0 +1,227 @@
+/**
+ * NRGKickController in a headless DOM: the status display, and the
+ * control buttons against stubbed requests and against the server with a
+ * simulated charger
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { NRGKickSimulator } = require('../lib/simulator');
+const { startServer, waitFor, jsonResponse, loadInterface } = require('./helpers');
+
+const LIMITS = { minCurrent: 6, maxCurrent: 16, maxPhases: 3, phaseSwitching: true };
+
+/**
+ * The interface with fetch() stubbed: control writes are recorded and
+ * answered by answerControl(body), other requests never answer
+ */
+async function loadStubbedInterface(answerControl) {
+    const writes = [];
+    const fetchImpl = (url, options = {}) => {
+        if (url.endsWith('/v2/control') && options.method === 'POST') {
+            const body = JSON.parse(options.body);
+            writes.push({ url, body });
+            return Promise.resolve(answerControl(body));
+        }
+        return new Promise(() => {});
+    };
+    return { ...(await loadInterface(fetchImpl)), writes };
+}
+
+describe('updateStatusDisplay()', () => {
+    let page;
+
+    before(async () => {
+        page = await loadStubbedInterface(() => jsonResponse(200, {}));
+    });
+
+    after(() => page.close());
+
+    const text = (id) => page.document.getElementById(id).textContent;
+
+    it('shows charging_current when the charger reports it', () => {
+        page.controller.updateStatusDisplay({
+            values: { general: { status: 3 }, powerflow: { charging_current: 15.96, l1: { current: 5 }, l2: { current: 5 } } }
+        });
+        assert.equal(text('current-value'), '16.0 A');
+    });
+
+    it('falls back to the sum of the phase currents', () => {
+        page.controller.updateStatusDisplay({
+            values: { general: { status: 3 }, powerflow: { l1: { current: 10.2 }, l2: { current: 10.1 }, l3: { current: 9.9 } } }
+        });
+        assert.equal(text('current-value'), '30.2 A');
+    });
+
+    it('shows 0.0 A while charging without any current', () => {
+        page.controller.updateStatusDisplay({ values: { general: { status: 3 }, powerflow: {} } });
+        assert.equal(text('current-value'), '0.0 A');
+    });
+
+    it('keeps the last current when not charging and no current is reported', () => {
+        page.controller.updateStatusDisplay({ values: { general: { status: 3 }, powerflow: { charging_current: 8 } } });
+        page.controller.updateStatusDisplay({ values: { general: { status: 2 }, powerflow: {} } });
+        assert.equal(text('current-value'), '8.0 A');
+    });
+
+    it('shows charging_voltage when the charger reports it', () => {
+        page.controller.updateStatusDisplay({
+            values: { general: { status: 3 }, powerflow: { charging_voltage: 229.6, l1: { voltage: 235 } } }
+        });
+        assert.equal(text('voltage-value'), '230 V');
+    });
+
+    it('falls back to the highest phase voltage when charging_voltage is missing or 0', () => {
+        page.controller.updateStatusDisplay({
+            values: { general: { status: 3 }, powerflow: { l1: { voltage: 228.4 }, l2: { voltage: 233.7 }, l3: { voltage: 0 } } }
+        });
+        assert.equal(text('voltage-value'), '234 V');
+
+        page.controller.updateStatusDisplay({
+            values: { general: { status: 3 }, powerflow: { charging_voltage: 0, l1: { voltage: 231.2 } } }
+        });
+        assert.equal(text('voltage-value'), '231 V');
+    });
+
+    it('shows the state, power, energy and current limit', () => {
+        page.controller.updateStatusDisplay({
+            control: { current_set: 10, charge_pause: 0, phase_count: 1 },
+            values: {
+                general: { status: 3 },
+                energy: { charged_energy: 5250, total_charged_energy: 1234567 },
+                powerflow: { total_active_power: 7360 },
+                temperatures: { housing: 31.25 }
+            }
+        });
+        assert.equal(text('charging-state'), 'Charging');
+        assert.equal(text('power-value'), '7.36 kW');
+        assert.equal(text('energy-session'), '5.25 kWh');
+        assert.equal(text('current-limit'), '10 A');
+        assert.equal(page.controller.currentSlider.value, '10');
+        assert.ok(page.controller.phase1Btn.classList.contains('active'));
+        assert.ok(!page.controller.phase3Btn.classList.contains('active'));
+    });
+});
+
+describe('control buttons with stubbed requests', () => {
+    let page;
+    let refuse;
+
+    before(async () => {
+        page = await loadStubbedInterface((body) => {
+            if (refuse) {
+                return jsonResponse(400, {
+                    error: 'Invalid control request',
+                    details: [{ field: 'current_set', message: 'Must be an integer between 6 and 16 A for this charger' }]
+                });
+            }
+            return jsonResponse(200, { control: body, limits: LIMITS });
+        });
+    });
+
+    beforeEach(() => {
+        page.writes.length = 0;
+        refuse = false;
+        page.controller.hideError();
+    });
+
+    after(() => page.close());
+
+    const click = (id) => page.document.getElementById(id).click();
+
+    it('Start Charging clears charge_pause', async () => {
+        click('start-charging-btn');
+        await waitFor(() => page.writes.length === 1, { message: 'the control write' });
+        assert.equal(page.writes[0].url, '/api/v2/control');
+        assert.deepEqual(page.writes[0].body, { charge_pause: 0 });
+    });
+
+    it('Stop Charging sets charge_pause', async () => {
+        click('stop-charging-btn');
+        await waitFor(() => page.writes.length === 1, { message: 'the control write' });
+        assert.deepEqual(page.writes[0].body, { charge_pause: 1 });
+        await waitFor(() => !page.controller.stopChargingBtn.disabled, { message: 'the button to be enabled again' });
+    });
+
+    it('Set Current Limit sends the slider value', async () => {
+        page.controller.currentSlider.value = '12';
+        click('set-current-btn');
+        await waitFor(() => page.writes.length === 1, { message: 'the control write' });
+        assert.deepEqual(page.writes[0].body, { current_set: 12 });
+    });
+
+    it('the phase buttons switch phases and mark the active one', async () => {
+        click('phase-1-btn');
+        await waitFor(() => page.controller.phase1Btn.classList.contains('active'), { message: 'phase 1 to be active' });
+        click('phase-3-btn');
+        await waitFor(() => page.controller.phase3Btn.classList.contains('active'), { message: 'phase 3 to be active' });
+        assert.deepEqual(page.writes.map((write) => write.body), [{ phase_count: 1 }, { phase_count: 3 }]);
+        assert.ok(!page.controller.phase1Btn.classList.contains('active'));
+    });
+
+    it('applies the limits of the answer to the slider', () => {
+        assert.equal(page.controller.currentSlider.max, '16');
+        assert.equal(page.document.getElementById('current-slider-max').textContent, '16A');
+    });
+
+    it('shows the field errors of a refused write', async () => {
+        refuse = true;
+        page.controller.currentSlider.value = '16';
+        click('set-current-btn');
+        await waitFor(() => !page.controller.errorContainer.classList.contains('hidden'), { message: 'the error message' });
+        assert.equal(page.document.getElementById('error-text').textContent,
+            'Failed to set current limit: current_set: Must be an integer between 6 and 16 A for this charger');
+        assert.ok(!page.controller.setCurrentBtn.disabled);
+    });
+});
+
+describe('control buttons against the server', () => {
+    let simulator;
+    let server;
+    let page;
+
+    before(async () => {
+        simulator = new NRGKickSimulator({ port: 0, tickMs: 0, noise: false, serialNumber: '87654321', phaseSwitching: true });
+        const address = await simulator.start();
+        server = await startServer({ AUTH_ENABLED: 'false', NRGKICK_IP: address });
+        // Relative URLs of the interface go to the server
+        page = await loadInterface((url, options) => fetch(new URL(url, server.url), options), { url: `${server.url}/` });
+        await waitFor(() => page.controller.isConnected, { timeoutMs: 10000, message: 'the interface to connect' });
+    });
+
+    after(async () => {
+        if (page) {
+            page.close();
+        }
+        await server.stop();
+        await simulator.stop();
+    });
+
+    const click = (id) => page.document.getElementById(id).click();
+
+    it('shows the charger', () => {
+        assert.equal(page.document.getElementById('serial-number').textContent, '87654321');
+        assert.equal(page.document.getElementById('current-limit').textContent, `${simulator.control.current_set} A`);
+    });
+
+    it('Stop Charging and Start Charging pause and resume the charger', async () => {
+        click('stop-charging-btn');
+        await waitFor(() => simulator.control.charge_pause === 1, { message: 'the charger to pause' });
+        click('start-charging-btn');
+        await waitFor(() => simulator.control.charge_pause === 0, { message: 'the charger to resume' });
+    });
+
+    it('Set Current Limit changes current_set', async () => {
+        page.controller.currentSlider.value = '10';
+        click('set-current-btn');
+        await waitFor(() => simulator.control.current_set === 10, { message: 'current_set 10' });
+        await waitFor(() => page.document.getElementById('current-limit').textContent === '10 A', { message: 'the new limit to show' });
+    });
+
+    it('the phase buttons change phase_count', async () => {
+        click('phase-1-btn');
+        await waitFor(() => simulator.control.phase_count === 1, { message: 'phase_count 1' });
+        click('phase-3-btn');
+        await waitFor(() => simulator.control.phase_count === 3, { message: 'phase_count 3' });
+    });
+});